@@ -0,0 +1,83 @@
+/**
+ * Auth Dialog JavaScript
+ * Office ダイアログ内で MSAL のリダイレクトフローを実行し、結果を作業ウィンドウへ返す
+ */
+
+import { ConfigService } from '../services/ConfigService.js';
+import { AuthService, AUTH_ERROR_CODES } from '../services/AuthService.js';
+
+// リダイレクトをまたいで要求スコープを保持するキー
+const PENDING_SCOPES_KEY = 'lobbyExperience_authScopes';
+
+/**
+ * Office.js の準備完了時の処理
+ */
+Office.onReady(() => {
+    runAuthFlow().catch((error) => {
+        const authError = AuthService.getInstance().mapError(error);
+        sendToParent({
+            status: 'error',
+            code: authError.code,
+            error: authError.message
+        });
+    });
+});
+
+/**
+ * サインインとトークン取得を実行
+ */
+async function runAuthFlow() {
+    await ConfigService.getInstance().initialize();
+
+    const auth = AuthService.getInstance();
+    const msalInstance = await auth.getMsalInstance();
+
+    // リダイレクトから戻ってきた場合は結果を返す
+    if (auth.redirectResult) {
+        sessionStorage.removeItem(PENDING_SCOPES_KEY);
+        sendToParent({
+            status: 'success',
+            accessToken: auth.redirectResult.accessToken,
+            expiresOn: auth.redirectResult.expiresOn,
+            homeAccountId: auth.redirectResult.account ? auth.redirectResult.account.homeAccountId : null
+        });
+        return;
+    }
+
+    if (sessionStorage.getItem(PENDING_SCOPES_KEY)) {
+        // リダイレクト後に結果が得られなかった
+        sessionStorage.removeItem(PENDING_SCOPES_KEY);
+        sendToParent({
+            status: 'error',
+            code: AUTH_ERROR_CODES.INTERACTION_REQUIRED,
+            error: 'No result returned from sign-in'
+        });
+        return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const scopes = (params.get('scopes') || '').split(' ').filter(Boolean);
+    if (scopes.length === 0) {
+        throw new Error('No scopes requested');
+    }
+
+    sessionStorage.setItem(PENDING_SCOPES_KEY, scopes.join(' '));
+
+    await msalInstance.acquireTokenRedirect({
+        scopes,
+        loginHint: params.get('loginHint') || undefined,
+        prompt: 'select_account'
+    });
+}
+
+/**
+ * 作業ウィンドウへ結果を送信
+ */
+function sendToParent(message) {
+    const status = document.getElementById('authStatus');
+    if (status) {
+        status.textContent = message.status === 'success' ? 'サインインしました' : message.error;
+    }
+
+    Office.context.ui.messageParent(JSON.stringify(message));
+}
@@ -4,10 +4,16 @@
  */
 
 import { ConfigService } from '../services/ConfigService.js';
-import { OutlookEventService } from '../services/OutlookEventService.js';
+import { OutlookEventService, getMeetingDetails } from '../services/OutlookEventService.js';
 import { SharePointService } from '../services/SharePointService.js';
 import { PowerAutomateService } from '../services/PowerAutomateService.js';
 import { LoggingService } from '../services/LoggingService.js';
+import { OutboxService } from '../services/OutboxService.js';
+import { I18nService } from '../services/I18nService.js';
+
+// 通知の文字列は Office の表示言語に合わせる
+const i18n = I18nService.getInstance();
+const t = (key, params) => i18n.t(`commands.${key}`, params);
 
 // グローバルなサービスインスタンス
 let services = {
@@ -15,6 +21,7 @@ let services = {
     outlook: null,
     sharePoint: null,
     powerAutomate: null,
+    outbox: null,
     logger: null
 };
 
@@ -36,7 +43,7 @@ Office.onReady((info) => {
 async function initializeServices() {
     try {
         // ロギングサービス
-        services.logger = LoggingService.getInstance();
+        services.logger = LoggingService.getInstance().forComponent('Commands');
         services.logger.info('Commands: Initializing services...');
         
         // 設定サービス
@@ -55,6 +62,21 @@ async function initializeServices() {
         services.powerAutomate = new PowerAutomateService();
         await services.powerAutomate.initialize();
         
+        // 送信キュー
+        services.outbox = OutboxService.getInstance();
+        services.outbox.registerServices({
+            sharePoint: services.sharePoint,
+            powerAutomate: services.powerAutomate
+        });
+        await services.outbox.initialize();
+        
+        // 一時IDから恒久IDへの移行時に、キュー・送信済みの通知の記録・SharePoint の会議IDを付け替える
+        services.outlook.meetingIdentity.registerMigrationHandler(async (fromId, toId) => {
+            await services.outbox.remapMeetingId(fromId, toId);
+            services.powerAutomate.remapMeetingId(fromId, toId);
+            await services.sharePoint.migrateMeetingId(fromId, toId);
+        });
+        
         services.logger.info('Commands: All services initialized successfully');
         
     } catch (error) {
@@ -69,58 +91,92 @@ async function initializeServices() {
  * クイック処理コマンド - 現在の会議の外部ユーザーを即座に処理
  */
 async function quickProcessVisitors(event) {
+    const correlationId = services.logger?.startCorrelation();
     try {
         services.logger?.info('Commands: Quick process visitors started');
         
         // サービスが初期化されているかチェック
-        if (!services.outlook || !services.sharePoint || !services.powerAutomate) {
-            throw new Error('サービスが初期化されていません');
+        if (!services.outlook || !services.outbox) {
+            throw new Error(t('notInitialized'));
         }
         
         // 現在の会議データを取得
         const meetingData = await services.outlook.getCurrentEventData();
         
         if (!meetingData) {
-            showNotification('warning', '会議データが見つかりません', '現在選択されている会議を確認してください。');
+            showNotification('warning', t('noMeetingTitle'), t('noMeetingMessage'));
             return;
         }
         
         if (!meetingData.externalUsers || meetingData.externalUsers.length === 0) {
-            showNotification('info', '外部ユーザーなし', 'この会議には外部ユーザーが含まれていません。');
+            showNotification('info', t('noExternalUsersTitle'), t('noExternalUsersMessage'));
             return;
         }
         
         services.logger?.info(`Commands: Processing ${meetingData.externalUsers.length} external users`);
         
-        // SharePoint にレコードを作成/更新
-        const sharePointResult = await services.sharePoint.updateVisitorRecords(
-            meetingData.meetingId,
-            meetingData.subject,
-            meetingData.externalUsers,
-            meetingData.startTime,
-            meetingData.endTime
-        );
+        // SharePoint にレコードを作成/更新（失敗時は送信キューに保存、定期的な予定は各回ごと）
+        const sharePointOutcome = meetingData.seriesId
+            ? await services.outbox.updateSeriesVisitorRecords(
+                meetingData.seriesId,
+                meetingData.subject,
+                meetingData.externalUsers,
+                await services.outlook.getOccurrences(meetingData),
+                getMeetingDetails(meetingData)
+            )
+            : await services.outbox.updateVisitorRecords(
+                meetingData.meetingId,
+                meetingData.subject,
+                meetingData.externalUsers,
+                meetingData.startTime,
+                meetingData.endTime,
+                getMeetingDetails(meetingData)
+            );
         
-        // Power Automate で通知を送信
-        const notificationResult = await services.powerAutomate.sendVisitorNotification(
+        // Power Automate で通知を送信（失敗した来訪者の分は送信キューに保存）
+        const notificationResult = await services.outbox.sendVisitorNotifications(
             meetingData.meetingId,
             meetingData.subject,
             meetingData.externalUsers,
             meetingData.startTime,
             meetingData.endTime,
-            'created'
+            'created',
+            getMeetingDetails(meetingData)
         );
         
-        services.logger?.info(`Commands: Quick process completed - SharePoint: ${sharePointResult?.length || 0}, Notifications: ${notificationResult.notificationsSent}`);
-        
-        // 成功通知
-        showNotification('success', '処理完了', 
-            `${meetingData.externalUsers.length}人の外部ユーザーが登録され、通知が送信されました。`);
+        // 受付向けの来訪者一覧と主催者向けの登録結果（会議ごとに1件）
+        const meetingOutcomes = await services.outbox.sendMeetingNotifications({
+            meetingId: meetingData.meetingId,
+            meetingTitle: meetingData.subject,
+            startTime: meetingData.startTime,
+            endTime: meetingData.endTime,
+            meetingDetails: getMeetingDetails(meetingData),
+            externalUsers: meetingData.externalUsers,
+            isCancelled: false
+        }, { sharePoint: sharePointOutcome, notifications: [notificationResult] });
+        
+        // 同期済みの状態として記録（タスクペーンでの変更検知の基準にする）
+        services.outlook.changePipeline.markSynced(meetingData);
+        
+        const sharePointResult = sharePointOutcome.result;
+        services.logger?.info(`Commands: Quick process completed - SharePoint: ${sharePointResult ? `+${sharePointResult.added.length} ~${sharePointResult.updated.length} -${sharePointResult.cancelled.length}` : 'queued'}, Notifications: ${notificationResult.sent} sent, ${notificationResult.queued} queued, ${notificationResult.failed} failed, ${notificationResult.skipped.length} skipped`, { skipped: notificationResult.skipped });
+        
+        if (notificationResult.failed > 0) {
+            showNotification('error', t('processErrorTitle'), t('notificationsFailed', { count: notificationResult.failed }));
+        } else if (sharePointOutcome.queued || notificationResult.queued > 0 || meetingOutcomes.some(o => o.queued)) {
+            showNotification('warning', t('queuedTitle'), t('partiallyQueued'));
+        } else {
+            // 成功通知
+            showNotification('success', t('completedTitle'),
+                t('completedMessage', { count: meetingData.externalUsers.length }));
+        }
             
     } catch (error) {
         services.logger?.error('Commands: Quick process failed', error);
-        showNotification('error', '処理エラー', `エラーが発生しました: ${error.message}`);
+        showNotification('error', t('processErrorTitle'), t('processErrorMessage', { error: error.message }));
     } finally {
+        services.logger?.endCorrelation(correlationId);
+
         // コマンドの完了を通知
         if (event) {
             event.completed();
@@ -144,22 +200,24 @@ async function testConnections(event) {
                 results.push({
                     service: 'SharePoint',
                     success: sharePointTest.success,
-                    message: sharePointTest.success 
-                        ? `接続成功 (${sharePointTest.itemCount}件のアイテム)` 
-                        : `接続失敗: ${sharePointTest.error}`
+                    message: sharePointTest.success
+                        ? t('connectionSucceeded', {
+                            detail: sharePointTest.itemCount !== null ? t('connectionItems', { count: sharePointTest.itemCount }) : sharePointTest.backend
+                        })
+                        : t('connectionFailed', { error: sharePointTest.error })
                 });
             } else {
                 results.push({
                     service: 'SharePoint',
                     success: false,
-                    message: 'サービスが初期化されていません'
+                    message: t('notInitialized')
                 });
             }
         } catch (error) {
             results.push({
                 service: 'SharePoint',
                 success: false,
-                message: `テストエラー: ${error.message}`
+                message: t('testError', { error: error.message })
             });
         }
         
@@ -170,22 +228,22 @@ async function testConnections(event) {
                 results.push({
                     service: 'Power Automate',
                     success: powerAutomateTest.success,
-                    message: powerAutomateTest.success 
-                        ? `接続成功 (ステータス: ${powerAutomateTest.statusCode})` 
-                        : `接続失敗: ${powerAutomateTest.error}`
+                    message: powerAutomateTest.success
+                        ? t('connectionSucceeded', { detail: t('connectionStatus', { status: powerAutomateTest.detail }) })
+                        : t('connectionFailed', { error: powerAutomateTest.error })
                 });
             } else {
                 results.push({
                     service: 'Power Automate',
                     success: false,
-                    message: 'サービスが初期化されていません'
+                    message: t('notInitialized')
                 });
             }
         } catch (error) {
             results.push({
                 service: 'Power Automate',
                 success: false,
-                message: `テストエラー: ${error.message}`
+                message: t('testError', { error: error.message })
             });
         }
         
@@ -199,13 +257,13 @@ async function testConnections(event) {
         
         showNotification(
             allSuccess ? 'success' : 'warning', 
-            '接続テスト結果',
+            t('connectionTestTitle'),
             summaryMessage
         );
         
     } catch (error) {
         services.logger?.error('Commands: Connection test failed', error);
-        showNotification('error', 'テストエラー', `接続テストでエラーが発生しました: ${error.message}`);
+        showNotification('error', t('testErrorTitle'), t('connectionTestErrorMessage', { error: error.message }));
     } finally {
         // コマンドの完了を通知
         if (event) {
@@ -222,24 +280,20 @@ async function showStatistics(event) {
         services.logger?.info('Commands: Show statistics started');
         
         if (!services.sharePoint) {
-            throw new Error('SharePointサービスが初期化されていません');
+            throw new Error(t('sharePointNotInitialized'));
         }
         
         const stats = await services.sharePoint.getStatistics(7);
         
-        const message = `過去7日間の統計:
-📊 総来訪者: ${stats.total}人
-📅 予定済み: ${stats.scheduled}人  
-✅ 完了済み: ${stats.completed}人
-❌ キャンセル: ${stats.cancelled}人`;
+        const message = t('statisticsMessage', stats);
         
         services.logger?.info('Commands: Statistics retrieved', stats);
         
-        showNotification('info', '統計情報', message);
+        showNotification('info', t('statisticsTitle'), message);
         
     } catch (error) {
         services.logger?.error('Commands: Show statistics failed', error);
-        showNotification('error', '統計エラー', `統計情報の取得でエラーが発生しました: ${error.message}`);
+        showNotification('error', t('statisticsErrorTitle'), t('statisticsErrorMessage', { error: error.message }));
     } finally {
         // コマンドの完了を通知
         if (event) {
@@ -256,25 +310,30 @@ async function showConfiguration(event) {
         services.logger?.info('Commands: Show configuration started');
         
         if (!services.config) {
-            throw new Error('設定サービスが初期化されていません');
+            throw new Error(t('configNotInitialized'));
         }
         
         const config = services.config.getConfig();
         
-        const message = `現在の設定:
-🌐 SharePoint: ${config.sharePoint?.siteUrl ? '設定済み' : '未設定'}
-📝 リスト名: ${config.sharePoint?.listName || '未設定'}
-🔄 Power Automate: ${config.powerAutomate?.notificationUrl ? '設定済み' : '未設定'}
-🏢 内部ドメイン: ${config.outlook?.internalDomains?.length || 0}個
-📋 ログレベル: ${config.logging?.level || '未設定'}`;
+        const configured = i18n.t('common.configured');
+        const notSet = i18n.t('common.notSet');
+        const message = t('configurationMessage', {
+            siteUrl: config.sharePoint?.siteUrl ? configured : notSet,
+            listName: config.sharePoint?.listName || notSet,
+            notificationUrl: config.powerAutomate?.routes?.length
+                ? i18n.t('common.routeCount', { count: config.powerAutomate.routes.length })
+                : (config.powerAutomate?.notificationUrl ? configured : notSet),
+            internalDomains: config.outlook?.internalDomains?.length || 0,
+            logLevel: config.logging?.level || notSet
+        });
         
         services.logger?.info('Commands: Configuration displayed');
         
-        showNotification('info', '設定情報', message);
+        showNotification('info', t('configurationTitle'), message);
         
     } catch (error) {
         services.logger?.error('Commands: Show configuration failed', error);
-        showNotification('error', '設定エラー', `設定情報の表示でエラーが発生しました: ${error.message}`);
+        showNotification('error', t('configurationErrorTitle'), t('configurationErrorMessage', { error: error.message }));
     } finally {
         // コマンドの完了を通知
         if (event) {
@@ -290,50 +349,62 @@ async function manualSync(event) {
     try {
         services.logger?.info('Commands: Manual sync started');
         
-        if (!services.outlook || !services.sharePoint) {
-            throw new Error('必要なサービスが初期化されていません');
+        if (!services.outlook || !services.outbox) {
+            throw new Error(t('requiredNotInitialized'));
         }
         
+        // 送信キューに残っている操作を先に再実行（会議ごとの順序を保つため）
+        await services.outbox.replay({ force: true });
+        
         // 現在の会議データを取得
         const meetingData = await services.outlook.getCurrentEventData();
         
         if (!meetingData) {
-            showNotification('warning', '同期不可', '同期する会議データが見つかりません。');
+            showNotification('warning', t('syncUnavailableTitle'), t('syncUnavailableMessage'));
             return;
         }
         
-        // 既存のレコードを取得
-        const existingRecords = await services.sharePoint.getVisitorRecordsByMeetingId(meetingData.meetingId);
-        
-        let message;
-        if (meetingData.externalUsers && meetingData.externalUsers.length > 0) {
-            // 外部ユーザーがいる場合は更新
-            await services.sharePoint.updateVisitorRecords(
+        // 差分同期（外部ユーザーがいない場合は既存レコードがキャンセル済みになる）
+        const outcome = meetingData.seriesId
+            ? await services.outbox.updateSeriesVisitorRecords(
+                meetingData.seriesId,
+                meetingData.subject,
+                meetingData.externalUsers || [],
+                await services.outlook.getOccurrences(meetingData),
+                getMeetingDetails(meetingData)
+            )
+            : await services.outbox.updateVisitorRecords(
                 meetingData.meetingId,
                 meetingData.subject,
-                meetingData.externalUsers,
+                meetingData.externalUsers || [],
                 meetingData.startTime,
-                meetingData.endTime
+                meetingData.endTime,
+                getMeetingDetails(meetingData)
             );
-            
-            message = `同期完了: ${meetingData.externalUsers.length}人の外部ユーザーを同期しました。`;
-        } else {
-            // 外部ユーザーがいない場合は削除
-            if (existingRecords.length > 0) {
-                await services.sharePoint.deleteVisitorRecords(meetingData.meetingId);
-                message = `同期完了: ${existingRecords.length}件のレコードを削除しました（外部ユーザーなし）。`;
-            } else {
-                message = '同期完了: 変更はありませんでした。';
-            }
+        
+        if (outcome.queued) {
+            services.logger?.warn('Commands: Manual sync queued');
+            showNotification('warning', t('queuedTitle'), t('syncQueued'));
+            return;
         }
         
+        const changeSet = outcome.result;
+        const changedCount = changeSet.added.length + changeSet.updated.length + changeSet.cancelled.length;
+        const message = changedCount > 0
+            ? t('syncChanged', {
+                added: changeSet.added.length,
+                updated: changeSet.updated.length,
+                cancelled: changeSet.cancelled.length
+            })
+            : t('syncUnchanged');
+        
         services.logger?.info('Commands: Manual sync completed');
         
-        showNotification('success', '同期完了', message);
+        showNotification('success', t('syncCompletedTitle'), message);
         
     } catch (error) {
         services.logger?.error('Commands: Manual sync failed', error);
-        showNotification('error', '同期エラー', `同期処理でエラーが発生しました: ${error.message}`);
+        showNotification('error', t('syncErrorTitle'), t('syncErrorMessage', { error: error.message }));
     } finally {
         // コマンドの完了を通知
         if (event) {
@@ -352,7 +423,7 @@ function showNotification(type, title, message) {
             // ダイアログで表示（詳細メッセージ用）
             const dialogHtml = `
                 <!DOCTYPE html>
-                <html>
+                <html lang="${i18n.getLocale()}">
                 <head>
                     <title>${title}</title>
                     <style>
@@ -386,7 +457,7 @@ function showNotification(type, title, message) {
                 <body>
                     <h2>${title}</h2>
                     <pre>${message}</pre>
-                    <button class="close-btn" onclick="window.close()">閉じる</button>
+                    <button class="close-btn" onclick="window.close()">${i18n.t('common.close')}</button>
                 </body>
                 </html>
             `;
@@ -436,12 +507,12 @@ function showNotification(type, title, message) {
  * エラーハンドリング用のグローバル関数
  */
 function handleCommandError(commandName, error, event) {
-    const errorMessage = `コマンド "${commandName}" でエラーが発生しました: ${error.message}`;
+    const errorMessage = t('commandErrorMessage', { command: commandName, error: error.message });
     
     services.logger?.error(`Commands: ${commandName} failed`, error);
     console.error(errorMessage, error);
     
-    showNotification('error', 'コマンドエラー', errorMessage);
+    showNotification('error', t('commandErrorTitle'), errorMessage);
     
     if (event) {
         event.completed();
@@ -0,0 +1,353 @@
+/**
+ * Launch Event JavaScript
+ * イベントベースのアクティブ化（LaunchEvent）で起動されるヘッドレスランタイムの処理
+ *
+ * 作業ウィンドウを開いていなくても、予定の作成・参加者や日時の変更時に来訪者を登録し、送信時に通知する。
+ * 送信前の予定は破棄される可能性があるため、作成中の変更では通知を送らない。
+ */
+
+import { ConfigService } from '../services/ConfigService.js';
+import { OutlookEventService, getMeetingDetails } from '../services/OutlookEventService.js';
+import { SharePointService } from '../services/SharePointService.js';
+import { PowerAutomateService } from '../services/PowerAutomateService.js';
+import { LoggingService } from '../services/LoggingService.js';
+import { OutboxService } from '../services/OutboxService.js';
+import { I18nService } from '../services/I18nService.js';
+
+// Smart Alerts の文字列は Office の表示言語に合わせる
+const i18n = I18nService.getInstance();
+const t = (key, params) => i18n.t(`launchevent.${key}`, params);
+
+// ランタイム内で共有するサービスインスタンス
+let services = {
+    config: null,
+    outlook: null,
+    sharePoint: null,
+    powerAutomate: null,
+    outbox: null,
+    logger: null
+};
+
+let initializing = null;
+
+// 同期処理の直列化（連続したイベントで同じ会議を同時に登録しないようにする）
+let syncChain = Promise.resolve();
+
+/**
+ * サービスを初期化（ランタイム内で1回のみ）
+ */
+function ensureServices() {
+    if (!initializing) {
+        initializing = initializeServices().catch((error) => {
+            // 次のイベントで再試行できるようにする
+            initializing = null;
+            throw error;
+        });
+    }
+    return initializing;
+}
+
+/**
+ * サービスを初期化
+ */
+async function initializeServices() {
+    services.logger = LoggingService.getInstance().forComponent('LaunchEvent');
+
+    services.config = ConfigService.getInstance();
+    await services.config.initialize();
+
+    // 変更はイベントごとに syncMeeting() で同期するため、アイテムの監視と変更パイプラインは使わない
+    // （監視すると同期前に変更検知の基準が更新され、送信時に差分がなくなる）
+    services.outlook = new OutlookEventService();
+    await services.outlook.initialize({ monitorEvents: false });
+
+    services.sharePoint = new SharePointService();
+    await services.sharePoint.initialize();
+
+    services.powerAutomate = new PowerAutomateService();
+    await services.powerAutomate.initialize();
+
+    services.outbox = OutboxService.getInstance();
+    services.outbox.registerServices({
+        sharePoint: services.sharePoint,
+        powerAutomate: services.powerAutomate
+    });
+    await services.outbox.initialize();
+
+    // 一時IDから恒久IDへの移行時に、キュー・送信済みの通知の記録・SharePoint の会議IDを付け替える
+    services.outlook.meetingIdentity.registerMigrationHandler(async (fromId, toId) => {
+        await services.outbox.remapMeetingId(fromId, toId);
+        services.powerAutomate.remapMeetingId(fromId, toId);
+        await services.sharePoint.migrateMeetingId(fromId, toId);
+    });
+
+    // キャンセル・削除が検出された会議の来訪者をキャンセル済みにする（キャンセル通知は送信キューが送信）
+    services.outlook.addEventListener('deleted', async (eventData) => {
+        const outcome = await services.outbox.cancelVisitorRecords(
+            eventData.meetingId,
+            eventData.subject,
+            eventData.cancellationReason
+        );
+        services.logger.info(`LaunchEvent: Meeting cancellation ${outcome.queued ? 'queued' : 'applied'}`, {
+            meetingId: eventData.meetingId,
+            reason: eventData.cancellationReason
+        });
+
+        await services.outbox.sendMeetingNotifications({
+            meetingId: eventData.meetingId,
+            meetingTitle: eventData.subject,
+            startTime: eventData.startTime,
+            endTime: eventData.endTime,
+            meetingDetails: null,
+            externalUsers: eventData.externalUsers,
+            isCancelled: true
+        }, { sharePoint: outcome });
+    });
+
+    services.logger.info('LaunchEvent: All services initialized successfully');
+}
+
+/**
+ * 会議の同期を直列に実行
+ */
+function enqueueSync(meetingData, options) {
+    const run = syncChain.then(() => syncMeeting(meetingData, options));
+    syncChain = run.catch(() => {});
+    return run;
+}
+
+/**
+ * 会議の来訪者を SharePoint に登録し、通知を送信
+ *
+ * 最後に同期した状態から変更がない場合は何もしない。
+ * SharePoint への登録に失敗した場合は通知を送らず、同期済みとして記録しない。
+ * notify が false の場合（作成中の予定の変更）は SharePoint への登録のみ行い、同期済みとして記録しない
+ * （通知は送信時に、最後に同期した状態からの差分で送る）。
+ *
+ * @param {{ notify?: boolean }} options
+ * @returns {Promise<{ changed: boolean, registered: boolean, error: Error|null }>}
+ */
+async function syncMeeting(meetingData, { notify = true } = {}) {
+    const pipeline = services.outlook.changePipeline;
+    const previous = pipeline.getSyncedSnapshot(meetingData.meetingId);
+
+    // 外部ユーザーがおらず、以前も同期していない会議は対象外
+    if (meetingData.externalUsers.length === 0 && (!previous || previous.visitors.length === 0)) {
+        return { changed: false, registered: true, error: null };
+    }
+
+    const changes = pipeline.diff(previous, pipeline.createSnapshot(meetingData));
+    if (!changes) {
+        return { changed: false, registered: true, error: null };
+    }
+
+    const changeType = previous ? pipeline.getChangeType(changes) : 'created';
+
+    // 送信キューに残っている同じ会議の操作を先に再実行（順序を保つため）
+    await services.outbox.replay({ force: true });
+
+    // 定期的な予定は先読み期間内の各回ごとに登録
+    const sharePointOutcome = meetingData.seriesId
+        ? await services.outbox.updateSeriesVisitorRecords(
+            meetingData.seriesId,
+            meetingData.subject,
+            meetingData.externalUsers,
+            await services.outlook.getOccurrences(meetingData),
+            getMeetingDetails(meetingData)
+        )
+        : await services.outbox.updateVisitorRecords(
+            meetingData.meetingId,
+            meetingData.subject,
+            meetingData.externalUsers,
+            meetingData.startTime,
+            meetingData.endTime,
+            getMeetingDetails(meetingData)
+        );
+
+    if (sharePointOutcome.queued) {
+        return {
+            changed: true,
+            registered: false,
+            error: sharePointOutcome.error || new Error('SharePoint registration is queued')
+        };
+    }
+
+    if (!notify) {
+        services.logger.info(`LaunchEvent: Meeting registered (${changeType}), notifications deferred until send`, {
+            meetingId: meetingData.meetingId,
+            added: sharePointOutcome.result.added.length,
+            updated: sharePointOutcome.result.updated.length,
+            cancelled: sharePointOutcome.result.cancelled.length
+        });
+        return { changed: true, registered: true, error: null };
+    }
+
+    const plan = services.powerAutomate.planNotifications({ ...meetingData, changes }, changeType);
+    const notificationResults = [];
+    for (const { users, notificationType } of plan) {
+        notificationResults.push(await services.outbox.sendVisitorNotifications(
+            meetingData.meetingId,
+            meetingData.subject,
+            users,
+            meetingData.startTime,
+            meetingData.endTime,
+            notificationType,
+            getMeetingDetails(meetingData)
+        ));
+    }
+
+    // 受付向けの来訪者一覧と主催者向けの登録結果（会議ごとに1件）
+    await services.outbox.sendMeetingNotifications({
+        meetingId: meetingData.meetingId,
+        meetingTitle: meetingData.subject,
+        startTime: meetingData.startTime,
+        endTime: meetingData.endTime,
+        meetingDetails: getMeetingDetails(meetingData),
+        externalUsers: meetingData.externalUsers,
+        isCancelled: false
+    }, { sharePoint: sharePointOutcome, notifications: notificationResults });
+
+    pipeline.markSynced(meetingData);
+    services.logger.info(`LaunchEvent: Meeting synced (${changeType})`, {
+        meetingId: meetingData.meetingId,
+        added: sharePointOutcome.result.added.length,
+        updated: sharePointOutcome.result.updated.length,
+        cancelled: sharePointOutcome.result.cancelled.length,
+        // 同じ内容の通知を送信済みなどの理由で送信しなかった来訪者
+        skipped: notificationResults.flatMap(result => result.skipped),
+        // 再実行しても成功しないため送信できなかった通知（送信はブロックしない）
+        failed: notificationResults.reduce((total, result) => total + result.failed, 0)
+    });
+
+    return { changed: true, registered: true, error: null };
+}
+
+/**
+ * 送信をブロックして Smart Alerts のメッセージを表示
+ *
+ * outlook.sendGate が 'prompt' の場合は「このまま送信」を選べるようにする。
+ */
+function completeWithAlert(event, message) {
+    const sendGate = services.config ? services.config.getConfig().outlook.sendGate : 'block';
+
+    if (sendGate === 'off') {
+        event.completed({ allowEvent: true });
+        return;
+    }
+
+    const options = {
+        allowEvent: false,
+        errorMessage: message
+    };
+
+    if (sendGate === 'prompt' && Office.MailboxEnums.SendModeOverride) {
+        options.sendModeOverride = Office.MailboxEnums.SendModeOverride.PromptUser;
+    }
+
+    event.completed(options);
+}
+
+/**
+ * OnAppointmentSend - 外部来訪者がいる会議は、ロビーへの登録が完了してから送信する
+ */
+async function onAppointmentSendHandler(event) {
+    let correlationId = null;
+    try {
+        await ensureServices();
+        correlationId = services.logger.startCorrelation();
+        services.logger.info('LaunchEvent: OnAppointmentSend');
+
+        const meetingData = await services.outlook.getCurrentEventData();
+        if (!meetingData) {
+            event.completed({ allowEvent: true });
+            return;
+        }
+
+        const result = await enqueueSync(meetingData);
+
+        if (result.registered) {
+            event.completed({ allowEvent: true });
+            return;
+        }
+
+        services.logger.warn('LaunchEvent: Visitor registration failed, blocking send', result.error);
+        completeWithAlert(event, t('registrationFailed', { error: result.error.message }));
+
+    } catch (error) {
+        if (services.logger) {
+            services.logger.error('LaunchEvent: OnAppointmentSend failed', error);
+        } else {
+            console.error('LaunchEvent: OnAppointmentSend failed', error);
+        }
+        completeWithAlert(event, t('unexpectedError', { error: error.message }));
+    } finally {
+        if (correlationId) {
+            services.logger.endCorrelation(correlationId);
+        }
+    }
+}
+
+/**
+ * 作成中の予定の変更を SharePoint に登録（送信はブロックしないため、失敗は記録のみ）
+ *
+ * 通知は送信時（OnAppointmentSend）に送る。
+ * 登録に失敗した操作は送信キューに残り、次のイベントまたは送信時に再実行される。
+ */
+async function handleItemChange(event, eventName) {
+    let correlationId = null;
+    try {
+        await ensureServices();
+        correlationId = services.logger.startCorrelation();
+        services.logger.info(`LaunchEvent: ${eventName}`);
+
+        // 会議IDの解決（新規予定では一時IDを発行して保存）も含めて取得
+        const meetingData = await services.outlook.getCurrentEventData();
+        if (meetingData) {
+            const result = await enqueueSync(meetingData, { notify: false });
+            if (!result.registered) {
+                services.logger.warn(`LaunchEvent: ${eventName} - visitor registration queued`, result.error);
+            }
+        }
+
+        // 同期済みの他の会議がキャンセル・削除されていないか確認（outlook.cancellationCheckIntervalMs ごと）
+        await services.outlook.detectCancellations();
+    } catch (error) {
+        if (services.logger) {
+            services.logger.error(`LaunchEvent: ${eventName} failed`, error);
+        } else {
+            console.error(`LaunchEvent: ${eventName} failed`, error);
+        }
+    } finally {
+        if (correlationId) {
+            services.logger.endCorrelation(correlationId);
+        }
+        event.completed();
+    }
+}
+
+/**
+ * OnNewAppointmentOrganizer - 新規予定の作成時
+ */
+function onNewAppointmentOrganizerHandler(event) {
+    return handleItemChange(event, 'OnNewAppointmentOrganizer');
+}
+
+/**
+ * OnAppointmentAttendeesChanged - 参加者の追加・削除時
+ */
+function onAppointmentAttendeesChangedHandler(event) {
+    return handleItemChange(event, 'OnAppointmentAttendeesChanged');
+}
+
+/**
+ * OnAppointmentTimeChanged - 開始・終了日時の変更時
+ */
+function onAppointmentTimeChangedHandler(event) {
+    return handleItemChange(event, 'OnAppointmentTimeChanged');
+}
+
+// イベントハンドラーを登録（マニフェストの FunctionName と対応）
+Office.actions.associate('onNewAppointmentOrganizerHandler', onNewAppointmentOrganizerHandler);
+Office.actions.associate('onAppointmentAttendeesChangedHandler', onAppointmentAttendeesChangedHandler);
+Office.actions.associate('onAppointmentTimeChangedHandler', onAppointmentTimeChangedHandler);
+Office.actions.associate('onAppointmentSendHandler', onAppointmentSendHandler);
@@ -0,0 +1,369 @@
+/**
+ * 英語のメッセージカタログ
+ *
+ * キーは ja.js と同じ。未翻訳のキーは日本語にフォールバックする。
+ */
+
+export const en = {
+    common: {
+        notSet: 'Not set',
+        unknown: 'Unknown',
+        configured: 'Configured',
+        itemCount: '{count} items',
+        close: 'Close',
+        routeCount: '{count} routes'
+    },
+    taskpane: {
+        subtitle: 'Visitor management',
+        loading: 'Processing...',
+        started: 'Add-in started',
+        sections: {
+            meeting: 'Current meeting',
+            services: 'Service status',
+            statistics: 'Statistics (last 7 days)',
+            outbox: 'Outbox',
+            history: 'Notification history',
+            settings: 'Settings',
+            log: 'Activity log',
+            help: 'Help'
+        },
+        buttons: {
+            refreshMeeting: '🔄 Refresh',
+            processVisitors: '👥 Process visitors',
+            testConnection: '🔍 Test connection',
+            refreshStats: '📊 Refresh statistics',
+            retryOutbox: '🔁 Retry all',
+            refreshHistory: '🔄 Refresh history',
+            exportHistory: '📤 Export history',
+            resend: 'Resend',
+            refreshConfig: '⚙️ Reload settings',
+            clearLog: '🗑️ Clear log',
+            exportLog: '📤 Export log',
+            retry: 'Retry',
+            discard: 'Discard'
+        },
+        app: {
+            initializing: 'Initializing the application...',
+            initialized: 'Application initialized',
+            initError: 'Initialization error: {error}',
+            configError: 'Configuration error: {error}',
+            authFailed: 'Authentication failed: {error}',
+            initFailed: 'Initialization failed. Please check the configuration.',
+            cancellationCheckError: 'Meeting cancellation check error: {error}',
+            servicesInitialized: 'All services initialized',
+            servicesInitError: 'Service initialization error: {error}',
+            meetingIdMigrated: 'Meeting ID migrated: {migrated} updated, {removed} duplicates removed'
+        },
+        meeting: {
+            loadingInfo: 'Loading meeting information...',
+            loadError: 'Failed to get meeting information: {error}',
+            loadFailed: 'Could not load the meeting information',
+            none: 'No meeting selected',
+            noSubject: 'No subject',
+            start: 'Start',
+            end: 'End',
+            organizer: 'Organizer',
+            location: 'Location',
+            online: 'Online',
+            onlineOnly: ' (online only, no visit to reception)',
+            meetingId: 'Meeting ID',
+            externalUsers: 'External users ({count}):',
+            noExternalUsers: 'No external users',
+            classifications: 'Attendee classification ({count})'
+        },
+        categories: {
+            internal: 'Internal',
+            external: 'Visitor',
+            room: 'Room',
+            distributionList: 'Distribution list',
+            unknown: 'Unknown'
+        },
+        reasons: {
+            missing_email: 'No email address',
+            invalid_email: 'The email address is invalid',
+            allow_list: 'Listed as an address that is always a visitor',
+            deny_list: 'Listed as an address that is never a visitor',
+            distribution_list: 'Distribution list',
+            distribution_list_pattern: 'Matches a distribution list pattern',
+            resource_recipient: 'Invited as a resource (room or equipment)',
+            room_pattern: 'Matches a room pattern',
+            internal_domain: 'Internal domain',
+            internal_subdomain: 'Subdomain of an internal domain',
+            wildcard_domain: 'Matches a wildcard internal domain',
+            external_domain: 'External user (no internal domain matches)'
+        },
+        status: {
+            notConnected: 'Not connected',
+            connected: 'Connected ({detail})',
+            error: 'Error: {error}',
+            failed: 'Connection failed: {error}'
+        },
+        statistics: {
+            total: 'Total visitors',
+            scheduled: 'Scheduled',
+            completed: 'Completed',
+            loadError: 'Failed to get statistics: {error}'
+        },
+        settings: {
+            siteUrl: 'SharePoint site',
+            listName: 'SharePoint list',
+            backend: 'SharePoint connection',
+            notificationUrl: 'Power Automate URL',
+            internalDomains: 'Internal domains',
+            logLevel: 'Log level',
+            language: 'Display language',
+            environment: 'Environment',
+            errors: 'Configuration errors',
+            loadError: 'Failed to get settings: {error}'
+        },
+        outbox: {
+            counts: '{pending} pending / {failed} failed / {deadLetter} undeliverable',
+            empty: 'Nothing waiting to be sent',
+            pending: 'Pending',
+            failed: 'Failed',
+            deadLetter: 'Undeliverable',
+            attempts: '{count} attempts',
+            loadError: 'Failed to get the outbox: {error}'
+        },
+        history: {
+            filterLabel: 'Meeting',
+            allMeetings: 'All meetings',
+            empty: 'No notifications have been sent',
+            sent: 'Sent',
+            failed: 'Failed',
+            statusCode: 'HTTP {code}',
+            retries: '{count} retries',
+            latency: '{ms} ms',
+            notificationId: 'Notification ID {id}',
+            resent: 'Resent',
+            loadError: 'Failed to load notification history: {error}'
+        },
+        meetingNotifications: {
+            reception_digest: 'visitor list for reception',
+            organizer_summary: 'registration summary for the organizer'
+        },
+        skipReasons: {
+            already_sent: 'the same notification was already sent',
+            no_route: 'no notification route matched'
+        },
+        events: {
+            detected: 'Outlook event detected: {type}',
+            changes: 'Changes: {changes}',
+            error: 'Outlook event handling error: {error}'
+        },
+        changes: {
+            subject: 'Subject',
+            startTime: 'Start',
+            endTime: 'End',
+            recurrence: 'Recurrence',
+            location: 'Location',
+            isOnlineOnly: 'Online meeting',
+            fieldChanged: '{field} changed',
+            visitorsAdded: 'Visitors added {visitors}',
+            visitorsRemoved: 'Visitors removed {visitors}'
+        },
+        process: {
+            busy: 'Processing. Please wait.',
+            noExternalUsers: 'There are no external users to process.',
+            cancellationStarted: 'Processing meeting cancellation: {meeting} ({reason})',
+            started: 'Processing {count} visitors',
+            temporaryMeetingId: 'The appointment is not saved yet, so a temporary meeting ID is used (it is migrated automatically after saving)',
+            sharePointQueued: 'Saving to SharePoint was added to the outbox',
+            sharePointQueuedWithError: 'Saving to SharePoint was added to the outbox: {error}',
+            sharePointCompleted: 'SharePoint updated: {added} added, {updated} updated, {cancelled} cancelled, {unchanged} unchanged',
+            sharePointCount: 'SharePoint updated: {count} items',
+            sharePointFailed: 'SharePoint registration failed: {email} ({operation}): {error}',
+            notificationsSent: 'Notifications sent: {count} succeeded',
+            routeResult: 'Notification route {route}: {sent} succeeded, {failed} failed',
+            meetingNotificationSent: 'Sent the {type}',
+            meetingNotificationQueued: 'The {type} was added to the outbox',
+            meetingNotificationFailed: 'Failed to send the {type}: {error}',
+            meetingNotificationSkipped: 'The {type} was not sent ({reason})',
+            notificationSkipped: 'Notification not sent to {email} ({reason})',
+            notificationsQueued: '{count} notifications were added to the outbox',
+            notificationsFailed: '{count} notifications could not be sent (check the visitor data and the notification routes)',
+            partiallyQueued: 'Some operations were saved to the outbox. They are resent automatically when the connection recovers.',
+            completed: 'Visitors processed. {visitors} external users were registered and {notifications} notifications were sent.',
+            recordsQueued: 'The visitor record update was saved to the outbox. It is resent automatically when the connection recovers.',
+            cancelled: 'The meeting cancellation was applied. {count} visitors were marked as cancelled.',
+            recordsUpdated: 'Visitor records were updated.',
+            error: 'Visitor processing error: {error}',
+            failed: 'An error occurred while processing: {error}'
+        },
+        actions: {
+            refreshMeeting: 'Meeting information refreshed manually',
+            testConnection: 'Testing connections',
+            refreshStats: 'Refreshing statistics',
+            reloadConfig: 'Reloading settings',
+            configReloaded: 'Settings were reloaded.',
+            configReloadError: 'Settings reload error: {error}',
+            configReloadFailed: 'Failed to reload the settings.',
+            retryOutbox: 'Replaying the outbox',
+            outboxReplayed: 'Outbox replayed: {processed} succeeded, {failed} failed, {remaining} remaining',
+            outboxReplayError: 'Outbox replay error: {error}',
+            outboxDiscarded: 'Outbox operation discarded',
+            outboxActionError: 'Outbox operation error: {error}',
+            notificationResent: 'Notification resent',
+            notificationResendFailed: 'Failed to resend notification: {error}',
+            historyExported: 'Notification history exported.',
+            historyExportError: 'Notification history export error: {error}',
+            historyExportFailed: 'Failed to export notification history.',
+            logCleared: 'Log cleared',
+            logExported: 'Recent logs were exported. Please send them to your support contact.',
+            logExportError: 'Log export error: {error}',
+            logExportFailed: 'Failed to export the log.'
+        },
+        help: {
+            usage: 'How to use:',
+            usageSteps: {
+                create: 'Create or edit a meeting in Outlook',
+                invite: 'Add external attendees',
+                process: 'Click "Process visitors"',
+                register: 'The visitors are registered in the SharePoint list',
+                notify: 'Notifications are sent by Power Automate'
+            },
+            troubleshooting: 'Troubleshooting:',
+            troubleshootingSteps: {
+                config: 'Check the configuration file (config.json)',
+                connection: 'Test the SharePoint and Power Automate connections',
+                log: 'Check the activity log for errors'
+            }
+        }
+    },
+    commands: {
+        notInitialized: 'Services are not initialized',
+        sharePointNotInitialized: 'The SharePoint service is not initialized',
+        configNotInitialized: 'The configuration service is not initialized',
+        requiredNotInitialized: 'Required services are not initialized',
+        noMeetingTitle: 'No meeting data',
+        noMeetingMessage: 'Please check the selected meeting.',
+        noExternalUsersTitle: 'No external users',
+        noExternalUsersMessage: 'This meeting has no external users.',
+        queuedTitle: 'Saved to outbox',
+        partiallyQueued: 'Some operations were saved to the outbox. They are resent automatically when the connection recovers.',
+        notificationsFailed: '{count} notifications could not be sent. Check the visitor data and the notification routes.',
+        completedTitle: 'Completed',
+        completedMessage: '{count} external users were registered and notified.',
+        processErrorTitle: 'Processing error',
+        processErrorMessage: 'An error occurred: {error}',
+        connectionSucceeded: 'Connected ({detail})',
+        connectionItems: '{count} items',
+        connectionStatus: 'status: {status}',
+        connectionFailed: 'Connection failed: {error}',
+        testError: 'Test error: {error}',
+        testErrorTitle: 'Test error',
+        connectionTestTitle: 'Connection test results',
+        connectionTestErrorMessage: 'An error occurred during the connection test: {error}',
+        statisticsTitle: 'Statistics',
+        statisticsMessage: 'Last 7 days:\n📊 Total visitors: {total}\n📅 Scheduled: {scheduled}\n✅ Completed: {completed}\n❌ Cancelled: {cancelled}',
+        statisticsErrorTitle: 'Statistics error',
+        statisticsErrorMessage: 'An error occurred while getting statistics: {error}',
+        configurationTitle: 'Settings',
+        configurationMessage: 'Current settings:\n🌐 SharePoint: {siteUrl}\n📝 List name: {listName}\n🔄 Power Automate: {notificationUrl}\n🏢 Internal domains: {internalDomains}\n📋 Log level: {logLevel}',
+        configurationErrorTitle: 'Settings error',
+        configurationErrorMessage: 'An error occurred while showing the settings: {error}',
+        syncUnavailableTitle: 'Cannot sync',
+        syncUnavailableMessage: 'No meeting data to sync.',
+        syncQueued: 'The sync could not be completed and was saved to the outbox. It is resent automatically when the connection recovers.',
+        syncCompletedTitle: 'Sync completed',
+        syncChanged: 'Sync completed: {added} added, {updated} updated, {cancelled} cancelled',
+        syncUnchanged: 'Sync completed: no changes.',
+        syncErrorTitle: 'Sync error',
+        syncErrorMessage: 'An error occurred while syncing: {error}',
+        commandErrorTitle: 'Command error',
+        commandErrorMessage: 'An error occurred in command "{command}": {error}'
+    },
+    launchevent: {
+        registrationFailed: 'The external visitors could not be registered with the lobby ({error}). Try sending again later, or register them from the visitor management pane.',
+        unexpectedError: 'An error occurred while registering the visitors ({error}). Check the settings and connections in the visitor management pane.'
+    },
+    pass: {
+        title: 'Visitor pass - {name}',
+        header: 'VISITOR',
+        host: 'Host: {name}',
+        instructions: 'Please show this QR code at reception',
+        print: 'Print',
+        invalidLink: 'This visitor pass link is invalid. Please open it again from the notification email.'
+    },
+    outbox: {
+        createRecords: 'SharePoint creation: {title}',
+        updateRecords: 'SharePoint update: {title}',
+        updateSeriesRecords: 'SharePoint update (recurring meeting, {count} occurrences): {title}',
+        cancelRecords: 'SharePoint cancellation: {title}',
+        updateStatus: 'Visitor status ({status}): {email}',
+        deleteRecords: 'SharePoint deletion: {title}',
+        notification: 'Notification ({type}): {email}',
+        meetingNotification: 'Meeting notification ({type}): {title}'
+    },
+    reception: {
+        pageTitle: 'Lobby Experience - Reception',
+        header: 'Reception - Visitors',
+        notUpdated: 'Not updated yet',
+        lastUpdated: 'Last updated: {time}',
+        signInTitle: 'Sign in',
+        signInDescription: 'Sign in with the reception account to show the visitor list.',
+        signIn: 'Sign in',
+        checkInTitle: 'Check in with QR code',
+        scanPlaceholder: 'Scan the QR code on the visitor pass',
+        startCamera: 'Scan with camera',
+        stopCamera: 'Stop scanning',
+        searchPlaceholder: 'Search by visitor, email, host or meeting',
+        refresh: 'Refresh',
+        loading: 'Loading...',
+        today: 'Today',
+        tomorrow: 'Tomorrow',
+        noVisitors: 'No visitors are scheduled',
+        noMatches: 'No matching visitors',
+        organizer: 'Host: {name}',
+        location: 'Location: {location}',
+        pending: ' (pending)',
+        signInRequired: 'Sign-in required: {error}',
+        initializeError: 'Failed to initialize: {error}',
+        loadError: 'Failed to load visitors: {error}',
+        statusQueued: '{action} for {name} was saved to the outbox. It will be resent automatically when the connection is restored.',
+        statusChanged: '{name}: {status}',
+        statusRejected: 'Cannot change the visitor status: {error}',
+        statusError: 'Failed to change the visitor status: {error}',
+        alreadyCheckedIn: '{name} is already checked in',
+        checkedIn: '{name} has been checked in',
+        checkInQueued: '{details} (saved to the outbox; it will be applied when the connection is restored)',
+        checkInRejected: 'Cannot check in',
+        validFrom: ' (valid from {time})',
+        validUntil: ' (valid until {time})',
+        cancellationReason: ' (reason: {reason})',
+        invalidStatus: 'This visitor cannot be checked in because the status is "{status}".',
+        unexpectedError: 'An error occurred: {error}',
+        cameraError: 'Cannot use the camera: {error}',
+        outboxWaiting: 'Pending: {count}',
+        outboxDeadLetters: 'Failed: {count}',
+        statuses: {
+            Scheduled: 'Scheduled',
+            Arrived: 'Arrived',
+            CheckedIn: 'Checked in',
+            CheckedOut: 'Checked out',
+            NoShow: 'No show',
+            Cancelled: 'Cancelled',
+            Completed: 'Completed'
+        },
+        actions: {
+            Arrived: 'Arrived',
+            CheckedIn: 'Check in',
+            CheckedOut: 'Check out',
+            NoShow: 'No show'
+        },
+        checkInErrors: {
+            malformed: 'This is not a visitor pass QR code.',
+            unsupported_version: 'This visitor pass format is not supported.',
+            invalid_signature: 'The visitor pass has been tampered with or was not issued by this reception.',
+            not_yet_valid: 'The visitor pass is not valid yet.',
+            expired: 'The visitor pass has expired.',
+            not_found: 'No visit matches this visitor pass. If the meeting time has changed, please show the new visitor pass.',
+            cancelled: 'This visit has been cancelled. Please contact the host.'
+        },
+        cancellationReasons: {
+            MeetingCancelled: 'meeting cancelled',
+            MeetingDeleted: 'meeting deleted',
+            VisitorRemoved: 'removed from attendees'
+        }
+    }
+};
@@ -0,0 +1,369 @@
+/**
+ * 日本語のメッセージカタログ
+ *
+ * {name} の部分は I18nService.t() の引数で置き換える。
+ */
+
+export const ja = {
+    common: {
+        notSet: '未設定',
+        unknown: '不明',
+        configured: '設定済み',
+        itemCount: '{count}件',
+        close: '閉じる',
+        routeCount: 'ルート {count}件'
+    },
+    taskpane: {
+        subtitle: '来訪者管理システム',
+        loading: '処理中...',
+        started: 'アドインが開始されました',
+        sections: {
+            meeting: '現在の会議',
+            services: 'サービス状態',
+            statistics: '統計情報 (過去7日間)',
+            outbox: '送信キュー',
+            history: '通知履歴',
+            settings: '設定情報',
+            log: '活動ログ',
+            help: 'ヘルプ・情報'
+        },
+        buttons: {
+            refreshMeeting: '🔄 情報を更新',
+            processVisitors: '👥 来訪者を処理',
+            testConnection: '🔍 接続をテスト',
+            refreshStats: '📊 統計を更新',
+            retryOutbox: '🔁 すべて再試行',
+            refreshHistory: '🔄 履歴を更新',
+            exportHistory: '📤 履歴をエクスポート',
+            resend: '再送',
+            refreshConfig: '⚙️ 設定を再読み込み',
+            clearLog: '🗑️ ログをクリア',
+            exportLog: '📤 ログをエクスポート',
+            retry: '再試行',
+            discard: '破棄'
+        },
+        app: {
+            initializing: 'アプリケーションを初期化しています...',
+            initialized: 'アプリケーションの初期化が完了しました',
+            initError: '初期化エラー: {error}',
+            configError: '設定エラー: {error}',
+            authFailed: '認証に失敗しました: {error}',
+            initFailed: '初期化に失敗しました。設定を確認してください。',
+            cancellationCheckError: '会議のキャンセル確認エラー: {error}',
+            servicesInitialized: 'すべてのサービスが初期化されました',
+            servicesInitError: 'サービス初期化エラー: {error}',
+            meetingIdMigrated: '会議IDを移行しました: {migrated}件を更新、重複 {removed}件を削除'
+        },
+        meeting: {
+            loadingInfo: '会議情報を読み込み中...',
+            loadError: '会議情報取得エラー: {error}',
+            loadFailed: '会議情報の取得に失敗しました',
+            none: '会議が選択されていません',
+            noSubject: '件名なし',
+            start: '開始',
+            end: '終了',
+            organizer: '主催者',
+            location: '場所',
+            online: 'オンライン',
+            onlineOnly: '（オンラインのみ・受付への来訪なし）',
+            meetingId: '会議ID',
+            externalUsers: '外部ユーザー ({count}人):',
+            noExternalUsers: '外部ユーザーはいません',
+            classifications: '参加者の判定 ({count}人)'
+        },
+        categories: {
+            internal: '内部',
+            external: '来訪者',
+            room: '会議室',
+            distributionList: '配布リスト',
+            unknown: '不明'
+        },
+        reasons: {
+            missing_email: 'メールアドレスがありません',
+            invalid_email: 'メールアドレスの形式が不正です',
+            allow_list: '来訪者として常に扱うアドレスに登録されています',
+            deny_list: '来訪者として扱わないアドレスに登録されています',
+            distribution_list: '配布リストです',
+            distribution_list_pattern: '配布リストのパターンに一致しました',
+            resource_recipient: 'リソース（会議室・設備）として招待されています',
+            room_pattern: '会議室のパターンに一致しました',
+            internal_domain: '内部ドメインです',
+            internal_subdomain: '内部ドメインのサブドメインです',
+            wildcard_domain: 'ワイルドカードの内部ドメインに一致しました',
+            external_domain: '内部ドメインに一致しないため外部ユーザーです'
+        },
+        status: {
+            notConnected: '未接続',
+            connected: '接続済み ({detail})',
+            error: 'エラー: {error}',
+            failed: '接続失敗: {error}'
+        },
+        statistics: {
+            total: '総来訪者数',
+            scheduled: '予定済み',
+            completed: '完了済み',
+            loadError: '統計情報取得エラー: {error}'
+        },
+        settings: {
+            siteUrl: 'SharePoint サイト',
+            listName: 'SharePoint リスト',
+            backend: 'SharePoint 接続方式',
+            notificationUrl: 'Power Automate URL',
+            internalDomains: '内部ドメイン数',
+            logLevel: 'ログレベル',
+            language: '表示言語',
+            environment: '環境',
+            errors: '設定エラー',
+            loadError: '設定情報取得エラー: {error}'
+        },
+        outbox: {
+            counts: '待機中 {pending}件 / 失敗 {failed}件 / 配信不能 {deadLetter}件',
+            empty: '送信待ちの操作はありません',
+            pending: '待機中',
+            failed: '失敗',
+            deadLetter: '配信不能',
+            attempts: '試行 {count}回',
+            loadError: '送信キュー取得エラー: {error}'
+        },
+        history: {
+            filterLabel: '会議',
+            allMeetings: 'すべての会議',
+            empty: '通知の送信履歴はありません',
+            sent: '送信済み',
+            failed: '失敗',
+            statusCode: 'HTTP {code}',
+            retries: '再試行 {count}回',
+            latency: '{ms}ms',
+            notificationId: '通知ID {id}',
+            resent: '再送',
+            loadError: '通知履歴取得エラー: {error}'
+        },
+        meetingNotifications: {
+            reception_digest: '受付向けの来訪者一覧',
+            organizer_summary: '主催者向けの登録結果'
+        },
+        skipReasons: {
+            already_sent: '同じ内容の通知を送信済み',
+            no_route: '一致する通知ルートなし'
+        },
+        events: {
+            detected: 'Outlook イベント検知: {type}',
+            changes: '変更内容: {changes}',
+            error: 'Outlook イベント処理エラー: {error}'
+        },
+        changes: {
+            subject: '件名',
+            startTime: '開始',
+            endTime: '終了',
+            recurrence: '繰り返しパターン',
+            location: '場所',
+            isOnlineOnly: 'オンライン会議',
+            fieldChanged: '{field}変更',
+            visitorsAdded: '来訪者追加 {visitors}',
+            visitorsRemoved: '来訪者削除 {visitors}'
+        },
+        process: {
+            busy: '処理中です。しばらくお待ちください。',
+            noExternalUsers: '処理する外部ユーザーがいません。',
+            cancellationStarted: '会議のキャンセルを処理: {meeting} ({reason})',
+            started: '来訪者処理を開始: {count}人',
+            temporaryMeetingId: '予定が未保存のため一時的な会議IDで登録します（保存後に自動で移行されます）',
+            sharePointQueued: 'SharePoint への保存を送信キューに追加しました',
+            sharePointQueuedWithError: 'SharePoint への保存を送信キューに追加しました: {error}',
+            sharePointCompleted: 'SharePoint 処理完了: 追加 {added}件、更新 {updated}件、キャンセル {cancelled}件、変更なし {unchanged}件',
+            sharePointCount: 'SharePoint 処理完了: {count}件',
+            sharePointFailed: 'SharePoint 登録失敗: {email} ({operation}): {error}',
+            notificationsSent: '通知送信完了: {count}件成功',
+            routeResult: '通知ルート {route}: 成功 {sent}件、失敗 {failed}件',
+            meetingNotificationSent: '{type}を送信しました',
+            meetingNotificationQueued: '{type}を送信キューに追加しました',
+            meetingNotificationFailed: '{type}の送信に失敗しました: {error}',
+            meetingNotificationSkipped: '{type}を送信しませんでした（{reason}）',
+            notificationSkipped: '通知を送信しませんでした: {email}（{reason}）',
+            notificationsQueued: '通知 {count}件を送信キューに追加しました',
+            notificationsFailed: '通知 {count}件を送信できませんでした（来訪者のデータや送信先の設定を確認してください）',
+            partiallyQueued: '一部の処理を送信キューに保存しました。接続の回復後に自動で再送されます。',
+            completed: '来訪者処理が完了しました。{visitors}人の外部ユーザーが登録され、{notifications}件の通知が送信されました。',
+            recordsQueued: '来訪者レコードの更新を送信キューに保存しました。接続の回復後に自動で再送されます。',
+            cancelled: '会議のキャンセルを反映しました。{count}人の来訪者をキャンセル済みにしました。',
+            recordsUpdated: '来訪者レコードが更新されました。',
+            error: '来訪者処理エラー: {error}',
+            failed: '処理中にエラーが発生しました: {error}'
+        },
+        actions: {
+            refreshMeeting: '会議情報を手動更新',
+            testConnection: '接続テストを実行',
+            refreshStats: '統計情報を更新',
+            reloadConfig: '設定を再読み込み',
+            configReloaded: '設定が再読み込みされました。',
+            configReloadError: '設定再読み込みエラー: {error}',
+            configReloadFailed: '設定の再読み込みに失敗しました。',
+            retryOutbox: '送信キューを再実行',
+            outboxReplayed: '送信キュー再実行: 成功 {processed}件、失敗 {failed}件、残り {remaining}件',
+            outboxReplayError: '送信キュー再実行エラー: {error}',
+            outboxDiscarded: '送信キューの操作を破棄しました',
+            outboxActionError: '送信キュー操作エラー: {error}',
+            notificationResent: '通知を再送しました',
+            notificationResendFailed: '通知の再送に失敗しました: {error}',
+            historyExported: '通知履歴をエクスポートしました。',
+            historyExportError: '通知履歴エクスポートエラー: {error}',
+            historyExportFailed: '通知履歴のエクスポートに失敗しました。',
+            logCleared: 'ログがクリアされました',
+            logExported: '直近のログをエクスポートしました。サポート担当者に送付してください。',
+            logExportError: 'ログエクスポートエラー: {error}',
+            logExportFailed: 'ログのエクスポートに失敗しました。'
+        },
+        help: {
+            usage: '使用方法：',
+            usageSteps: {
+                create: 'Outlookで会議を作成または編集します',
+                invite: '外部参加者を追加します',
+                process: '「来訪者を処理」ボタンをクリックします',
+                register: 'SharePointリストに来訪者情報が登録されます',
+                notify: 'Power Automateで自動通知が送信されます'
+            },
+            troubleshooting: 'トラブルシューティング：',
+            troubleshootingSteps: {
+                config: '設定ファイル(config.json)を確認してください',
+                connection: 'SharePoint/Power Automateの接続をテストしてください',
+                log: '活動ログでエラーを確認してください'
+            }
+        }
+    },
+    commands: {
+        notInitialized: 'サービスが初期化されていません',
+        sharePointNotInitialized: 'SharePointサービスが初期化されていません',
+        configNotInitialized: '設定サービスが初期化されていません',
+        requiredNotInitialized: '必要なサービスが初期化されていません',
+        noMeetingTitle: '会議データが見つかりません',
+        noMeetingMessage: '現在選択されている会議を確認してください。',
+        noExternalUsersTitle: '外部ユーザーなし',
+        noExternalUsersMessage: 'この会議には外部ユーザーが含まれていません。',
+        queuedTitle: '送信キューに保存',
+        partiallyQueued: '一部の処理を送信キューに保存しました。接続の回復後に自動で再送されます。',
+        notificationsFailed: '通知 {count}件を送信できませんでした。来訪者のデータや送信先の設定を確認してください。',
+        completedTitle: '処理完了',
+        completedMessage: '{count}人の外部ユーザーが登録され、通知が送信されました。',
+        processErrorTitle: '処理エラー',
+        processErrorMessage: 'エラーが発生しました: {error}',
+        connectionSucceeded: '接続成功 ({detail})',
+        connectionItems: '{count}件のアイテム',
+        connectionStatus: 'ステータス: {status}',
+        connectionFailed: '接続失敗: {error}',
+        testError: 'テストエラー: {error}',
+        testErrorTitle: 'テストエラー',
+        connectionTestTitle: '接続テスト結果',
+        connectionTestErrorMessage: '接続テストでエラーが発生しました: {error}',
+        statisticsTitle: '統計情報',
+        statisticsMessage: '過去7日間の統計:\n📊 総来訪者: {total}人\n📅 予定済み: {scheduled}人\n✅ 完了済み: {completed}人\n❌ キャンセル: {cancelled}人',
+        statisticsErrorTitle: '統計エラー',
+        statisticsErrorMessage: '統計情報の取得でエラーが発生しました: {error}',
+        configurationTitle: '設定情報',
+        configurationMessage: '現在の設定:\n🌐 SharePoint: {siteUrl}\n📝 リスト名: {listName}\n🔄 Power Automate: {notificationUrl}\n🏢 内部ドメイン: {internalDomains}個\n📋 ログレベル: {logLevel}',
+        configurationErrorTitle: '設定エラー',
+        configurationErrorMessage: '設定情報の表示でエラーが発生しました: {error}',
+        syncUnavailableTitle: '同期不可',
+        syncUnavailableMessage: '同期する会議データが見つかりません。',
+        syncQueued: '同期できなかったため送信キューに保存しました。接続の回復後に自動で再送されます。',
+        syncCompletedTitle: '同期完了',
+        syncChanged: '同期完了: 追加 {added}件、更新 {updated}件、キャンセル {cancelled}件',
+        syncUnchanged: '同期完了: 変更はありませんでした。',
+        syncErrorTitle: '同期エラー',
+        syncErrorMessage: '同期処理でエラーが発生しました: {error}',
+        commandErrorTitle: 'コマンドエラー',
+        commandErrorMessage: 'コマンド "{command}" でエラーが発生しました: {error}'
+    },
+    launchevent: {
+        registrationFailed: '外部来訪者をロビーに登録できませんでした（{error}）。時間をおいて再度送信するか、来訪者管理パネルで登録してください。',
+        unexpectedError: '来訪者の登録処理でエラーが発生しました（{error}）。来訪者管理パネルで設定と接続を確認してください。'
+    },
+    pass: {
+        title: '入館証 - {name}',
+        header: 'VISITOR',
+        host: '担当: {name}',
+        instructions: '受付でこの QR コードを提示してください',
+        print: '印刷',
+        invalidLink: '入館証のリンクが正しくありません。通知メールのリンクから開き直してください。'
+    },
+    outbox: {
+        createRecords: 'SharePoint 作成: {title}',
+        updateRecords: 'SharePoint 更新: {title}',
+        updateSeriesRecords: 'SharePoint 更新（定期的な予定 {count}回）: {title}',
+        cancelRecords: 'SharePoint キャンセル: {title}',
+        updateStatus: '来訪状況 ({status}): {email}',
+        deleteRecords: 'SharePoint 削除: {title}',
+        notification: '通知 ({type}): {email}',
+        meetingNotification: '会議の通知 ({type}): {title}'
+    },
+    reception: {
+        pageTitle: 'Lobby Experience - 受付',
+        header: '受付 - 来訪者一覧',
+        notUpdated: '未更新',
+        lastUpdated: '最終更新: {time}',
+        signInTitle: 'サインイン',
+        signInDescription: '来訪者一覧を表示するには、受付用のアカウントでサインインしてください。',
+        signIn: 'サインイン',
+        checkInTitle: 'QR コードでチェックイン',
+        scanPlaceholder: '入館証の QR コードを読み取ってください',
+        startCamera: 'カメラで読み取る',
+        stopCamera: '読み取りを停止',
+        searchPlaceholder: '来訪者名・メールアドレス・担当者・会議名で検索',
+        refresh: '更新',
+        loading: '読み込み中...',
+        today: '今日',
+        tomorrow: '明日',
+        noVisitors: '予定されている来訪者はいません',
+        noMatches: '該当する来訪者はいません',
+        organizer: '担当: {name}',
+        location: '場所: {location}',
+        pending: '（送信待ち）',
+        signInRequired: 'サインインが必要です: {error}',
+        initializeError: '初期化に失敗しました: {error}',
+        loadError: '来訪者一覧の取得に失敗しました: {error}',
+        statusQueued: '{name} さんの{action}を送信キューに保存しました。接続の回復後に自動で再送されます。',
+        statusChanged: '{name} さん: {status}',
+        statusRejected: '来訪状況を変更できません: {error}',
+        statusError: '来訪状況の変更に失敗しました: {error}',
+        alreadyCheckedIn: '{name} さんは既にチェックイン済みです',
+        checkedIn: '{name} さんをチェックインしました',
+        checkInQueued: '{details}（送信キューに保存しました。接続の回復後に反映されます）',
+        checkInRejected: 'チェックインできません',
+        validFrom: '（{time} から有効）',
+        validUntil: '（{time} まで）',
+        cancellationReason: '（理由: {reason}）',
+        invalidStatus: 'この来訪者は「{status}」のため、チェックインできません。',
+        unexpectedError: '処理中にエラーが発生しました: {error}',
+        cameraError: 'カメラを使用できません: {error}',
+        outboxWaiting: '送信待ち: {count}件',
+        outboxDeadLetters: '送信失敗: {count}件',
+        statuses: {
+            Scheduled: '予定',
+            Arrived: '到着',
+            CheckedIn: '入館中',
+            CheckedOut: '退館済み',
+            NoShow: '不在',
+            Cancelled: 'キャンセル',
+            Completed: '完了'
+        },
+        actions: {
+            Arrived: '到着',
+            CheckedIn: 'チェックイン',
+            CheckedOut: 'チェックアウト',
+            NoShow: '不在'
+        },
+        checkInErrors: {
+            malformed: '入館証の QR コードではありません。',
+            unsupported_version: 'この入館証の形式には対応していません。',
+            invalid_signature: '入館証が改ざんされているか、この受付で発行されたものではありません。',
+            not_yet_valid: '入館証はまだ有効ではありません。',
+            expired: '入館証の有効期限が切れています。',
+            not_found: '入館証に該当する来訪予定が見つかりません。会議の日時が変更された場合は、新しい入館証を提示してください。',
+            cancelled: 'この来訪予定はキャンセルされています。担当者に確認してください。'
+        },
+        cancellationReasons: {
+            MeetingCancelled: '会議のキャンセル',
+            MeetingDeleted: '予定の削除',
+            VisitorRemoved: '参加者からの削除'
+        }
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Pass JavaScript
+ * 入館証ページ（通知メールや SharePoint の行のリンクから開き、印刷する）
+ *
+ * URL の token から入館証を表示する。署名の検証は受付でのチェックイン時に行う。
+ * 表示言語と日時のタイムゾーンは開いたブラウザーに合わせる。
+ */
+
+import { VisitorPassService, BADGE_STYLES } from '../services/VisitorPassService.js';
+import { decodeVisitorToken } from '../services/VisitorTokenService.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * 入館証を表示
+ */
+async function renderPass() {
+    const container = document.getElementById('pass');
+    const token = new URLSearchParams(window.location.search).get('token');
+    const claims = token ? decodeVisitorToken(token) : null;
+    const i18n = I18nService.getInstance();
+    i18n.translateElements();
+
+    if (!claims) {
+        container.innerHTML = `<div class="message">${i18n.t('pass.invalidLink')}</div>`;
+        document.getElementById('print-btn').disabled = true;
+        return;
+    }
+
+    const style = document.createElement('style');
+    style.textContent = BADGE_STYLES;
+    document.head.appendChild(style);
+
+    document.title = i18n.t('pass.title', { name: claims.n });
+    container.innerHTML = await new VisitorPassService().renderBadge(claims, token);
+    document.getElementById('print-btn').addEventListener('click', () => window.print());
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        renderPass().catch(console.error);
+    });
+} else {
+    renderPass().catch(console.error);
+}
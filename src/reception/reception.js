@@ -0,0 +1,682 @@
+/**
+ * Reception JavaScript
+ * 受付用の来訪者一覧画面（Outlook の外のブラウザー・キオスク端末で使用）
+ *
+ * LobbyVisitors リストから本日以降の来訪者を取得して時刻ごとに表示し、到着・チェックイン・チェックアウトを記録する。
+ * 入館証の QR コード（バーコードリーダーまたはカメラ）を読み取ってチェックインすることもできる。
+ */
+
+import { ConfigService } from '../services/ConfigService.js';
+import { SharePointService } from '../services/SharePointService.js';
+import { PowerAutomateService } from '../services/PowerAutomateService.js';
+import { LoggingService } from '../services/LoggingService.js';
+import { OutboxService, OUTBOX_STATUS } from '../services/OutboxService.js';
+import { VisitorLifecycleService, RECEPTION_STATUSES } from '../services/VisitorLifecycleService.js';
+import { VisitorCheckInService } from '../services/VisitorCheckInService.js';
+import { VISITOR_STATUS } from '../services/VisitorReconciliationService.js';
+import { I18nService } from '../services/I18nService.js';
+import { escapeHtml } from '../utils/Utils.js';
+
+// チェックイン結果を表示する時間（ミリ秒）
+const CHECK_IN_RESULT_DURATION = 10000;
+
+// カメラでの読み取り間隔（ミリ秒）
+const CAMERA_SCAN_INTERVAL = 300;
+
+// 表示する期間の上限（日、reception.lookAheadDays の maximum）
+const MAX_LOOK_AHEAD_DAYS = 90;
+
+// 検索対象のフィールド
+const SEARCH_FIELDS = ['VisitorName', 'VisitorEmail', 'OrganizerName', 'OrganizerEmail', 'MeetingTitle', 'Location'];
+
+class ReceptionApp {
+    constructor() {
+        this.configService = null;
+        this.sharePointService = null;
+        this.powerAutomateService = null;
+        this.outboxService = null;
+        this.checkInService = null;
+        this.lifecycle = new VisitorLifecycleService();
+        this.i18n = I18nService.getInstance();
+        this.logger = null;
+        this.elements = {};
+        this.records = [];
+        // 送信キューに保存した状態の変更（itemId → 変更後の状態）
+        this.pendingStatuses = new Map();
+        this.refreshTimer = null;
+        this.resultTimer = null;
+        this.cameraStream = null;
+        this.cameraTimer = null;
+        this.isLoading = false;
+        this.isUpdating = false;
+        this.isReady = false;
+    }
+
+    /**
+     * アプリケーションを初期化
+     */
+    async initialize() {
+        this.initializeElements();
+        this.translatePage();
+        this.setupEventListeners();
+        this.logger = LoggingService.getInstance().forComponent('Reception');
+
+        await this.start();
+    }
+
+    /**
+     * サービスを初期化して一覧の表示を開始
+     */
+    async start() {
+        try {
+            this.showLoading(true);
+            await this.initializeServices();
+            // 設定で言語が固定されている場合に備えて再適用
+            this.translatePage();
+            this.isReady = true;
+            this.elements.signinSection.classList.add('hidden');
+            this.setupCheckIn();
+
+            await this.refresh();
+            this.startAutoRefresh();
+            this.logger.info('Reception initialized');
+
+        } catch (error) {
+            this.logger.error('Failed to initialize reception', error);
+
+            // 認証エラーはサインインボタンから再試行（ポップアップはユーザー操作から開く必要がある）
+            if (error.name === 'AuthError') {
+                this.elements.signinSection.classList.remove('hidden');
+                this.showMessage('error', this.t('reception.signInRequired', { error: error.message }), 10000);
+                return;
+            }
+
+            this.showMessage('error', this.t('reception.initializeError', { error: error.message }), 10000);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * UI要素を取得
+     */
+    initializeElements() {
+        this.elements = {
+            todayLabel: document.getElementById('today-label'),
+            lastUpdated: document.getElementById('last-updated'),
+            outboxSummary: document.getElementById('outbox-summary'),
+            messageArea: document.getElementById('message-area'),
+            signinSection: document.getElementById('signin-section'),
+            signinBtn: document.getElementById('signin-btn'),
+            checkinSection: document.getElementById('checkin-section'),
+            scanInput: document.getElementById('scan-input'),
+            scanCameraBtn: document.getElementById('scan-camera-btn'),
+            scanVideo: document.getElementById('scan-video'),
+            checkinResult: document.getElementById('checkin-result'),
+            searchInput: document.getElementById('search-input'),
+            refreshBtn: document.getElementById('refresh-btn'),
+            loading: document.getElementById('loading'),
+            visitorList: document.getElementById('visitor-list')
+        };
+    }
+
+    /**
+     * 固定の文字列と日付を表示言語に合わせる
+     */
+    translatePage() {
+        this.i18n.translateElements();
+        this.elements.todayLabel.textContent = this.i18n.formatDateTime(new Date(), { format: 'date' });
+    }
+
+    /**
+     * メッセージを取得
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    setupEventListeners() {
+        this.elements.signinBtn.addEventListener('click', () => this.start());
+        this.elements.refreshBtn.addEventListener('click', () => this.refresh());
+        this.elements.searchInput.addEventListener('input', () => this.render());
+
+        // バーコードリーダーは読み取った内容を入力して Enter を送る
+        this.elements.scanInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                const payload = this.elements.scanInput.value;
+                this.elements.scanInput.value = '';
+                this.handleScan(payload);
+            }
+        });
+        this.elements.scanCameraBtn.addEventListener('click', () => {
+            if (this.cameraStream) {
+                this.stopCameraScan();
+            } else {
+                this.startCameraScan();
+            }
+        });
+
+        // 行のボタンはまとめて処理
+        this.elements.visitorList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-status]');
+            if (button) {
+                this.changeStatus(button.dataset.itemId, button.dataset.status);
+            }
+        });
+
+        // 接続の回復時・画面の再表示時に最新の状態を取得
+        window.addEventListener('online', () => this.refresh());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.refresh();
+            }
+        });
+    }
+
+    /**
+     * サービスを初期化
+     */
+    async initializeServices() {
+        this.configService = ConfigService.getInstance();
+        await this.configService.initialize();
+
+        this.sharePointService = new SharePointService();
+        await this.sharePointService.initialize();
+
+        this.powerAutomateService = new PowerAutomateService();
+        await this.powerAutomateService.initialize();
+
+        this.outboxService = OutboxService.getInstance();
+        this.outboxService.registerServices({
+            sharePoint: this.sharePointService,
+            powerAutomate: this.powerAutomateService
+        });
+        await this.outboxService.initialize();
+        this.outboxService.onChange(() => this.refreshOutboxSummary());
+
+        this.checkInService = new VisitorCheckInService({
+            sharePoint: this.sharePointService,
+            outbox: this.outboxService
+        });
+    }
+
+    /**
+     * 受付画面の設定を取得
+     */
+    getReceptionConfig() {
+        const reception = this.configService.getConfig().reception || {};
+        return {
+            // 設定の上限（検証エラーは表示のみのため、範囲外の値でも取得する期間を制限する）
+            lookAheadDays: Math.min(Math.max(reception.lookAheadDays ?? 7, 0), MAX_LOOK_AHEAD_DAYS),
+            refreshIntervalMs: reception.refreshIntervalMs || 60000,
+            hideOnlineOnly: reception.hideOnlineOnly !== false,
+            showCancelled: Boolean(reception.showCancelled)
+        };
+    }
+
+    /**
+     * 一定間隔で一覧を更新
+     */
+    startAutoRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+        }
+        this.refreshTimer = setInterval(() => {
+            // 状態の変更中は更新しない（変更前の状態で上書きしないため）
+            if (!this.isUpdating && document.visibilityState !== 'hidden') {
+                this.refresh();
+            }
+        }, this.getReceptionConfig().refreshIntervalMs);
+    }
+
+    /**
+     * 来訪者一覧を取得して表示
+     */
+    async refresh() {
+        if (!this.isReady || this.isLoading) {
+            return;
+        }
+
+        this.isLoading = true;
+        try {
+            const { lookAheadDays } = this.getReceptionConfig();
+            const from = new Date();
+            from.setHours(0, 0, 0, 0);
+            const to = new Date(from);
+            to.setDate(to.getDate() + lookAheadDays + 1);
+
+            const records = await this.sharePointService.getVisitorRecordsByStartTime(from, to);
+            this.records = this.filterRecords(records);
+
+            // SharePoint に反映済みの変更は保留表示から外す
+            for (const record of this.records) {
+                if (this.pendingStatuses.get(String(record.Id)) === record.Status) {
+                    this.pendingStatuses.delete(String(record.Id));
+                }
+            }
+
+            this.render();
+            this.elements.lastUpdated.textContent = this.t('reception.lastUpdated', {
+                time: this.i18n.formatDateTime(new Date(), { format: 'logTime' })
+            });
+            await this.refreshOutboxSummary();
+
+        } catch (error) {
+            this.logger.error('Failed to load visitors', error);
+            this.showMessage('error', this.t('reception.loadError', { error: error.message }));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * 受付に表示しない来訪者を除外（キャンセル済み・オンラインのみの会議）
+     */
+    filterRecords(records) {
+        const { hideOnlineOnly, showCancelled } = this.getReceptionConfig();
+        return records.filter(record => {
+            if (!showCancelled && record.Status === VISITOR_STATUS.CANCELLED) {
+                return false;
+            }
+            if (hideOnlineOnly && record.IsOnlineOnly === true) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 検索語に一致する来訪者を取得
+     */
+    searchRecords(records, query) {
+        const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return records;
+        }
+
+        return records.filter(record => {
+            const text = SEARCH_FIELDS.map(field => record[field] || '').join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    /**
+     * 来訪者を日付・開始時刻ごとにまとめる
+     *
+     * @returns {Array<{ label: string, times: Array<{ label: string, records: object[] }> }>}
+     */
+    groupRecords(records) {
+        const days = new Map();
+        const sorted = [...records].sort((a, b) => new Date(a.StartTime) - new Date(b.StartTime));
+
+        for (const record of sorted) {
+            const start = new Date(record.StartTime);
+            const dayKey = start.toDateString();
+            if (!days.has(dayKey)) {
+                days.set(dayKey, { label: this.formatDayLabel(start), times: new Map() });
+            }
+
+            const times = days.get(dayKey).times;
+            const timeKey = this.i18n.formatDateTime(start, { format: 'time' });
+            if (!times.has(timeKey)) {
+                times.set(timeKey, { label: timeKey, records: [] });
+            }
+            times.get(timeKey).records.push(record);
+        }
+
+        return [...days.values()].map(day => ({ label: day.label, times: [...day.times.values()] }));
+    }
+
+    /**
+     * 日付の見出しを作成（今日・明日・それ以降は日付）
+     */
+    formatDayLabel(date) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+
+        const diffDays = Math.round((day - today) / (24 * 60 * 60 * 1000));
+        if (diffDays === 0) return this.t('reception.today');
+        if (diffDays === 1) return this.t('reception.tomorrow');
+        return this.i18n.formatDateTime(date, { format: 'monthDay' });
+    }
+
+    /**
+     * 一覧を表示
+     */
+    render() {
+        const records = this.searchRecords(this.records, this.elements.searchInput.value);
+
+        if (records.length === 0) {
+            this.elements.visitorList.innerHTML = `<div class="section empty">${
+                escapeHtml(this.t(this.records.length === 0 ? 'reception.noVisitors' : 'reception.noMatches'))}</div>`;
+            return;
+        }
+
+        this.elements.visitorList.innerHTML = this.groupRecords(records).map(day => `
+            <div class="section">
+                <h2>${escapeHtml(day.label)}</h2>
+                ${day.times.map(time => `
+                    <div class="time-group">
+                        <h3>${escapeHtml(time.label)}</h3>
+                        ${time.records.map(record => this.renderRecord(record)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 来訪者の行を作成
+     */
+    renderRecord(record) {
+        const itemId = String(record.Id);
+        const pendingStatus = this.pendingStatuses.get(itemId);
+        const status = pendingStatus || record.Status || VISITOR_STATUS.SCHEDULED;
+
+        const details = [
+            record.OrganizerName ? this.t('reception.organizer', { name: record.OrganizerName }) : null,
+            record.MeetingTitle,
+            record.Location ? this.t('reception.location', { location: record.Location }) : null
+        ].filter(Boolean).map(escapeHtml).join(' / ');
+
+        // 保留中の行は送信キューの再送が完了するまで操作できない
+        const actions = pendingStatus ? '' : RECEPTION_STATUSES
+            .filter(toStatus => this.lifecycle.canTransition(status, toStatus))
+            .map(toStatus => `
+                <button class="button${toStatus === VISITOR_STATUS.NO_SHOW ? ' secondary' : ''}"
+                    data-item-id="${escapeHtml(itemId)}" data-status="${escapeHtml(toStatus)}">${escapeHtml(this.getActionLabel(toStatus))}</button>
+            `).join('');
+
+        return `
+            <div class="visitor-row${pendingStatus ? ' pending' : ''}">
+                <div class="visitor-main">
+                    <div class="visitor-name">${escapeHtml(record.VisitorName || record.VisitorEmail)}</div>
+                    <div class="visitor-detail">${escapeHtml(record.VisitorEmail)}</div>
+                    <div class="visitor-detail">${details}</div>
+                </div>
+                <span class="status-badge status-${escapeHtml(status)}">${escapeHtml(this.getStatusLabel(status))}${
+                    pendingStatus ? escapeHtml(this.t('reception.pending')) : ''}</span>
+                <div>${actions}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 来訪状況を変更
+     */
+    async changeStatus(itemId, status) {
+        const record = this.records.find(r => String(r.Id) === itemId);
+        if (!record || this.isUpdating) {
+            return;
+        }
+
+        this.isUpdating = true;
+        try {
+            const outcome = await this.outboxService.updateVisitorStatus(record, status);
+            const name = record.VisitorName || record.VisitorEmail;
+
+            if (outcome.queued) {
+                this.pendingStatuses.set(itemId, status);
+                this.showMessage('warning', this.t('reception.statusQueued', { name, action: this.getActionLabel(status) }));
+            } else {
+                Object.assign(record, outcome.result.record);
+                this.showMessage('success', this.t('reception.statusChanged', { name, status: this.getStatusLabel(status) }));
+            }
+            this.render();
+
+        } catch (error) {
+            // 遷移できない状態の変更（他の端末で変更済みなど）は最新の状態を再取得
+            if (error.name === 'VisitorStatusError') {
+                this.showMessage('error', this.t('reception.statusRejected', { error: error.message }));
+            } else {
+                this.logger.error('Failed to change visitor status', error);
+                this.showMessage('error', this.t('reception.statusError', { error: error.message }));
+            }
+        } finally {
+            this.isUpdating = false;
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * QR コードでのチェックインを準備（署名キーが未設定の場合は表示しない）
+     */
+    setupCheckIn() {
+        if (!this.checkInService.isEnabled()) {
+            this.elements.checkinSection.classList.add('hidden');
+            return;
+        }
+
+        this.elements.checkinSection.classList.remove('hidden');
+        if (typeof BarcodeDetector !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+            this.elements.scanCameraBtn.classList.remove('hidden');
+        }
+        this.elements.scanInput.focus();
+    }
+
+    /**
+     * 読み取った QR コードでチェックイン
+     */
+    async handleScan(payload) {
+        if (!this.isReady || !payload.trim() || this.isUpdating) {
+            return;
+        }
+
+        this.isUpdating = true;
+        try {
+            const outcome = await this.checkInService.checkIn(payload);
+            const name = outcome.record.VisitorName || outcome.claims.n;
+            const details = [
+                outcome.claims.c,
+                outcome.record.OrganizerName ? this.t('reception.organizer', { name: outcome.record.OrganizerName }) : null,
+                outcome.record.Location ? this.t('reception.location', { location: outcome.record.Location }) : null
+            ].filter(Boolean).join(' / ');
+
+            if (outcome.alreadyCheckedIn) {
+                this.showCheckInResult('warning', this.t('reception.alreadyCheckedIn', { name }), details);
+            } else if (outcome.queued) {
+                this.pendingStatuses.set(String(outcome.record.Id), VISITOR_STATUS.CHECKED_IN);
+                this.showCheckInResult('success', this.t('reception.checkedIn', { name }),
+                    this.t('reception.checkInQueued', { details }));
+            } else {
+                this.showCheckInResult('success', this.t('reception.checkedIn', { name }), details);
+            }
+
+        } catch (error) {
+            this.showCheckInResult('error', this.t('reception.checkInRejected'), this.getCheckInErrorMessage(error));
+        } finally {
+            this.isUpdating = false;
+            this.elements.scanInput.focus();
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * チェックインを拒否した理由を作成
+     */
+    getCheckInErrorMessage(error) {
+        if (error.name === 'VisitorTokenError') {
+            const key = `reception.checkInErrors.${error.code}`;
+            let message = this.i18n.has(key) ? this.t(key) : error.message;
+            if (error.code === 'not_yet_valid' && error.claims) {
+                message += this.t('reception.validFrom', { time: this.i18n.formatDateTime(error.claims.nbf) });
+            }
+            if (error.code === 'expired' && error.claims) {
+                message += this.t('reception.validUntil', { time: this.i18n.formatDateTime(error.claims.exp) });
+            }
+            if (error.code === 'cancelled' && error.record) {
+                const reasonKey = `reception.cancellationReasons.${error.record.CancellationReason}`;
+                message += this.i18n.has(reasonKey) ? this.t('reception.cancellationReason', { reason: this.t(reasonKey) }) : '';
+            }
+            return message;
+        }
+
+        // 退館済みなど、チェックインできない状態
+        if (error.name === 'VisitorStatusError') {
+            return this.t('reception.invalidStatus', { status: this.getStatusLabel(error.fromStatus) });
+        }
+
+        return this.t('reception.unexpectedError', { error: error.message });
+    }
+
+    /**
+     * 来訪状況の表示名を取得
+     */
+    getStatusLabel(status) {
+        const key = `reception.statuses.${status}`;
+        return this.i18n.has(key) ? this.t(key) : status;
+    }
+
+    /**
+     * 来訪状況を変更するボタンの表示名を取得
+     */
+    getActionLabel(status) {
+        const key = `reception.actions.${status}`;
+        return this.i18n.has(key) ? this.t(key) : status;
+    }
+
+    /**
+     * チェックインの結果を表示（一定時間後に消去）
+     */
+    showCheckInResult(type, title, detail) {
+        this.elements.checkinResult.className = `checkin-result ${type}`;
+        this.elements.checkinResult.innerHTML = `
+            <div class="result-title">${escapeHtml(title)}</div>
+            ${detail ? `<div class="result-detail">${escapeHtml(detail)}</div>` : ''}
+        `;
+
+        if (this.resultTimer) {
+            clearTimeout(this.resultTimer);
+        }
+        this.resultTimer = setTimeout(() => {
+            this.elements.checkinResult.className = '';
+            this.elements.checkinResult.innerHTML = '';
+        }, CHECK_IN_RESULT_DURATION);
+    }
+
+    /**
+     * カメラで QR コードの読み取りを開始（BarcodeDetector に対応したブラウザーのみ）
+     */
+    async startCameraScan() {
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+
+            const video = this.elements.scanVideo;
+            video.srcObject = this.cameraStream;
+            video.classList.remove('hidden');
+            await video.play();
+            this.elements.scanCameraBtn.textContent = this.t('reception.stopCamera');
+
+            const scan = async () => {
+                if (!this.cameraStream) {
+                    return;
+                }
+                try {
+                    const codes = await detector.detect(video);
+                    if (codes.length > 0) {
+                        this.stopCameraScan();
+                        await this.handleScan(codes[0].rawValue);
+                        return;
+                    }
+                } catch (error) {
+                    this.logger.debug('QR code detection failed', error);
+                }
+                this.cameraTimer = setTimeout(scan, CAMERA_SCAN_INTERVAL);
+            };
+            scan();
+
+        } catch (error) {
+            this.logger.warn('Failed to start camera scan', error);
+            this.stopCameraScan();
+            this.showMessage('error', this.t('reception.cameraError', { error: error.message }));
+        }
+    }
+
+    /**
+     * カメラでの読み取りを停止
+     */
+    stopCameraScan() {
+        if (this.cameraTimer) {
+            clearTimeout(this.cameraTimer);
+            this.cameraTimer = null;
+        }
+        if (this.cameraStream) {
+            this.cameraStream.getTracks().forEach(track => track.stop());
+            this.cameraStream = null;
+        }
+
+        const video = this.elements.scanVideo;
+        video.srcObject = null;
+        video.classList.add('hidden');
+        this.elements.scanCameraBtn.textContent = this.t('reception.startCamera');
+    }
+
+    /**
+     * 送信キューの件数を表示
+     */
+    async refreshOutboxSummary() {
+        try {
+            const counts = await this.outboxService.getCounts();
+            const waiting = counts[OUTBOX_STATUS.PENDING] + counts[OUTBOX_STATUS.FAILED];
+            const deadLetters = counts[OUTBOX_STATUS.DEAD_LETTER];
+            this.elements.outboxSummary.textContent = [
+                waiting > 0 ? this.t('reception.outboxWaiting', { count: waiting }) : '',
+                deadLetters > 0 ? this.t('reception.outboxDeadLetters', { count: deadLetters }) : ''
+            ].filter(Boolean).join(' / ');
+        } catch (error) {
+            this.logger.warn('Failed to read outbox counts', error);
+        }
+    }
+
+    /**
+     * ローディング表示を切り替え
+     */
+    showLoading(show) {
+        if (show) {
+            this.elements.loading.classList.add('show');
+        } else {
+            this.elements.loading.classList.remove('show');
+        }
+    }
+
+    /**
+     * メッセージを表示
+     */
+    showMessage(type, message, duration = 5000) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+        messageDiv.textContent = message;
+
+        this.elements.messageArea.appendChild(messageDiv);
+
+        setTimeout(() => {
+            if (messageDiv.parentNode) {
+                messageDiv.parentNode.removeChild(messageDiv);
+            }
+        }, duration);
+    }
+}
+
+// アプリケーションを開始
+const app = new ReceptionApp();
+
+// DOM読み込み完了後に初期化
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        app.initialize().catch(console.error);
+    });
+} else {
+    app.initialize().catch(console.error);
+}
+
+// グローバルアクセス用（デバッグなど）
+window.receptionApp = app;
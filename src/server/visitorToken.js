@@ -0,0 +1,88 @@
+/**
+ * Visitor token server handler
+ * 入館証のトークンの署名・検証を行うサーバー側の処理（署名キーを持つ Azure Functions などで使用）
+ *
+ * アドインのバンドルには含めない。署名キーはアプリ設定（環境変数）などサーバー側にのみ保存し、
+ * 呼び出し元は Azure AD 認証（App Service 認証など）で組織内のユーザーに限定する。
+ *
+ * 要求（POST、JSON）:
+ *   { "operation": "sign", "visitor": { meetingId, visitorEmail, visitorName, organizerName, startTime, endTime } }
+ *     → 200 { "token": "...", "claims": { ... } }
+ *   { "operation": "verify", "token": "..." }
+ *     → 200 { "valid": true, "claims": { ... } } / { "valid": false, "code": "expired", "message": "...", "claims": ... }
+ *   不正な要求 → 400 { "code": "bad_request", "message": "..." }
+ */
+
+import { VisitorTokenError, buildVisitorClaims, signVisitorToken, verifyVisitorToken } from '../utils/VisitorToken.js';
+
+// 有効期間の上限（時間）
+const MAX_VALIDITY_HOURS = 168;
+
+/**
+ * 署名する来訪者の情報を検証
+ */
+function validateVisitor(visitor) {
+    if (!visitor || typeof visitor !== 'object') {
+        return 'visitor is required';
+    }
+    for (const field of ['meetingId', 'visitorEmail', 'startTime']) {
+        if (typeof visitor[field] !== 'string' || !visitor[field]) {
+            return `visitor.${field} is required`;
+        }
+    }
+    if (!visitor.visitorEmail.includes('@')) {
+        return 'visitor.visitorEmail is not a valid email address';
+    }
+    for (const field of ['startTime', 'endTime']) {
+        if (visitor[field] && Number.isNaN(new Date(visitor[field]).getTime())) {
+            return `visitor.${field} is not a valid date`;
+        }
+    }
+    return null;
+}
+
+/**
+ * トークンの署名・検証の要求を処理
+ *
+ * @param {object} request 要求の本文
+ * @param {{ signingKey: string, earlyCheckInHours?: number, validityHours?: number, now?: Date }} options
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function handleVisitorTokenRequest(request, { signingKey, earlyCheckInHours = 3, validityHours = 12, now = new Date() }) {
+    if (!signingKey) {
+        throw new Error('Visitor token signing key is not configured');
+    }
+
+    const operation = request && request.operation;
+
+    if (operation === 'sign') {
+        const error = validateVisitor(request.visitor);
+        if (error) {
+            return { status: 400, body: { code: 'bad_request', message: error } };
+        }
+
+        const claims = buildVisitorClaims(request.visitor, {
+            earlyCheckInHours: Math.min(Math.max(earlyCheckInHours, 0), MAX_VALIDITY_HOURS),
+            validityHours: Math.min(Math.max(validityHours, 0), MAX_VALIDITY_HOURS)
+        });
+        return { status: 200, body: { token: await signVisitorToken(claims, signingKey), claims } };
+    }
+
+    if (operation === 'verify') {
+        if (typeof request.token !== 'string') {
+            return { status: 400, body: { code: 'bad_request', message: 'token is required' } };
+        }
+
+        try {
+            const claims = await verifyVisitorToken(request.token, signingKey, { now });
+            return { status: 200, body: { valid: true, claims } };
+        } catch (error) {
+            if (!(error instanceof VisitorTokenError)) {
+                throw error;
+            }
+            return { status: 200, body: { valid: false, code: error.code, message: error.message, claims: error.claims } };
+        }
+    }
+
+    return { status: 400, body: { code: 'bad_request', message: `Unsupported operation: ${operation}` } };
+}
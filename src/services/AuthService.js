@@ -0,0 +1,475 @@
+/**
+ * AuthService
+ * アクセストークンの取得とキャッシュを担当する共有サービス
+ *
+ * 取得順序:
+ *   1. リソースごとのキャッシュ（有効期限の一定時間前に更新）
+ *   2. MSAL のサイレント取得（Office SSO から得たログインヒントを使用）
+ *   3. 対話的取得（Office ダイアログ内でのリダイレクト、またはポップアップ）
+ */
+
+import { PublicClientApplication, InteractionRequiredAuthError } from '@azure/msal-browser';
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+
+export const AUTH_ERROR_CODES = {
+    CONSENT_REQUIRED: 'consent_required',
+    INTERACTION_REQUIRED: 'interaction_required',
+    LOGIN_REQUIRED: 'login_required',
+    USER_CANCELLED: 'user_cancelled',
+    SSO_UNAVAILABLE: 'sso_unavailable',
+    CONFIGURATION: 'configuration',
+    UNKNOWN: 'unknown'
+};
+
+// Office SSO のエラーコードの対応
+const OFFICE_SSO_ERROR_MAP = {
+    13001: AUTH_ERROR_CODES.LOGIN_REQUIRED,
+    13002: AUTH_ERROR_CODES.USER_CANCELLED,
+    13003: AUTH_ERROR_CODES.SSO_UNAVAILABLE,
+    13005: AUTH_ERROR_CODES.CONSENT_REQUIRED,
+    13006: AUTH_ERROR_CODES.INTERACTION_REQUIRED,
+    13007: AUTH_ERROR_CODES.INTERACTION_REQUIRED,
+    13010: AUTH_ERROR_CODES.SSO_UNAVAILABLE,
+    13012: AUTH_ERROR_CODES.SSO_UNAVAILABLE,
+    13013: AUTH_ERROR_CODES.INTERACTION_REQUIRED
+};
+
+const AUTH_ERROR_MESSAGES = {
+    consent_required: '管理者またはユーザーによるアクセス許可への同意が必要です',
+    interaction_required: 'サインインまたは追加の認証操作が必要です',
+    login_required: 'Microsoft 365 にサインインしてください',
+    user_cancelled: 'サインインがキャンセルされました',
+    sso_unavailable: 'このクライアントではシングルサインオンを使用できません',
+    configuration: '認証の設定が不足しています',
+    unknown: 'アクセストークンを取得できませんでした'
+};
+
+/**
+ * 認証エラー
+ */
+export class AuthError extends Error {
+    constructor(code, detail = null, cause = null) {
+        super(`${AUTH_ERROR_MESSAGES[code] || AUTH_ERROR_MESSAGES.unknown}${detail ? `: ${detail}` : ''}`);
+        this.name = 'AuthError';
+        this.code = code;
+        this.cause = cause;
+    }
+
+    /**
+     * ユーザー操作で解決できるエラーか
+     */
+    get requiresInteraction() {
+        return [
+            AUTH_ERROR_CODES.CONSENT_REQUIRED,
+            AUTH_ERROR_CODES.INTERACTION_REQUIRED,
+            AUTH_ERROR_CODES.LOGIN_REQUIRED
+        ].includes(this.code);
+    }
+}
+
+export class AuthService {
+    static instance = null;
+
+    /**
+     * シングルトンインスタンスを取得
+     */
+    static getInstance() {
+        if (!AuthService.instance) {
+            AuthService.instance = new AuthService();
+        }
+        return AuthService.instance;
+    }
+
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('AuthService');
+        this.msalInstance = null;
+        this.msalInitializing = null;
+        this.redirectResult = null;
+        this.account = null;
+        this.loginHint = null;
+        this.tokenCache = new Map();
+        this.pendingRequests = new Map();
+        this.refreshTimers = new Map();
+    }
+
+    /**
+     * 認証設定を取得
+     */
+    getAuthConfig() {
+        const config = this.config.getConfig();
+        const authConfig = config.auth || {};
+        const origin = typeof window !== 'undefined' && window.location ? window.location.origin : '';
+
+        return {
+            clientId: authConfig.clientId || config.sharePoint?.clientId,
+            tenantId: authConfig.tenantId || config.sharePoint?.tenantId,
+            redirectUri: authConfig.redirectUri || `${origin}/authDialog.html`,
+            dialogUrl: authConfig.dialogUrl || `${origin}/authDialog.html`,
+            interactionMode: authConfig.interactionMode || 'dialog',
+            refreshMarginSeconds: authConfig.refreshMarginSeconds || 300
+        };
+    }
+
+    /**
+     * MSALインスタンスを取得（初回のみ初期化）
+     */
+    async getMsalInstance() {
+        if (this.msalInstance) {
+            return this.msalInstance;
+        }
+
+        if (!this.msalInitializing) {
+            this.msalInitializing = (async () => {
+                const authConfig = this.getAuthConfig();
+                if (!authConfig.clientId || !authConfig.tenantId) {
+                    throw new AuthError(AUTH_ERROR_CODES.CONFIGURATION, 'clientId and tenantId are required');
+                }
+
+                const msalInstance = new PublicClientApplication({
+                    auth: {
+                        clientId: authConfig.clientId,
+                        authority: `https://login.microsoftonline.com/${authConfig.tenantId}`,
+                        redirectUri: authConfig.redirectUri
+                    },
+                    cache: {
+                        // 認証ダイアログとキャッシュを共有するため localStorage を使用
+                        cacheLocation: 'localStorage'
+                    }
+                });
+
+                await msalInstance.initialize();
+
+                // 認証ダイアログでリダイレクトから戻った場合の結果を保持
+                this.redirectResult = await msalInstance.handleRedirectPromise().catch((error) => {
+                    this.logger.warn('MSAL redirect handling failed', error);
+                    return null;
+                });
+
+                this.msalInstance = msalInstance;
+                return msalInstance;
+            })().finally(() => {
+                this.msalInitializing = null;
+            });
+        }
+
+        return await this.msalInitializing;
+    }
+
+    /**
+     * リソースのアクセストークンを取得
+     *
+     * @param {string} resource 例: 'https://graph.microsoft.com'、'https://contoso.sharepoint.com'
+     * @param {{ interactive?: boolean, forceRefresh?: boolean }} options
+     */
+    async getAccessToken(resource, { interactive = true, forceRefresh = false } = {}) {
+        const cached = this.tokenCache.get(resource);
+        if (!forceRefresh && cached && !this.isNearExpiry(cached)) {
+            return cached.accessToken;
+        }
+
+        // 同一リソースへの同時要求はまとめる
+        const pendingKey = `${resource}|${interactive}`;
+        if (this.pendingRequests.has(pendingKey)) {
+            return await this.pendingRequests.get(pendingKey);
+        }
+
+        const request = this.acquireToken(resource, { interactive, forceRefresh })
+            .finally(() => this.pendingRequests.delete(pendingKey));
+        this.pendingRequests.set(pendingKey, request);
+
+        return await request;
+    }
+
+    /**
+     * トークンを取得してキャッシュ
+     */
+    async acquireToken(resource, { interactive, forceRefresh }) {
+        const scopes = [`${resource}/.default`];
+
+        try {
+            let result;
+            try {
+                result = await this.acquireTokenSilent(scopes, forceRefresh);
+            } catch (error) {
+                const mapped = this.mapError(error);
+                if (!interactive || !mapped.requiresInteraction) {
+                    throw mapped;
+                }
+
+                this.logger.info(`Interactive sign-in required for ${resource}`, { code: mapped.code });
+                result = await this.acquireTokenInteractive(scopes);
+            }
+
+            this.cacheToken(resource, result);
+            return result.accessToken;
+
+        } catch (error) {
+            const mapped = this.mapError(error);
+            this.logger.error(`Failed to acquire token for ${resource}`, mapped);
+            throw mapped;
+        }
+    }
+
+    /**
+     * MSAL でトークンをサイレント取得
+     */
+    async acquireTokenSilent(scopes, forceRefresh = false) {
+        const msalInstance = await this.getMsalInstance();
+        const account = await this.resolveAccount(msalInstance);
+
+        if (account) {
+            return await msalInstance.acquireTokenSilent({ scopes, account, forceRefresh });
+        }
+
+        // アカウントがキャッシュにない場合は Office SSO のログインヒントで ssoSilent を試す
+        const loginHint = await this.getLoginHint();
+        if (!loginHint) {
+            throw new AuthError(AUTH_ERROR_CODES.LOGIN_REQUIRED);
+        }
+
+        const result = await msalInstance.ssoSilent({ scopes, loginHint });
+        this.account = result.account;
+        return result;
+    }
+
+    /**
+     * 使用するアカウントを決定
+     */
+    async resolveAccount(msalInstance) {
+        if (this.account) {
+            return this.account;
+        }
+
+        const accounts = msalInstance.getAllAccounts();
+        if (accounts.length === 0) {
+            return null;
+        }
+
+        const loginHint = await this.getLoginHint();
+        this.account = (loginHint && accounts.find(a => a.username.toLowerCase() === loginHint.toLowerCase())) ||
+            accounts[0];
+        return this.account;
+    }
+
+    /**
+     * Office SSO のトークンからログインヒント（UPN）を取得
+     */
+    async getLoginHint() {
+        if (this.loginHint) {
+            return this.loginHint;
+        }
+
+        try {
+            const ssoToken = await this.getOfficeSsoToken();
+            const claims = this.decodeJwtPayload(ssoToken);
+            this.loginHint = claims.preferred_username || claims.upn || null;
+        } catch (error) {
+            this.logger.debug('Office SSO is not available for login hint', error);
+
+            // Office のコンテキストからメールアドレスを取得
+            if (typeof Office !== 'undefined' && Office.context?.mailbox?.userProfile) {
+                this.loginHint = Office.context.mailbox.userProfile.emailAddress;
+            }
+        }
+
+        return this.loginHint;
+    }
+
+    /**
+     * Office SSO のIDトークンを取得
+     */
+    async getOfficeSsoToken() {
+        if (typeof Office === 'undefined' || !Office.auth || !Office.auth.getAccessToken) {
+            throw new AuthError(AUTH_ERROR_CODES.SSO_UNAVAILABLE);
+        }
+
+        try {
+            return await Office.auth.getAccessToken({
+                allowSignInPrompt: true,
+                allowConsentPrompt: true
+            });
+        } catch (error) {
+            throw this.mapError(error);
+        }
+    }
+
+    /**
+     * 対話的にトークンを取得
+     */
+    async acquireTokenInteractive(scopes) {
+        const authConfig = this.getAuthConfig();
+
+        if (authConfig.interactionMode === 'dialog' &&
+            typeof Office !== 'undefined' && Office.context?.ui?.displayDialogAsync) {
+            return await this.acquireTokenViaDialog(scopes, authConfig);
+        }
+
+        const msalInstance = await this.getMsalInstance();
+        const result = await msalInstance.acquireTokenPopup({
+            scopes,
+            loginHint: this.loginHint || undefined
+        });
+        this.account = result.account;
+        return result;
+    }
+
+    /**
+     * Office ダイアログ内で MSAL のリダイレクトを実行してトークンを取得
+     */
+    acquireTokenViaDialog(scopes, authConfig) {
+        return new Promise((resolve, reject) => {
+            const params = new URLSearchParams({ scopes: scopes.join(' ') });
+            if (this.config.getEnvironment()) {
+                params.set('env', this.config.getEnvironment());
+            }
+            if (this.loginHint) {
+                params.set('loginHint', this.loginHint);
+            }
+
+            Office.context.ui.displayDialogAsync(
+                `${authConfig.dialogUrl}?${params.toString()}`,
+                { height: 60, width: 30, promptBeforeOpen: false },
+                (asyncResult) => {
+                    if (asyncResult.status !== Office.AsyncResultStatus.Succeeded) {
+                        reject(new AuthError(AUTH_ERROR_CODES.INTERACTION_REQUIRED, asyncResult.error.message));
+                        return;
+                    }
+
+                    const dialog = asyncResult.value;
+
+                    dialog.addEventHandler(Office.EventType.DialogMessageReceived, async (arg) => {
+                        dialog.close();
+                        try {
+                            const message = JSON.parse(arg.message);
+                            if (message.status !== 'success') {
+                                reject(new AuthError(message.code || AUTH_ERROR_CODES.UNKNOWN, message.error));
+                                return;
+                            }
+
+                            // ダイアログが保存したキャッシュからアカウントを取得
+                            const msalInstance = await this.getMsalInstance();
+                            this.account = msalInstance.getAccountByHomeId(message.homeAccountId) || this.account;
+
+                            resolve({
+                                accessToken: message.accessToken,
+                                expiresOn: new Date(message.expiresOn),
+                                account: this.account
+                            });
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+
+                    dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+                        // 12006: ユーザーがダイアログを閉じた
+                        reject(new AuthError(
+                            arg.error === 12006 ? AUTH_ERROR_CODES.USER_CANCELLED : AUTH_ERROR_CODES.INTERACTION_REQUIRED,
+                            `dialog event ${arg.error}`
+                        ));
+                    });
+                }
+            );
+        });
+    }
+
+    /**
+     * トークンをキャッシュし、期限前の更新を予約
+     */
+    cacheToken(resource, result) {
+        const expiresOn = result.expiresOn ? new Date(result.expiresOn) : new Date(Date.now() + 60 * 60 * 1000);
+        this.tokenCache.set(resource, { accessToken: result.accessToken, expiresOn });
+        this.scheduleRefresh(resource, expiresOn);
+    }
+
+    /**
+     * 有効期限の前にサイレント更新を予約
+     */
+    scheduleRefresh(resource, expiresOn) {
+        if (this.refreshTimers.has(resource)) {
+            clearTimeout(this.refreshTimers.get(resource));
+        }
+
+        const marginMs = this.getAuthConfig().refreshMarginSeconds * 1000;
+        const delay = expiresOn.getTime() - Date.now() - marginMs;
+        if (delay <= 0) {
+            return;
+        }
+
+        this.refreshTimers.set(resource, setTimeout(() => {
+            this.refreshTimers.delete(resource);
+            this.getAccessToken(resource, { interactive: false, forceRefresh: true }).catch((error) => {
+                this.logger.warn(`Background token refresh failed for ${resource}`, error);
+            });
+        }, delay));
+    }
+
+    /**
+     * トークンが期限切れ間近か
+     */
+    isNearExpiry(entry) {
+        const marginMs = this.getAuthConfig().refreshMarginSeconds * 1000;
+        return entry.expiresOn.getTime() - Date.now() <= marginMs;
+    }
+
+    /**
+     * 各種エラーを AuthError に変換
+     */
+    mapError(error) {
+        if (error instanceof AuthError) {
+            return error;
+        }
+
+        // Office SSO のエラー
+        if (error && typeof error.code === 'number' && OFFICE_SSO_ERROR_MAP[error.code]) {
+            return new AuthError(OFFICE_SSO_ERROR_MAP[error.code], `Office SSO ${error.code}`, error);
+        }
+
+        // MSAL のエラー
+        const errorCode = error && error.errorCode;
+        if (error instanceof InteractionRequiredAuthError || errorCode === 'interaction_required') {
+            if (errorCode === 'consent_required' || /AADSTS65001/.test(error.message)) {
+                return new AuthError(AUTH_ERROR_CODES.CONSENT_REQUIRED, errorCode, error);
+            }
+            if (errorCode === 'login_required') {
+                return new AuthError(AUTH_ERROR_CODES.LOGIN_REQUIRED, errorCode, error);
+            }
+            return new AuthError(AUTH_ERROR_CODES.INTERACTION_REQUIRED, errorCode, error);
+        }
+
+        if (errorCode === 'consent_required') {
+            return new AuthError(AUTH_ERROR_CODES.CONSENT_REQUIRED, errorCode, error);
+        }
+
+        if (errorCode === 'user_cancelled' || errorCode === 'popup_window_error') {
+            return new AuthError(AUTH_ERROR_CODES.USER_CANCELLED, errorCode, error);
+        }
+
+        return new AuthError(AUTH_ERROR_CODES.UNKNOWN, error && error.message, error);
+    }
+
+    /**
+     * JWT のペイロードをデコード
+     */
+    decodeJwtPayload(token) {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const json = decodeURIComponent(atob(payload).split('').map(c =>
+            `%${(`00${c.charCodeAt(0).toString(16)}`).slice(-2)}`).join(''));
+        return JSON.parse(json);
+    }
+
+    /**
+     * キャッシュしたトークンを破棄
+     */
+    clearCache(resource = null) {
+        const resources = resource ? [resource] : [...this.tokenCache.keys()];
+        for (const key of resources) {
+            this.tokenCache.delete(key);
+            if (this.refreshTimers.has(key)) {
+                clearTimeout(this.refreshTimers.get(key));
+                this.refreshTimers.delete(key);
+            }
+        }
+    }
+}
@@ -0,0 +1,683 @@
+/**
+ * ConfigService
+ * 設定ファイルの読み込み・マージ・スキーマ検証を担当するサービス
+ *
+ * 設定は次の順序でマージされる（後のものが優先）:
+ *   1. DEFAULT_CONFIG
+ *   2. config.json
+ *   3. 環境別プロファイル（config.<environment>.json）
+ *   4. Office ローミング設定の上書き値
+ */
+
+import { deepMerge, getByPath, isPlainObject } from '../utils/Utils.js';
+
+const ROAMING_OVERRIDES_KEY = 'lobbyConfigOverrides';
+const ROAMING_ENVIRONMENT_KEY = 'lobbyEnvironment';
+
+export const DEFAULT_CONFIG = {
+    sharePoint: {
+        listName: 'LobbyVisitors'
+    },
+    powerAutomate: {
+        timeout: 30000,
+        payload: {
+            schemaVersion: 2,
+            fieldMap: {}
+        },
+        idempotency: {
+            enabled: true,
+            trackInSharePoint: true,
+            retentionDays: 30
+        }
+    },
+    outlook: {
+        internalDomains: [],
+        excludeRooms: true,
+        changeDebounceMs: 1500,
+        changeMaxWaitMs: 10000,
+        sendGate: 'block',
+        cancellationCheckIntervalMs: 900000,
+        recurrenceLookAheadDays: 28
+    },
+    auth: {
+        interactionMode: 'dialog',
+        refreshMarginSeconds: 300
+    },
+    outbox: {
+        maxAttempts: 5,
+        retryDelay: 30000
+    },
+    reception: {
+        lookAheadDays: 7,
+        refreshIntervalMs: 60000,
+        hideOnlineOnly: true,
+        showCancelled: false
+    },
+    visitorPass: {
+        enabled: true,
+        tokenServiceUrl: '',
+        tokenServiceResource: '',
+        tokenServiceTimeout: 15000,
+        baseUrl: '',
+        attachHtml: true
+    },
+    i18n: {
+        defaultLocale: 'ja',
+        locale: '',
+        visitorLocale: '',
+        visitorTimeZone: '',
+        visitorDomains: []
+    },
+    logging: {
+        level: 'info',
+        enableConsole: true,
+        storage: {
+            enabled: true,
+            maxRecords: 500
+        }
+    }
+};
+
+// 通知の再試行ポリシー（powerAutomate.retry とルートごとの retry）
+const RETRY_POLICY_SCHEMA = {
+    type: 'object',
+    properties: {
+        maxRetries: { type: 'number', minimum: 0 },
+        retryDelay: { type: 'number', minimum: 0 },
+        backoffMultiplier: { type: 'number', minimum: 1 }
+    }
+};
+
+// 通知のペイロードの設定（powerAutomate.payload とルートごとの payload）
+const PAYLOAD_OPTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', enum: [1, 2] },
+        fieldMap: { type: 'object', values: { type: 'string' } }
+    }
+};
+
+export const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        environment: { type: 'string' },
+        sharePoint: {
+            type: 'object',
+            required: true,
+            properties: {
+                siteUrl: { type: 'string', required: true, format: 'https-url' },
+                listName: { type: 'string', required: true, minLength: 1 },
+                clientId: { type: 'string' },
+                tenantId: { type: 'string' },
+                batchSize: { type: 'number', minimum: 1 },
+                backend: { type: 'string', enum: ['rest', 'graph'] },
+                graphSiteId: { type: 'string' },
+                graphListId: { type: 'string' }
+            }
+        },
+        powerAutomate: {
+            type: 'object',
+            required: true,
+            properties: {
+                // routes を設定しない場合は必須（PowerAutomateService で検証）
+                notificationUrl: { type: 'string', format: 'https-url' },
+                timeout: { type: 'number', minimum: 1000 },
+                retry: RETRY_POLICY_SCHEMA,
+                payload: PAYLOAD_OPTIONS_SCHEMA,
+                idempotency: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        trackInSharePoint: { type: 'boolean' },
+                        retentionDays: { type: 'number', minimum: 1 }
+                    }
+                },
+                routes: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', required: true, minLength: 1 },
+                            url: { type: 'string', required: true, format: 'https-url' },
+                            enabled: { type: 'boolean' },
+                            notificationTypes: {
+                                type: 'array',
+                                items: {
+                                    type: 'string',
+                                    enum: [
+                                        'created', 'updated', 'cancelled', 'arrived', 'checked_in', 'checked_out', 'no_show',
+                                        'reception_digest', 'organizer_summary'
+                                    ]
+                                }
+                            },
+                            visitorDomains: { type: 'array', items: { type: 'string', format: 'domain' } },
+                            locations: { type: 'array', items: { type: 'string', minLength: 1 } },
+                            timeout: { type: 'number', minimum: 1000 },
+                            retry: RETRY_POLICY_SCHEMA,
+                            payload: PAYLOAD_OPTIONS_SCHEMA
+                        }
+                    }
+                }
+            }
+        },
+        outlook: {
+            type: 'object',
+            required: true,
+            properties: {
+                internalDomains: {
+                    type: 'array',
+                    required: true,
+                    minItems: 1,
+                    items: { type: 'string', format: 'domain' }
+                },
+                excludeRooms: { type: 'boolean' },
+                matchSubdomains: { type: 'boolean' },
+                allowList: { type: 'array', items: { type: 'string', format: 'email' } },
+                denyList: { type: 'array', items: { type: 'string', format: 'email' } },
+                roomPatterns: { type: 'array', items: { type: 'string', format: 'regex' } },
+                distributionListPatterns: { type: 'array', items: { type: 'string', format: 'regex' } },
+                meetingIdFormat: { type: 'string', enum: ['ews', 'rest', 'iCalUId'] },
+                changeDebounceMs: { type: 'number', minimum: 0 },
+                changeMaxWaitMs: { type: 'number', minimum: 0 },
+                sendGate: { type: 'string', enum: ['block', 'prompt', 'off'] },
+                cancellationCheckIntervalMs: { type: 'number', minimum: 0 },
+                recurrenceLookAheadDays: { type: 'number', minimum: 1, maximum: 365 }
+            }
+        },
+        auth: {
+            type: 'object',
+            properties: {
+                clientId: { type: 'string' },
+                tenantId: { type: 'string' },
+                redirectUri: { type: 'string', format: 'https-url' },
+                dialogUrl: { type: 'string', format: 'https-url' },
+                interactionMode: { type: 'string', enum: ['dialog', 'popup'] },
+                refreshMarginSeconds: { type: 'number', minimum: 0 }
+            }
+        },
+        outbox: {
+            type: 'object',
+            properties: {
+                maxAttempts: { type: 'number', minimum: 1 },
+                retryDelay: { type: 'number', minimum: 1000 }
+            }
+        },
+        reception: {
+            type: 'object',
+            properties: {
+                lookAheadDays: { type: 'number', minimum: 0, maximum: 90 },
+                refreshIntervalMs: { type: 'number', minimum: 5000 },
+                hideOnlineOnly: { type: 'boolean' },
+                showCancelled: { type: 'boolean' }
+            }
+        },
+        visitorPass: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                // 署名キーはアドインの設定（ブラウザーに配信される）に含めず、トークンサービスにのみ保存する
+                signingKey: { forbidden: true },
+                tokenServiceUrl: { type: 'string', format: 'https-url' },
+                tokenServiceResource: { type: 'string' },
+                tokenServiceTimeout: { type: 'number', minimum: 1000 },
+                baseUrl: { type: 'string', format: 'https-url' },
+                attachHtml: { type: 'boolean' }
+            }
+        },
+        i18n: {
+            type: 'object',
+            properties: {
+                defaultLocale: { type: 'string', enum: ['ja', 'en'] },
+                locale: { type: 'string', enum: ['ja', 'en'] },
+                visitorLocale: { type: 'string', enum: ['ja', 'en'] },
+                visitorTimeZone: { type: 'string', format: 'time-zone' },
+                visitorDomains: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            domain: { type: 'string', required: true, format: 'domain' },
+                            locale: { type: 'string', enum: ['ja', 'en'] },
+                            timeZone: { type: 'string', format: 'time-zone' }
+                        }
+                    }
+                }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+                enableConsole: { type: 'boolean' },
+                storage: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        maxRecords: { type: 'number', minimum: 10 }
+                    }
+                },
+                http: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', format: 'https-url' },
+                        batchSize: { type: 'number', minimum: 1 },
+                        flushInterval: { type: 'number', minimum: 1000 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const FORMAT_VALIDATORS = {
+    'https-url': (value) => {
+        try {
+            return new URL(value).protocol === 'https:';
+        } catch {
+            return false;
+        }
+    },
+    'domain': (value) => /^(\*\.)?([a-z0-9](-*[a-z0-9])*\.)+[a-z]{2,}$/i.test(value),
+    'time-zone': (value) => {
+        try {
+            new Intl.DateTimeFormat('en', { timeZone: value });
+            return true;
+        } catch {
+            return false;
+        }
+    },
+    'email': (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'regex': (value) => {
+        try {
+            new RegExp(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+/**
+ * 設定の検証エラー
+ */
+export class ConfigValidationError extends Error {
+    constructor(errors, section = null) {
+        const summary = errors.map(e => `${e.path} (${e.code})`).join(', ');
+        super(section
+            ? `Invalid ${section} configuration: ${summary}`
+            : `Invalid configuration: ${summary}`);
+        this.name = 'ConfigValidationError';
+        this.section = section;
+        this.errors = errors;
+    }
+}
+
+export class ConfigService {
+    static instance = null;
+
+    /**
+     * シングルトンインスタンスを取得
+     */
+    static getInstance() {
+        if (!ConfigService.instance) {
+            ConfigService.instance = new ConfigService();
+        }
+        return ConfigService.instance;
+    }
+
+    constructor() {
+        this.configUrl = '/config.json';
+        this.config = deepMerge({}, DEFAULT_CONFIG);
+        this.environment = null;
+        this.sources = [];
+        this.validationErrors = [];
+        this.isInitialized = false;
+        this.initializing = null;
+        this.changeListeners = [];
+    }
+
+    /**
+     * サービスを初期化
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.initializing) {
+            this.initializing = this.loadConfig().finally(() => {
+                this.initializing = null;
+            });
+        }
+
+        await this.initializing;
+        this.isInitialized = true;
+    }
+
+    /**
+     * 設定を再読み込み
+     */
+    async reloadConfig() {
+        this.isInitialized = false;
+        await this.initialize();
+        return this.config;
+    }
+
+    /**
+     * すべての設定レイヤーを読み込んでマージ・検証
+     */
+    async loadConfig() {
+        const loadErrors = [];
+        const sources = ['defaults'];
+
+        let baseConfig = {};
+        try {
+            baseConfig = await this.fetchJson(this.configUrl);
+            sources.push(this.configUrl);
+        } catch (error) {
+            loadErrors.push({
+                path: this.configUrl,
+                code: 'load_failed',
+                message: `Failed to load ${this.configUrl}: ${error.message}`
+            });
+        }
+
+        this.environment = this.resolveEnvironment(baseConfig);
+
+        let profileConfig = {};
+        if (this.environment) {
+            const profileUrl = this.configUrl.replace(/\.json$/, `.${this.environment}.json`);
+            try {
+                profileConfig = await this.fetchJson(profileUrl, { optional: true }) || {};
+                if (Object.keys(profileConfig).length > 0) {
+                    sources.push(profileUrl);
+                }
+            } catch (error) {
+                loadErrors.push({
+                    path: profileUrl,
+                    code: 'load_failed',
+                    message: `Failed to load ${profileUrl}: ${error.message}`
+                });
+            }
+        }
+
+        const roamingOverrides = this.getRoamingOverrides();
+        if (Object.keys(roamingOverrides).length > 0) {
+            sources.push('roamingSettings');
+        }
+
+        this.config = deepMerge(DEFAULT_CONFIG, baseConfig, profileConfig, roamingOverrides);
+        if (this.environment) {
+            this.config.environment = this.environment;
+        }
+        this.sources = sources;
+        this.validationErrors = [...loadErrors, ...this.validate(this.config)];
+
+        if (this.validationErrors.length > 0) {
+            console.warn('ConfigService: configuration has errors', this.validationErrors);
+        }
+
+        this.notifyChange();
+        return this.config;
+    }
+
+    /**
+     * 設定変更リスナーを登録
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * 設定変更をリスナーに通知
+     */
+    notifyChange() {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(this.config);
+            } catch (error) {
+                console.error('ConfigService: change listener failed', error);
+            }
+        }
+    }
+
+    /**
+     * JSONファイルを取得
+     */
+    async fetchJson(url, { optional = false } = {}) {
+        const response = await fetch(url, { cache: 'no-store' });
+
+        if (response.status === 404 && optional) {
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!isPlainObject(data)) {
+            throw new Error('Configuration root must be a JSON object');
+        }
+        return data;
+    }
+
+    /**
+     * 使用する環境名を決定（URLクエリ > ローミング設定 > config.json）
+     */
+    resolveEnvironment(baseConfig) {
+        try {
+            if (typeof window !== 'undefined' && window.location) {
+                const fromQuery = new URLSearchParams(window.location.search).get('env');
+                if (fromQuery) {
+                    return fromQuery;
+                }
+            }
+        } catch {
+            // URLが解析できない環境では無視
+        }
+
+        const roamingSettings = this.getRoamingSettings();
+        const fromRoaming = roamingSettings ? roamingSettings.get(ROAMING_ENVIRONMENT_KEY) : null;
+        if (fromRoaming) {
+            return fromRoaming;
+        }
+
+        return baseConfig.environment || null;
+    }
+
+    /**
+     * Officeのローミング設定オブジェクトを取得
+     */
+    getRoamingSettings() {
+        if (typeof Office !== 'undefined' && Office.context && Office.context.roamingSettings) {
+            return Office.context.roamingSettings;
+        }
+        return null;
+    }
+
+    /**
+     * ローミング設定に保存された上書き値を取得
+     */
+    getRoamingOverrides() {
+        try {
+            const roamingSettings = this.getRoamingSettings();
+            const overrides = roamingSettings ? roamingSettings.get(ROAMING_OVERRIDES_KEY) : null;
+            return isPlainObject(overrides) ? overrides : {};
+        } catch (error) {
+            console.warn('ConfigService: failed to read roaming overrides', error);
+            return {};
+        }
+    }
+
+    /**
+     * ローミング設定に上書き値を保存して再読み込み
+     */
+    async saveRoamingOverrides(overrides) {
+        const roamingSettings = this.getRoamingSettings();
+        if (!roamingSettings) {
+            throw new Error('Roaming settings are not available');
+        }
+
+        roamingSettings.set(ROAMING_OVERRIDES_KEY, overrides);
+
+        await new Promise((resolve, reject) => {
+            roamingSettings.saveAsync((result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    resolve();
+                } else {
+                    reject(new Error(result.error.message));
+                }
+            });
+        });
+
+        return await this.reloadConfig();
+    }
+
+    /**
+     * マージ済みの設定を取得
+     */
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * ドット区切りのパスで設定値を取得
+     */
+    get(path, defaultValue = undefined) {
+        const value = getByPath(this.config, path);
+        return value === undefined ? defaultValue : value;
+    }
+
+    /**
+     * 現在の環境名を取得
+     */
+    getEnvironment() {
+        return this.environment;
+    }
+
+    /**
+     * 設定をスキーマに対して検証
+     */
+    validate(config, schema = CONFIG_SCHEMA, path = '') {
+        const errors = [];
+        this.validateValue(config, schema, path, errors);
+        return errors;
+    }
+
+    /**
+     * 単一の値をスキーマ定義に対して検証
+     */
+    validateValue(value, schema, path, errors) {
+        const label = path || '(root)';
+
+        if (value === undefined || value === null || value === '') {
+            if (schema.required) {
+                errors.push({ path: label, code: 'required', message: `${label} is required` });
+            }
+            return;
+        }
+
+        if (schema.forbidden) {
+            errors.push({ path: label, code: 'forbidden', message: `${label} must not be set in the add-in configuration` });
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (schema.type && actualType !== schema.type) {
+            errors.push({
+                path: label,
+                code: 'type',
+                message: `${label} must be of type ${schema.type} (got ${actualType})`
+            });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({
+                path: label,
+                code: 'enum',
+                message: `${label} must be one of: ${schema.enum.join(', ')}`
+            });
+        }
+
+        if (schema.format && FORMAT_VALIDATORS[schema.format] && !FORMAT_VALIDATORS[schema.format](value)) {
+            errors.push({
+                path: label,
+                code: 'format',
+                message: `${label} is not a valid ${schema.format}: ${value}`
+            });
+        }
+
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: label, code: 'minLength', message: `${label} is too short` });
+        }
+
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: label, code: 'minimum', message: `${label} must be >= ${schema.minimum}` });
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: label, code: 'maximum', message: `${label} must be <= ${schema.maximum}` });
+        }
+
+        if (schema.type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({
+                    path: label,
+                    code: 'minItems',
+                    message: `${label} must contain at least ${schema.minItems} item(s)`
+                });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    this.validateValue(item, schema.items, `${path}[${index}]`, errors);
+                });
+            }
+        }
+
+        if (schema.type === 'object' && schema.properties) {
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                this.validateValue(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+            }
+        }
+
+        // キーが任意のマップ（values はすべての値に適用）
+        if (schema.type === 'object' && schema.values) {
+            for (const [key, item] of Object.entries(value)) {
+                this.validateValue(item, schema.values, path ? `${path}.${key}` : key, errors);
+            }
+        }
+    }
+
+    /**
+     * 検証エラーを取得（セクション指定で絞り込み）
+     */
+    getValidationErrors(section = null) {
+        if (!section) {
+            return this.validationErrors;
+        }
+        return this.validationErrors.filter(e =>
+            e.path === section || e.path.startsWith(`${section}.`) || e.path.startsWith(`${section}[`));
+    }
+
+    /**
+     * 設定が有効かどうか
+     */
+    isValid(section = null) {
+        return this.getValidationErrors(section).length === 0;
+    }
+
+    /**
+     * 設定が無効な場合に構造化されたエラーをスロー
+     */
+    assertValid(section = null) {
+        const errors = this.getValidationErrors(section);
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors, section);
+        }
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * ExternalUserService
+ * 会議参加者を内部・外部・会議室・配布リスト・不明に分類するサービス
+ *
+ * 来訪者（外部ユーザー）判定の唯一の情報源。各判定結果には
+ * 分類理由（reason）が含まれ、タスクペーンで説明に使用される。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+
+export const ATTENDEE_CATEGORIES = {
+    INTERNAL: 'internal',
+    EXTERNAL: 'external',
+    ROOM: 'room',
+    DISTRIBUTION_LIST: 'distributionList',
+    UNKNOWN: 'unknown'
+};
+
+// 一般的な会議室メールアドレスのパターン（outlook.roomPatterns 未設定時）
+export const DEFAULT_ROOM_PATTERNS = [
+    '^room\\d+',
+    '^conference',
+    '^meeting',
+    '^boardroom',
+    '^conf-',
+    '-room$',
+    '^resource-'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/;
+
+const REASON_MESSAGES = {
+    missing_email: 'メールアドレスがありません',
+    invalid_email: 'メールアドレスの形式が不正です',
+    allow_list: '来訪者として常に扱うアドレスに登録されています',
+    deny_list: '来訪者として扱わないアドレスに登録されています',
+    distribution_list: '配布リストです',
+    distribution_list_pattern: '配布リストのパターンに一致しました',
+    resource_recipient: 'リソース（会議室・設備）として招待されています',
+    room_pattern: '会議室のパターンに一致しました',
+    internal_domain: '内部ドメインです',
+    internal_subdomain: '内部ドメインのサブドメインです',
+    wildcard_domain: 'ワイルドカードの内部ドメインに一致しました',
+    external_domain: '内部ドメインに一致しないため外部ユーザーです'
+};
+
+export class ExternalUserService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('ExternalUserService');
+    }
+
+    /**
+     * 分類に使用する設定を取得
+     */
+    getRules() {
+        const outlookConfig = this.config.getConfig().outlook || {};
+        const toLowerList = (list) => (list || []).map(value => String(value).toLowerCase());
+
+        return {
+            internalDomains: toLowerList(outlookConfig.internalDomains),
+            matchSubdomains: outlookConfig.matchSubdomains !== false,
+            excludeRooms: outlookConfig.excludeRooms !== false,
+            allowList: toLowerList(outlookConfig.allowList),
+            denyList: toLowerList(outlookConfig.denyList),
+            roomPatterns: this.compilePatterns(outlookConfig.roomPatterns || DEFAULT_ROOM_PATTERNS),
+            distributionListPatterns: this.compilePatterns(outlookConfig.distributionListPatterns || [])
+        };
+    }
+
+    /**
+     * 正規表現文字列のリストをコンパイル（不正なものは除外）
+     */
+    compilePatterns(patterns) {
+        return patterns.reduce((compiled, pattern) => {
+            try {
+                compiled.push(new RegExp(pattern, 'i'));
+            } catch (error) {
+                this.logger.warn(`Ignoring invalid pattern: ${pattern}`, error);
+            }
+            return compiled;
+        }, []);
+    }
+
+    /**
+     * 判定結果を作成
+     */
+    buildResult(attendee, email, category, code, rule = null) {
+        return {
+            emailAddress: email || attendee.emailAddress || '',
+            name: attendee.name || attendee.displayName || (email ? email.split('@')[0] : ''),
+            recipientType: attendee.recipientType || null,
+            attendeeType: attendee.attendeeType || null,
+            category,
+            isVisitor: category === ATTENDEE_CATEGORIES.EXTERNAL,
+            reason: {
+                code,
+                rule,
+                message: REASON_MESSAGES[code] + (rule ? ` (${rule})` : '')
+            }
+        };
+    }
+
+    /**
+     * 参加者1名を分類
+     */
+    classify(attendee, rules = this.getRules()) {
+        const rawEmail = attendee && attendee.emailAddress ? String(attendee.emailAddress).trim() : '';
+        const email = rawEmail.toLowerCase();
+
+        if (!email) {
+            return this.buildResult(attendee || {}, email, ATTENDEE_CATEGORIES.UNKNOWN, 'missing_email');
+        }
+
+        const match = email.match(EMAIL_PATTERN);
+        if (!match) {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.UNKNOWN, 'invalid_email');
+        }
+
+        const domain = match[1];
+
+        // アドレス単位の指定はドメイン判定より優先
+        if (rules.denyList.includes(email)) {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.INTERNAL, 'deny_list', email);
+        }
+
+        if (rules.allowList.includes(email)) {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.EXTERNAL, 'allow_list', email);
+        }
+
+        if (attendee.recipientType === 'distributionList') {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.DISTRIBUTION_LIST, 'distribution_list');
+        }
+
+        const distributionListPattern = rules.distributionListPatterns.find(pattern => pattern.test(email));
+        if (distributionListPattern) {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.DISTRIBUTION_LIST,
+                'distribution_list_pattern', distributionListPattern.source);
+        }
+
+        if (rules.excludeRooms) {
+            if (attendee.attendeeType === 'resource' || attendee.recipientType === 'resource') {
+                return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.ROOM, 'resource_recipient');
+            }
+
+            const localPart = email.split('@')[0];
+            const roomPattern = rules.roomPatterns.find(pattern => pattern.test(localPart) || pattern.test(email));
+            if (roomPattern) {
+                return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.ROOM, 'room_pattern', roomPattern.source);
+            }
+        }
+
+        const domainMatch = this.matchInternalDomain(domain, rules);
+        if (domainMatch) {
+            return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.INTERNAL, domainMatch.code, domainMatch.rule);
+        }
+
+        return this.buildResult(attendee, email, ATTENDEE_CATEGORIES.EXTERNAL, 'external_domain', domain);
+    }
+
+    /**
+     * ドメインが内部ドメインに一致するか判定
+     */
+    matchInternalDomain(domain, rules = this.getRules()) {
+        for (const rule of rules.internalDomains) {
+            if (rule.startsWith('*.')) {
+                const base = rule.slice(2);
+                if (domain.endsWith(`.${base}`)) {
+                    return { code: 'wildcard_domain', rule };
+                }
+                continue;
+            }
+
+            if (domain === rule) {
+                return { code: 'internal_domain', rule };
+            }
+
+            if (rules.matchSubdomains && domain.endsWith(`.${rule}`)) {
+                return { code: 'internal_subdomain', rule };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 参加者リストを分類（重複アドレスは最初のものを採用）
+     */
+    classifyAll(attendees) {
+        const rules = this.getRules();
+        const seen = new Set();
+        const results = [];
+
+        for (const attendee of attendees || []) {
+            const result = this.classify(attendee, rules);
+            const key = result.emailAddress;
+
+            if (key && seen.has(key)) {
+                continue;
+            }
+            if (key) {
+                seen.add(key);
+            }
+            results.push(result);
+        }
+
+        this.logger.debug('Attendees classified', this.summarize(results));
+        return results;
+    }
+
+    /**
+     * 来訪者（外部ユーザー）のみを抽出
+     */
+    getExternalUsers(attendees) {
+        return this.classifyAll(attendees).filter(result => result.isVisitor);
+    }
+
+    /**
+     * 分類ごとの件数を集計
+     */
+    summarize(results) {
+        const summary = Object.values(ATTENDEE_CATEGORIES).reduce((counts, category) => {
+            counts[category] = 0;
+            return counts;
+        }, {});
+
+        for (const result of results) {
+            summary[result.category]++;
+        }
+        return summary;
+    }
+
+    /**
+     * 内部ユーザーのメールアドレスかどうか
+     */
+    isInternalEmail(email) {
+        return this.classify({ emailAddress: email }).category === ATTENDEE_CATEGORIES.INTERNAL;
+    }
+
+    /**
+     * 会議室のメールアドレスかどうか
+     */
+    isRoomEmail(email) {
+        return this.classify({ emailAddress: email }).category === ATTENDEE_CATEGORIES.ROOM;
+    }
+}
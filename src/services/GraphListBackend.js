@@ -0,0 +1,316 @@
+/**
+ * GraphListBackend
+ * Microsoft Graph の /sites/{site-id}/lists/{list-id}/items を使用する来訪者ストレージバックエンド
+ *
+ * Graph の権限（Sites.ReadWrite.All など）のみ付与されたテナント向け。
+ */
+
+import { LoggingService } from './LoggingService.js';
+import { VisitorStorageBackend, VisitorConflictError, STORAGE_BACKENDS } from './VisitorStorageBackend.js';
+import { BATCH_OPERATIONS } from './SharePointBatchService.js';
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+// Graph の JSON バッチ 1リクエストあたりの上限
+const GRAPH_BATCH_SIZE = 20;
+
+export class GraphListBackend extends VisitorStorageBackend {
+    constructor(client) {
+        super(client);
+        this.logger = LoggingService.getInstance().forComponent('GraphListBackend');
+        this.siteId = null;
+        this.listId = null;
+    }
+
+    get name() {
+        return STORAGE_BACKENDS.GRAPH;
+    }
+
+    getTokenResource() {
+        return 'https://graph.microsoft.com';
+    }
+
+    /**
+     * Graph API を呼び出す
+     */
+    async request(method, path, body = null, extraHeaders = {}) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(`${GRAPH_BASE_URL}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...extraHeaders
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        return response;
+    }
+
+    /**
+     * Graph API を呼び出してJSONを返す
+     */
+    async requestJson(method, path, body = null, extraHeaders = {}) {
+        const response = await this.request(method, path, body, extraHeaders);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.status === 204 ? null : await response.json();
+    }
+
+    /**
+     * サイトIDとリストIDを解決（設定で指定されていればそれを使用）
+     */
+    async resolveListPath() {
+        const config = this.config.getConfig().sharePoint;
+
+        if (!this.siteId) {
+            if (config.graphSiteId) {
+                this.siteId = config.graphSiteId;
+            } else {
+                const siteUrl = new URL(config.siteUrl);
+                const site = await this.requestJson('GET', `/sites/${siteUrl.hostname}:${siteUrl.pathname.replace(/\/$/, '')}`);
+                this.siteId = site.id;
+            }
+        }
+
+        if (!this.listId) {
+            if (config.graphListId) {
+                this.listId = config.graphListId;
+            } else {
+                const list = await this.requestJson('GET', `/sites/${this.siteId}/lists/${encodeURIComponent(config.listName)}?$select=id`);
+                this.listId = list.id;
+            }
+        }
+
+        return `/sites/${this.siteId}/lists/${this.listId}`;
+    }
+
+    /**
+     * Graph のリストアイテムを REST と同じ形のレコードに変換
+     */
+    toRecord(item) {
+        const { id, ...fields } = item.fields || {};
+        return {
+            Id: Number(item.id || id),
+            ...fields
+        };
+    }
+
+    /**
+     * 列のフィルター付きでアイテムを取得（ページングを辿る）
+     */
+    async queryItems(filter, fields = null) {
+        const listPath = await this.resolveListPath();
+        const expand = fields && fields.length > 0 ? `fields($select=${fields.join(',')})` : 'fields';
+        let path = `${listPath}/items?$expand=${encodeURIComponent(expand)}&$filter=${encodeURIComponent(filter)}&$top=999`;
+
+        const records = [];
+        while (path) {
+            // インデックスのない列でのフィルターを許可
+            const data = await this.requestJson('GET', path, null, {
+                'Prefer': 'HonorNonIndexedQueriesWarningMayFailRandomly'
+            });
+            records.push(...data.value.map(item => this.toRecord(item)));
+            path = data['@odata.nextLink'] ? data['@odata.nextLink'].replace(GRAPH_BASE_URL, '') : null;
+        }
+
+        return records;
+    }
+
+    async getItem(itemId) {
+        const listPath = await this.resolveListPath();
+        const response = await this.request('GET', `${listPath}/items/${itemId}?$expand=fields`);
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return this.toRecord(await response.json());
+    }
+
+    async createItem(fields) {
+        const listPath = await this.resolveListPath();
+        const item = await this.requestJson('POST', `${listPath}/items`, { fields });
+        return this.toRecord(item);
+    }
+
+    async updateItem(itemId, fields, { etag = null } = {}) {
+        const listPath = await this.resolveListPath();
+        const response = await this.request('PATCH', `${listPath}/items/${itemId}/fields`, fields,
+            etag ? { 'If-Match': etag } : {});
+
+        if (response.status === 412) {
+            throw new VisitorConflictError(itemId);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return true;
+    }
+
+    getETag(record) {
+        // $expand=fields の fields に含まれるアイテムの ETag
+        return (record && record['@odata.etag']) || null;
+    }
+
+    async deleteItem(itemId) {
+        const listPath = await this.resolveListPath();
+        const response = await this.request('DELETE', `${listPath}/items/${itemId}`);
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.ok;
+    }
+
+    /**
+     * Graph の JSON バッチで作成・更新・削除をまとめて実行
+     */
+    async executeBatch(operations) {
+        if (!operations || operations.length === 0) {
+            return [];
+        }
+
+        const listPath = await this.resolveListPath();
+        const results = [];
+
+        for (let i = 0; i < operations.length; i += GRAPH_BATCH_SIZE) {
+            const chunk = operations.slice(i, i + GRAPH_BATCH_SIZE);
+            results.push(...await this.executeBatchChunk(chunk, async (pending) => {
+                const requests = pending.map((operation, index) => this.toBatchRequest(operation, String(index), listPath));
+                const data = await this.requestJson('POST', '/$batch', { requests });
+                const responsesById = new Map((data.responses || []).map(r => [r.id, r]));
+                return pending.map((operation, index) => this.toBatchResult(operation, responsesById.get(String(index))));
+            }));
+        }
+
+        const failures = results.filter(r => !r.success);
+        if (failures.length > 0) {
+            this.logger.warn(`Graph batch completed with ${failures.length} failed operation(s)`, failures.map(f => ({
+                key: f.key,
+                type: f.type,
+                status: f.status,
+                error: f.error
+            })));
+        } else {
+            this.logger.info(`Graph batch completed: ${results.length} operation(s)`);
+        }
+
+        return results;
+    }
+
+    /**
+     * 操作を Graph バッチのリクエストに変換
+     */
+    toBatchRequest(operation, id, listPath) {
+        switch (operation.type) {
+            case BATCH_OPERATIONS.CREATE:
+                return {
+                    id,
+                    method: 'POST',
+                    url: `${listPath}/items`,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: { fields: operation.fields }
+                };
+            case BATCH_OPERATIONS.UPDATE:
+                return {
+                    id,
+                    method: 'PATCH',
+                    url: `${listPath}/items/${operation.itemId}/fields`,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: operation.fields
+                };
+            case BATCH_OPERATIONS.DELETE:
+                return {
+                    id,
+                    method: 'DELETE',
+                    url: `${listPath}/items/${operation.itemId}`
+                };
+            default:
+                throw new Error(`Unsupported batch operation: ${operation.type}`);
+        }
+    }
+
+    /**
+     * Graph バッチの応答を操作結果に変換
+     */
+    toBatchResult(operation, response) {
+        const result = {
+            key: operation.key || null,
+            type: operation.type,
+            itemId: operation.itemId || null,
+            success: false,
+            status: response ? response.status : null,
+            data: null,
+            error: null
+        };
+
+        if (!response) {
+            result.error = 'No response for operation';
+            return result;
+        }
+
+        const success = (response.status >= 200 && response.status < 300) ||
+            (operation.type === BATCH_OPERATIONS.DELETE && response.status === 404);
+
+        result.success = success;
+        if (success) {
+            if (operation.type === BATCH_OPERATIONS.CREATE && response.body) {
+                result.data = this.toRecord(response.body);
+                result.itemId = result.data.Id;
+            }
+        } else {
+            result.error = response.body && response.body.error
+                ? response.body.error.message
+                : `HTTP error! status: ${response.status}`;
+        }
+
+        return result;
+    }
+
+    async queryByMeetingId(meetingId) {
+        return await this.queryItems(`fields/MeetingId eq '${this.escapeODataValue(meetingId)}'`);
+    }
+
+    async queryBySeriesId(seriesId) {
+        return await this.queryItems(`fields/SeriesId eq '${this.escapeODataValue(seriesId)}'`);
+    }
+
+    async queryByStartTime(from, to) {
+        const records = await this.queryItems(
+            `fields/StartTime ge '${from.toISOString()}' and fields/StartTime lt '${to.toISOString()}'`);
+        return records.sort((a, b) => new Date(a.StartTime) - new Date(b.StartTime));
+    }
+
+    async queryCreatedSince(date, fields) {
+        return await this.queryItems(`fields/CreatedDate ge '${date.toISOString()}'`, fields);
+    }
+
+    async getFieldNames() {
+        const listPath = await this.resolveListPath();
+        const data = await this.requestJson('GET', `${listPath}/columns?$select=name`);
+        return data.value.map(column => column.name);
+    }
+
+    async getListInfo() {
+        const listPath = await this.resolveListPath();
+        const list = await this.requestJson('GET', `${listPath}?$select=displayName`);
+
+        // Graph のリストリソースにはアイテム数が含まれない
+        return {
+            title: list.displayName,
+            itemCount: null
+        };
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * I18nService
+ * UI・通知の表示言語と、日時の表示形式（タイムゾーン）を決定するサービス
+ *
+ * UI の言語は i18n.locale（設定での固定）> Office の表示言語 > ブラウザーの言語の順で決定する。
+ * 来訪者向けの言語・タイムゾーンはメールアドレスのドメイン（i18n.visitorDomains）で決定し、
+ * 一致しない場合は i18n.visitorLocale・i18n.visitorTimeZone、未設定なら主催者と同じにする。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { getByPath } from '../utils/Utils.js';
+import { ja } from '../locales/ja.js';
+import { en } from '../locales/en.js';
+
+export const SUPPORTED_LOCALES = ['ja', 'en'];
+export const DEFAULT_LOCALE = 'ja';
+
+const CATALOGS = { ja, en };
+
+// 日時の表示形式（Intl.DateTimeFormat のオプション）
+export const DATE_TIME_FORMATS = {
+    dateTime: { year: 'numeric', month: 'short', day: 'numeric', weekday: 'short', hour: 'numeric', minute: '2-digit' },
+    date: { year: 'numeric', month: 'long', day: 'numeric', weekday: 'short' },
+    monthDay: { month: 'long', day: 'numeric', weekday: 'short' },
+    time: { hour: 'numeric', minute: '2-digit' },
+    logTime: { hour: '2-digit', minute: '2-digit', second: '2-digit' }
+};
+
+/**
+ * 言語タグ（ja-JP・en-US など）を対応している言語に変換
+ *
+ * @returns {string|null} 対応していない場合は fallback
+ */
+export function resolveLocale(tag, fallback = null) {
+    const language = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : fallback;
+}
+
+/**
+ * カタログからメッセージを取得（指定した言語にない場合は既定の言語）
+ */
+function lookupMessage(key, locale) {
+    const message = getByPath(CATALOGS[locale] || {}, key) ?? getByPath(CATALOGS[DEFAULT_LOCALE], key);
+    return typeof message === 'string' ? message : null;
+}
+
+/**
+ * IANA のタイムゾーン名として使用できるか
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export class I18nService {
+    static instance = null;
+
+    /**
+     * シングルトンインスタンスを取得
+     */
+    static getInstance() {
+        if (!I18nService.instance) {
+            I18nService.instance = new I18nService();
+        }
+        return I18nService.instance;
+    }
+
+    constructor() {
+        this.config = ConfigService.getInstance();
+    }
+
+    /**
+     * UI の言語を取得
+     */
+    getLocale() {
+        const { locale, defaultLocale } = this.getI18nConfig();
+        return resolveLocale(locale) ||
+            resolveLocale(this.getDisplayLanguage()) ||
+            resolveLocale(typeof navigator !== 'undefined' ? navigator.language : null) ||
+            defaultLocale;
+    }
+
+    /**
+     * Office の表示言語を取得（Office の外では null）
+     */
+    getDisplayLanguage() {
+        if (typeof Office !== 'undefined' && Office.context && Office.context.displayLanguage) {
+            return Office.context.displayLanguage;
+        }
+        return null;
+    }
+
+    /**
+     * メッセージを取得（{name} を params で置き換える）
+     *
+     * 指定した言語にないキーは既定の言語（日本語）、それにもない場合はキーをそのまま返す。
+     */
+    t(key, params = {}, locale = this.getLocale()) {
+        const message = lookupMessage(key, locale);
+        if (message === null) {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined || params[name] === null ? match : String(params[name]));
+    }
+
+    /**
+     * メッセージのキーがあるか
+     */
+    has(key, locale = this.getLocale()) {
+        return lookupMessage(key, locale) !== null;
+    }
+
+    /**
+     * 日時を言語・タイムゾーンに合わせて表示用の文字列にする
+     *
+     * @param {string|Date} value
+     * @param {{ locale?: string, timeZone?: string, format?: string, withTimeZone?: boolean }} options
+     *        format は DATE_TIME_FORMATS のキー、withTimeZone でタイムゾーン名（JST など）を付ける
+     * @returns {string|null} 日時がない・不正な場合は null
+     */
+    formatDateTime(value, { locale = this.getLocale(), timeZone = null, format = 'dateTime', withTimeZone = false } = {}) {
+        if (!value) {
+            return null;
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+
+        const options = { ...(DATE_TIME_FORMATS[format] || DATE_TIME_FORMATS.dateTime) };
+        if (isValidTimeZone(timeZone)) {
+            options.timeZone = timeZone;
+        }
+        if (withTimeZone) {
+            options.timeZoneName = 'short';
+        }
+        return new Intl.DateTimeFormat(locale, options).format(date);
+    }
+
+    /**
+     * 主催者（アドインの利用者）のタイムゾーンを取得
+     *
+     * Outlook のプロファイルのタイムゾーンが IANA 名でない場合（Windows のタイムゾーン名など）はブラウザーのタイムゾーン。
+     */
+    getOrganizerTimeZone() {
+        const profileTimeZone = typeof Office !== 'undefined' && Office.context && Office.context.mailbox &&
+            Office.context.mailbox.userProfile ? Office.context.mailbox.userProfile.timeZone : null;
+        if (isValidTimeZone(profileTimeZone)) {
+            return profileTimeZone;
+        }
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * 来訪者向けの言語とタイムゾーンを取得
+     *
+     * @returns {{ locale: string, timeZone: string }}
+     */
+    getVisitorContext(email) {
+        const { visitorLocale, visitorTimeZone, visitorDomains } = this.getI18nConfig();
+        const domain = String(email || '').toLowerCase().split('@')[1] || '';
+        const rule = visitorDomains.find(r => {
+            const ruleDomain = String(r.domain || '').toLowerCase();
+            return ruleDomain && (domain === ruleDomain || domain.endsWith(`.${ruleDomain}`));
+        }) || {};
+
+        return {
+            locale: resolveLocale(rule.locale) || resolveLocale(visitorLocale) || this.getLocale(),
+            timeZone: [rule.timeZone, visitorTimeZone].find(isValidTimeZone) || this.getOrganizerTimeZone()
+        };
+    }
+
+    /**
+     * data-i18n 属性を持つ要素の文字列を置き換える（HTML の固定の文字列用）
+     *
+     * 入力欄の placeholder は data-i18n-placeholder 属性で指定する。
+     */
+    translateElements(root = document) {
+        const locale = this.getLocale();
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, {}, locale);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder, {}, locale);
+        });
+        if (root.documentElement) {
+            root.documentElement.lang = locale;
+        }
+    }
+
+    /**
+     * 言語の設定を取得
+     */
+    getI18nConfig() {
+        const i18n = this.config.getConfig().i18n || {};
+        return {
+            defaultLocale: resolveLocale(i18n.defaultLocale) || DEFAULT_LOCALE,
+            locale: i18n.locale || '',
+            visitorLocale: i18n.visitorLocale || '',
+            visitorTimeZone: i18n.visitorTimeZone || '',
+            visitorDomains: Array.isArray(i18n.visitorDomains) ? i18n.visitorDomains : []
+        };
+    }
+}
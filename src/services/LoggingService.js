@@ -0,0 +1,464 @@
+/**
+ * LoggingService
+ * 構造化ログの出力と、シンク（出力先）への配信を担当するサービス
+ *
+ * ログレコードの形式:
+ *   { id, timestamp, level, component, correlationId, message, data }
+ */
+
+import { ConfigService } from './ConfigService.js';
+
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const STORAGE_KEY = 'lobbyExperience_logs';
+
+/**
+ * ログに含めるデータをシリアライズ可能な形に変換
+ */
+function serializeData(data) {
+    if (data === undefined) {
+        return undefined;
+    }
+
+    if (data instanceof Error) {
+        return {
+            name: data.name,
+            message: data.message,
+            stack: data.stack,
+            ...(data.errors ? { errors: data.errors } : {})
+        };
+    }
+
+    try {
+        return JSON.parse(JSON.stringify(data));
+    } catch {
+        return String(data);
+    }
+}
+
+/**
+ * コンソール出力シンク
+ */
+export class ConsoleSink {
+    constructor() {
+        this.name = 'console';
+    }
+
+    write(record) {
+        const method = record.level === 'debug' ? 'debug' : record.level;
+        const prefix = `[${record.timestamp}] [${record.level.toUpperCase()}] [${record.component}]`;
+        const correlation = record.correlationId ? ` (${record.correlationId})` : '';
+        const args = [`${prefix}${correlation} ${record.message}`];
+        if (record.data !== undefined) {
+            args.push(record.data);
+        }
+        (console[method] || console.log)(...args);
+    }
+}
+
+/**
+ * コールバック関数シンク（タスクペーンの活動ログなど）
+ */
+export class CallbackSink {
+    constructor(handler) {
+        this.name = 'callback';
+        this.handler = handler;
+    }
+
+    write(record) {
+        this.handler(record.level, record.message, record.data, record);
+    }
+}
+
+/**
+ * localStorage のリングバッファシンク
+ */
+export class LocalStorageSink {
+    constructor(maxRecords = 500, storageKey = STORAGE_KEY) {
+        this.name = 'localStorage';
+        this.maxRecords = maxRecords;
+        this.storageKey = storageKey;
+    }
+
+    write(record) {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        const records = this.read();
+        records.push(record);
+
+        // 古いレコードから削除
+        const overflow = records.length - this.maxRecords;
+        if (overflow > 0) {
+            records.splice(0, overflow);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(records));
+        } catch {
+            // 容量超過時は半分に切り詰めて再試行
+            localStorage.setItem(this.storageKey, JSON.stringify(records.slice(Math.floor(records.length / 2))));
+        }
+    }
+
+    read() {
+        if (typeof localStorage === 'undefined') {
+            return [];
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            return [];
+        }
+    }
+
+    clear() {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+}
+
+/**
+ * HTTPシンク（一定件数・一定間隔でまとめて送信）
+ */
+export class HttpSink {
+    constructor({ url, batchSize = 20, flushInterval = 10000, headers = {} }) {
+        this.name = 'http';
+        this.url = url;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.headers = headers;
+        this.buffer = [];
+        this.timer = null;
+    }
+
+    write(record) {
+        this.buffer.push(record);
+
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    async flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.buffer.length === 0) {
+            return;
+        }
+
+        const records = this.buffer.splice(0, this.buffer.length);
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.headers
+                },
+                body: JSON.stringify({ source: 'LobbyExperienceAddin', records })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            // ロガー経由で出力すると再帰するためコンソールに直接出力
+            console.warn('LoggingService: failed to ship logs over HTTP', error);
+        }
+    }
+}
+
+/**
+ * コンポーネント名を付与したロガー
+ */
+class ComponentLogger {
+    constructor(root, component) {
+        this.root = root;
+        this.component = component;
+    }
+
+    debug(message, data) {
+        this.root.log('debug', message, data, this.component);
+    }
+
+    info(message, data) {
+        this.root.log('info', message, data, this.component);
+    }
+
+    warn(message, data) {
+        this.root.log('warn', message, data, this.component);
+    }
+
+    error(message, data) {
+        this.root.log('error', message, data, this.component);
+    }
+
+    forComponent(component) {
+        return this.root.forComponent(component);
+    }
+
+    addHandler(handler) {
+        return this.root.addHandler(handler);
+    }
+
+    removeHandler(handler) {
+        this.root.removeHandler(handler);
+    }
+
+    startCorrelation(correlationId) {
+        return this.root.startCorrelation(correlationId);
+    }
+
+    endCorrelation(correlationId) {
+        this.root.endCorrelation(correlationId);
+    }
+
+    getCorrelationId() {
+        return this.root.getCorrelationId();
+    }
+}
+
+export class LoggingService {
+    static instance = null;
+
+    /**
+     * シングルトンインスタンスを取得
+     */
+    static getInstance() {
+        if (!LoggingService.instance) {
+            LoggingService.instance = new LoggingService();
+        }
+        return LoggingService.instance;
+    }
+
+    constructor() {
+        this.level = LOG_LEVELS.info;
+        this.sinks = new Map();
+        this.handlers = new Map();
+        this.correlationId = null;
+        this.sequence = 0;
+        this.storageSink = null;
+
+        // 設定の変更に追従
+        const configService = ConfigService.getInstance();
+        this.configure(configService.getConfig().logging);
+        configService.onChange((config) => this.configure(config.logging));
+    }
+
+    /**
+     * ログ設定を適用
+     */
+    configure(loggingConfig = {}) {
+        this.level = LOG_LEVELS[loggingConfig.level] || LOG_LEVELS.info;
+
+        if (loggingConfig.enableConsole !== false) {
+            if (!this.sinks.has('console')) {
+                this.addSink(new ConsoleSink());
+            }
+        } else {
+            this.removeSink('console');
+        }
+
+        const storageConfig = loggingConfig.storage || {};
+        if (storageConfig.enabled !== false) {
+            const maxRecords = storageConfig.maxRecords || 500;
+            if (!this.storageSink || this.storageSink.maxRecords !== maxRecords) {
+                this.storageSink = new LocalStorageSink(maxRecords);
+                this.addSink(this.storageSink);
+            }
+        } else {
+            this.removeSink('localStorage');
+            this.storageSink = null;
+        }
+
+        const httpConfig = loggingConfig.http || {};
+        const currentHttpSink = this.sinks.get('http');
+        if (httpConfig.url) {
+            if (!currentHttpSink || currentHttpSink.url !== httpConfig.url) {
+                if (currentHttpSink) {
+                    currentHttpSink.flush();
+                }
+                this.addSink(new HttpSink(httpConfig));
+            }
+        } else if (currentHttpSink) {
+            currentHttpSink.flush();
+            this.removeSink('http');
+        }
+    }
+
+    /**
+     * シンクを追加（同名のシンクは置き換え）
+     */
+    addSink(sink) {
+        this.sinks.set(sink.name, sink);
+    }
+
+    /**
+     * シンクを削除
+     */
+    removeSink(name) {
+        this.sinks.delete(name);
+    }
+
+    /**
+     * ログハンドラーを追加（タスクペーン表示用）
+     */
+    addHandler(handler) {
+        const sink = new CallbackSink(handler);
+        this.handlers.set(handler, sink);
+        return () => this.removeHandler(handler);
+    }
+
+    /**
+     * ログハンドラーを削除
+     */
+    removeHandler(handler) {
+        this.handlers.delete(handler);
+    }
+
+    /**
+     * コンポーネント名付きのロガーを取得
+     */
+    forComponent(component) {
+        return new ComponentLogger(this, component);
+    }
+
+    /**
+     * 相関IDを開始（以降のログに付与される）
+     */
+    startCorrelation(correlationId = null) {
+        this.correlationId = correlationId ||
+            `corr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return this.correlationId;
+    }
+
+    /**
+     * 相関IDを終了
+     */
+    endCorrelation(correlationId = null) {
+        if (!correlationId || this.correlationId === correlationId) {
+            this.correlationId = null;
+        }
+    }
+
+    /**
+     * 現在の相関IDを取得
+     */
+    getCorrelationId() {
+        return this.correlationId;
+    }
+
+    debug(message, data) {
+        this.log('debug', message, data);
+    }
+
+    info(message, data) {
+        this.log('info', message, data);
+    }
+
+    warn(message, data) {
+        this.log('warn', message, data);
+    }
+
+    error(message, data) {
+        this.log('error', message, data);
+    }
+
+    /**
+     * ログレコードを作成してシンクに配信
+     */
+    log(level, message, data, component = 'App') {
+        if ((LOG_LEVELS[level] || 0) < this.level) {
+            return;
+        }
+
+        const record = {
+            id: ++this.sequence,
+            timestamp: new Date().toISOString(),
+            level,
+            component,
+            correlationId: this.correlationId,
+            message,
+            data: serializeData(data)
+        };
+
+        for (const sink of [...this.sinks.values(), ...this.handlers.values()]) {
+            try {
+                sink.write(record);
+            } catch (error) {
+                console.error(`LoggingService: sink "${sink.name}" failed`, error);
+            }
+        }
+    }
+
+    /**
+     * 保存済みのログレコードを取得（新しい順に最大 limit 件）
+     */
+    getRecords({ limit = 100, level = null, correlationId = null } = {}) {
+        if (!this.storageSink) {
+            return [];
+        }
+
+        let records = this.storageSink.read();
+
+        if (level) {
+            records = records.filter(r => (LOG_LEVELS[r.level] || 0) >= LOG_LEVELS[level]);
+        }
+
+        if (correlationId) {
+            records = records.filter(r => r.correlationId === correlationId);
+        }
+
+        return records.slice(-limit).reverse();
+    }
+
+    /**
+     * サポート用に直近のログをJSON文字列でエクスポート
+     */
+    exportRecords(limit = 200, filters = {}) {
+        const records = this.getRecords({ ...filters, limit });
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            environment: ConfigService.getInstance().getEnvironment(),
+            count: records.length,
+            records
+        }, null, 2);
+    }
+
+    /**
+     * 保存済みのログを削除
+     */
+    clearRecords() {
+        if (this.storageSink) {
+            this.storageSink.clear();
+        }
+    }
+
+    /**
+     * バッファされたログを送信
+     */
+    async flush() {
+        for (const sink of this.sinks.values()) {
+            if (typeof sink.flush === 'function') {
+                await sink.flush();
+            }
+        }
+    }
+}
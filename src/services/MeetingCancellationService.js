@@ -0,0 +1,180 @@
+/**
+ * MeetingCancellationService
+ * 同期済みの会議がキャンセル・削除されたかを検出するサービス
+ *
+ * 会議のキャンセルや予定の削除は Outlook のアイテムイベントでは通知されないため、
+ * 来訪者を登録した会議（MeetingChangePipeline の同期済みの状態）を Microsoft Graph で確認する。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { AuthService } from './AuthService.js';
+import { MEETING_ID_FORMATS } from './MeetingIdentityService.js';
+import { CANCELLATION_REASONS } from './VisitorReconciliationService.js';
+
+export const MEETING_STATES = {
+    ACTIVE: 'active',
+    CANCELLED: 'cancelled',
+    DELETED: 'deleted',
+    UNKNOWN: 'unknown'
+};
+
+const GRAPH_RESOURCE = 'https://graph.microsoft.com';
+const LAST_CHECK_STORAGE_KEY = 'lobbyExperience_cancellationCheckedAt';
+
+export class MeetingCancellationService {
+    /**
+     * @param {MeetingIdentityService} meetingIdentity 会議IDの形式変換に使用
+     * @param {MeetingChangePipeline} changePipeline 同期済みの会議の取得に使用
+     */
+    constructor(meetingIdentity, changePipeline) {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('MeetingCancellationService');
+        this.meetingIdentity = meetingIdentity;
+        this.changePipeline = changePipeline;
+        this.lastCheckedAt = 0;
+        this.detecting = null;
+    }
+
+    /**
+     * キャンセル・削除された会議を検出
+     *
+     * 一時IDの会議や終了済みの会議は確認しない。
+     *
+     * @param {{ force?: boolean }} options force を指定すると確認間隔を無視して実行
+     * @returns {Promise<Array<{ snapshot: object, state: string, reason: string }>>}
+     */
+    async detect({ force = false } = {}) {
+        if (this.detecting) {
+            return await this.detecting;
+        }
+
+        if (!force && Date.now() - this.getLastCheckedAt() < this.getCheckInterval()) {
+            return [];
+        }
+
+        this.detecting = this.checkSyncedMeetings().finally(() => {
+            this.detecting = null;
+        });
+
+        return await this.detecting;
+    }
+
+    /**
+     * 同期済みの会議の状態を確認
+     */
+    async checkSyncedMeetings() {
+        const now = Date.now();
+        const snapshots = this.changePipeline.getSyncedSnapshots().filter(snapshot =>
+            snapshot.visitors.length > 0 &&
+            !this.meetingIdentity.isTemporaryId(snapshot.meetingId) &&
+            (!snapshot.endTime || new Date(snapshot.endTime).getTime() > now));
+
+        const detected = [];
+
+        for (const snapshot of snapshots) {
+            try {
+                const state = await this.getMeetingState(snapshot.meetingId);
+                if (state === MEETING_STATES.CANCELLED || state === MEETING_STATES.DELETED) {
+                    detected.push({
+                        snapshot,
+                        state,
+                        reason: state === MEETING_STATES.CANCELLED
+                            ? CANCELLATION_REASONS.MEETING_CANCELLED
+                            : CANCELLATION_REASONS.MEETING_DELETED
+                    });
+                }
+            } catch (error) {
+                this.logger.warn(`Failed to check meeting state: ${snapshot.meetingId}`, error);
+            }
+        }
+
+        this.setLastCheckedAt(now);
+
+        if (detected.length > 0) {
+            this.logger.info(`Detected ${detected.length} cancelled or deleted meeting(s)`, {
+                meetings: detected.map(d => ({ meetingId: d.snapshot.meetingId, state: d.state }))
+            });
+        }
+
+        return detected;
+    }
+
+    /**
+     * 会議の状態を取得（Microsoft Graph）
+     */
+    async getMeetingState(meetingId) {
+        const token = await AuthService.getInstance().getAccessToken(GRAPH_RESOURCE);
+        const headers = {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+        };
+
+        // iCalUId は予定の ID ではないため検索で確認する
+        if (this.meetingIdentity.getIdFormat() === MEETING_ID_FORMATS.ICAL_UID) {
+            const filter = `iCalUId eq '${meetingId.replace(/'/g, "''")}'`;
+            const response = await fetch(`${GRAPH_RESOURCE}/v1.0/me/events?$filter=${encodeURIComponent(filter)}&$select=id,isCancelled`, { headers });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (data.value.length === 0) {
+                return MEETING_STATES.DELETED;
+            }
+            return data.value[0].isCancelled ? MEETING_STATES.CANCELLED : MEETING_STATES.ACTIVE;
+        }
+
+        const restId = this.meetingIdentity.getIdFormat() === MEETING_ID_FORMATS.REST
+            ? meetingId
+            : this.meetingIdentity.toRestId(meetingId);
+
+        const response = await fetch(`${GRAPH_RESOURCE}/v1.0/me/events/${encodeURIComponent(restId)}?$select=isCancelled`, { headers });
+
+        if (response.status === 404) {
+            return MEETING_STATES.DELETED;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.isCancelled ? MEETING_STATES.CANCELLED : MEETING_STATES.ACTIVE;
+    }
+
+    /**
+     * 確認間隔（ミリ秒）を取得
+     */
+    getCheckInterval() {
+        return this.config.getConfig().outlook.cancellationCheckIntervalMs ?? 900000;
+    }
+
+    /**
+     * 前回の確認時刻を取得（ランタイムをまたいで共有するため localStorage にも保存）
+     */
+    getLastCheckedAt() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return Number(localStorage.getItem(LAST_CHECK_STORAGE_KEY)) || this.lastCheckedAt;
+            }
+        } catch {
+            // localStorage が使用できない場合はメモリ上の値を使用
+        }
+        return this.lastCheckedAt;
+    }
+
+    /**
+     * 確認時刻を記録
+     */
+    setLastCheckedAt(time) {
+        this.lastCheckedAt = time;
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                localStorage.setItem(LAST_CHECK_STORAGE_KEY, String(time));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save cancellation check time', error);
+        }
+    }
+}
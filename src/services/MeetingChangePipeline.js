@@ -0,0 +1,331 @@
+/**
+ * MeetingChangePipeline
+ * Outlook アイテムの変更イベントをまとめて処理するパイプライン
+ *
+ * 受信者・件名・日時の変更イベントを一定時間（デバウンス）まとめてから会議のスナップショットを取得し、
+ * 最後に同期した状態と比較して、実際に変更があった場合のみフィールド単位の差分付きで1回だけ通知する。
+ *
+ * 通知先が SharePoint への保存を確認できた場合（{ synced: true } を返した場合）のみ同期済みの状態を更新する。
+ * 処理中・失敗・送信キューへの保存の場合は同期済みの状態を更新せず、次の変更の差分にも含める。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { hashString } from '../utils/Utils.js';
+
+const SNAPSHOT_STORAGE_KEY = 'lobbyExperience_meetingSnapshots';
+const MAX_STORED_SNAPSHOTS = 50;
+
+// 比較対象の会議フィールド（recurrence は繰り返しパターンのハッシュ）
+const SNAPSHOT_FIELDS = ['subject', 'startTime', 'endTime', 'recurrence', 'location', 'isOnlineOnly'];
+const TIME_FIELDS = ['startTime', 'endTime', 'recurrence'];
+
+export class MeetingChangePipeline {
+    /**
+     * @param {Function} extract () => Promise<eventData|null> 現在の会議データを取得
+     * @param {Function} emit (changeType, eventData) => Promise<{ synced: boolean, busy?: boolean }|undefined> 変更を通知
+     */
+    constructor(extract, emit) {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('MeetingChangePipeline');
+        this.extract = extract;
+        this.emit = emit;
+        this.pendingTypes = new Set();
+        this.debounceTimer = null;
+        this.firstPendingAt = null;
+        this.flushing = null;
+        this.rerunRequested = false;
+        this.baselines = new Map();
+        this.memorySnapshots = {};
+    }
+
+    /**
+     * 変更イベントを受け付ける（デバウンス後にまとめて処理）
+     */
+    push(changeType) {
+        this.pendingTypes.add(changeType);
+
+        const { debounceMs, maxWaitMs } = this.getTimingConfig();
+        const now = Date.now();
+        if (!this.firstPendingAt) {
+            this.firstPendingAt = now;
+        }
+
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        // 変更が続いても最大待機時間を超えないようにする
+        const delay = Math.max(0, Math.min(debounceMs, this.firstPendingAt + maxWaitMs - now));
+        this.debounceTimer = setTimeout(() => {
+            this.flush().catch(error => this.logger.error('Failed to flush meeting changes', error));
+        }, delay);
+    }
+
+    /**
+     * 保留中の変更を処理
+     */
+    async flush() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+
+        // 処理中に届いた変更は、現在の処理の完了後にもう一度処理する
+        if (this.flushing) {
+            this.rerunRequested = true;
+            return await this.flushing;
+        }
+
+        this.flushing = this.processPending().finally(() => {
+            this.flushing = null;
+        });
+        await this.flushing;
+
+        if (this.rerunRequested) {
+            this.rerunRequested = false;
+            await this.flush();
+        }
+    }
+
+    /**
+     * 会議データを取得して差分を判定
+     */
+    async processPending() {
+        const changeTypes = [...this.pendingTypes];
+        this.pendingTypes.clear();
+        this.firstPendingAt = null;
+
+        if (changeTypes.length === 0) {
+            return;
+        }
+
+        const eventData = await this.extract();
+        if (!eventData) {
+            return;
+        }
+
+        const snapshot = this.createSnapshot(eventData);
+        const previous = this.getSyncedSnapshot(eventData.meetingId) || this.baselines.get(eventData.meetingId) || null;
+        const changes = this.diff(previous, snapshot);
+
+        if (!changes) {
+            this.logger.debug(`No effective changes after ${changeTypes.join(', ')}`, { meetingId: eventData.meetingId });
+            return;
+        }
+
+        const changeType = this.getChangeType(changes);
+        this.logger.info(`Meeting changed: ${changeType}`, { meetingId: eventData.meetingId, events: changeTypes, changes });
+
+        const result = await this.emit(changeType, { ...eventData, changes, changeTypes });
+        if (result && result.synced) {
+            this.markSynced(eventData);
+            return;
+        }
+
+        // 同期できなかった変更は保留したままにする（別の処理の実行中だった場合は後でもう一度処理する）
+        this.logger.info(`Meeting changes left pending: ${changeType}`, { meetingId: eventData.meetingId, busy: Boolean(result && result.busy) });
+        if (result && result.busy) {
+            changeTypes.forEach(type => this.push(type));
+        }
+    }
+
+    /**
+     * 比較の基準となる現在の状態を記録（同期済みの状態がない場合に使用）
+     */
+    async captureBaseline() {
+        try {
+            const eventData = await this.extract();
+            if (eventData && !this.getSyncedSnapshot(eventData.meetingId)) {
+                this.baselines.set(eventData.meetingId, this.createSnapshot(eventData));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to capture meeting baseline', error);
+        }
+    }
+
+    /**
+     * 会議データから比較用のスナップショットを作成
+     */
+    createSnapshot(eventData) {
+        return {
+            meetingId: eventData.meetingId,
+            subject: eventData.subject || '',
+            startTime: this.toIsoString(eventData.startTime),
+            endTime: this.toIsoString(eventData.endTime),
+            recurrence: eventData.recurrence ? hashString(JSON.stringify(eventData.recurrence)) : null,
+            location: eventData.location || '',
+            isOnlineOnly: Boolean(eventData.isOnlineOnly),
+            visitors: (eventData.externalUsers || [])
+                .map(user => user.emailAddress.toLowerCase())
+                .sort(),
+            syncedAt: null
+        };
+    }
+
+    /**
+     * 2つのスナップショットの差分を取得（変更がなければ null）
+     *
+     * @returns {{ fields: object, visitorsAdded: string[], visitorsRemoved: string[] }|null}
+     */
+    diff(previous, current) {
+        const fields = {};
+        for (const field of SNAPSHOT_FIELDS) {
+            // 以前のバージョンで保存したスナップショットにないフィールドは比較しない
+            if (previous && !(field in previous)) {
+                continue;
+            }
+            const from = previous ? previous[field] ?? null : null;
+            if (from !== current[field]) {
+                fields[field] = { from, to: current[field] };
+            }
+        }
+
+        const previousVisitors = new Set(previous ? previous.visitors : []);
+        const currentVisitors = new Set(current.visitors);
+        const visitorsAdded = current.visitors.filter(email => !previousVisitors.has(email));
+        const visitorsRemoved = [...previousVisitors].filter(email => !currentVisitors.has(email));
+
+        if (Object.keys(fields).length === 0 && visitorsAdded.length === 0 && visitorsRemoved.length === 0) {
+            return null;
+        }
+
+        return { fields, visitorsAdded, visitorsRemoved };
+    }
+
+    /**
+     * 差分の内容から変更の種類を決定
+     */
+    getChangeType(changes) {
+        const fieldNames = Object.keys(changes.fields);
+        const visitorsChanged = changes.visitorsAdded.length > 0 || changes.visitorsRemoved.length > 0;
+
+        if (visitorsChanged && fieldNames.length === 0) {
+            return 'recipients_changed';
+        }
+        if (!visitorsChanged && fieldNames.every(f => f === 'subject')) {
+            return 'subject_changed';
+        }
+        if (!visitorsChanged && fieldNames.every(f => TIME_FIELDS.includes(f))) {
+            return 'time_changed';
+        }
+        return 'appointment_changed';
+    }
+
+    /**
+     * 同期済みの状態として記録
+     */
+    markSynced(eventData) {
+        const snapshots = this.readSnapshots();
+        snapshots[eventData.meetingId] = { ...this.createSnapshot(eventData), syncedAt: new Date().toISOString() };
+        this.baselines.delete(eventData.meetingId);
+        this.writeSnapshots(snapshots);
+    }
+
+    /**
+     * 同期済みの状態を取得
+     */
+    getSyncedSnapshot(meetingId) {
+        return this.readSnapshots()[meetingId] || null;
+    }
+
+    /**
+     * 同期済みの状態をすべて取得
+     */
+    getSyncedSnapshots() {
+        return Object.values(this.readSnapshots());
+    }
+
+    /**
+     * 会議の同期済みの状態を削除（会議のキャンセル・削除後）
+     */
+    forgetMeeting(meetingId) {
+        const snapshots = this.readSnapshots();
+        if (snapshots[meetingId]) {
+            delete snapshots[meetingId];
+            this.writeSnapshots(snapshots);
+        }
+        this.baselines.delete(meetingId);
+    }
+
+    /**
+     * 会議IDの変更に合わせてスナップショットを付け替える
+     */
+    remapMeetingId(fromMeetingId, toMeetingId) {
+        const snapshots = this.readSnapshots();
+        if (snapshots[fromMeetingId]) {
+            snapshots[toMeetingId] = { ...snapshots[fromMeetingId], meetingId: toMeetingId };
+            delete snapshots[fromMeetingId];
+            this.writeSnapshots(snapshots);
+        }
+
+        if (this.baselines.has(fromMeetingId)) {
+            this.baselines.set(toMeetingId, { ...this.baselines.get(fromMeetingId), meetingId: toMeetingId });
+            this.baselines.delete(fromMeetingId);
+        }
+    }
+
+    /**
+     * 保存済みのスナップショットを読み込む
+     */
+    readSnapshots() {
+        try {
+            if (typeof localStorage === 'undefined' || !localStorage) {
+                return { ...this.memorySnapshots };
+            }
+            const stored = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch {
+            return { ...this.memorySnapshots };
+        }
+    }
+
+    /**
+     * スナップショットを保存（新しいものから一定件数のみ保持）
+     */
+    writeSnapshots(snapshots) {
+        const trimmed = Object.fromEntries(Object.entries(snapshots)
+            .sort(([, a], [, b]) => (b.syncedAt || '').localeCompare(a.syncedAt || ''))
+            .slice(0, MAX_STORED_SNAPSHOTS));
+
+        this.memorySnapshots = trimmed;
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(trimmed));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save meeting snapshots', error);
+        }
+    }
+
+    /**
+     * デバウンスの設定を取得
+     */
+    getTimingConfig() {
+        const outlook = this.config.getConfig().outlook;
+        return {
+            debounceMs: outlook.changeDebounceMs ?? 1500,
+            maxWaitMs: outlook.changeMaxWaitMs ?? 10000
+        };
+    }
+
+    /**
+     * 日時をISO文字列に変換
+     */
+    toIsoString(date) {
+        if (!date) return null;
+        return new Date(date).toISOString();
+    }
+
+    /**
+     * 保留中の変更を破棄
+     */
+    dispose() {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+        this.pendingTypes.clear();
+        this.firstPendingAt = null;
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * MeetingIdentityService
+ * Outlook クライアントや編集セッションをまたいで同じ会議IDを使うための会議ID管理サービス
+ *
+ * - 保存前の新規予定（itemId なし）には一時IDを発行し、アイテムのカスタムプロパティに保存する
+ * - 保存後は設定された形式（EWS / REST / iCalUId）の恒久IDに切り替える
+ * - 以前に使用したIDと異なる場合は、登録された移行処理で SharePoint の行などを新しいIDへ移す
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { AuthService } from './AuthService.js';
+
+export const MEETING_ID_FORMATS = {
+    EWS: 'ews',
+    REST: 'rest',
+    ICAL_UID: 'iCalUId'
+};
+
+// 一時IDの接頭辞（従来の自動生成IDと同じ形式）
+export const TEMPORARY_ID_PREFIX = 'meeting_';
+
+const CUSTOM_PROPERTY_KEY = 'lobbyMeetingId';
+const GRAPH_RESOURCE = 'https://graph.microsoft.com';
+
+export class MeetingIdentityService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('MeetingIdentityService');
+        this.migrationHandlers = [];
+    }
+
+    /**
+     * IDの移行処理を登録
+     *
+     * @param {Function} handler (fromId, toId) => Promise<any>
+     */
+    registerMigrationHandler(handler) {
+        this.migrationHandlers.push(handler);
+    }
+
+    /**
+     * 会議IDを決定
+     *
+     * @returns {Promise<{ meetingId: string, isTemporary: boolean, previousMeetingId: string|null }>}
+     */
+    async resolve(item) {
+        const customProperties = await this.loadCustomProperties(item);
+        const storedId = customProperties ? customProperties.get(CUSTOM_PROPERTY_KEY) || null : null;
+
+        const ewsId = await this.getEwsId(item);
+        const permanentId = ewsId ? await this.toFormat(ewsId, this.getIdFormat()) : null;
+
+        if (permanentId) {
+            // 以前のID（一時ID、または形式変更前のEWS ID）から移行
+            const previousId = storedId || (this.getIdFormat() !== MEETING_ID_FORMATS.EWS ? ewsId : null);
+
+            if (previousId && previousId !== permanentId) {
+                const migrated = await this.migrate(previousId, permanentId);
+                if (!migrated) {
+                    // 移行に失敗した場合は次回に再試行するため保存済みのIDを残す
+                    return { meetingId: permanentId, isTemporary: false, previousMeetingId: previousId };
+                }
+            }
+
+            if (storedId !== permanentId) {
+                await this.storeId(customProperties, permanentId);
+            }
+
+            return {
+                meetingId: permanentId,
+                isTemporary: false,
+                previousMeetingId: previousId && previousId !== permanentId ? previousId : null
+            };
+        }
+
+        if (storedId) {
+            return { meetingId: storedId, isTemporary: this.isTemporaryId(storedId), previousMeetingId: null };
+        }
+
+        // 保存前の新規予定: 一時IDを発行してアイテムに保存
+        const temporaryId = this.generateTemporaryId();
+        await this.storeId(customProperties, temporaryId);
+        this.logger.info(`Issued temporary meeting id: ${temporaryId}`);
+
+        return { meetingId: temporaryId, isTemporary: true, previousMeetingId: null };
+    }
+
+    /**
+     * 登録された移行処理を実行
+     */
+    async migrate(fromId, toId) {
+        if (this.migrationHandlers.length === 0) {
+            return true;
+        }
+
+        try {
+            this.logger.info(`Migrating meeting id ${fromId} -> ${toId}`);
+            for (const handler of this.migrationHandlers) {
+                await handler(fromId, toId);
+            }
+            return true;
+        } catch (error) {
+            this.logger.warn(`Meeting id migration failed, will retry later: ${fromId} -> ${toId}`, error);
+            return false;
+        }
+    }
+
+    /**
+     * アイテムの EWS ID を取得（作成モードでは保存済みの場合のみ）
+     */
+    async getEwsId(item) {
+        if (item.itemId) {
+            return item.itemId;
+        }
+
+        if (!item.getItemIdAsync) {
+            return null;
+        }
+
+        return await new Promise((resolve) => {
+            item.getItemIdAsync((result) => {
+                resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null);
+            });
+        });
+    }
+
+    /**
+     * EWS ID を指定形式に変換
+     */
+    async toFormat(ewsId, format) {
+        switch (format) {
+            case MEETING_ID_FORMATS.REST:
+                return this.toRestId(ewsId);
+            case MEETING_ID_FORMATS.ICAL_UID:
+                try {
+                    return await this.toICalUId(this.toRestId(ewsId));
+                } catch (error) {
+                    // 取得できない場合は恒久IDを確定しない（保存済みのIDを使い続ける）
+                    this.logger.warn('Failed to resolve iCalUId', error);
+                    return null;
+                }
+            default:
+                return ewsId;
+        }
+    }
+
+    /**
+     * EWS ID を REST ID に変換
+     */
+    toRestId(ewsId) {
+        if (Office.context.mailbox.convertToRestId) {
+            return Office.context.mailbox.convertToRestId(ewsId, Office.MailboxEnums.RestVersion.v2_0);
+        }
+        return ewsId;
+    }
+
+    /**
+     * REST ID を EWS ID に変換
+     */
+    toEwsId(restId) {
+        if (Office.context.mailbox.convertToEwsId) {
+            return Office.context.mailbox.convertToEwsId(restId, Office.MailboxEnums.RestVersion.v2_0);
+        }
+        return restId;
+    }
+
+    /**
+     * REST ID から iCalUId を取得（Microsoft Graph）
+     */
+    async toICalUId(restId) {
+        const token = await AuthService.getInstance().getAccessToken(GRAPH_RESOURCE);
+
+        const response = await fetch(`${GRAPH_RESOURCE}/v1.0/me/events/${encodeURIComponent(restId)}?$select=iCalUId`, {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.iCalUId;
+    }
+
+    /**
+     * カスタムプロパティを読み込む
+     */
+    async loadCustomProperties(item) {
+        if (!item.loadCustomPropertiesAsync) {
+            return null;
+        }
+
+        return await new Promise((resolve) => {
+            item.loadCustomPropertiesAsync((result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    resolve(result.value);
+                } else {
+                    this.logger.warn('Failed to load custom properties', result.error);
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * 会議IDをカスタムプロパティに保存
+     */
+    async storeId(customProperties, meetingId) {
+        if (!customProperties) {
+            return;
+        }
+
+        customProperties.set(CUSTOM_PROPERTY_KEY, meetingId);
+
+        await new Promise((resolve) => {
+            customProperties.saveAsync((result) => {
+                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                    this.logger.warn('Failed to save meeting id to custom properties', result.error);
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * 設定された恒久IDの形式を取得
+     */
+    getIdFormat() {
+        return this.config.getConfig().outlook.meetingIdFormat || MEETING_ID_FORMATS.EWS;
+    }
+
+    /**
+     * 一時IDかどうか
+     */
+    isTemporaryId(meetingId) {
+        return typeof meetingId === 'string' && meetingId.startsWith(TEMPORARY_ID_PREFIX);
+    }
+
+    /**
+     * 一時IDを生成
+     */
+    generateTemporaryId() {
+        return `${TEMPORARY_ID_PREFIX}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
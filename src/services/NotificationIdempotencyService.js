@@ -0,0 +1,260 @@
+/**
+ * NotificationIdempotencyService
+ * 通知の冪等キーを作成し、送信済みのキーを記録して重複した通知を防ぐサービス
+ *
+ * キーは会議・来訪者・通知の種類・通知に関係する内容のハッシュから決まるため、
+ * イベントの連続発生や来訪者レコードの作り直しで同じ通知を再び送ろうとしても同じ値になる。
+ * 送信済みのキーはルートごとに、この端末（localStorage）と SharePoint の来訪者レコード（NotificationKeys 列）に記録する。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { hashString } from '../utils/Utils.js';
+
+// フローに冪等キーを渡す HTTP ヘッダー
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// 通知を送信しなかった理由
+export const SKIP_REASONS = {
+    NO_ROUTE: 'no_route',
+    ALREADY_SENT: 'already_sent'
+};
+
+const LEDGER_STORAGE_KEY = 'lobbyExperience_notificationKeys';
+const MAX_STORED_SCOPES = 500;
+
+// 会議単位の通知の記録に使用する来訪者の代わりの値
+const MEETING_SCOPE = '*';
+
+// キーに含める内容（通知の種類ごと。未定義の種類は会議と来訪者のみで決まる）
+const CONTENT_FIELDS = {
+    created: ['meetingTitle', 'startTime', 'endTime', 'location', 'isOnlineOnly'],
+    updated: ['meetingTitle', 'startTime', 'endTime', 'location', 'isOnlineOnly'],
+    reception_digest: ['meetingTitle', 'startTime', 'endTime', 'location', 'isOnlineOnly', 'isCancelled', 'visitors'],
+    organizer_summary: ['isCancelled', 'visitors', 'summary', 'failures']
+};
+
+// 送信すると以前の送信記録を無効にする種類（キャンセル後に再び登録された来訪者に通知するため）
+const SUPERSEDED_TYPES = {
+    created: ['cancelled'],
+    updated: ['cancelled'],
+    cancelled: ['created', 'updated']
+};
+
+export class NotificationIdempotencyService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('NotificationIdempotencyService');
+        this.remoteStore = null;
+        this.memoryLedger = {};
+    }
+
+    /**
+     * 送信済みのキーを来訪者レコードに記録するストアを設定（SharePointService）
+     *
+     * @param {{ getNotificationKeys: Function, saveNotificationKeys: Function }|null} store
+     */
+    setRemoteStore(store) {
+        this.remoteStore = store;
+    }
+
+    /**
+     * 重複した通知を送信しないか
+     */
+    isEnabled() {
+        return this.getIdempotencyConfig().enabled;
+    }
+
+    /**
+     * 通知の冪等キーを作成
+     *
+     * @param {object} data 通知のデータ（meetingId, visitorEmail, notificationType と内容のフィールド）
+     * @returns {{ key: string, contentHash: string }}
+     */
+    createKey(data) {
+        const fields = CONTENT_FIELDS[data.notificationType] || [];
+        const content = fields.map(field => data[field] ?? null);
+        const contentHash = hashString(JSON.stringify(content));
+        const visitor = (data.visitorEmail || MEETING_SCOPE).toLowerCase();
+
+        return {
+            key: `${data.notificationType}-${hashString(data.meetingId || '')}${hashString(visitor)}-${contentHash}`,
+            contentHash
+        };
+    }
+
+    /**
+     * 会議の来訪者レコードに記録された送信済みのキーを取得
+     *
+     * 取得できない場合（列がない、接続できないなど）は端末の記録のみで判定する。
+     *
+     * @returns {Promise<Map<string, { itemId: string|number, keys: object }>>} 小文字のメールアドレスごとの記録
+     */
+    async loadRemoteKeys(meetingId) {
+        if (!this.remoteStore || !this.getIdempotencyConfig().trackInSharePoint) {
+            return new Map();
+        }
+
+        try {
+            return await this.remoteStore.getNotificationKeys(meetingId);
+        } catch (error) {
+            this.logger.warn(`Failed to load sent notification keys for meeting ${meetingId}`, error);
+            return new Map();
+        }
+    }
+
+    /**
+     * 送信済みのルートを除いた送信先を取得
+     *
+     * @param {{ meetingId: string, visitorEmail?: string }} scope
+     * @param {{ contentHash: string }} idempotency createKey() の結果
+     * @param {string[]} routeNames 通知に一致するルート
+     * @param {{ keys: object }|undefined} remote loadRemoteKeys() の来訪者の記録
+     * @returns {{ pendingRoutes: string[], source: string|null }} source は送信済みと判定した記録（'local' | 'sharePoint'）
+     */
+    check(scope, notificationType, idempotency, routeNames, remote) {
+        if (!this.isEnabled()) {
+            return { pendingRoutes: routeNames, source: null };
+        }
+
+        const sentRoutes = entry => entry && entry.contentHash === idempotency.contentHash ? entry.routes || [] : [];
+        const local = sentRoutes(this.readLedger()[this.getScopeKey(scope)]?.types?.[notificationType]);
+        const shared = sentRoutes(remote?.keys?.[notificationType]);
+
+        const pendingRoutes = routeNames.filter(name => !local.includes(name) && !shared.includes(name));
+        const source = pendingRoutes.length === routeNames.length
+            ? null
+            : (routeNames.some(name => local.includes(name)) ? 'local' : 'sharePoint');
+
+        return { pendingRoutes, source };
+    }
+
+    /**
+     * 送信できたルートを記録（同じ来訪者の無効になった種類の記録は削除）
+     *
+     * @param {{ meetingId: string, visitorEmail?: string }} scope
+     * @param {{ key: string, contentHash: string }} idempotency createKey() の結果
+     * @param {string[]} routeNames 送信できたルート
+     * @param {{ itemId: string|number, keys: object }|undefined} remote loadRemoteKeys() の来訪者の記録（更新される）
+     */
+    async record(scope, notificationType, idempotency, routeNames, remote) {
+        if (!this.isEnabled() || routeNames.length === 0) {
+            return;
+        }
+
+        const sentAt = new Date().toISOString();
+        const merge = (keys = {}) => {
+            const previous = keys[notificationType];
+            const routes = previous && previous.contentHash === idempotency.contentHash ? previous.routes || [] : [];
+            const merged = { ...keys };
+            for (const type of SUPERSEDED_TYPES[notificationType] || []) {
+                delete merged[type];
+            }
+            merged[notificationType] = {
+                key: idempotency.key,
+                contentHash: idempotency.contentHash,
+                routes: [...new Set([...routes, ...routeNames])],
+                sentAt
+            };
+            return merged;
+        };
+
+        const ledger = this.readLedger();
+        const scopeKey = this.getScopeKey(scope);
+        ledger[scopeKey] = { updatedAt: sentAt, types: merge(ledger[scopeKey]?.types) };
+        this.writeLedger(ledger);
+
+        if (remote && remote.itemId && this.remoteStore && this.getIdempotencyConfig().trackInSharePoint) {
+            remote.keys = merge(remote.keys);
+            try {
+                await this.remoteStore.saveNotificationKeys(remote.itemId, remote.keys);
+            } catch (error) {
+                // 端末の記録は残るため、通知の送信は成功として扱う
+                this.logger.warn(`Failed to save sent notification key for ${scope.visitorEmail}`, error);
+            }
+        }
+    }
+
+    /**
+     * 端末の記録の会議IDを付け替える（一時IDから恒久IDへの移行など）
+     *
+     * 定期的な予定の各回の記録（各回のIDはシリーズIDで始まる）も付け替える。
+     */
+    remapMeetingId(fromMeetingId, toMeetingId) {
+        const ledger = this.readLedger();
+        let remapped = 0;
+
+        for (const [scopeKey, entry] of Object.entries(ledger)) {
+            if (!scopeKey.startsWith(fromMeetingId)) {
+                continue;
+            }
+            const targetKey = toMeetingId + scopeKey.slice(fromMeetingId.length);
+            ledger[targetKey] = {
+                updatedAt: entry.updatedAt,
+                types: { ...entry.types, ...(ledger[targetKey]?.types || {}) }
+            };
+            delete ledger[scopeKey];
+            remapped++;
+        }
+
+        if (remapped > 0) {
+            this.writeLedger(ledger);
+            this.logger.info(`Remapped ${remapped} sent notification record(s) from ${fromMeetingId} to ${toMeetingId}`);
+        }
+    }
+
+    /**
+     * 記録のキー（会議IDと小文字のメールアドレス）
+     */
+    getScopeKey(scope) {
+        return `${scope.meetingId}|${(scope.visitorEmail || MEETING_SCOPE).toLowerCase()}`;
+    }
+
+    /**
+     * 端末の記録を読み込む
+     */
+    readLedger() {
+        try {
+            if (typeof localStorage === 'undefined' || !localStorage) {
+                return { ...this.memoryLedger };
+            }
+            const stored = localStorage.getItem(LEDGER_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch {
+            return { ...this.memoryLedger };
+        }
+    }
+
+    /**
+     * 端末の記録を保存（保持期間を過ぎたものを削除し、新しいものから一定件数のみ保持）
+     */
+    writeLedger(ledger) {
+        const { retentionDays } = this.getIdempotencyConfig();
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const trimmed = Object.fromEntries(Object.entries(ledger)
+            .filter(([, entry]) => (entry.updatedAt || '') >= cutoff)
+            .sort(([, a], [, b]) => b.updatedAt.localeCompare(a.updatedAt))
+            .slice(0, MAX_STORED_SCOPES));
+
+        this.memoryLedger = trimmed;
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(trimmed));
+            }
+        } catch (error) {
+            this.logger.warn('Failed to save sent notification keys', error);
+        }
+    }
+
+    /**
+     * 重複防止の設定を取得
+     */
+    getIdempotencyConfig() {
+        const idempotency = (this.config.getConfig().powerAutomate || {}).idempotency || {};
+        return {
+            enabled: idempotency.enabled !== false,
+            trackInSharePoint: idempotency.trackInSharePoint !== false,
+            retentionDays: idempotency.retentionDays ?? 30
+        };
+    }
+}
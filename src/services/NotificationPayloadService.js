@@ -0,0 +1,316 @@
+/**
+ * NotificationPayloadService
+ * Power Automate に送信する通知のペイロードを、バージョン付きのスキーマに沿って作成・検証するサービス
+ *
+ * ペイロードは schemaVersion のスキーマに定義されたフィールドのみを含み、送信前に型と必須項目を検証する。
+ * フロー側のトリガーのスキーマに合わせて、fieldMap でフィールド名の変更や除外ができる。
+ *
+ * ペイロードの種類（kind）は来訪者ごとの通知（visitor）と会議単位の通知（meeting、v2 以降）がある。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+
+// 来訪者ごとの通知の種類（notificationType）
+export const NOTIFICATION_TYPES = ['created', 'updated', 'cancelled', 'arrived', 'checked_in', 'checked_out', 'no_show'];
+
+// 会議単位の通知の種類（受付向けの来訪者一覧、主催者向けの登録結果）
+export const MEETING_NOTIFICATION_TYPES = ['reception_digest', 'organizer_summary'];
+
+export const PAYLOAD_KINDS = {
+    VISITOR: 'visitor',
+    MEETING: 'meeting'
+};
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+// v1: 会議と来訪者の基本情報のみ
+const V1_FIELDS = {
+    meetingId: { type: 'string', required: true },
+    meetingTitle: NULLABLE_STRING,
+    visitorEmail: { type: 'string', required: true },
+    visitorName: { type: 'string', required: true },
+    startTime: NULLABLE_STRING,
+    endTime: NULLABLE_STRING,
+    notificationType: { type: 'string', required: true, enum: NOTIFICATION_TYPES },
+    // 同じ会議・来訪者・種類・内容の通知は同じ値（フローでの重複判定用。Idempotency-Key ヘッダーと同じ値）
+    idempotencyKey: { type: 'string', required: true },
+    timestamp: { type: 'string', required: true },
+    source: { type: 'string', required: true }
+};
+
+// v2: 担当者（主催者）・場所・言語とタイムゾーン・入館証を追加
+const V2_FIELDS = {
+    meetingId: V1_FIELDS.meetingId,
+    meetingTitle: V1_FIELDS.meetingTitle,
+    visitorEmail: V1_FIELDS.visitorEmail,
+    visitorName: V1_FIELDS.visitorName,
+    startTime: V1_FIELDS.startTime,
+    endTime: V1_FIELDS.endTime,
+    organizerName: NULLABLE_STRING,
+    organizerEmail: NULLABLE_STRING,
+    location: NULLABLE_STRING,
+    isOnlineMeeting: { type: 'boolean', required: true },
+    isOnlineOnly: { type: 'boolean', required: true },
+    locale: { type: 'string', required: true },
+    timeZone: { type: 'string', required: true },
+    startTimeLocal: NULLABLE_STRING,
+    endTimeLocal: NULLABLE_STRING,
+    organizerLocale: { type: 'string', required: true },
+    organizerTimeZone: { type: 'string', required: true },
+    organizerStartTimeLocal: NULLABLE_STRING,
+    organizerEndTimeLocal: NULLABLE_STRING,
+    passUrl: NULLABLE_STRING,
+    passFileName: NULLABLE_STRING,
+    passHtml: NULLABLE_STRING,
+    notificationType: V1_FIELDS.notificationType,
+    idempotencyKey: V1_FIELDS.idempotencyKey,
+    timestamp: V1_FIELDS.timestamp,
+    source: V1_FIELDS.source
+};
+
+// v2 の会議単位の通知: 会議の情報（主催者の言語・タイムゾーン）と来訪者の一覧、主催者向けの登録結果
+const V2_MEETING_FIELDS = {
+    meetingId: V1_FIELDS.meetingId,
+    meetingTitle: V1_FIELDS.meetingTitle,
+    startTime: V1_FIELDS.startTime,
+    endTime: V1_FIELDS.endTime,
+    organizerName: NULLABLE_STRING,
+    organizerEmail: NULLABLE_STRING,
+    location: NULLABLE_STRING,
+    isOnlineMeeting: V2_FIELDS.isOnlineMeeting,
+    isOnlineOnly: V2_FIELDS.isOnlineOnly,
+    isCancelled: { type: 'boolean', required: true },
+    locale: V2_FIELDS.locale,
+    timeZone: V2_FIELDS.timeZone,
+    startTimeLocal: NULLABLE_STRING,
+    endTimeLocal: NULLABLE_STRING,
+    visitorCount: { type: 'number', required: true },
+    visitors: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                email: { type: 'string' },
+                name: { type: 'string' }
+            }
+        }
+    },
+    // organizer_summary のみ（reception_digest は null）
+    summary: {
+        type: ['object', 'null'],
+        properties: {
+            added: { type: 'number' },
+            updated: { type: 'number' },
+            cancelled: { type: 'number' },
+            unchanged: { type: 'number' },
+            registrationQueued: { type: 'boolean' },
+            notificationsSent: { type: 'number' },
+            notificationsQueued: { type: 'number' },
+            failed: { type: 'number' }
+        }
+    },
+    failures: {
+        type: ['array', 'null'],
+        items: {
+            type: 'object',
+            properties: {
+                email: { type: 'string' },
+                operation: { type: 'string' },
+                error: { type: 'string' },
+                queued: { type: 'boolean' }
+            }
+        }
+    },
+    notificationType: { type: 'string', required: true, enum: MEETING_NOTIFICATION_TYPES },
+    idempotencyKey: V1_FIELDS.idempotencyKey,
+    timestamp: V1_FIELDS.timestamp,
+    source: V1_FIELDS.source
+};
+
+// バージョン・種類ごとのフィールド定義（type は JSON の型、required は null・未設定を許可しない）
+export const PAYLOAD_SCHEMAS = {
+    1: { visitor: V1_FIELDS },
+    2: { visitor: V2_FIELDS, meeting: V2_MEETING_FIELDS }
+};
+
+export const PAYLOAD_SCHEMA_VERSIONS = Object.keys(PAYLOAD_SCHEMAS).map(Number);
+export const LATEST_PAYLOAD_SCHEMA_VERSION = Math.max(...PAYLOAD_SCHEMA_VERSIONS);
+
+/**
+ * ペイロードの検証エラー
+ *
+ * 設定やデータの誤りのため再実行しても成功しない（retryable = false）。
+ */
+export class PayloadValidationError extends Error {
+    constructor(errors, schemaVersion) {
+        super(`Invalid notification payload (schema v${schemaVersion}): ${errors.map(e => `${e.field} (${e.code})`).join(', ')}`);
+        this.name = 'PayloadValidationError';
+        this.errors = errors;
+        this.schemaVersion = schemaVersion;
+        this.retryable = false;
+    }
+}
+
+/**
+ * 値の JSON の型を取得
+ */
+function getJsonType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+export class NotificationPayloadService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('NotificationPayloadService');
+    }
+
+    /**
+     * 通知のデータからペイロードを作成（検証とフィールド名の変更を含む）
+     *
+     * @param {object} data すべてのバージョンのフィールドを含む通知のデータ
+     * @param {{ schemaVersion?: number, fieldMap?: object, kind?: string }} options 省略時は powerAutomate.payload の設定
+     * @returns {object} 送信するペイロード（検証に失敗した場合は PayloadValidationError）
+     */
+    buildPayload(data, options = {}) {
+        const { schemaVersion, fieldMap, kind = PAYLOAD_KINDS.VISITOR } = { ...this.getPayloadConfig(), ...options };
+        const fields = this.getSchema(schemaVersion, kind);
+
+        const payload = { schemaVersion };
+        for (const field of Object.keys(fields)) {
+            payload[field] = data[field] === undefined ? null : data[field];
+        }
+
+        const errors = this.validate(payload, schemaVersion, kind);
+        if (errors.length > 0) {
+            const error = new PayloadValidationError(errors, schemaVersion);
+            this.logger.error('Notification payload failed schema validation', { errors, meetingId: data.meetingId });
+            throw error;
+        }
+
+        return this.applyFieldMap(payload, fieldMap);
+    }
+
+    /**
+     * ペイロードをスキーマに対して検証
+     *
+     * @returns {Array<{ field: string, code: string, message: string }>}
+     */
+    validate(payload, schemaVersion, kind = PAYLOAD_KINDS.VISITOR) {
+        const fields = this.getSchema(schemaVersion, kind);
+        const errors = [];
+
+        for (const [field, definition] of Object.entries(fields)) {
+            const value = payload[field];
+            const types = [].concat(definition.type);
+
+            if (value === undefined || value === null) {
+                if (definition.required || !types.includes('null')) {
+                    errors.push({ field, code: 'required', message: `${field} is required` });
+                }
+                continue;
+            }
+
+            const actualType = getJsonType(value);
+            if (!types.includes(actualType)) {
+                errors.push({ field, code: 'type', message: `${field} must be of type ${types.join(' or ')} (got ${actualType})` });
+                continue;
+            }
+
+            if (definition.enum && !definition.enum.includes(value)) {
+                errors.push({ field, code: 'enum', message: `${field} must be one of: ${definition.enum.join(', ')}` });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * フィールド名を変更（fieldMap の値が null・空文字のフィールドは送信しない）
+     *
+     * 例: { "organizerName": "hostName", "passHtml": null }
+     */
+    applyFieldMap(payload, fieldMap = {}) {
+        const mapped = {};
+
+        for (const [field, value] of Object.entries(payload)) {
+            const target = Object.prototype.hasOwnProperty.call(fieldMap, field) ? fieldMap[field] : field;
+            if (!target) {
+                continue;
+            }
+            if (Object.prototype.hasOwnProperty.call(mapped, target)) {
+                throw new PayloadValidationError([{
+                    field,
+                    code: 'duplicate',
+                    message: `${field} is mapped to ${target}, which is already used`
+                }], payload.schemaVersion);
+            }
+            mapped[target] = value;
+        }
+
+        return mapped;
+    }
+
+    /**
+     * フローの「HTTP要求の受信時」トリガーに設定する JSON スキーマを作成（fieldMap を反映）
+     */
+    getTriggerSchema(options = {}) {
+        const { schemaVersion, fieldMap, kind = PAYLOAD_KINDS.VISITOR } = { ...this.getPayloadConfig(), ...options };
+        const fields = this.getSchema(schemaVersion, kind);
+
+        const properties = { schemaVersion: { type: 'integer' } };
+        const required = ['schemaVersion'];
+        for (const [field, { type, required: isRequired, items, properties: nested }] of Object.entries(fields)) {
+            properties[field] = { type, ...(items ? { items } : {}), ...(nested ? { properties: nested } : {}) };
+            if (isRequired) {
+                required.push(field);
+            }
+        }
+
+        const renamed = this.applyFieldMap(properties, fieldMap);
+        return {
+            type: 'object',
+            properties: renamed,
+            required: required
+                .map(field => Object.prototype.hasOwnProperty.call(fieldMap, field) ? fieldMap[field] : field)
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * バージョン・種類のフィールド定義を取得
+     */
+    getSchema(schemaVersion, kind = PAYLOAD_KINDS.VISITOR) {
+        const schemas = PAYLOAD_SCHEMAS[schemaVersion];
+        if (!schemas) {
+            throw new PayloadValidationError([{
+                field: 'schemaVersion',
+                code: 'unsupported_version',
+                message: `Unsupported payload schema version: ${schemaVersion}`
+            }], schemaVersion);
+        }
+        if (!schemas[kind]) {
+            throw new PayloadValidationError([{
+                field: 'schemaVersion',
+                code: 'unsupported_kind',
+                message: `Payload schema version ${schemaVersion} does not support ${kind} notifications`
+            }], schemaVersion);
+        }
+        return schemas[kind];
+    }
+
+    /**
+     * ペイロードの設定を取得
+     */
+    getPayloadConfig() {
+        const payload = (this.config.getConfig().powerAutomate || {}).payload || {};
+        return {
+            schemaVersion: payload.schemaVersion ?? LATEST_PAYLOAD_SCHEMA_VERSION,
+            fieldMap: payload.fieldMap || {}
+        };
+    }
+}
@@ -0,0 +1,1074 @@
+/**
+ * OutboxService
+ * SharePoint への書き込みと Power Automate 通知の送信待ちキュー（アウトボックス）
+ *
+ * 送信に失敗した操作やオフライン中の操作を IndexedDB（使用できない場合は localStorage）に保存し、
+ * 接続の回復時やアドインの起動時に登録順で再実行する。
+ * 同じ会議（groupKey）の操作は順序を保つため、先の操作が失敗している間は後続を実行しない。
+ * 来訪者レコードをキャンセル済みにした場合は、その来訪者にキャンセル通知を1回だけ送信する。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { I18nService } from './I18nService.js';
+import { hashString } from '../utils/Utils.js';
+import { fromMeetingDetailFields } from './VisitorReconciliationService.js';
+import { STATUS_NOTIFICATION_TYPES } from './VisitorLifecycleService.js';
+
+export const OUTBOX_OPERATIONS = {
+    CREATE_VISITOR_RECORDS: 'sharePoint.createVisitorRecords',
+    UPDATE_VISITOR_RECORDS: 'sharePoint.updateVisitorRecords',
+    UPDATE_SERIES_VISITOR_RECORDS: 'sharePoint.updateSeriesVisitorRecords',
+    DELETE_VISITOR_RECORDS: 'sharePoint.deleteVisitorRecords',
+    CANCEL_VISITOR_RECORDS: 'sharePoint.cancelVisitorRecords',
+    UPDATE_VISITOR_STATUS: 'sharePoint.updateVisitorStatus',
+    SEND_NOTIFICATION: 'powerAutomate.sendNotification',
+    SEND_MEETING_NOTIFICATION: 'powerAutomate.sendMeetingNotification'
+};
+
+export const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    FAILED: 'failed',
+    DEAD_LETTER: 'deadLetter'
+};
+
+const DB_NAME = 'lobbyExperience';
+const STORE_NAME = 'outbox';
+
+/**
+ * IndexedDB に保存するストア
+ */
+class IndexedDbOutboxStore {
+    constructor() {
+        this.name = 'indexedDB';
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async getAll() {
+        return await this.transaction('readonly', store => store.getAll());
+    }
+
+    async put(entry) {
+        await this.transaction('readwrite', store => store.put(entry));
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * localStorage に保存するストア（使用できない場合はメモリ上に保持）
+ */
+class LocalStorageOutboxStore {
+    constructor(key = 'lobbyExperience_outbox') {
+        this.name = 'localStorage';
+        this.key = key;
+        this.memory = [];
+    }
+
+    read() {
+        try {
+            if (typeof localStorage === 'undefined' || !localStorage) {
+                return this.memory;
+            }
+            const stored = localStorage.getItem(this.key);
+            return stored ? JSON.parse(stored) : [];
+        } catch {
+            return this.memory;
+        }
+    }
+
+    write(entries) {
+        this.memory = entries;
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                localStorage.setItem(this.key, JSON.stringify(entries));
+            }
+        } catch {
+            // 容量超過などの場合はメモリ上のみ保持
+        }
+    }
+
+    async getAll() {
+        return this.read();
+    }
+
+    async put(entry) {
+        const entries = this.read().filter(e => e.id !== entry.id);
+        entries.push(entry);
+        this.write(entries);
+    }
+
+    async delete(id) {
+        this.write(this.read().filter(e => e.id !== id));
+    }
+}
+
+/**
+ * 一部のルートのみ失敗した場合に、失敗したルートの分だけを再実行するペイロードを設定
+ */
+function setRetryRoutes(error, routeResults, payload) {
+    const retryRoutes = (routeResults || []).filter(r => !r.success && r.retryable).map(r => r.route);
+    if (retryRoutes.length > 0) {
+        error.retryPayload = { ...payload, routes: retryRoutes };
+    }
+}
+
+/**
+ * 一部の来訪者のレコードのみ作成できなかった場合に、失敗した来訪者の分だけを再実行するペイロードを設定
+ */
+function setRetryVisitors(error, result, payload) {
+    const failedEmails = new Set(((result && result.failed) || []).map(f => String(f.visitorEmail).toLowerCase()));
+    if (failedEmails.size > 0) {
+        error.retryPayload = {
+            ...payload,
+            externalUsers: payload.externalUsers.filter(user => failedEmails.has(String(user.emailAddress).toLowerCase()))
+        };
+    }
+}
+
+/**
+ * 来訪者の登録・通知の結果から、主催者向けの登録結果を作成
+ *
+ * @param {object|null} sharePointOutcome 登録（updateVisitorRecords() などの execute() の結果）
+ * @param {Array} notificationResults 来訪者ごとの通知（sendVisitorNotifications() の結果）
+ */
+function buildRegistrationReport(sharePointOutcome, notificationResults) {
+    const changeSet = sharePointOutcome ? sharePointOutcome.result : null;
+    const count = key => (changeSet && Array.isArray(changeSet[key]) ? changeSet[key].length : 0);
+    // 送信済みのため送信しなかった通知は含めない
+    const details = notificationResults.flatMap(result => result.details)
+        .filter(d => !(d.result && d.result.skipped && d.result.skipped.length > 0));
+
+    const failures = [
+        ...((changeSet && changeSet.failed) || []).map(f => ({
+            email: f.visitorEmail,
+            operation: f.operation,
+            error: f.error,
+            queued: Boolean(sharePointOutcome.queued)
+        })),
+        ...details.filter(d => d.error).map(d => ({
+            email: d.email,
+            operation: 'notification',
+            error: d.error.message,
+            queued: d.queued
+        }))
+    ];
+
+    const summary = {
+        added: count('added'),
+        updated: count('updated'),
+        cancelled: count('cancelled'),
+        unchanged: count('unchanged'),
+        registrationQueued: Boolean(sharePointOutcome && sharePointOutcome.queued),
+        notificationsSent: details.filter(d => !d.queued && !d.error).length,
+        notificationsQueued: details.filter(d => d.queued).length,
+        failed: failures.length
+    };
+
+    const hasChanges = summary.added + summary.updated + summary.cancelled > 0 ||
+        summary.registrationQueued || details.length > 0 || failures.length > 0;
+
+    return { summary, failures, hasChanges };
+}
+
+export class OutboxService {
+    static instance = null;
+
+    /**
+     * シングルトンインスタンスを取得
+     */
+    static getInstance() {
+        if (!OutboxService.instance) {
+            OutboxService.instance = new OutboxService();
+        }
+        return OutboxService.instance;
+    }
+
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('OutboxService');
+        this.i18n = I18nService.getInstance();
+        this.store = IndexedDbOutboxStore.isAvailable() ? new IndexedDbOutboxStore() : new LocalStorageOutboxStore();
+        this.handlers = new Map();
+        this.listeners = new Set();
+        this.lastSequence = 0;
+        this.replaying = null;
+        this.onlineListener = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * サービスを初期化し、残っている操作を再実行
+     */
+    async initialize() {
+        try {
+            if (this.isInitialized) {
+                return;
+            }
+
+            try {
+                await this.store.getAll();
+            } catch (error) {
+                // IndexedDB を開けない環境（プライベートモードなど）では localStorage に切り替える
+                this.logger.warn('IndexedDB is not available, falling back to localStorage', error);
+                this.store = new LocalStorageOutboxStore();
+            }
+
+            const entries = await this.store.getAll();
+            this.lastSequence = entries.reduce((max, e) => Math.max(max, e.sequence), 0);
+
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                this.onlineListener = () => {
+                    this.logger.info('Connection restored, replaying outbox');
+                    this.replay().catch(error => this.logger.error('Outbox replay failed', error));
+                };
+                window.addEventListener('online', this.onlineListener);
+            }
+
+            this.isInitialized = true;
+            this.logger.info(`OutboxService initialized (store: ${this.store.name}, entries: ${entries.length})`);
+
+            if (entries.length > 0) {
+                await this.replay();
+            }
+        } catch (error) {
+            this.logger.error('Failed to initialize OutboxService', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 来訪者の記録・通知に使用するサービスの処理を登録
+     */
+    registerServices({ sharePoint, powerAutomate }) {
+        if (sharePoint) {
+            this.registerHandler(OUTBOX_OPERATIONS.CREATE_VISITOR_RECORDS, async (payload) => {
+                let result;
+                try {
+                    result = await sharePoint.createVisitorRecord(
+                        payload.meetingId,
+                        payload.meetingTitle,
+                        payload.externalUsers,
+                        payload.startTime,
+                        payload.endTime,
+                        payload.meetingDetails || null
+                    );
+                } catch (error) {
+                    setRetryVisitors(error, error.result, payload);
+                    throw error;
+                }
+
+                if (result.failed.length > 0) {
+                    const error = new Error(`${result.failed.length} SharePoint operation(s) failed`);
+                    error.result = result;
+                    // 作成できた来訪者は再作成しない
+                    setRetryVisitors(error, result, payload);
+                    throw error;
+                }
+                return result;
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.UPDATE_VISITOR_RECORDS, async (payload) => {
+                const changeSet = await sharePoint.updateVisitorRecords(
+                    payload.meetingId,
+                    payload.meetingTitle,
+                    payload.externalUsers,
+                    payload.startTime,
+                    payload.endTime,
+                    payload.meetingDetails || null
+                );
+
+                return await this.completeVisitorChangeSet(changeSet);
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.UPDATE_SERIES_VISITOR_RECORDS, async (payload) => {
+                const changeSet = await sharePoint.updateSeriesVisitorRecords(
+                    payload.meetingId,
+                    payload.meetingTitle,
+                    payload.externalUsers,
+                    payload.schedule,
+                    payload.meetingDetails || null
+                );
+                return await this.completeVisitorChangeSet(changeSet);
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.CANCEL_VISITOR_RECORDS, async (payload) => {
+                const changeSet = await sharePoint.cancelVisitorRecords(payload.meetingId, payload.reason);
+                return await this.completeVisitorChangeSet(changeSet);
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.UPDATE_VISITOR_STATUS, async (payload) => {
+                const outcome = await sharePoint.updateVisitorStatus(payload.itemId, payload.status, { at: payload.at });
+                if (outcome.changed) {
+                    await this.sendStatusNotification(outcome.record);
+                }
+                return outcome;
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.DELETE_VISITOR_RECORDS, async (payload) =>
+                await sharePoint.deleteVisitorRecords(payload.meetingId));
+        }
+
+        if (sharePoint && powerAutomate) {
+            // 送信済みの通知のキーを来訪者レコードにも記録し、他の端末・ランタイムからの重複送信を防ぐ
+            powerAutomate.setNotificationKeyStore(sharePoint);
+        }
+
+        if (powerAutomate) {
+            this.registerHandler(OUTBOX_OPERATIONS.SEND_NOTIFICATION, async (payload) => {
+                const result = await powerAutomate.sendVisitorNotification(
+                    payload.meetingId,
+                    payload.meetingTitle,
+                    [payload.visitor],
+                    payload.startTime,
+                    payload.endTime,
+                    payload.notificationType,
+                    payload.meetingDetails || null,
+                    { routes: payload.routes || null }
+                );
+
+                if (!result.success) {
+                    const [detail] = result.details;
+                    const error = new Error(detail.error);
+                    error.result = result;
+                    error.retryable = detail.retryable;
+
+                    // 送信できたルートには再送しない
+                    setRetryRoutes(error, detail.routes, payload);
+                    throw error;
+                }
+                return result;
+            });
+
+            this.registerHandler(OUTBOX_OPERATIONS.SEND_MEETING_NOTIFICATION, async (payload) => {
+                try {
+                    return await powerAutomate.sendMeetingNotification(
+                        payload.notificationType,
+                        payload.meeting,
+                        { routes: payload.routes || null }
+                    );
+                } catch (error) {
+                    setRetryRoutes(error, error.routes, payload);
+                    throw error;
+                }
+            });
+        }
+    }
+
+    /**
+     * 来訪者レコードの変更結果を確定
+     *
+     * キャンセル済みにしたレコードの来訪者にキャンセル通知を送信する。
+     * 通知は SharePoint 上で状態が変わったレコードに対してのみ送るため、再実行しても重複しない。
+     * 一部の失敗も再実行の対象とする（差分更新のため再実行しても重複しない）。
+     */
+    async completeVisitorChangeSet(changeSet) {
+        if (changeSet.cancelled.length > 0) {
+            await this.sendCancellationNotifications(changeSet.cancelled);
+        }
+
+        if (changeSet.failed.length > 0) {
+            const error = new Error(`${changeSet.failed.length} SharePoint operation(s) failed`);
+            error.result = changeSet;
+            throw error;
+        }
+        return changeSet;
+    }
+
+    /**
+     * キャンセル済みにした来訪者へ通知（失敗した来訪者の分はキューに保存）
+     *
+     * 定期的な予定では各回の会議ID・日時ごとに送信する。
+     */
+    async sendCancellationNotifications(cancelledRecords) {
+        if (!this.handlers.has(OUTBOX_OPERATIONS.SEND_NOTIFICATION)) {
+            this.logger.warn('Notification handler is not registered, cancellation notifications skipped');
+            return;
+        }
+
+        const recordsByMeeting = new Map();
+        for (const record of cancelledRecords) {
+            if (!recordsByMeeting.has(record.MeetingId)) {
+                recordsByMeeting.set(record.MeetingId, []);
+            }
+            recordsByMeeting.get(record.MeetingId).push(record);
+        }
+
+        for (const [meetingId, records] of recordsByMeeting) {
+            const [first] = records;
+            const result = await this.sendVisitorNotifications(
+                meetingId,
+                first.MeetingTitle,
+                records.map(record => ({ emailAddress: record.VisitorEmail, name: record.VisitorName })),
+                first.StartTime,
+                first.EndTime,
+                'cancelled',
+                fromMeetingDetailFields(first)
+            );
+
+            this.logger.info(`Cancellation notifications: ${result.sent} sent, ${result.queued} queued, ${result.failed} failed`, { meetingId });
+        }
+    }
+
+    /**
+     * 来訪状況の変更を通知（到着時に主催者へ知らせるなど、送信先は powerAutomate.routes とフローで決める）
+     */
+    async sendStatusNotification(record) {
+        const notificationType = STATUS_NOTIFICATION_TYPES[record.Status];
+        if (!notificationType) {
+            return;
+        }
+
+        if (!this.handlers.has(OUTBOX_OPERATIONS.SEND_NOTIFICATION)) {
+            this.logger.warn(`Notification handler is not registered, ${notificationType} notification skipped`);
+            return;
+        }
+
+        await this.sendVisitorNotifications(
+            record.MeetingId,
+            record.MeetingTitle,
+            [{ emailAddress: record.VisitorEmail, name: record.VisitorName }],
+            record.StartTime,
+            record.EndTime,
+            notificationType,
+            fromMeetingDetailFields(record)
+        );
+    }
+
+    /**
+     * 操作の種類ごとの処理を登録
+     *
+     * @param {string} type OUTBOX_OPERATIONS の値
+     * @param {Function} handler (payload, entry) => Promise<any>
+     *
+     * 操作の一部のみ失敗した場合、handler は error.retryPayload に再実行する分のペイロードを設定できる。
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * 来訪者レコードを作成（作成できなかった来訪者の分はキューに保存）
+     */
+    async createVisitorRecords(meetingId, meetingTitle, externalUsers, startTime, endTime, meetingDetails = null) {
+        return await this.execute(OUTBOX_OPERATIONS.CREATE_VISITOR_RECORDS, {
+            meetingId,
+            meetingTitle,
+            externalUsers,
+            startTime,
+            endTime,
+            meetingDetails
+        }, {
+            groupKey: meetingId,
+            description: this.i18n.t('outbox.createRecords', { title: meetingTitle || meetingId })
+        });
+    }
+
+    /**
+     * 来訪者レコードを更新（失敗時はキューに保存）
+     */
+    async updateVisitorRecords(meetingId, meetingTitle, externalUsers, startTime, endTime, meetingDetails = null) {
+        return await this.execute(OUTBOX_OPERATIONS.UPDATE_VISITOR_RECORDS, {
+            meetingId,
+            meetingTitle,
+            externalUsers,
+            startTime,
+            endTime,
+            meetingDetails
+        }, {
+            groupKey: meetingId,
+            description: this.i18n.t('outbox.updateRecords', { title: meetingTitle || meetingId }),
+            supersede: true
+        });
+    }
+
+    /**
+     * 定期的な予定の来訪者レコードを各回ごとに更新（失敗時はキューに保存）
+     *
+     * @param {object} schedule RecurrenceService.getOccurrences() の結果（実行時点の各回を保存して再実行する）
+     */
+    async updateSeriesVisitorRecords(seriesId, meetingTitle, externalUsers, schedule, meetingDetails = null) {
+        return await this.execute(OUTBOX_OPERATIONS.UPDATE_SERIES_VISITOR_RECORDS, {
+            meetingId: seriesId,
+            meetingTitle,
+            externalUsers,
+            schedule,
+            meetingDetails
+        }, {
+            groupKey: seriesId,
+            description: this.i18n.t('outbox.updateSeriesRecords', {
+                count: schedule.occurrences.length,
+                title: meetingTitle || seriesId
+            }),
+            supersede: true
+        });
+    }
+
+    /**
+     * 会議の来訪者レコードをキャンセル済みにする（失敗時はキューに保存）
+     *
+     * @param {string} reason CANCELLATION_REASONS の値
+     */
+    async cancelVisitorRecords(meetingId, meetingTitle, reason) {
+        return await this.execute(OUTBOX_OPERATIONS.CANCEL_VISITOR_RECORDS, { meetingId, reason }, {
+            groupKey: meetingId,
+            description: this.i18n.t('outbox.cancelRecords', { title: meetingTitle || meetingId }),
+            supersede: true
+        });
+    }
+
+    /**
+     * 来訪者の来訪状況を変更（失敗時はキューに保存）
+     *
+     * 変更日時は操作した時点の日時を記録する。遷移できない場合は VisitorStatusError（キューには保存しない）。
+     *
+     * @param {object} record 来訪者レコード（Id, MeetingId, VisitorEmail を使用）
+     * @param {string} status VISITOR_STATUS の値
+     */
+    async updateVisitorStatus(record, status) {
+        return await this.execute(OUTBOX_OPERATIONS.UPDATE_VISITOR_STATUS, {
+            itemId: record.Id,
+            meetingId: record.MeetingId,
+            status,
+            at: new Date().toISOString()
+        }, {
+            groupKey: record.MeetingId,
+            description: this.i18n.t('outbox.updateStatus', { status, email: record.VisitorEmail })
+        });
+    }
+
+    /**
+     * 来訪者レコードを削除（失敗時はキューに保存）
+     */
+    async deleteVisitorRecords(meetingId) {
+        return await this.execute(OUTBOX_OPERATIONS.DELETE_VISITOR_RECORDS, { meetingId }, {
+            groupKey: meetingId,
+            description: this.i18n.t('outbox.deleteRecords', { title: meetingId }),
+            supersede: true
+        });
+    }
+
+    /**
+     * 来訪者ごとに通知を送信（失敗した来訪者の分はキューに保存）
+     *
+     * routes は送信先のルートごとの送信・失敗件数（キューに保存した分の失敗を含む）。
+     * skipped は送信しなかった来訪者と理由（'already_sent': 同じ通知を送信済み、'no_route': 一致するルートがない）。
+     * failed は再実行しても成功しないため、キューに保存せずに失敗した来訪者の件数（他の来訪者の送信は続ける）。
+     *
+     * @returns {Promise<{ sent: number, queued: number, failed: number, skipped: Array<{ email: string, reason: string }>,
+     *           routes: object, details: Array }>}
+     */
+    async sendVisitorNotifications(meetingId, meetingTitle, externalUsers, startTime, endTime, notificationType, meetingDetails = null) {
+        const details = [];
+
+        for (const visitor of externalUsers) {
+            try {
+                const outcome = await this.execute(OUTBOX_OPERATIONS.SEND_NOTIFICATION, {
+                    meetingId,
+                    meetingTitle,
+                    visitor,
+                    startTime,
+                    endTime,
+                    notificationType,
+                    meetingDetails
+                }, {
+                    groupKey: meetingId,
+                    description: this.i18n.t('outbox.notification', { type: notificationType, email: visitor.emailAddress })
+                });
+
+                details.push({ email: visitor.emailAddress, ...outcome });
+            } catch (error) {
+                // 来訪者のデータの誤りなど再実行しても成功しない場合も、他の来訪者の通知は続ける
+                this.logger.error(`Failed to send ${notificationType} notification to ${visitor.emailAddress}`, error);
+                details.push({ email: visitor.emailAddress, queued: false, result: null, entry: null, error });
+            }
+        }
+
+        const routes = {};
+        for (const { result } of details) {
+            for (const [route, counts] of Object.entries((result && result.routes) || {})) {
+                routes[route] = routes[route] || { sent: 0, failed: 0 };
+                routes[route].sent += counts.sent;
+                routes[route].failed += counts.failed;
+            }
+        }
+
+        const skipped = details.flatMap(({ result }) => (result && result.skipped) || []);
+
+        return {
+            sent: details.filter(d => !d.queued && !d.error).length - skipped.length,
+            queued: details.filter(d => d.queued).length,
+            failed: details.filter(d => !d.queued && d.error).length,
+            skipped,
+            routes,
+            details
+        };
+    }
+
+    /**
+     * 会議単位の通知（受付向けの来訪者一覧、主催者向けの登録結果）を送信（失敗した場合はキューに保存）
+     *
+     * 来訪者の登録・通知に変更も失敗もない場合は送信しない。
+     *
+     * @param {object} meeting { meetingId, meetingTitle, startTime, endTime, meetingDetails, externalUsers, isCancelled }
+     * @param {{ sharePoint?: object|null, notifications?: Array }} outcomes 来訪者の登録と来訪者ごとの通知の結果
+     * @returns {Promise<Array<{ notificationType: string, queued: boolean, result: any, error: Error|null }>>}
+     */
+    async sendMeetingNotifications(meeting, { sharePoint = null, notifications = [] } = {}) {
+        if (!this.handlers.has(OUTBOX_OPERATIONS.SEND_MEETING_NOTIFICATION)) {
+            this.logger.warn('Meeting notification handler is not registered, meeting notifications skipped');
+            return [];
+        }
+
+        const report = buildRegistrationReport(sharePoint, notifications);
+        if (!report.hasChanges) {
+            this.logger.debug('No visitor changes, meeting notifications skipped', { meetingId: meeting.meetingId });
+            return [];
+        }
+
+        // キャンセル時は会議の参加者を取得できないため、キャンセル済みにしたレコードの来訪者を使用
+        const cancelledRecords = (sharePoint && sharePoint.result && sharePoint.result.cancelled) || [];
+        if (meeting.isCancelled && cancelledRecords.length > 0) {
+            meeting = {
+                ...meeting,
+                externalUsers: cancelledRecords.map(record => ({ emailAddress: record.VisitorEmail, name: record.VisitorName })),
+                meetingDetails: meeting.meetingDetails || fromMeetingDetailFields(cancelledRecords[0])
+            };
+        }
+
+        const outcomes = [];
+        for (const notificationType of ['reception_digest', 'organizer_summary']) {
+            const isSummary = notificationType === 'organizer_summary';
+            try {
+                const outcome = await this.execute(OUTBOX_OPERATIONS.SEND_MEETING_NOTIFICATION, {
+                    notificationType,
+                    meeting: {
+                        ...meeting,
+                        summary: isSummary ? report.summary : null,
+                        failures: isSummary ? report.failures : null
+                    }
+                }, {
+                    groupKey: meeting.meetingId,
+                    description: this.i18n.t('outbox.meetingNotification', {
+                        type: notificationType,
+                        title: meeting.meetingTitle || meeting.meetingId
+                    })
+                });
+
+                outcomes.push({ notificationType, ...outcome });
+            } catch (error) {
+                // 設定の誤りなど再実行しても成功しない場合も、来訪者の処理は続ける
+                this.logger.error(`Failed to send ${notificationType} notification`, error);
+                outcomes.push({ notificationType, queued: false, result: null, entry: null, error });
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * 操作を実行し、失敗した場合やオフラインの場合はキューに保存
+     *
+     * @returns {Promise<{ queued: boolean, result: any, entry: object|null, error: Error|null }>}
+     */
+    async execute(type, payload, options = {}) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new Error(`No outbox handler registered for ${type}`);
+        }
+
+        // オフライン中、または同じ会議の操作が待機中の場合は順序を保つためキューに追加
+        if (!this.isOnline() || await this.hasPendingEntries(options.groupKey)) {
+            const entry = await this.enqueue(type, payload, options);
+            return { queued: true, result: null, entry, error: null };
+        }
+
+        const idempotencyKey = options.idempotencyKey || this.createIdempotencyKey(type, payload);
+
+        try {
+            const result = await handler(payload, { idempotencyKey });
+            return { queued: false, result, entry: null, error: null };
+        } catch (error) {
+            // 再実行しても成功しない操作（状態遷移の検証エラーなど）はキューに保存しない
+            if (error.retryable === false) {
+                throw error;
+            }
+
+            this.logger.warn(`Operation failed, saving to outbox: ${type}`, { error: error.message });
+            const entry = await this.enqueue(type, error.retryPayload || payload, { ...options, idempotencyKey, lastError: error.message });
+            return { queued: true, result: error.result || null, entry, error };
+        }
+    }
+
+    /**
+     * 操作をキューに追加
+     *
+     * 同じ冪等性キーの操作が既にある場合は追加しない。
+     * supersede を指定すると、同じ会議・種類の未実行の操作を置き換える。
+     */
+    async enqueue(type, payload, options = {}) {
+        try {
+            const idempotencyKey = options.idempotencyKey || this.createIdempotencyKey(type, payload);
+            const entries = await this.store.getAll();
+
+            const duplicate = entries.find(e => e.idempotencyKey === idempotencyKey && e.status !== OUTBOX_STATUS.DEAD_LETTER);
+            if (duplicate) {
+                this.logger.debug(`Outbox entry already queued: ${idempotencyKey}`);
+                return duplicate;
+            }
+
+            let sequence = Math.max(Date.now(), this.lastSequence + 1);
+
+            if (options.supersede) {
+                const superseded = entries.filter(e => e.type === type && e.groupKey === (options.groupKey || null) &&
+                    e.status !== OUTBOX_STATUS.DEAD_LETTER);
+                for (const entry of superseded) {
+                    // 置き換える操作の順番を引き継ぐ
+                    sequence = Math.min(sequence, entry.sequence);
+                    await this.store.delete(entry.id);
+                }
+            }
+
+            this.lastSequence = Math.max(this.lastSequence, sequence);
+
+            const now = new Date().toISOString();
+            const entry = {
+                id: `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                sequence,
+                type,
+                payload: JSON.parse(JSON.stringify(payload)),
+                idempotencyKey,
+                groupKey: options.groupKey || null,
+                description: options.description || type,
+                status: options.lastError ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+                attempts: options.lastError ? 1 : 0,
+                lastError: options.lastError || null,
+                nextAttemptAt: options.lastError ? this.getNextAttemptTime(1) : null,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            await this.store.put(entry);
+            this.logger.info(`Outbox entry queued: ${entry.description}`, { id: entry.id, idempotencyKey });
+            this.notifyChange();
+
+            return entry;
+        } catch (error) {
+            this.logger.error('Failed to enqueue outbox entry', error);
+            throw error;
+        }
+    }
+
+    /**
+     * キューの操作を登録順に再実行
+     *
+     * @param {{ force?: boolean }} options force を指定すると待機時間を無視して実行
+     * @returns {Promise<{ processed: number, failed: number, remaining: number }>}
+     */
+    async replay({ force = false } = {}) {
+        if (this.replaying) {
+            return await this.replaying;
+        }
+
+        this.replaying = this.processQueue(force).finally(() => {
+            this.replaying = null;
+        });
+
+        return await this.replaying;
+    }
+
+    /**
+     * キューを処理
+     */
+    async processQueue(force) {
+        const summary = { processed: 0, failed: 0, remaining: 0 };
+
+        if (!this.isOnline()) {
+            this.logger.info('Offline, outbox replay skipped');
+            summary.remaining = (await this.getEntries()).length;
+            return summary;
+        }
+
+        const attempted = new Set();
+        const blockedGroups = new Set();
+        const now = Date.now();
+
+        // 処理中に追加された操作（キャンセル通知など）も同じ再実行で処理するため、1件ごとにキューを読み直す
+        let entry;
+        while ((entry = await this.getNextEntry(attempted, blockedGroups, force, now))) {
+            attempted.add(entry.id);
+            const handler = this.handlers.get(entry.type);
+
+            try {
+                await handler(entry.payload, { idempotencyKey: entry.idempotencyKey });
+                await this.store.delete(entry.id);
+                summary.processed++;
+                this.logger.info(`Outbox entry delivered: ${entry.description}`, { id: entry.id, attempts: entry.attempts + 1 });
+            } catch (error) {
+                summary.failed++;
+                await this.markFailed(entry, error);
+                if (entry.groupKey) {
+                    blockedGroups.add(entry.groupKey);
+                }
+            }
+        }
+
+        summary.remaining = (await this.getEntries()).filter(e => e.status !== OUTBOX_STATUS.DEAD_LETTER).length;
+
+        if (summary.processed > 0 || summary.failed > 0) {
+            this.logger.info(`Outbox replay completed: ${summary.processed} delivered, ${summary.failed} failed, ${summary.remaining} remaining`);
+            this.notifyChange();
+        }
+
+        return summary;
+    }
+
+    /**
+     * 次に実行する操作を取得
+     *
+     * 実行できない操作（待機中・処理未登録）がある会議は、順序を保つため以降の操作も実行しない。
+     */
+    async getNextEntry(attempted, blockedGroups, force, now) {
+        const entries = await this.getEntries();
+
+        for (const entry of entries) {
+            if (entry.status === OUTBOX_STATUS.DEAD_LETTER || attempted.has(entry.id)) {
+                continue;
+            }
+
+            const handler = this.handlers.get(entry.type);
+            const waiting = !force && entry.nextAttemptAt && new Date(entry.nextAttemptAt).getTime() > now;
+
+            if ((entry.groupKey && blockedGroups.has(entry.groupKey)) || !handler || waiting) {
+                if (entry.groupKey) {
+                    blockedGroups.add(entry.groupKey);
+                }
+                continue;
+            }
+
+            return entry;
+        }
+
+        return null;
+    }
+
+    /**
+     * 失敗を記録（上限回数に達した場合はデッドレターに移動）
+     */
+    async markFailed(entry, error) {
+        const maxAttempts = this.getOutboxConfig().maxAttempts;
+        const attempts = entry.attempts + 1;
+        const deadLetter = attempts >= maxAttempts || error.retryable === false;
+
+        const updated = {
+            ...entry,
+            attempts,
+            payload: error.retryPayload || entry.payload,
+            status: deadLetter ? OUTBOX_STATUS.DEAD_LETTER : OUTBOX_STATUS.FAILED,
+            lastError: error.message,
+            nextAttemptAt: deadLetter ? null : this.getNextAttemptTime(attempts),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.store.put(updated);
+
+        if (deadLetter) {
+            this.logger.error(`Outbox entry moved to dead letter after ${attempts} attempt(s): ${entry.description}`, error);
+        } else {
+            this.logger.warn(`Outbox entry failed (attempt ${attempts}/${maxAttempts}): ${entry.description}`, { error: error.message });
+        }
+    }
+
+    /**
+     * キュー内の操作の会議IDを付け替える
+     *
+     * 会議単位の通知（SEND_MEETING_NOTIFICATION）は payload.meeting.meetingId に会議IDを持つ。
+     */
+    async remapMeetingId(fromMeetingId, toMeetingId) {
+        const entries = (await this.store.getAll()).filter(e => e.groupKey === fromMeetingId ||
+            (e.payload && e.payload.meetingId === fromMeetingId) ||
+            (e.payload && e.payload.meeting && e.payload.meeting.meetingId === fromMeetingId));
+
+        for (const entry of entries) {
+            const payload = { ...entry.payload };
+            if (payload.meetingId === fromMeetingId) {
+                payload.meetingId = toMeetingId;
+            }
+            if (payload.meeting && payload.meeting.meetingId === fromMeetingId) {
+                payload.meeting = { ...payload.meeting, meetingId: toMeetingId };
+            }
+
+            await this.store.put({
+                ...entry,
+                groupKey: entry.groupKey === fromMeetingId ? toMeetingId : entry.groupKey,
+                payload,
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        if (entries.length > 0) {
+            this.logger.info(`Remapped ${entries.length} outbox entry(s) from ${fromMeetingId} to ${toMeetingId}`);
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * 指定した操作を再試行（デッドレターも対象）
+     */
+    async retry(id) {
+        const entry = (await this.store.getAll()).find(e => e.id === id);
+        if (!entry) {
+            return null;
+        }
+
+        await this.store.put({
+            ...entry,
+            status: OUTBOX_STATUS.PENDING,
+            attempts: 0,
+            nextAttemptAt: null,
+            updatedAt: new Date().toISOString()
+        });
+        this.notifyChange();
+
+        return await this.replay({ force: true });
+    }
+
+    /**
+     * 指定した操作を破棄
+     */
+    async discard(id) {
+        await this.store.delete(id);
+        this.logger.info(`Outbox entry discarded: ${id}`);
+        this.notifyChange();
+    }
+
+    /**
+     * キューの内容を登録順に取得
+     */
+    async getEntries(status = null) {
+        const entries = await this.store.getAll();
+        return entries
+            .filter(e => !status || e.status === status)
+            .sort((a, b) => a.sequence - b.sequence);
+    }
+
+    /**
+     * 状態ごとの件数を取得
+     */
+    async getCounts() {
+        const entries = await this.store.getAll();
+        return Object.values(OUTBOX_STATUS).reduce((counts, status) => {
+            counts[status] = entries.filter(e => e.status === status).length;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * 同じ会議の未実行の操作があるか（デッドレターは除く）
+     */
+    async hasPendingEntries(groupKey) {
+        if (!groupKey) {
+            return false;
+        }
+        const entries = await this.store.getAll();
+        return entries.some(e => e.groupKey === groupKey && e.status !== OUTBOX_STATUS.DEAD_LETTER);
+    }
+
+    /**
+     * 操作の内容から冪等性キーを生成
+     */
+    createIdempotencyKey(type, payload) {
+        return `${type}:${hashString(JSON.stringify(payload))}`;
+    }
+
+    /**
+     * 次回の再試行時刻を計算（指数バックオフ）
+     */
+    getNextAttemptTime(attempts) {
+        const delay = this.getOutboxConfig().retryDelay * Math.pow(2, attempts - 1);
+        return new Date(Date.now() + delay).toISOString();
+    }
+
+    /**
+     * アウトボックスの設定を取得
+     */
+    getOutboxConfig() {
+        const outbox = this.config.getConfig().outbox || {};
+        return {
+            maxAttempts: outbox.maxAttempts || 5,
+            retryDelay: outbox.retryDelay || 30000
+        };
+    }
+
+    /**
+     * ネットワークに接続されているか
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * キューの変更を購読
+     *
+     * @returns {Function} 購読解除関数
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 購読者に変更を通知
+     */
+    notifyChange() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (error) {
+                this.logger.error('Outbox change listener failed', error);
+            }
+        }
+    }
+
+    /**
+     * サービスを破棄
+     */
+    dispose() {
+        if (this.onlineListener && typeof window !== 'undefined') {
+            window.removeEventListener('online', this.onlineListener);
+        }
+        this.onlineListener = null;
+        this.listeners.clear();
+        this.isInitialized = false;
+    }
+}
@@ -5,19 +5,60 @@
 
 import { ConfigService } from './ConfigService.js';
 import { LoggingService } from './LoggingService.js';
+import { ExternalUserService } from './ExternalUserService.js';
+import { MeetingIdentityService } from './MeetingIdentityService.js';
+import { MeetingChangePipeline } from './MeetingChangePipeline.js';
+import { MeetingCancellationService } from './MeetingCancellationService.js';
+import { RecurrenceService } from './RecurrenceService.js';
+
+// オンライン会議（Teams）の参加リンクと、Teams が場所に追加する表示名
+const ONLINE_MEETING_URL_PATTERNS = [
+    /https:\/\/teams\.microsoft\.com\/l\/meetup-join\//i,
+    /https:\/\/teams\.live\.com\/meet\//i
+];
+const ONLINE_MEETING_LOCATION_PATTERN = /^Microsoft Teams/i;
+
+/**
+ * 会議データから来訪者レコード・通知に含める会議の詳細を取り出す
+ *
+ * @returns {{ organizer: { name: string, emailAddress: string }|null, location: string, isOnlineMeeting: boolean, isOnlineOnly: boolean }}
+ */
+export function getMeetingDetails(eventData) {
+    return {
+        organizer: eventData.organizer || null,
+        location: eventData.location || '',
+        isOnlineMeeting: Boolean(eventData.isOnlineMeeting),
+        isOnlineOnly: Boolean(eventData.isOnlineOnly)
+    };
+}
 
 export class OutlookEventService {
     constructor() {
         this.config = ConfigService.getInstance();
-        this.logger = LoggingService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('OutlookEventService');
+        this.externalUserService = new ExternalUserService();
+        this.meetingIdentity = new MeetingIdentityService();
+        this.changePipeline = new MeetingChangePipeline(
+            () => this.getCurrentEventData(),
+            (changeType, eventData) => this.processEventChange(changeType, eventData)
+        );
+        this.cancellation = new MeetingCancellationService(this.meetingIdentity, this.changePipeline);
+        this.recurrence = new RecurrenceService(this.meetingIdentity);
+        // 会議IDが移行された場合は同期済みの状態も引き継ぐ
+        this.meetingIdentity.registerMigrationHandler(async (fromId, toId) => {
+            this.changePipeline.remapMeetingId(fromId, toId);
+        });
         this.eventHandlers = new Map();
         this.isInitialized = false;
     }
 
     /**
      * サービスを初期化
+     *
+     * @param {{ monitorEvents?: boolean }} options monitorEvents が false の場合はアイテム・メールボックスの
+     *     イベントを監視しない（LaunchEvent のランタイムなど、変更を自身で同期する場合）
      */
-    async initialize() {
+    async initialize({ monitorEvents = true } = {}) {
         try {
             if (this.isInitialized) {
                 return;
@@ -29,6 +70,9 @@ export class OutlookEventService {
             }
 
             await Office.onReady();
+
+            // 内部ドメイン設定がないと全員が外部ユーザー扱いになるため検証する
+            this.config.assertValid('outlook');
             
             // Outlook固有の機能をチェック
             if (!Office.context.mailbox) {
@@ -36,7 +80,9 @@ export class OutlookEventService {
             }
 
             // イベントハンドラーを設定
-            this.setupEventHandlers();
+            if (monitorEvents) {
+                this.setupEventHandlers();
+            }
             
             this.isInitialized = true;
             this.logger.info('OutlookEventService initialized successfully');
@@ -110,6 +156,25 @@ export class OutlookEventService {
                     this.handleTimeChanged.bind(this)
                 );
             }
+
+            // 繰り返しパターン変更の監視
+            if (item.addHandlerAsync && Office.EventType.RecurrenceChanged) {
+                item.addHandlerAsync(
+                    Office.EventType.RecurrenceChanged,
+                    this.handleTimeChanged.bind(this)
+                );
+            }
+
+            // 場所変更の監視
+            if (item.addHandlerAsync && Office.EventType.EnhancedLocationsChanged) {
+                item.addHandlerAsync(
+                    Office.EventType.EnhancedLocationsChanged,
+                    this.handleLocationChanged.bind(this)
+                );
+            }
+
+            // 変更を判定する基準として現在の状態を記録
+            this.changePipeline.captureBaseline();
         }
     }
 
@@ -123,23 +188,22 @@ export class OutlookEventService {
                 Office.EventType.AppointmentTimeChanged,
                 this.handleAppointmentChanged.bind(this)
             );
+
+            // 選択中のアイテムの切り替え（削除を含む）時に、同期済みの会議のキャンセル・削除を確認
+            Office.context.mailbox.addHandlerAsync(
+                Office.EventType.ItemChanged,
+                this.handleItemChanged.bind(this)
+            );
         }
     }
 
     /**
      * 受信者変更ハンドラー
      */
-    async handleRecipientsChanged(eventArgs) {
+    handleRecipientsChanged(eventArgs) {
         try {
-            this.logger.info('Recipients changed event triggered');
-            
-            const item = Office.context.mailbox.item;
-            const eventData = await this.extractEventData(item);
-            
-            if (eventData && eventData.externalUsers.length > 0) {
-                // 外部ユーザーが存在する場合、処理を実行
-                await this.processEventChange('recipients_changed', eventData);
-            }
+            this.logger.debug('Recipients changed event triggered');
+            this.changePipeline.push('recipients_changed');
         } catch (error) {
             this.logger.error('Error handling recipients changed', error);
         }
@@ -148,16 +212,10 @@ export class OutlookEventService {
     /**
      * 件名変更ハンドラー
      */
-    async handleSubjectChanged(eventArgs) {
+    handleSubjectChanged(eventArgs) {
         try {
-            this.logger.info('Subject changed event triggered');
-            
-            const item = Office.context.mailbox.item;
-            const eventData = await this.extractEventData(item);
-            
-            if (eventData && eventData.externalUsers.length > 0) {
-                await this.processEventChange('subject_changed', eventData);
-            }
+            this.logger.debug('Subject changed event triggered');
+            this.changePipeline.push('subject_changed');
         } catch (error) {
             this.logger.error('Error handling subject changed', error);
         }
@@ -166,43 +224,125 @@ export class OutlookEventService {
     /**
      * 時刻変更ハンドラー
      */
-    async handleTimeChanged(eventArgs) {
+    handleTimeChanged(eventArgs) {
         try {
-            this.logger.info('Time changed event triggered');
-            
-            const item = Office.context.mailbox.item;
-            const eventData = await this.extractEventData(item);
-            
-            if (eventData && eventData.externalUsers.length > 0) {
-                await this.processEventChange('time_changed', eventData);
-            }
+            this.logger.debug('Time changed event triggered');
+            this.changePipeline.push('time_changed');
         } catch (error) {
             this.logger.error('Error handling time changed', error);
         }
     }
 
+    /**
+     * 場所変更ハンドラー
+     */
+    handleLocationChanged(eventArgs) {
+        try {
+            this.logger.debug('Location changed event triggered');
+            this.changePipeline.push('location_changed');
+        } catch (error) {
+            this.logger.error('Error handling location changed', error);
+        }
+    }
+
     /**
      * アポイントメント変更ハンドラー
      */
-    async handleAppointmentChanged(eventArgs) {
+    handleAppointmentChanged(eventArgs) {
         try {
-            this.logger.info('Appointment changed event triggered');
-            
-            const item = Office.context.mailbox.item;
-            const eventData = await this.extractEventData(item);
-            
-            if (eventData && eventData.externalUsers.length > 0) {
-                await this.processEventChange('appointment_changed', eventData);
-            }
+            this.logger.debug('Appointment changed event triggered');
+            this.changePipeline.push('appointment_changed');
         } catch (error) {
             this.logger.error('Error handling appointment changed', error);
         }
     }
 
+    /**
+     * 選択アイテム変更ハンドラー
+     */
+    handleItemChanged(eventArgs) {
+        this.logger.debug('Item changed event triggered');
+        this.detectCancellations({ force: true }).catch(error =>
+            this.logger.error('Error detecting cancelled meetings', error));
+    }
+
+    /**
+     * キャンセル・削除された会議を検出し、'deleted' イベントとして通知
+     *
+     * @returns {Promise<number>} 検出した会議の数
+     */
+    async detectCancellations(options = {}) {
+        const detected = await this.cancellation.detect(options);
+
+        for (const { snapshot, reason } of detected) {
+            try {
+                await this.processEventChange('deleted', {
+                    meetingId: snapshot.meetingId,
+                    subject: snapshot.subject,
+                    startTime: snapshot.startTime ? new Date(snapshot.startTime) : null,
+                    endTime: snapshot.endTime ? new Date(snapshot.endTime) : null,
+                    externalUsers: [],
+                    cancellationReason: reason
+                });
+
+                // 以降は確認しない（キャンセルの処理は送信キューで再実行される）
+                this.changePipeline.forgetMeeting(snapshot.meetingId);
+            } catch (error) {
+                this.logger.error(`Failed to process cancelled meeting: ${snapshot.meetingId}`, error);
+            }
+        }
+
+        return detected.length;
+    }
+
     /**
      * 現在の会議から外部ユーザーとイベントデータを抽出
      */
     async extractEventData(item) {
+        const eventData = await this.readEventData(item);
+
+        if (!eventData) {
+            return eventData;
+        }
+
+        if (item.seriesId) {
+            // 定期的な予定の1回: シリーズから継承したカスタムプロパティの会議IDは使わず、
+            // 来訪者の行は親シリーズのIDで管理する
+            const format = this.meetingIdentity.getIdFormat();
+            const ewsId = await this.meetingIdentity.getEwsId(item);
+            eventData.meetingId = (ewsId && await this.meetingIdentity.toFormat(ewsId, format)) || ewsId;
+            eventData.seriesId = (await this.meetingIdentity.toFormat(item.seriesId, format)) || item.seriesId;
+            eventData.seriesItemId = item.seriesId;
+            return eventData;
+        }
+
+        // 編集セッションやクライアントをまたいで同じIDになるよう解決
+        const identity = await this.meetingIdentity.resolve(item);
+        eventData.meetingId = identity.meetingId;
+        eventData.isTemporaryMeetingId = identity.isTemporary;
+
+        // 定期的な予定（シリーズ）
+        const recurrence = await this.recurrence.readRecurrence(item);
+        if (recurrence) {
+            eventData.recurrence = recurrence;
+            eventData.seriesId = identity.meetingId;
+            eventData.seriesItemId = identity.isTemporary ? null : await this.meetingIdentity.getEwsId(item);
+        }
+
+        return eventData;
+    }
+
+    /**
+     * 定期的な予定の先読み期間内の各回を取得
+     */
+    async getOccurrences(eventData) {
+        return await this.recurrence.getOccurrences(eventData);
+    }
+
+    /**
+     * アイテムの件名・日時・参加者・主催者・場所を読み取る
+     */
+    readEventData(item) {
         return new Promise((resolve, reject) => {
             try {
                 if (!item || item.itemType !== Office.MailboxEnums.ItemType.Appointment) {
@@ -211,25 +351,68 @@ export class OutlookEventService {
                 }
 
                 const eventData = {
-                    meetingId: item.itemId || this.generateMeetingId(),
+                    meetingId: null,
+                    isTemporaryMeetingId: false,
+                    seriesId: null,
+                    seriesItemId: null,
+                    recurrence: null,
                     subject: '',
                     startTime: null,
                     endTime: null,
+                    organizer: null,
+                    location: '',
+                    isOnlineMeeting: false,
+                    isOnlineOnly: false,
                     externalUsers: [],
-                    allAttendees: []
+                    allAttendees: [],
+                    classifications: []
                 };
 
+                // 場所の表示名と本文（オンライン会議の判定用）
+                const locationNames = [];
+                let body = '';
+
                 let pendingOperations = 0;
                 let completedOperations = 0;
 
                 const checkCompletion = () => {
                     if (completedOperations === pendingOperations) {
-                        // 外部ユーザーの抽出
-                        eventData.externalUsers = this.filterExternalUsers(eventData.allAttendees);
+                        // 参加者を分類して外部ユーザーを抽出
+                        eventData.classifications = this.externalUserService.classifyAll(eventData.allAttendees);
+                        eventData.externalUsers = eventData.classifications.filter(c => c.isVisitor);
+                        this.applyLocation(eventData, locationNames, body);
+                        if (!eventData.organizer) {
+                            eventData.organizer = this.getCurrentUser();
+                        }
                         resolve(eventData);
                     }
                 };
 
+                // 作成モードでは getAsync、閲覧モードでは値を直接参照する
+                const readProperty = (property, callback, options) => {
+                    if (!property) {
+                        return;
+                    }
+                    if (typeof property.getAsync !== 'function') {
+                        callback(property);
+                        return;
+                    }
+
+                    pendingOperations++;
+                    const handleResult = (result) => {
+                        if (result.status === Office.AsyncResultStatus.Succeeded) {
+                            callback(result.value);
+                        }
+                        completedOperations++;
+                        checkCompletion();
+                    };
+                    if (options) {
+                        property.getAsync(options, handleResult);
+                    } else {
+                        property.getAsync(handleResult);
+                    }
+                };
+
                 // 件名取得
                 if (item.subject) {
                     pendingOperations++;
@@ -271,7 +454,7 @@ export class OutlookEventService {
                     pendingOperations++;
                     item.requiredAttendees.getAsync((result) => {
                         if (result.status === Office.AsyncResultStatus.Succeeded) {
-                            eventData.allAttendees.push(...result.value);
+                            eventData.allAttendees.push(...this.tagAttendees(result.value, 'required'));
                         }
                         completedOperations++;
                         checkCompletion();
@@ -283,16 +466,56 @@ export class OutlookEventService {
                     pendingOperations++;
                     item.optionalAttendees.getAsync((result) => {
                         if (result.status === Office.AsyncResultStatus.Succeeded) {
-                            eventData.allAttendees.push(...result.value);
+                            eventData.allAttendees.push(...this.tagAttendees(result.value, 'optional'));
                         }
                         completedOperations++;
                         checkCompletion();
                     });
                 }
 
+                // リソース（会議室）取得
+                if (item.resources && item.resources.getAsync) {
+                    pendingOperations++;
+                    item.resources.getAsync((result) => {
+                        if (result.status === Office.AsyncResultStatus.Succeeded) {
+                            eventData.allAttendees.push(...this.tagAttendees(result.value, 'resource'));
+                        }
+                        completedOperations++;
+                        checkCompletion();
+                    });
+                }
+
+                // 主催者取得
+                readProperty(item.organizer, (organizer) => {
+                    if (organizer && organizer.emailAddress) {
+                        eventData.organizer = {
+                            name: organizer.displayName || organizer.name || organizer.emailAddress.split('@')[0],
+                            emailAddress: organizer.emailAddress
+                        };
+                    }
+                });
+
+                // 場所取得（会議室などの複数の場所に対応した enhancedLocation を優先）
+                if (item.enhancedLocation) {
+                    readProperty(item.enhancedLocation, (locations) => {
+                        locationNames.push(...(locations || []).map(location => location.displayName));
+                    });
+                } else {
+                    readProperty(item.location, (location) => {
+                        locationNames.push(...String(location || '').split(';'));
+                    });
+                }
+
+                // 本文取得（Teams の参加リンクの有無を確認）
+                if (item.body && typeof item.body.getAsync === 'function') {
+                    readProperty(item.body, (value) => {
+                        body = value || '';
+                    }, Office.CoercionType.Html);
+                }
+
                 // 非同期操作がない場合
                 if (pendingOperations === 0) {
-                    resolve(eventData);
+                    checkCompletion();
                 }
 
             } catch (error) {
@@ -303,33 +526,53 @@ export class OutlookEventService {
     }
 
     /**
-     * 外部ユーザーをフィルタリング
+     * 場所とオンライン会議の判定結果を会議データに設定
+     *
+     * Teams が追加する場所（「Microsoft Teams 会議」など）は来訪先の場所に含めない。
+     * 場所が未入力の場合は会議室（リソース）の名前を使用する。
+     * オンライン会議で来訪先の場所も会議室もない場合は、オンラインのみ（受付に来訪しない）とする。
      */
-    filterExternalUsers(attendees) {
-        try {
-            const config = this.config.getConfig();
-            const internalDomains = config.outlook?.internalDomains || [];
-            const excludeRooms = config.outlook?.excludeRooms || true;
-
-            return attendees.filter(attendee => {
-                if (!attendee.emailAddress) {
-                    return false;
-                }
+    applyLocation(eventData, locationNames, body) {
+        const names = locationNames.map(name => (name || '').trim()).filter(Boolean);
+        const physicalLocations = names.filter(name => !ONLINE_MEETING_LOCATION_PATTERN.test(name));
+        const rooms = eventData.allAttendees
+            .filter(attendee => attendee.attendeeType === 'resource')
+            .map(attendee => attendee.name || attendee.emailAddress);
+
+        eventData.location = [...new Set(physicalLocations.length > 0 ? physicalLocations : rooms)].join('; ');
+        eventData.isOnlineMeeting = names.some(name => ONLINE_MEETING_LOCATION_PATTERN.test(name)) ||
+            ONLINE_MEETING_URL_PATTERNS.some(pattern => pattern.test(body));
+        eventData.isOnlineOnly = eventData.isOnlineMeeting && !eventData.location;
+    }
 
-                const email = attendee.emailAddress.toLowerCase();
-                
-                // 会議室を除外
-                if (excludeRooms && this.isRoomEmail(email)) {
-                    return false;
-                }
+    /**
+     * 現在のユーザー（新規予定の主催者）
+     */
+    getCurrentUser() {
+        const profile = Office.context.mailbox.userProfile;
+        if (!profile || !profile.emailAddress) {
+            return null;
+        }
+        return { name: profile.displayName || profile.emailAddress.split('@')[0], emailAddress: profile.emailAddress };
+    }
 
-                // 内部ドメインをチェック
-                const isInternal = internalDomains.some(domain => 
-                    email.endsWith(`@${domain.toLowerCase()}`)
-                );
+    /**
+     * 参加者に出席区分（required / optional / resource）を付与
+     */
+    tagAttendees(attendees, attendeeType) {
+        return (attendees || []).map(attendee => ({
+            ...attendee,
+            name: attendee.name || attendee.displayName,
+            attendeeType
+        }));
+    }
 
-                return !isInternal;
-            });
+    /**
+     * 外部ユーザーをフィルタリング
+     */
+    filterExternalUsers(attendees) {
+        try {
+            return this.externalUserService.getExternalUsers(attendees);
         } catch (error) {
             this.logger.error('Error filtering external users', error);
             return [];
@@ -340,39 +583,27 @@ export class OutlookEventService {
      * 会議室のメールアドレスかどうかを判定
      */
     isRoomEmail(email) {
-        // 一般的な会議室メールアドレスのパターン
-        const roomPatterns = [
-            /^room\d+/i,
-            /^conference/i,
-            /^meeting/i,
-            /^boardroom/i,
-            /^conf-/i,
-            /-room$/i,
-            /^resource-/i
-        ];
-
-        return roomPatterns.some(pattern => pattern.test(email));
-    }
-
-    /**
-     * 会議IDを生成
-     */
-    generateMeetingId() {
-        return `meeting_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return this.externalUserService.isRoomEmail(email);
     }
 
     /**
      * イベント変更を処理
+     *
+     * ハンドラーは処理結果（{ synced, busy }）を返す。いずれかのハンドラーが SharePoint への保存を確認し、
+     * 失敗したハンドラーがない場合のみ synced を true にする（結果を返すハンドラーがない場合は false）。
+     *
+     * @returns {Promise<{ synced: boolean, busy: boolean }>}
      */
     async processEventChange(changeType, eventData) {
         try {
             this.logger.info(`Processing event change: ${changeType}`, eventData);
+            const results = [];
 
             // イベントハンドラーを呼び出し
             if (this.eventHandlers.has(changeType)) {
                 const handlers = this.eventHandlers.get(changeType);
                 for (const handler of handlers) {
-                    await handler(eventData);
+                    results.push(await handler(eventData));
                 }
             }
 
@@ -380,10 +611,16 @@ export class OutlookEventService {
             if (this.eventHandlers.has('all')) {
                 const handlers = this.eventHandlers.get('all');
                 for (const handler of handlers) {
-                    await handler(changeType, eventData);
+                    results.push(await handler(changeType, eventData));
                 }
             }
 
+            const reported = results.filter(result => result && typeof result.synced === 'boolean');
+            return {
+                synced: reported.length > 0 && reported.every(result => result.synced),
+                busy: reported.some(result => result.busy)
+            };
+
         } catch (error) {
             this.logger.error(`Error processing event change: ${changeType}`, error);
             throw error;
@@ -431,7 +668,8 @@ export class OutlookEventService {
      */
     dispose() {
         try {
-            // イベントハンドラーをクリア
+            // 保留中の変更とイベントハンドラーをクリア
+            this.changePipeline.dispose();
             this.eventHandlers.clear();
             this.isInitialized = false;
             this.logger.info('OutlookEventService disposed');
@@ -3,13 +3,63 @@
  * Power Automate APIを使用した外部ユーザー通知サービス
  */
 
-import { ConfigService } from './ConfigService.js';
+import { ConfigService, ConfigValidationError } from './ConfigService.js';
 import { LoggingService } from './LoggingService.js';
+import { VisitorPassService } from './VisitorPassService.js';
+import { I18nService } from './I18nService.js';
+import { NotificationPayloadService, NOTIFICATION_TYPES, PAYLOAD_KINDS } from './NotificationPayloadService.js';
+import { NotificationIdempotencyService, IDEMPOTENCY_HEADER, SKIP_REASONS } from './NotificationIdempotencyService.js';
+
+// powerAutomate.routes が未設定の場合に notificationUrl に送信するルートの名前
+export const DEFAULT_ROUTE_NAME = 'default';
+
+// 通知履歴の状態
+export const HISTORY_STATUS = {
+    SENT: 'sent',
+    FAILED: 'failed'
+};
+
+const HISTORY_STORAGE_KEY = 'powerAutomate_notification_history';
+const MAX_HISTORY_SIZE = 100;
+
+// 履歴に保存する値の最大文字数（入館証の HTML など長い値は保存しない）
+const MAX_HISTORY_VALUE_LENGTH = 2000;
+
+// 再送時に作り直せる、履歴に保存しなかったフィールド（入館証）
+const REBUILDABLE_HISTORY_FIELDS = ['passUrl', 'passFileName', 'passHtml'];
+
+// フローの実行ID（HTTP トリガーの応答ヘッダー）
+const WORKFLOW_RUN_ID_HEADER = 'x-ms-workflow-run-id';
+
+// 4xx のうち再試行すれば成功する可能性がある状態（Request Timeout、Too Many Requests）
+const RETRYABLE_CLIENT_ERROR_STATUSES = [408, 429];
+
+/**
+ * 来訪者ごとの送信結果をルートごとに集計
+ *
+ * @returns {Object<string, { sent: number, failed: number }>}
+ */
+export function summarizeRouteResults(details) {
+    const summary = {};
+    for (const detail of details) {
+        for (const result of detail.routes || []) {
+            summary[result.route] = summary[result.route] || { sent: 0, failed: 0 };
+            summary[result.route][result.success ? 'sent' : 'failed']++;
+        }
+    }
+    return summary;
+}
 
 export class PowerAutomateService {
     constructor() {
         this.config = ConfigService.getInstance();
-        this.logger = LoggingService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('PowerAutomateService');
+        this.passes = new VisitorPassService();
+        this.i18n = I18nService.getInstance();
+        this.payloads = new NotificationPayloadService();
+        this.idempotency = new NotificationIdempotencyService();
+        this.historyListeners = new Set();
+        this.memoryHistory = [];
         this.isInitialized = false;
         this.retryConfig = {
             maxRetries: 3,
@@ -27,21 +77,9 @@ export class PowerAutomateService {
                 return;
             }
 
-            const powerAutomateConfig = this.config.getConfig().powerAutomate;
-            if (!powerAutomateConfig) {
-                throw new Error('Power Automate configuration is missing');
-            }
-
-            if (!powerAutomateConfig.notificationUrl) {
-                throw new Error('Power Automate notification URL is required');
-            }
-
-            // URLの有効性をチェック
-            try {
-                new URL(powerAutomateConfig.notificationUrl);
-            } catch (error) {
-                throw new Error('Invalid Power Automate notification URL');
-            }
+            // 設定を検証（URLの形式を含む）
+            this.config.assertValid('powerAutomate');
+            this.assertValidRoutes();
 
             this.isInitialized = true;
             this.logger.info('PowerAutomateService initialized successfully');
@@ -51,10 +89,64 @@ export class PowerAutomateService {
         }
     }
 
+    /**
+     * 送信済みの通知のキーを来訪者レコードにも記録する（SharePointService）
+     *
+     * 設定しない場合は、この端末に記録したキーのみで重複を判定する。
+     */
+    setNotificationKeyStore(store) {
+        this.idempotency.setRemoteStore(store);
+    }
+
+    /**
+     * 送信済みの通知の記録（この端末の分）の会議IDを付け替える
+     */
+    remapMeetingId(fromMeetingId, toMeetingId) {
+        this.idempotency.remapMeetingId(fromMeetingId, toMeetingId);
+    }
+
+    /**
+     * 送信先（notificationUrl または routes）の設定を検証
+     */
+    assertValidRoutes() {
+        const config = this.config.getConfig().powerAutomate || {};
+        const routes = Array.isArray(config.routes) ? config.routes : [];
+        const errors = [];
+
+        if (routes.length === 0 && !config.notificationUrl) {
+            errors.push({
+                path: 'powerAutomate.notificationUrl',
+                code: 'required',
+                message: 'powerAutomate.notificationUrl or powerAutomate.routes is required'
+            });
+        }
+
+        const names = new Set();
+        routes.forEach((route, index) => {
+            if (names.has(route.name)) {
+                errors.push({
+                    path: `powerAutomate.routes[${index}].name`,
+                    code: 'duplicate',
+                    message: `Route name is already used: ${route.name}`
+                });
+            }
+            names.add(route.name);
+        });
+
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors, 'powerAutomate');
+        }
+    }
+
     /**
      * 外部ユーザーに来訪通知を送信
+     *
+     * 同じ内容の通知を送信済みの来訪者には送信しない（結果の skipped に来訪者と理由）。
+     *
+     * @param {object|null} meetingDetails 主催者・場所・オンライン会議（getMeetingDetails() の結果）
+     * @param {{ routes?: string[]|null }} options routes を指定すると、そのルートのみに送信（送信キューからの再送用）
      */
-    async sendVisitorNotification(meetingId, meetingTitle, externalUsers, startTime, endTime, notificationType = 'created') {
+    async sendVisitorNotification(meetingId, meetingTitle, externalUsers, startTime, endTime, notificationType = 'created', meetingDetails = null, options = {}) {
         try {
             if (!this.isInitialized) {
                 await this.initialize();
@@ -65,6 +157,8 @@ export class PowerAutomateService {
                 return { success: true, notificationsSent: 0 };
             }
 
+            // 来訪者レコードに記録された送信済みのキー（会議ごとに1回だけ取得）
+            const remoteKeys = await this.idempotency.loadRemoteKeys(meetingId);
             const notifications = [];
             
             // 各外部ユーザーに対して通知を送信
@@ -77,13 +171,20 @@ export class PowerAutomateService {
                         visitorName: user.name || user.emailAddress.split('@')[0],
                         startTime,
                         endTime,
-                        notificationType
+                        notificationType,
+                        meetingDetails,
+                        routes: options.routes || null,
+                        remoteKeys: remoteKeys.get(user.emailAddress.trim().toLowerCase())
                     });
                     
                     notifications.push({
                         email: user.emailAddress,
                         success: true,
-                        notificationId: notification.notificationId
+                        skipped: Boolean(notification.skipped),
+                        skipReason: notification.skipReason || null,
+                        idempotencyKey: notification.idempotencyKey || null,
+                        notificationId: notification.notificationId,
+                        routes: notification.routes
                     });
                     
                 } catch (error) {
@@ -91,20 +192,27 @@ export class PowerAutomateService {
                     notifications.push({
                         email: user.emailAddress,
                         success: false,
-                        error: error.message
+                        error: error.message,
+                        retryable: error.retryable !== false,
+                        routes: error.routes || []
                     });
                 }
             }
 
-            const successCount = notifications.filter(n => n.success).length;
+            const successCount = notifications.filter(n => n.success && !n.skipped).length;
             const failureCount = notifications.filter(n => !n.success).length;
+            const skipped = notifications.filter(n => n.skipped).map(n => ({ email: n.email, reason: n.skipReason }));
+
+            const routes = summarizeRouteResults(notifications);
 
-            this.logger.info(`Visitor notifications sent: ${successCount} success, ${failureCount} failures`);
+            this.logger.info(`Visitor notifications sent: ${successCount} success, ${failureCount} failures, ${skipped.length} skipped`, { routes });
 
             return {
                 success: failureCount === 0,
                 notificationsSent: successCount,
                 failures: failureCount,
+                skipped,
+                routes,
                 details: notifications
             };
 
@@ -115,90 +223,432 @@ export class PowerAutomateService {
     }
 
     /**
-     * 単一のユーザーに通知を送信
+     * 単一のユーザーに通知を送信（一致するすべてのルートのうち、同じ通知を送信済みのルートを除いて送信）
+     *
+     * @param {object} notificationData routes を指定すると、そのルート（名前）のみに送信。
+     *     remoteKeys は来訪者レコードに記録された送信済みのキー（loadRemoteKeys() の来訪者の分）
+     * @returns {Promise<{ success: boolean, notificationId: string|null, routes: Array, skipped?: boolean,
+     *     skipReason?: string, idempotencyKey?: string }>}
      */
     async sendSingleNotification(notificationData) {
-        return await this.executeWithRetry(async () => {
-            const config = this.config.getConfig().powerAutomate;
-            const timeout = config.timeout || 30000;
-
-            const payload = {
+        const routes = this.resolveRoutes(notificationData);
+        if (routes.length === 0) {
+            this.logger.info(`No notification route matched for ${notificationData.visitorEmail}`, {
                 meetingId: notificationData.meetingId,
-                meetingTitle: notificationData.meetingTitle,
-                visitorEmail: notificationData.visitorEmail,
-                visitorName: notificationData.visitorName,
-                startTime: this.formatDateTime(notificationData.startTime),
-                endTime: this.formatDateTime(notificationData.endTime),
-                notificationType: notificationData.notificationType,
+                type: notificationData.notificationType
+            });
+            return this.buildSkippedResult(SKIP_REASONS.NO_ROUTE);
+        }
+
+        const meetingDetails = notificationData.meetingDetails || {};
+        const organizer = meetingDetails.organizer || {};
+        const localization = this.buildLocalization(notificationData);
+
+        const data = {
+            meetingId: notificationData.meetingId,
+            meetingTitle: notificationData.meetingTitle,
+            visitorEmail: notificationData.visitorEmail,
+            visitorName: notificationData.visitorName,
+            startTime: this.formatDateTime(notificationData.startTime),
+            endTime: this.formatDateTime(notificationData.endTime),
+            organizerName: organizer.name || null,
+            organizerEmail: organizer.emailAddress || null,
+            location: meetingDetails.location || null,
+            isOnlineMeeting: Boolean(meetingDetails.isOnlineMeeting),
+            isOnlineOnly: Boolean(meetingDetails.isOnlineOnly),
+            ...localization,
+            notificationType: notificationData.notificationType,
+            timestamp: new Date().toISOString(),
+            source: 'LobbyExperienceAddin'
+        };
+
+        const scope = { meetingId: data.meetingId, visitorEmail: data.visitorEmail };
+        const idempotency = this.idempotency.createKey(data);
+        const pending = this.filterSentRoutes(scope, data.notificationType, idempotency, routes, notificationData.remoteKeys);
+        if (pending.length === 0) {
+            return this.buildSkippedResult(SKIP_REASONS.ALREADY_SENT, idempotency.key);
+        }
+
+        // 入館証（登録時・変更時のみ。ルートごと・再試行のたびに作り直さない）
+        const pass = await this.passes.buildNotificationAttachment({
+            meetingId: notificationData.meetingId,
+            visitorEmail: notificationData.visitorEmail,
+            visitorName: notificationData.visitorName,
+            organizerName: organizer.name,
+            startTime: notificationData.startTime,
+            endTime: notificationData.endTime
+        }, notificationData.notificationType, {
+            locale: localization.locale,
+            timeZone: localization.timeZone
+        });
+
+        data.passUrl = pass ? pass.passUrl : null;
+        data.passFileName = pass ? pass.passFileName : null;
+        data.passHtml = pass ? pass.passHtml : null;
+        data.idempotencyKey = idempotency.key;
+
+        this.logger.info(`Sending notification to Power Automate for ${notificationData.visitorEmail}`, {
+            meetingId: notificationData.meetingId,
+            type: notificationData.notificationType,
+            routes: pending.map(route => route.name),
+            idempotencyKey: idempotency.key
+        });
+
+        return await this.sendOnce(scope, pending, data, PAYLOAD_KINDS.VISITOR, idempotency, notificationData.remoteKeys);
+    }
+
+    /**
+     * 会議単位の通知を送信（受付向けの来訪者一覧、主催者向けの登録結果）
+     *
+     * 来訪者ごとの通知と同じルート・再試行・ペイロードの検証を使用する。
+     * 通知の種類を notificationTypes に指定したルートにのみ送信する。
+     *
+     * @param {string} notificationType 'reception_digest' | 'organizer_summary'
+     * @param {object} meeting { meetingId, meetingTitle, startTime, endTime, meetingDetails, externalUsers, isCancelled, summary, failures }
+     * @param {{ routes?: string[]|null }} options routes を指定すると、そのルートのみに送信（送信キューからの再送用）
+     */
+    async sendMeetingNotification(notificationType, meeting, options = {}) {
+        try {
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const visitors = (meeting.externalUsers || []).map(user => ({
+                email: user.emailAddress,
+                name: user.name || user.emailAddress.split('@')[0]
+            }));
+
+            const routes = this.resolveRoutes({
+                notificationType,
+                visitorEmails: visitors.map(visitor => visitor.email),
+                meetingDetails: meeting.meetingDetails,
+                routes: options.routes || null
+            });
+            if (routes.length === 0) {
+                this.logger.debug(`No notification route matched for ${notificationType}`, { meetingId: meeting.meetingId });
+                return this.buildSkippedResult(SKIP_REASONS.NO_ROUTE);
+            }
+
+            const meetingDetails = meeting.meetingDetails || {};
+            const organizer = meetingDetails.organizer || {};
+            const locale = this.i18n.getLocale();
+            const timeZone = this.i18n.getOrganizerTimeZone();
+            const format = value => this.i18n.formatDateTime(value, { locale, timeZone, withTimeZone: true });
+
+            const data = {
+                meetingId: meeting.meetingId,
+                meetingTitle: meeting.meetingTitle,
+                startTime: this.formatDateTime(meeting.startTime),
+                endTime: this.formatDateTime(meeting.endTime),
+                organizerName: organizer.name || null,
+                organizerEmail: organizer.emailAddress || null,
+                location: meetingDetails.location || null,
+                isOnlineMeeting: Boolean(meetingDetails.isOnlineMeeting),
+                isOnlineOnly: Boolean(meetingDetails.isOnlineOnly),
+                isCancelled: Boolean(meeting.isCancelled),
+                locale,
+                timeZone,
+                startTimeLocal: format(meeting.startTime),
+                endTimeLocal: format(meeting.endTime),
+                visitorCount: visitors.length,
+                visitors,
+                summary: meeting.summary || null,
+                failures: meeting.failures || null,
+                notificationType,
                 timestamp: new Date().toISOString(),
                 source: 'LobbyExperienceAddin'
             };
 
-            this.logger.info(`Sending notification to Power Automate for ${notificationData.visitorEmail}`, {
-                meetingId: notificationData.meetingId,
-                type: notificationData.notificationType
+            const scope = { meetingId: meeting.meetingId };
+            const idempotency = this.idempotency.createKey(data);
+            const pending = this.filterSentRoutes(scope, notificationType, idempotency, routes);
+            if (pending.length === 0) {
+                return this.buildSkippedResult(SKIP_REASONS.ALREADY_SENT, idempotency.key);
+            }
+            data.idempotencyKey = idempotency.key;
+
+            this.logger.info(`Sending ${notificationType} notification to Power Automate`, {
+                meetingId: meeting.meetingId,
+                visitors: visitors.length,
+                routes: pending.map(route => route.name),
+                idempotencyKey: idempotency.key
             });
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            return await this.sendOnce(scope, pending, data, PAYLOAD_KINDS.MEETING, idempotency);
 
-            try {
-                const response = await fetch(config.notificationUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
+        } catch (error) {
+            this.logger.error(`Failed to send ${notificationType} notification`, error);
+            throw error;
+        }
+    }
 
-                clearTimeout(timeoutId);
+    /**
+     * 同じ通知を送信済みのルートを除外
+     */
+    filterSentRoutes(scope, notificationType, idempotency, routes, remoteKeys) {
+        const { pendingRoutes, source } = this.idempotency.check(
+            scope, notificationType, idempotency, routes.map(route => route.name), remoteKeys);
 
-                if (!response.ok) {
-                    const errorText = await response.text().catch(() => 'Unknown error');
-                    throw new Error(`HTTP ${response.status}: ${errorText}`);
-                }
+        if (pendingRoutes.length < routes.length) {
+            this.logger.info(`Skipping duplicate ${notificationType} notification for ${scope.visitorEmail || scope.meetingId}`, {
+                meetingId: scope.meetingId,
+                idempotencyKey: idempotency.key,
+                routes: routes.map(route => route.name).filter(name => !pendingRoutes.includes(name)),
+                source
+            });
+        }
 
-                // レスポンスを解析（Power Automateは様々な形式で応答する可能性がある）
-                let responseData;
-                try {
-                    const contentType = response.headers.get('content-type');
-                    if (contentType && contentType.includes('application/json')) {
-                        responseData = await response.json();
-                    } else {
-                        responseData = await response.text();
+        return routes.filter(route => pendingRoutes.includes(route.name));
+    }
+
+    /**
+     * ルートに送信し、送信できたルートを送信済みとして記録（失敗したルートがある場合も記録してから例外にする）
+     */
+    async sendOnce(scope, routes, data, kind, idempotency, remoteKeys) {
+        const record = async (results) => await this.idempotency.record(
+            scope, data.notificationType, idempotency, results.filter(r => r.success).map(r => r.route), remoteKeys);
+
+        try {
+            const result = await this.sendToRoutes(routes, data, kind);
+            await record(result.routes);
+            return { ...result, idempotencyKey: idempotency.key };
+        } catch (error) {
+            if (error.routes) {
+                await record(error.routes);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 送信しなかった通知の結果を作成
+     */
+    buildSkippedResult(skipReason, idempotencyKey = null) {
+        return {
+            success: true,
+            skipped: true,
+            skipReason,
+            idempotencyKey,
+            notificationId: null,
+            routes: [],
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * ルートに送信し、失敗したルートがあれば例外にする（error.routes にルートごとの結果）
+     */
+    async sendToRoutes(routes, data, kind) {
+        const results = await Promise.all(routes.map(route => this.sendToRoute(route, data, kind)));
+        const failed = results.filter(r => !r.success);
+
+        if (failed.length > 0) {
+            const error = new Error(`Notification failed for route(s): ${failed.map(r => `${r.route} (${r.error})`).join(', ')}`);
+            error.routes = results;
+            // 再試行で成功する可能性のあるルートが残っている場合のみ再試行可能とする
+            error.retryable = failed.some(r => r.retryable);
+            throw error;
+        }
+
+        return {
+            success: true,
+            // 通知IDを返したルートの最初の値（どのフローも返さない場合は null）
+            notificationId: results.map(r => r.notificationId).find(Boolean) || null,
+            routes: results,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * ルートに通知を送信（ルートのペイロード設定・タイムアウト・再試行ポリシーを使用）
+     *
+     * 失敗しても例外にせず、ルートごとの結果として返す。送信内容と結果は通知履歴に記録する。
+     * notificationId はフローが応答の本文で返した通知ID（返さない場合は null）。
+     */
+    async sendToRoute(route, data, kind = PAYLOAD_KINDS.VISITOR) {
+        const target = data.visitorEmail || data.meetingId;
+        const startedAt = Date.now();
+        const attempts = [];
+        let payload = null;
+
+        try {
+            // スキーマに沿ってペイロードを作成・検証（検証エラーは再試行しない）
+            payload = this.payloads.buildPayload(data, { ...route.payload, kind });
+
+            const response = await this.postWithRetry(route, payload, data.idempotencyKey, attempts);
+            const history = this.recordHistory({ ...data, kind }, route, { payload, response, attempts, startedAt });
+
+            this.logger.info(`Notification sent successfully for ${target} via ${route.name}`, {
+                notificationId: history.notificationId,
+                retries: history.retries,
+                latencyMs: history.latencyMs
+            });
+
+            return {
+                route: route.name,
+                success: true,
+                notificationId: history.notificationId,
+                historyId: history.id,
+                response: response.data
+            };
+        } catch (error) {
+            this.logger.error(`Failed to send notification for ${target} via ${route.name}`, error);
+            const history = this.recordHistory({ ...data, kind }, route, { payload, attempts, startedAt, error });
+            return {
+                route: route.name,
+                success: false,
+                error: error.message,
+                retryable: error.retryable !== false,
+                historyId: history.id
+            };
+        }
+    }
+
+    /**
+     * ペイロードをルートに送信（ルートの再試行ポリシーで再試行し、試行ごとの状態と所要時間を attempts に追加）
+     *
+     * @param {string|null} idempotencyKey フロー側でも重複を判定できるよう Idempotency-Key ヘッダーで渡す
+     * @returns {Promise<{ ok: boolean, status: number, data: any, runId: string|null }>} 成功した応答
+     */
+    async postWithRetry(route, payload, idempotencyKey, attempts = []) {
+        const headers = idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {};
+
+        return await this.executeWithRetry(async () => {
+            const attempt = { at: new Date().toISOString(), statusCode: null, latencyMs: 0, error: null };
+            const attemptStartedAt = Date.now();
+            attempts.push(attempt);
+
+            try {
+                const result = await this.postJson(route.url, payload, route.timeout, headers);
+                attempt.statusCode = result.status;
+                if (!result.ok) {
+                    const errorText = typeof result.data === 'string' ? result.data : JSON.stringify(result.data);
+                    const error = new Error(`HTTP ${result.status}: ${errorText}`);
+                    // URL・署名・要求内容の誤りなどは再試行・送信キューへの保存をしない
+                    if (result.status >= 400 && result.status < 500 && !RETRYABLE_CLIENT_ERROR_STATUSES.includes(result.status)) {
+                        error.retryable = false;
                     }
-                } catch (parseError) {
-                    // レスポンスが解析できない場合でも成功とする
-                    responseData = 'Success';
+                    throw error;
                 }
+                return result;
+            } catch (error) {
+                attempt.error = error.message;
+                throw error;
+            } finally {
+                attempt.latencyMs = Date.now() - attemptStartedAt;
+            }
+        }, 0, route.retry);
+    }
 
-                this.logger.info(`Notification sent successfully to ${notificationData.visitorEmail}`);
+    /**
+     * JSON を POST して応答を取得（タイムアウト付き）
+     *
+     * @param {object} headers 追加の HTTP ヘッダー
+     * @returns {Promise<{ ok: boolean, status: number, data: any, runId: string|null }>} runId はフローの実行ID
+     */
+    async postJson(url, body, timeout, headers = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-                return {
-                    success: true,
-                    notificationId: this.generateNotificationId(),
-                    response: responseData,
-                    timestamp: new Date().toISOString()
-                };
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...headers
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
 
-            } catch (error) {
-                clearTimeout(timeoutId);
-                
-                if (error.name === 'AbortError') {
-                    throw new Error(`Request timeout after ${timeout}ms`);
+            clearTimeout(timeoutId);
+
+            // レスポンスを解析（Power Automateは様々な形式で応答する可能性がある）
+            let data;
+            try {
+                const contentType = response.headers.get('content-type');
+                if (contentType && contentType.includes('application/json')) {
+                    data = await response.json();
+                } else {
+                    data = await response.text();
                 }
-                
-                throw error;
+            } catch (parseError) {
+                // レスポンスが解析できない場合でも応答の状態で判定する
+                data = null;
             }
-        });
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                data,
+                runId: response.headers.get(WORKFLOW_RUN_ID_HEADER) || null
+            };
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timeout after ${timeout}ms`);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * 通知の送信先（ルート）を取得
+     *
+     * powerAutomate.routes が未設定の場合は notificationUrl をすべての通知の送信先とする。
+     * タイムアウト・再試行ポリシーはルートの設定、powerAutomate の設定、既定値の順に適用する。
+     */
+    getRoutes() {
+        const config = this.config.getConfig().powerAutomate || {};
+        const routes = Array.isArray(config.routes) && config.routes.length > 0
+            ? config.routes
+            : (config.notificationUrl ? [{ name: DEFAULT_ROUTE_NAME, url: config.notificationUrl }] : []);
+
+        return routes
+            .filter(route => route.enabled !== false)
+            .map(route => ({
+                name: route.name,
+                url: route.url,
+                notificationTypes: route.notificationTypes || [],
+                visitorDomains: (route.visitorDomains || []).map(domain => domain.toLowerCase()),
+                locations: (route.locations || []).map(location => location.toLowerCase()),
+                timeout: route.timeout || config.timeout || 30000,
+                retry: { ...this.retryConfig, ...config.retry, ...route.retry },
+                payload: route.payload || {}
+            }));
+    }
+
+    /**
+     * 通知に一致するルートを取得
+     *
+     * ルートの条件（通知の種類・来訪者のドメイン・会議の場所）はすべて満たす必要があり、
+     * 未設定の条件はすべての通知に一致する。ただし notificationTypes が未設定のルートには
+     * 来訪者ごとの通知のみ送信し、会議単位の通知はいずれかの来訪者のドメインが一致すれば送信する。
+     */
+    resolveRoutes(notificationData) {
+        const emails = notificationData.visitorEmail ? [notificationData.visitorEmail] : (notificationData.visitorEmails || []);
+        const domains = emails.map(email => (email || '').split('@')[1]?.toLowerCase() || '');
+        const location = (notificationData.meetingDetails?.location || '').toLowerCase();
+        const notificationType = notificationData.notificationType;
+
+        return this.getRoutes().filter(route =>
+            (!notificationData.routes || notificationData.routes.includes(route.name)) &&
+            (route.notificationTypes.length === 0
+                ? NOTIFICATION_TYPES.includes(notificationType)
+                : route.notificationTypes.includes(notificationType)) &&
+            (route.visitorDomains.length === 0 || domains.some(domain =>
+                route.visitorDomains.some(rule => domain === rule || domain.endsWith(`.${rule}`)))) &&
+            (route.locations.length === 0 || (location !== '' && route.locations.some(rule => location.includes(rule)))));
     }
 
     /**
      * 会議更新通知を送信
      */
-    async sendMeetingUpdateNotification(meetingId, meetingTitle, externalUsers, startTime, endTime, changeType) {
+    async sendMeetingUpdateNotification(meetingId, meetingTitle, externalUsers, startTime, endTime, changeType, meetingDetails = null) {
         try {
             const notificationType = this.mapChangeTypeToNotification(changeType);
             
@@ -208,7 +658,8 @@ export class PowerAutomateService {
                 externalUsers,
                 startTime,
                 endTime,
-                notificationType
+                notificationType,
+                meetingDetails
             );
         } catch (error) {
             this.logger.error('Failed to send meeting update notification', error);
@@ -254,7 +705,8 @@ export class PowerAutomateService {
                         meeting.externalUsers,
                         meeting.startTime,
                         meeting.endTime,
-                        meeting.notificationType || 'created'
+                        meeting.notificationType || 'created',
+                        meeting.meetingDetails || null
                     );
                     
                     results.push({
@@ -292,7 +744,9 @@ export class PowerAutomateService {
     }
 
     /**
-     * Power Automate接続テスト
+     * Power Automate接続テスト（すべてのルートに送信）
+     *
+     * @returns {Promise<{ success: boolean, statusCode?: number, detail?: string, error?: string, routes?: Array }>}
      */
     async testConnection() {
         try {
@@ -300,68 +754,53 @@ export class PowerAutomateService {
                 await this.initialize();
             }
 
-            const testPayload = {
-                test: true,
-                timestamp: new Date().toISOString(),
-                source: 'LobbyExperienceAddin',
-                message: 'Connection test from Outlook Add-in'
-            };
-
-            const config = this.config.getConfig().powerAutomate;
-            const timeout = config.timeout || 30000;
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-            try {
-                const response = await fetch(config.notificationUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    body: JSON.stringify(testPayload),
-                    signal: controller.signal
-                });
+            const routes = this.getRoutes();
+            if (routes.length === 0) {
+                throw new Error('No notification route is configured');
+            }
 
-                clearTimeout(timeoutId);
+            const results = await Promise.all(routes.map(async (route) => {
+                const testPayload = {
+                    schemaVersion: route.payload.schemaVersion ?? this.payloads.getPayloadConfig().schemaVersion,
+                    test: true,
+                    timestamp: new Date().toISOString(),
+                    source: 'LobbyExperienceAddin',
+                    message: 'Connection test from Outlook Add-in'
+                };
 
-                const success = response.ok;
-                const statusCode = response.status;
-                
-                let responseData;
                 try {
-                    const contentType = response.headers.get('content-type');
-                    if (contentType && contentType.includes('application/json')) {
-                        responseData = await response.json();
-                    } else {
-                        responseData = await response.text();
-                    }
-                } catch {
-                    responseData = 'No response data';
+                    const response = await this.postJson(route.url, testPayload, route.timeout);
+                    return {
+                        route: route.name,
+                        success: response.ok,
+                        statusCode: response.status,
+                        response: response.data,
+                        error: response.ok ? null : `HTTP ${response.status}`
+                    };
+                } catch (error) {
+                    return {
+                        route: route.name,
+                        success: false,
+                        error: error.message
+                    };
                 }
+            }));
 
-                this.logger.info(`Power Automate connection test completed: ${success ? 'SUCCESS' : 'FAILED'}`, {
-                    status: statusCode,
-                    response: responseData
-                });
+            const failed = results.filter(r => !r.success);
+            const describe = (result, value) => results.length > 1 ? `${result.route}: ${value}` : `${value}`;
 
-                return {
-                    success,
-                    statusCode,
-                    response: responseData,
-                    timestamp: new Date().toISOString()
-                };
+            this.logger.info(`Power Automate connection test completed: ${failed.length === 0 ? 'SUCCESS' : 'FAILED'}`, {
+                routes: results.map(r => ({ route: r.route, status: r.statusCode, error: r.error }))
+            });
 
-            } catch (error) {
-                clearTimeout(timeoutId);
-                
-                if (error.name === 'AbortError') {
-                    throw new Error(`Connection test timeout after ${timeout}ms`);
-                }
-                
-                throw error;
-            }
+            return {
+                success: failed.length === 0,
+                statusCode: results[0].statusCode,
+                detail: results.map(r => describe(r, r.statusCode ?? r.error)).join(', '),
+                error: failed.length > 0 ? failed.map(r => describe(r, r.error)).join(', ') : null,
+                routes: results,
+                timestamp: new Date().toISOString()
+            };
 
         } catch (error) {
             this.logger.error('Power Automate connection test failed', error);
@@ -381,6 +820,7 @@ export class PowerAutomateService {
             'recipients_changed': 'updated',
             'subject_changed': 'updated',
             'time_changed': 'updated',
+            'location_changed': 'updated',
             'appointment_changed': 'updated',
             'created': 'created',
             'deleted': 'cancelled'
@@ -389,6 +829,68 @@ export class PowerAutomateService {
         return mapping[changeType] || 'updated';
     }
 
+    /**
+     * 変更内容に応じて通知の送信先と種類を決定
+     *
+     * 手動処理・新規作成では全員に作成通知を送る。会議の変更では追加された来訪者にのみ作成通知を送り、
+     * 件名・日時が変わった場合は既存の来訪者に更新通知を送る。
+     * キャンセル通知は来訪者レコードをキャンセル済みにした際に送信キューが送るため、ここでは計画しない。
+     *
+     * @param {object} eventData externalUsers と changes（MeetingChangePipeline の差分）を含む会議データ
+     * @returns {Array<{ users: Array, notificationType: string }>}
+     */
+    planNotifications(eventData, changeType) {
+        const externalUsers = eventData.externalUsers || [];
+
+        if (changeType === 'deleted') {
+            return [];
+        }
+
+        if (changeType === 'manual' || changeType === 'created' || !eventData.changes) {
+            return externalUsers.length > 0
+                ? [{ users: externalUsers, notificationType: changeType === 'manual' ? 'created' : this.mapChangeTypeToNotification(changeType) }]
+                : [];
+        }
+
+        const added = new Set(eventData.changes.visitorsAdded);
+        const addedUsers = externalUsers.filter(u => added.has(u.emailAddress.toLowerCase()));
+        const existingUsers = externalUsers.filter(u => !added.has(u.emailAddress.toLowerCase()));
+        const plan = [];
+
+        if (addedUsers.length > 0) {
+            plan.push({ users: addedUsers, notificationType: 'created' });
+        }
+        if (Object.keys(eventData.changes.fields).length > 0 && existingUsers.length > 0) {
+            plan.push({ users: existingUsers, notificationType: this.mapChangeTypeToNotification(changeType) });
+        }
+
+        return plan;
+    }
+
+    /**
+     * 通知の言語とタイムゾーン、各タイムゾーンでの日時の表示用文字列を作成
+     *
+     * locale・timeZone は来訪者向け（フローでメールテンプレートの選択に使用）、organizer* は主催者向け。
+     */
+    buildLocalization(notificationData) {
+        const visitor = this.i18n.getVisitorContext(notificationData.visitorEmail);
+        const organizerLocale = this.i18n.getLocale();
+        const organizerTimeZone = this.i18n.getOrganizerTimeZone();
+        const format = (value, locale, timeZone) =>
+            this.i18n.formatDateTime(value, { locale, timeZone, withTimeZone: true });
+
+        return {
+            locale: visitor.locale,
+            timeZone: visitor.timeZone,
+            startTimeLocal: format(notificationData.startTime, visitor.locale, visitor.timeZone),
+            endTimeLocal: format(notificationData.endTime, visitor.locale, visitor.timeZone),
+            organizerLocale,
+            organizerTimeZone,
+            organizerStartTimeLocal: format(notificationData.startTime, organizerLocale, organizerTimeZone),
+            organizerEndTimeLocal: format(notificationData.endTime, organizerLocale, organizerTimeZone)
+        };
+    }
+
     /**
      * 日時をISO文字列にフォーマット
      */
@@ -403,48 +905,208 @@ export class PowerAutomateService {
     }
 
     /**
-     * 通知IDを生成
+     * 通知履歴のIDを生成
      */
-    generateNotificationId() {
+    generateHistoryId() {
         return `notification_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * フローの応答の本文から通知IDを取得（{ "notificationId": "..." } を返すフローのみ）
+     */
+    extractNotificationId(body) {
+        if (!body || typeof body !== 'object') {
+            return null;
+        }
+        const notificationId = body.notificationId;
+        return typeof notificationId === 'string' || typeof notificationId === 'number' ? String(notificationId) : null;
+    }
+
     /**
      * リトライ機能付きで関数を実行
+     *
+     * @param {object} retryConfig 再試行ポリシー（省略時は既定値。ルートごとのポリシーを指定）
      */
-    async executeWithRetry(operation, retryCount = 0) {
+    async executeWithRetry(operation, retryCount = 0, retryConfig = this.retryConfig) {
         try {
             return await operation();
         } catch (error) {
-            if (retryCount < this.retryConfig.maxRetries) {
-                const delay = this.retryConfig.retryDelay * 
-                    Math.pow(this.retryConfig.backoffMultiplier, retryCount);
+            if (error.retryable !== false && retryCount < retryConfig.maxRetries) {
+                const delay = retryConfig.retryDelay * 
+                    Math.pow(retryConfig.backoffMultiplier, retryCount);
                 
-                this.logger.warn(`Power Automate operation failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${this.retryConfig.maxRetries})`, error);
+                this.logger.warn(`Power Automate operation failed, retrying in ${delay}ms (attempt ${retryCount + 1}/${retryConfig.maxRetries})`, error);
                 
                 await new Promise(resolve => setTimeout(resolve, delay));
-                return await this.executeWithRetry(operation, retryCount + 1);
+                return await this.executeWithRetry(operation, retryCount + 1, retryConfig);
             }
             
-            this.logger.error(`Power Automate operation failed after ${this.retryConfig.maxRetries} retries`, error);
+            this.logger.error(`Power Automate operation failed after ${retryCount} retries`, error);
             throw error;
         }
     }
 
     /**
-     * 通知履歴を取得（ローカルストレージから）
+     * 通知の送信結果を通知履歴に記録
+     *
+     * @param {object} data 通知のデータ（meetingId, meetingTitle, visitorEmail, notificationType, idempotencyKey, kind）
+     * @param {{ name: string }} route 送信したルート
+     * @param {{ payload: object|null, response?: object|null, attempts: Array, startedAt: number,
+     *     error?: Error|null, resendOf?: string|null }} outcome
+     * @returns {object} 記録した履歴
      */
-    getNotificationHistory(limit = 50) {
+    recordHistory(data, route, { payload, response = null, attempts, startedAt, error = null, resendOf = null }) {
+        const lastAttempt = attempts[attempts.length - 1];
+        const { kind, ...source } = data;
+        const entry = {
+            id: this.generateHistoryId(),
+            status: error ? HISTORY_STATUS.FAILED : HISTORY_STATUS.SENT,
+            kind: data.kind || PAYLOAD_KINDS.VISITOR,
+            notificationType: data.notificationType,
+            meetingId: data.meetingId,
+            meetingTitle: data.meetingTitle || null,
+            visitorEmail: data.visitorEmail || null,
+            route: route.name,
+            idempotencyKey: data.idempotencyKey || null,
+            notificationId: response ? this.extractNotificationId(response.data) : null,
+            runId: response ? response.runId : null,
+            statusCode: lastAttempt ? lastAttempt.statusCode : null,
+            retries: Math.max(attempts.length - 1, 0),
+            latencyMs: Date.now() - startedAt,
+            attempts,
+            request: payload ? this.trimHistoryValue(payload) : null,
+            // 再送時にペイロードを作り直すための通知のデータ（省略したフィールドは trimmedFields）
+            source: payload ? this.trimHistoryValue(source) : null,
+            trimmedFields: payload ? this.getTrimmedFields(source) : [],
+            response: response ? this.trimHistoryValue(response.data) : null,
+            error: error ? error.message : null,
+            resendOf
+        };
+
+        this.saveNotificationHistory(entry);
+        return entry;
+    }
+
+    /**
+     * 履歴に保存できない長い文字列を省略（入館証の HTML など）
+     */
+    trimHistoryValue(value) {
+        if (typeof value === 'string') {
+            return value.length > MAX_HISTORY_VALUE_LENGTH ? null : value;
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value ?? null;
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            typeof item === 'string' && item.length > MAX_HISTORY_VALUE_LENGTH ? null : item
+        ]));
+    }
+
+    /**
+     * trimHistoryValue() で省略されるフィールド名
+     */
+    getTrimmedFields(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [];
+        }
+        return Object.keys(value).filter(key => typeof value[key] === 'string' && value[key].length > MAX_HISTORY_VALUE_LENGTH);
+    }
+
+    /**
+     * 通知履歴の通知を同じルートに再送
+     *
+     * 記録した通知のデータから、履歴に保存しなかった入館証を作り直し、現在のスキーマで検証したペイロードを送信する。
+     * 冪等キーは新しく発行する（元のキーのままでは、キーで重複を除くフローが送信済みの通知の再送を破棄するため）。
+     * 再送の結果も通知履歴に記録する（resendOf に再送元の履歴ID）。
+     *
+     * @returns {Promise<{ success: boolean, historyId: string, notificationId: string|null, error: string|null }>}
+     */
+    async resendNotification(historyId) {
         try {
-            const historyKey = 'powerAutomate_notification_history';
-            const historyStr = localStorage.getItem(historyKey);
-            
-            if (!historyStr) {
-                return [];
+            if (!this.isInitialized) {
+                await this.initialize();
             }
-            
-            const history = JSON.parse(historyStr);
-            return Array.isArray(history) ? history.slice(0, limit) : [];
+
+            const original = this.getNotificationHistory(MAX_HISTORY_SIZE).find(entry => entry.id === historyId);
+            const trimmedFields = original ? original.trimmedFields || [] : [];
+            if (!original || !original.source || trimmedFields.some(field => !REBUILDABLE_HISTORY_FIELDS.includes(field))) {
+                throw new Error(`Notification history entry cannot be resent: ${historyId}`);
+            }
+
+            const route = this.getRoutes().find(r => r.name === original.route);
+            if (!route) {
+                throw new Error(`Notification route is no longer configured: ${original.route}`);
+            }
+
+            const data = {
+                ...original.source,
+                idempotencyKey: `${original.idempotencyKey || original.id}-resend-${Date.now().toString(36)}`
+            };
+            if (trimmedFields.length > 0) {
+                Object.assign(data, await this.rebuildPassFields(data));
+            }
+
+            const startedAt = Date.now();
+            const attempts = [];
+            const outcome = { payload: null, attempts, startedAt, resendOf: original.id };
+            const entry = { ...data, kind: original.kind };
+
+            try {
+                // 検証エラーは送信せずに失敗として記録する
+                outcome.payload = this.payloads.buildPayload(data, { ...route.payload, kind: original.kind });
+                const response = await this.postWithRetry(route, outcome.payload, data.idempotencyKey, attempts);
+                const history = this.recordHistory(entry, route, { ...outcome, response });
+                this.logger.info(`Notification resent for ${original.visitorEmail || original.meetingId} via ${route.name}`, {
+                    historyId: history.id,
+                    resendOf: original.id
+                });
+                return { success: true, historyId: history.id, notificationId: history.notificationId, error: null };
+            } catch (error) {
+                this.logger.error(`Failed to resend notification for ${original.visitorEmail || original.meetingId}`, error);
+                const history = this.recordHistory(entry, route, { ...outcome, error });
+                return { success: false, historyId: history.id, notificationId: null, error: error.message };
+            }
+
+        } catch (error) {
+            this.logger.error('Failed to resend notification', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 再送する通知の入館証のフィールドを作り直す（通知のデータの来訪者・会議・言語を使用）
+     */
+    async rebuildPassFields(data) {
+        const pass = await this.passes.buildNotificationAttachment({
+            meetingId: data.meetingId,
+            visitorEmail: data.visitorEmail,
+            visitorName: data.visitorName,
+            organizerName: data.organizerName,
+            startTime: data.startTime,
+            endTime: data.endTime
+        }, data.notificationType, {
+            locale: data.locale,
+            timeZone: data.timeZone
+        });
+
+        return {
+            passUrl: pass ? pass.passUrl : null,
+            passFileName: pass ? pass.passFileName : null,
+            passHtml: pass ? pass.passHtml : null
+        };
+    }
+
+    /**
+     * 通知履歴を取得（ローカルストレージから、新しい順）
+     *
+     * @param {{ meetingId?: string|null }} filters meetingId を指定するとその会議の通知のみ
+     */
+    getNotificationHistory(limit = 50, { meetingId = null } = {}) {
+        try {
+            return this.readHistory()
+                .filter(entry => !meetingId || entry.meetingId === meetingId)
+                .slice(0, limit);
             
         } catch (error) {
             this.logger.error('Failed to get notification history', error);
@@ -457,10 +1119,7 @@ export class PowerAutomateService {
      */
     saveNotificationHistory(notification) {
         try {
-            const historyKey = 'powerAutomate_notification_history';
-            const maxHistorySize = 100;
-            
-            let history = this.getNotificationHistory(maxHistorySize);
+            let history = this.readHistory();
             
             // 新しい通知を履歴の先頭に追加
             history.unshift({
@@ -469,30 +1128,109 @@ export class PowerAutomateService {
             });
             
             // 履歴サイズを制限
-            if (history.length > maxHistorySize) {
-                history = history.slice(0, maxHistorySize);
+            if (history.length > MAX_HISTORY_SIZE) {
+                history = history.slice(0, MAX_HISTORY_SIZE);
             }
             
-            localStorage.setItem(historyKey, JSON.stringify(history));
+            this.writeHistory(history);
+            this.notifyHistoryChange();
             
         } catch (error) {
             this.logger.error('Failed to save notification history', error);
         }
     }
 
+    /**
+     * 保存された通知履歴を読み込む（localStorage を使用できない場合はメモリ上の履歴）
+     */
+    readHistory() {
+        if (typeof localStorage === 'undefined' || !localStorage) {
+            return [...this.memoryHistory];
+        }
+        const stored = localStorage.getItem(HISTORY_STORAGE_KEY);
+        const history = stored ? JSON.parse(stored) : [];
+        return Array.isArray(history) ? history : [];
+    }
+
+    /**
+     * 通知履歴を保存
+     */
+    writeHistory(history) {
+        this.memoryHistory = history;
+        if (typeof localStorage !== 'undefined' && localStorage) {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+        }
+    }
+
+    /**
+     * 通知履歴に含まれる会議の一覧（新しい通知の会議から順に、会議の絞り込み用）
+     *
+     * @returns {Array<{ meetingId: string, meetingTitle: string|null, count: number }>}
+     */
+    getHistoryMeetings() {
+        const meetings = new Map();
+        for (const entry of this.getNotificationHistory(MAX_HISTORY_SIZE)) {
+            const meeting = meetings.get(entry.meetingId) || { meetingId: entry.meetingId, meetingTitle: null, count: 0 };
+            meeting.meetingTitle = meeting.meetingTitle || entry.meetingTitle || null;
+            meeting.count++;
+            meetings.set(entry.meetingId, meeting);
+        }
+        return [...meetings.values()];
+    }
+
+    /**
+     * 通知履歴を JSON で出力（サポート担当者への送付用）
+     *
+     * @param {{ meetingId?: string|null }} filters meetingId を指定するとその会議の通知のみ
+     */
+    exportNotificationHistory(filters = {}) {
+        const entries = this.getNotificationHistory(MAX_HISTORY_SIZE, filters);
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            environment: this.config.getEnvironment(),
+            meetingId: filters.meetingId || null,
+            count: entries.length,
+            entries
+        }, null, 2);
+    }
+
     /**
      * 通知履歴をクリア
      */
     clearNotificationHistory() {
         try {
-            const historyKey = 'powerAutomate_notification_history';
-            localStorage.removeItem(historyKey);
+            this.writeHistory([]);
+            this.notifyHistoryChange();
             this.logger.info('Notification history cleared');
         } catch (error) {
             this.logger.error('Failed to clear notification history', error);
         }
     }
 
+    /**
+     * 通知履歴の変更を購読
+     *
+     * @returns {Function} 購読を解除する関数
+     */
+    onHistoryChange(listener) {
+        this.historyListeners.add(listener);
+        return () => this.historyListeners.delete(listener);
+    }
+
+    /**
+     * 購読者に通知履歴の変更を通知
+     */
+    notifyHistoryChange() {
+        for (const listener of this.historyListeners) {
+            try {
+                listener();
+            } catch (error) {
+                this.logger.error('Notification history listener failed', error);
+            }
+        }
+    }
+
     /**
      * サービスを破棄
      */
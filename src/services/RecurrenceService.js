@@ -0,0 +1,374 @@
+/**
+ * RecurrenceService
+ * 定期的な予定の繰り返しパターンを読み取り、先読み期間内の各回（オカレンス）を求めるサービス
+ *
+ * - 保存済みのシリーズは Microsoft Graph の instances から取得する（例外・キャンセルされた回を含む）
+ * - 保存前のシリーズや Graph を使用できない場合は、Office.js の繰り返しパターンから展開する
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { AuthService } from './AuthService.js';
+import { isValidTimeZone } from './I18nService.js';
+import { WINDOWS_TIME_ZONES, getTimeZoneOffsetMinutes, localTimeToUtc } from '../utils/TimeZone.js';
+
+const GRAPH_RESOURCE = 'https://graph.microsoft.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// パターン展開で生成する最大件数（誤ったパターンでの無限展開を防ぐ）
+const MAX_OCCURRENCES = 500;
+
+// 先読み期間の上限（日、outlook.recurrenceLookAheadDays の maximum）
+const MAX_LOOK_AHEAD_DAYS = 365;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEK_NUMBERS = ['first', 'second', 'third', 'fourth'];
+
+/**
+ * 各回の会議ID（シリーズIDと本来の開始日時から決まるため、日時が変更された回でも変わらない）
+ */
+export function getOccurrenceId(seriesId, originalStart) {
+    const stamp = new Date(originalStart).toISOString().replace(/[-:]/g, '').slice(0, 13);
+    return `${seriesId}_${stamp}Z`;
+}
+
+export class RecurrenceService {
+    /**
+     * @param {MeetingIdentityService} meetingIdentity EWS ID から REST ID への変換に使用
+     */
+    constructor(meetingIdentity) {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('RecurrenceService');
+        this.meetingIdentity = meetingIdentity;
+    }
+
+    /**
+     * アイテムの繰り返しパターンを読み取る（定期的な予定でない場合は null）
+     *
+     * 作成モードでは getAsync、読み取りモードではプロパティから取得する。
+     */
+    async readRecurrence(item) {
+        if (!item || !item.recurrence) {
+            return null;
+        }
+
+        const recurrence = typeof item.recurrence.getAsync === 'function'
+            ? await new Promise((resolve) => {
+                item.recurrence.getAsync((result) => {
+                    resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : null);
+                });
+            })
+            : item.recurrence;
+
+        return recurrence ? this.normalizePattern(recurrence) : null;
+    }
+
+    /**
+     * Office.js の Recurrence を比較・保存しやすい形に変換
+     */
+    normalizePattern(recurrence) {
+        const properties = recurrence.recurrenceProperties || {};
+        const seriesTime = recurrence.seriesTime;
+
+        return {
+            recurrenceType: recurrence.recurrenceType,
+            interval: properties.interval || 1,
+            days: properties.days || [],
+            dayOfMonth: properties.dayOfMonth || null,
+            dayOfWeek: properties.dayOfWeek || null,
+            weekNumber: properties.weekNumber || null,
+            month: properties.month || null,
+            firstDayOfWeek: properties.firstDayOfWeek || 'sun',
+            startDate: seriesTime.getStartDate(),
+            endDate: seriesTime.getEndDate() || null,
+            startTime: seriesTime.getStartTime(),
+            durationMinutes: seriesTime.getDuration(),
+            timeZone: recurrence.recurrenceTimeZone ? recurrence.recurrenceTimeZone.name : null
+        };
+    }
+
+    /**
+     * 先読み期間内の各回を取得
+     *
+     * @param {object} eventData seriesId・seriesItemId・recurrence・startTime を含む会議データ
+     * @returns {Promise<{ windowStart: string, windowEnd: string, occurrences: Array }>}
+     *   occurrences: { occurrenceId, originalStart, start, end, isCancelled }（ISO文字列）
+     */
+    async getOccurrences(eventData) {
+        const { windowStart, windowEnd } = this.getWindow();
+        let occurrences = null;
+
+        if (eventData.seriesItemId) {
+            try {
+                occurrences = await this.fetchInstances(eventData.seriesItemId, windowStart, windowEnd);
+            } catch (error) {
+                if (!eventData.recurrence) {
+                    throw error;
+                }
+                this.logger.warn('Failed to fetch series instances, expanding recurrence pattern', error);
+            }
+        }
+
+        if (!occurrences) {
+            if (!eventData.recurrence) {
+                throw new Error('Recurrence pattern is not available for this series');
+            }
+            occurrences = this.expand(eventData.recurrence, {
+                timeZone: this.getSeriesTimeZone(eventData),
+                offsetMinutes: this.getUtcOffsetMinutes(eventData)
+            }, windowStart, windowEnd);
+        }
+
+        return {
+            windowStart: windowStart.toISOString(),
+            windowEnd: windowEnd.toISOString(),
+            occurrences: occurrences.map(occurrence => ({
+                occurrenceId: getOccurrenceId(eventData.seriesId, occurrence.originalStart),
+                originalStart: occurrence.originalStart.toISOString(),
+                start: occurrence.start.toISOString(),
+                end: occurrence.end.toISOString(),
+                isCancelled: Boolean(occurrence.isCancelled)
+            }))
+        };
+    }
+
+    /**
+     * シリーズの各回を Microsoft Graph から取得（例外の日時やキャンセルされた回を反映）
+     */
+    async fetchInstances(seriesItemId, windowStart, windowEnd) {
+        const token = await AuthService.getInstance().getAccessToken(GRAPH_RESOURCE);
+        const restId = this.meetingIdentity.toRestId(seriesItemId);
+        const query = `startDateTime=${windowStart.toISOString()}&endDateTime=${windowEnd.toISOString()}` +
+            '&$select=start,end,originalStart,isCancelled,type&$top=100';
+
+        let url = `${GRAPH_RESOURCE}/v1.0/me/events/${encodeURIComponent(restId)}/instances?${query}`;
+        const instances = [];
+
+        while (url) {
+            const response = await fetch(url, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json',
+                    'Prefer': 'outlook.timezone="UTC"'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            instances.push(...data.value);
+            url = data['@odata.nextLink'] || null;
+        }
+
+        return instances.map(instance => {
+            const start = this.parseGraphDateTime(instance.start);
+            return {
+                originalStart: instance.originalStart ? new Date(instance.originalStart) : start,
+                start,
+                end: this.parseGraphDateTime(instance.end),
+                isCancelled: instance.isCancelled
+            };
+        });
+    }
+
+    /**
+     * 繰り返しパターンを先読み期間内で展開
+     *
+     * パターンの日時はシリーズのタイムゾーンの現地時刻のため、各回の日時での UTC との差で変換する（夏時間に対応）。
+     * タイムゾーンが不明な場合は offsetMinutes（UTC との差、分）で変換する。
+     *
+     * @param {{ timeZone?: string|null, offsetMinutes?: number }} timing
+     */
+    expand(pattern, { timeZone = null, offsetMinutes = 0 }, windowStart, windowEnd) {
+        const seriesStart = this.parseLocalDate(pattern.startDate);
+        const seriesEnd = pattern.endDate ? this.parseLocalDate(pattern.endDate) : null;
+        const [hours, minutes] = pattern.startTime.split(':').map(Number);
+        const timeOfDayMs = (hours * 60 + minutes) * 60000;
+        const offsetMs = (timeZone ? getTimeZoneOffsetMinutes(timeZone, windowStart) : offsetMinutes) * 60000;
+
+        // 期間の前後1日を含めて現地日付で走査（タイムゾーン差で日付がずれる分）
+        const from = Math.max(seriesStart, this.startOfUtcDay(windowStart.getTime() + offsetMs) - DAY_MS);
+        const to = Math.min(seriesEnd ?? Infinity, this.startOfUtcDay(windowEnd.getTime() + offsetMs) + DAY_MS);
+
+        const occurrences = [];
+        for (let day = from; day <= to && occurrences.length < MAX_OCCURRENCES; day += DAY_MS) {
+            if (!this.matchesPattern(pattern, seriesStart, day)) {
+                continue;
+            }
+
+            const start = timeZone ? localTimeToUtc(day + timeOfDayMs, timeZone) : new Date(day + timeOfDayMs - offsetMs);
+            const end = new Date(start.getTime() + pattern.durationMinutes * 60000);
+            if (end <= windowStart || start >= windowEnd) {
+                continue;
+            }
+
+            occurrences.push({ originalStart: start, start, end, isCancelled: false });
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * 現地日付（UTC の 0 時として表した値）がパターンに一致するか
+     */
+    matchesPattern(pattern, seriesStart, day) {
+        const date = new Date(day);
+        const weekday = DAY_NAMES[date.getUTCDay()];
+        const interval = pattern.interval || 1;
+
+        switch (pattern.recurrenceType) {
+            case 'daily':
+                return Math.round((day - seriesStart) / DAY_MS) % interval === 0;
+
+            case 'weekday':
+                return weekday !== 'sat' && weekday !== 'sun';
+
+            case 'weekly': {
+                const weeks = Math.floor((this.startOfWeek(day, pattern.firstDayOfWeek) -
+                    this.startOfWeek(seriesStart, pattern.firstDayOfWeek)) / (7 * DAY_MS));
+                return weeks % interval === 0 && this.matchesDays(pattern.days, weekday);
+            }
+
+            case 'monthly': {
+                const seriesDate = new Date(seriesStart);
+                const months = (date.getUTCFullYear() - seriesDate.getUTCFullYear()) * 12 +
+                    date.getUTCMonth() - seriesDate.getUTCMonth();
+                return months % interval === 0 && this.matchesDayInMonth(pattern, date);
+            }
+
+            case 'yearly': {
+                const years = date.getUTCFullYear() - new Date(seriesStart).getUTCFullYear();
+                return years % interval === 0 &&
+                    MONTH_NAMES[date.getUTCMonth()] === pattern.month &&
+                    this.matchesDayInMonth(pattern, date);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 月内の日付の指定（日付、または第N週の曜日）に一致するか
+     */
+    matchesDayInMonth(pattern, date) {
+        if (pattern.dayOfMonth) {
+            // 存在しない日付（31日など）は月末に合わせる
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            return date.getUTCDate() === Math.min(pattern.dayOfMonth, lastDay);
+        }
+
+        if (!this.matchesDays([pattern.dayOfWeek], DAY_NAMES[date.getUTCDay()])) {
+            return false;
+        }
+
+        const dayOfMonth = date.getUTCDate();
+        if (pattern.weekNumber === 'last') {
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            return dayOfMonth + 7 > lastDay;
+        }
+        return Math.floor((dayOfMonth - 1) / 7) === WEEK_NUMBERS.indexOf(pattern.weekNumber);
+    }
+
+    /**
+     * 曜日の指定（mon〜sun、weekday、weekendDay、day）に一致するか
+     */
+    matchesDays(days, weekday) {
+        return days.some(day => day === weekday ||
+            day === 'day' ||
+            (day === 'weekday' && weekday !== 'sat' && weekday !== 'sun') ||
+            (day === 'weekendDay' && (weekday === 'sat' || weekday === 'sun')));
+    }
+
+    /**
+     * シリーズのタイムゾーン（IANA 名）を求める（不明な場合は null）
+     *
+     * recurrenceTimeZone（Windows のタイムゾーン名）を変換する。取得できない場合は、最初の回の UTC との差が
+     * ブラウザーのタイムゾーンと一致すればブラウザーのタイムゾーンとみなす。
+     */
+    getSeriesTimeZone(eventData) {
+        const pattern = eventData.recurrence;
+        const name = pattern && pattern.timeZone;
+        const timeZone = name ? WINDOWS_TIME_ZONES[name] || name : null;
+        if (isValidTimeZone(timeZone)) {
+            return timeZone;
+        }
+
+        const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (eventData.startTime && isValidTimeZone(localTimeZone) &&
+            getTimeZoneOffsetMinutes(localTimeZone, eventData.startTime) === this.getUtcOffsetMinutes(eventData)) {
+            return localTimeZone;
+        }
+
+        if (name) {
+            this.logger.warn('Unknown recurrence time zone, using the offset of the first occurrence', { timeZone: name });
+        }
+        return null;
+    }
+
+    /**
+     * シリーズのタイムゾーンと UTC の差（分）を求める
+     *
+     * 最初の回の開始日時（UTC）とパターンの開始日・開始時刻（現地時刻）の差から算出する。
+     * 夏時間の前後で変わるため、タイムゾーンが不明な場合の代わりにのみ使用する。
+     */
+    getUtcOffsetMinutes(eventData) {
+        const pattern = eventData.recurrence;
+        if (!eventData.startTime || !pattern) {
+            return 0;
+        }
+
+        const [hours, minutes] = pattern.startTime.split(':').map(Number);
+        const localStart = this.parseLocalDate(pattern.startDate) + (hours * 60 + minutes) * 60000;
+        const offset = (localStart - new Date(eventData.startTime).getTime()) / 60000;
+
+        // 15分単位に丸める（タイムゾーンの差は15分単位）
+        return Math.round(offset / 15) * 15;
+    }
+
+    /**
+     * 先読み期間（現在から outlook.recurrenceLookAheadDays 日後まで）
+     */
+    getWindow() {
+        // 設定の上限（検証エラーは表示のみのため、範囲外の値でも展開する件数を制限する）
+        const lookAheadDays = Math.min(this.config.getConfig().outlook.recurrenceLookAheadDays ?? 28, MAX_LOOK_AHEAD_DAYS);
+        const windowStart = new Date();
+        const windowEnd = new Date(windowStart.getTime() + lookAheadDays * DAY_MS);
+        return { windowStart, windowEnd };
+    }
+
+    /**
+     * Graph の dateTimeTimeZone を Date に変換（UTC で取得している前提）
+     */
+    parseGraphDateTime(value) {
+        const dateTime = value.dateTime.replace(/\.\d+$/, '');
+        return new Date(value.timeZone === 'UTC' && !dateTime.endsWith('Z') ? `${dateTime}Z` : dateTime);
+    }
+
+    /**
+     * 'YYYY-MM-DD' を UTC の 0 時のミリ秒に変換
+     */
+    parseLocalDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    /**
+     * UTC の日の始まり
+     */
+    startOfUtcDay(time) {
+        return Math.floor(time / DAY_MS) * DAY_MS;
+    }
+
+    /**
+     * 週の始まり（firstDayOfWeek の曜日）
+     */
+    startOfWeek(day, firstDayOfWeek) {
+        const firstDay = Math.max(0, DAY_NAMES.indexOf(firstDayOfWeek));
+        const diff = (new Date(day).getUTCDay() - firstDay + 7) % 7;
+        return day - diff * DAY_MS;
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * SharePointBatchService
+ * SharePoint REST の $batch エンドポイントを使用して作成・更新・削除をまとめて実行するサービス
+ *
+ * 操作は種類ごと（作成・更新・削除）に変更セットへまとめられ、
+ * 応答は操作ごとの結果に分解される。一部の操作が失敗しても他の結果は返される。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+
+// SharePoint の $batch 1リクエストあたりの上限
+const MAX_BATCH_SIZE = 100;
+
+export const BATCH_OPERATIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+export class SharePointBatchService {
+    /**
+     * @param {SharePointRestBackend} backend トークンとRequestDigestの取得に使用
+     */
+    constructor(backend) {
+        this.backend = backend;
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('SharePointBatchService');
+    }
+
+    /**
+     * 操作をまとめて実行
+     *
+     * @param {Array} operations { type, itemId?, fields?, key? } の配列
+     * @returns {Promise<Array>} 入力順の { key, type, itemId, success, status, data, error }
+     */
+    async execute(operations) {
+        if (!operations || operations.length === 0) {
+            return [];
+        }
+
+        const batchSize = Math.min(this.config.getConfig().sharePoint.batchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+        const results = [];
+
+        for (let i = 0; i < operations.length; i += batchSize) {
+            const chunk = operations.slice(i, i + batchSize);
+            // 応答を受け取れなかった場合に作成済みの行を重複して作成しないよう、再送前に確認する
+            const chunkResults = await this.backend.executeBatchChunk(chunk, operations => this.sendBatch(operations));
+            results.push(...chunkResults);
+        }
+
+        const failures = results.filter(r => !r.success);
+        if (failures.length > 0) {
+            this.logger.warn(`Batch completed with ${failures.length} failed operation(s)`, failures.map(f => ({
+                key: f.key,
+                type: f.type,
+                status: f.status,
+                error: f.error
+            })));
+        } else {
+            this.logger.info(`Batch completed: ${results.length} operation(s)`);
+        }
+
+        return results;
+    }
+
+    /**
+     * 1回分の $batch リクエストを送信
+     */
+    async sendBatch(operations) {
+        const config = this.config.getConfig().sharePoint;
+        const token = await this.backend.getAccessToken();
+        const digest = await this.backend.getRequestDigest();
+
+        const batchBoundary = `batch_${this.generateBoundaryId()}`;
+
+        // 操作を種類ごとに並べ替え、変更セット単位でまとめる（結果の対応付けのため元の順序を保持）
+        const ordered = this.groupOperations(operations);
+        const body = this.buildBatchBody(ordered, batchBoundary, config);
+
+        const response = await fetch(`${config.siteUrl}/_api/$batch`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose',
+                'Content-Type': `multipart/mixed; boundary=${batchBoundary}`,
+                'X-RequestDigest': digest
+            },
+            body
+        });
+
+        if (response.status === 403) {
+            // RequestDigest の失効が原因の可能性があるため、再試行前に破棄
+            this.backend.invalidateRequestDigest();
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const responseText = await response.text();
+        const parts = this.parseBatchResponse(responseText);
+
+        const results = new Array(operations.length);
+        ordered.forEach(({ operation, index }, position) => {
+            results[index] = this.toResult(operation, parts[position]);
+        });
+
+        return results;
+    }
+
+    /**
+     * 操作を作成・更新・削除の順にグループ化
+     */
+    groupOperations(operations) {
+        const order = [BATCH_OPERATIONS.CREATE, BATCH_OPERATIONS.UPDATE, BATCH_OPERATIONS.DELETE];
+
+        return operations
+            .map((operation, index) => ({ operation, index }))
+            .sort((a, b) => order.indexOf(a.operation.type) - order.indexOf(b.operation.type) || a.index - b.index);
+    }
+
+    /**
+     * multipart/mixed 形式のリクエスト本文を作成
+     */
+    buildBatchBody(ordered, batchBoundary, config) {
+        const itemsUrl = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/items`;
+        const lines = [];
+
+        let currentType = null;
+        let changesetBoundary = null;
+
+        for (const { operation } of ordered) {
+            if (operation.type !== currentType) {
+                if (changesetBoundary) {
+                    lines.push(`--${changesetBoundary}--`, '');
+                }
+                currentType = operation.type;
+                changesetBoundary = `changeset_${this.generateBoundaryId()}`;
+                lines.push(
+                    `--${batchBoundary}`,
+                    `Content-Type: multipart/mixed; boundary="${changesetBoundary}"`,
+                    'Content-Transfer-Encoding: binary',
+                    ''
+                );
+            }
+
+            lines.push(
+                `--${changesetBoundary}`,
+                'Content-Type: application/http',
+                'Content-Transfer-Encoding: binary',
+                ''
+            );
+
+            switch (operation.type) {
+                case BATCH_OPERATIONS.CREATE:
+                    lines.push(
+                        `POST ${itemsUrl} HTTP/1.1`,
+                        'Content-Type: application/json;odata=verbose',
+                        'Accept: application/json;odata=verbose',
+                        '',
+                        JSON.stringify(operation.fields),
+                        ''
+                    );
+                    break;
+                case BATCH_OPERATIONS.UPDATE:
+                    lines.push(
+                        `PATCH ${itemsUrl}(${operation.itemId}) HTTP/1.1`,
+                        'Content-Type: application/json;odata=verbose',
+                        'Accept: application/json;odata=verbose',
+                        'IF-MATCH: *',
+                        '',
+                        JSON.stringify(operation.fields),
+                        ''
+                    );
+                    break;
+                case BATCH_OPERATIONS.DELETE:
+                    lines.push(
+                        `DELETE ${itemsUrl}(${operation.itemId}) HTTP/1.1`,
+                        'Accept: application/json;odata=verbose',
+                        'IF-MATCH: *',
+                        ''
+                    );
+                    break;
+                default:
+                    throw new Error(`Unsupported batch operation: ${operation.type}`);
+            }
+        }
+
+        if (changesetBoundary) {
+            lines.push(`--${changesetBoundary}--`, '');
+        }
+        lines.push(`--${batchBoundary}--`, '');
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * $batch の応答を操作ごとの { status, body } に分解
+     */
+    parseBatchResponse(responseText) {
+        const parts = [];
+        const segments = responseText.split(/^--[^\r\n]+\r?$/m);
+
+        for (const segment of segments) {
+            const statusMatch = segment.match(/^HTTP\/1\.1 (\d{3})[^\r\n]*\r?$/m);
+            if (!statusMatch) {
+                continue;
+            }
+
+            const afterStatus = segment.slice(statusMatch.index);
+            const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+            const rawBody = bodyStart >= 0 ? afterStatus.slice(bodyStart).trim() : '';
+
+            let body = null;
+            if (rawBody) {
+                try {
+                    body = JSON.parse(rawBody);
+                } catch {
+                    body = rawBody;
+                }
+            }
+
+            parts.push({ status: parseInt(statusMatch[1], 10), body });
+        }
+
+        return parts;
+    }
+
+    /**
+     * 応答の一部を操作結果に変換
+     */
+    toResult(operation, part) {
+        const result = {
+            key: operation.key || null,
+            type: operation.type,
+            itemId: operation.itemId || null,
+            success: false,
+            status: part ? part.status : null,
+            data: null,
+            error: null
+        };
+
+        if (!part) {
+            result.error = 'No response for operation';
+            return result;
+        }
+
+        // 削除対象が既に存在しない場合は成功として扱う
+        const success = (part.status >= 200 && part.status < 300) ||
+            (operation.type === BATCH_OPERATIONS.DELETE && part.status === 404);
+
+        result.success = success;
+        if (success) {
+            result.data = part.body && part.body.d ? part.body.d : null;
+            if (result.data && result.data.Id) {
+                result.itemId = result.data.Id;
+            }
+        } else {
+            result.error = this.extractErrorMessage(part);
+        }
+
+        return result;
+    }
+
+    /**
+     * SharePoint のエラー応答からメッセージを抽出
+     */
+    extractErrorMessage(part) {
+        const body = part.body;
+        if (body && body.error && body.error.message) {
+            return body.error.message.value || body.error.message;
+        }
+        if (body && body['odata.error']) {
+            return body['odata.error'].message.value;
+        }
+        return `HTTP error! status: ${part.status}`;
+    }
+
+    /**
+     * バウンダリ文字列用のIDを生成
+     */
+    generateBoundaryId() {
+        return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
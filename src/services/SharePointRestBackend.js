@@ -0,0 +1,246 @@
+/**
+ * SharePointRestBackend
+ * SharePoint REST (_api) を使用する来訪者ストレージバックエンド
+ */
+
+import { LoggingService } from './LoggingService.js';
+import { VisitorStorageBackend, VisitorConflictError, STORAGE_BACKENDS } from './VisitorStorageBackend.js';
+import { SharePointBatchService } from './SharePointBatchService.js';
+
+export class SharePointRestBackend extends VisitorStorageBackend {
+    constructor(client) {
+        super(client);
+        this.logger = LoggingService.getInstance().forComponent('SharePointRestBackend');
+        this.batch = new SharePointBatchService(this);
+        this.requestDigest = null;
+        this.requestDigestExpiry = null;
+    }
+
+    get name() {
+        return STORAGE_BACKENDS.REST;
+    }
+
+    /**
+     * SharePoint REST はテナントの SharePoint をaudienceとするトークンが必要
+     */
+    getTokenResource() {
+        return new URL(this.config.getConfig().sharePoint.siteUrl).origin;
+    }
+
+    /**
+     * リストのURLを取得
+     */
+    getListUrl() {
+        const config = this.config.getConfig().sharePoint;
+        return `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')`;
+    }
+
+    /**
+     * GETリクエストを送信してJSONを返す
+     */
+    async getJson(url) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.json();
+    }
+
+    async getItem(itemId) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(`${this.getListUrl()}/items(${itemId})`, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose'
+            }
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.d;
+    }
+
+    async createItem(fields) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(`${this.getListUrl()}/items`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose',
+                'Content-Type': 'application/json;odata=verbose',
+                'X-RequestDigest': await this.getRequestDigest()
+            },
+            body: JSON.stringify(fields)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.d;
+    }
+
+    async updateItem(itemId, fields, { etag = null } = {}) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(`${this.getListUrl()}/items(${itemId})`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose',
+                'Content-Type': 'application/json;odata=verbose',
+                'X-RequestDigest': await this.getRequestDigest(),
+                'IF-MATCH': etag || '*',
+                'X-HTTP-Method': 'MERGE'
+            },
+            body: JSON.stringify(fields)
+        });
+
+        if (response.status === 412) {
+            throw new VisitorConflictError(itemId);
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return true;
+    }
+
+    getETag(record) {
+        return (record && record.__metadata && record.__metadata.etag) || null;
+    }
+
+    async deleteItem(itemId) {
+        const token = await this.getAccessToken();
+
+        const response = await fetch(`${this.getListUrl()}/items(${itemId})`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json;odata=verbose',
+                'X-RequestDigest': await this.getRequestDigest(),
+                'IF-MATCH': '*',
+                'X-HTTP-Method': 'DELETE'
+            }
+        });
+
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.ok;
+    }
+
+    async executeBatch(operations) {
+        return await this.batch.execute(operations);
+    }
+
+    async queryByMeetingId(meetingId) {
+        const filter = `MeetingId eq '${this.escapeODataValue(meetingId)}'`;
+        const data = await this.getJson(`${this.getListUrl()}/items?$filter=${encodeURIComponent(filter)}`);
+        return data.d.results;
+    }
+
+    async queryBySeriesId(seriesId) {
+        const filter = `SeriesId eq '${this.escapeODataValue(seriesId)}'`;
+        const data = await this.getJson(`${this.getListUrl()}/items?$filter=${encodeURIComponent(filter)}`);
+        return data.d.results;
+    }
+
+    async queryByStartTime(from, to) {
+        const filter = `StartTime ge datetime'${from.toISOString()}' and StartTime lt datetime'${to.toISOString()}'`;
+        const data = await this.getJson(`${this.getListUrl()}/items?$filter=${encodeURIComponent(filter)}&$orderby=StartTime&$top=5000`);
+        return data.d.results;
+    }
+
+    async queryCreatedSince(date, fields) {
+        const filter = `CreatedDate ge datetime'${date.toISOString()}'`;
+        const select = fields && fields.length > 0 ? `&$select=${fields.join(',')}` : '';
+        const data = await this.getJson(`${this.getListUrl()}/items?$filter=${encodeURIComponent(filter)}${select}`);
+        return data.d.results;
+    }
+
+    async getFieldNames() {
+        const data = await this.getJson(`${this.getListUrl()}/fields`);
+        return data.d.results.map(f => f.InternalName);
+    }
+
+    async getListInfo() {
+        const data = await this.getJson(this.getListUrl());
+        return {
+            title: data.d.Title,
+            itemCount: data.d.ItemCount
+        };
+    }
+
+    /**
+     * RequestDigestを取得（有効期限までキャッシュ）
+     */
+    async getRequestDigest() {
+        try {
+            if (this.requestDigest && this.requestDigestExpiry && new Date() < this.requestDigestExpiry) {
+                return this.requestDigest;
+            }
+
+            const config = this.config.getConfig().sharePoint;
+            const token = await this.getAccessToken();
+
+            const url = `${config.siteUrl}/_api/contextinfo`;
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json;odata=verbose'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const contextInfo = data.d.GetContextWebInformation;
+
+            // 有効期限（通常1800秒）の1分前に失効させる
+            const timeoutSeconds = contextInfo.FormDigestTimeoutSeconds || 1800;
+            this.requestDigest = contextInfo.FormDigestValue;
+            this.requestDigestExpiry = new Date(Date.now() + Math.max(timeoutSeconds - 60, 30) * 1000);
+
+            return this.requestDigest;
+
+        } catch (error) {
+            this.logger.error('Failed to get request digest', error);
+            // フォールバック値を返す（キャッシュしない）
+            return 'dummy-digest';
+        }
+    }
+
+    /**
+     * キャッシュしたRequestDigestを破棄
+     */
+    invalidateRequestDigest() {
+        this.requestDigest = null;
+        this.requestDigestExpiry = null;
+    }
+}
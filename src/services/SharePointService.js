@@ -5,13 +5,34 @@
 
 import { ConfigService } from './ConfigService.js';
 import { LoggingService } from './LoggingService.js';
+import { AuthService } from './AuthService.js';
+import { VisitorReconciliationService, VISITOR_STATUS, CANCELLATION_REASONS, toMeetingDetailFields } from './VisitorReconciliationService.js';
+import { VisitorLifecycleService, VisitorStatusError } from './VisitorLifecycleService.js';
+import { VisitorPassService } from './VisitorPassService.js';
+import { BATCH_OPERATIONS } from './SharePointBatchService.js';
+import { getOccurrenceId } from './RecurrenceService.js';
+import { STORAGE_BACKENDS } from './VisitorStorageBackend.js';
+import { SharePointRestBackend } from './SharePointRestBackend.js';
+import { GraphListBackend } from './GraphListBackend.js';
+
+// 入館証の内容に含まれるフィールド（変更時に入館証を作り直す）
+const PASS_SOURCE_FIELDS = ['MeetingId', 'VisitorName', 'OrganizerName', 'StartTime', 'EndTime'];
+
+// 送信済みの通知のキーを記録する列（JSON）
+const NOTIFICATION_KEYS_FIELD = 'NotificationKeys';
+
+// 来訪状況の更新で ETag が一致しない場合に読み直す回数の上限
+const MAX_STATUS_CONFLICT_ATTEMPTS = 3;
 
 export class SharePointService {
     constructor() {
         this.config = ConfigService.getInstance();
-        this.logger = LoggingService.getInstance();
-        this.accessToken = null;
-        this.tokenExpiry = null;
+        this.logger = LoggingService.getInstance().forComponent('SharePointService');
+        this.reconciliation = new VisitorReconciliationService();
+        this.lifecycle = new VisitorLifecycleService();
+        this.passes = new VisitorPassService();
+        this.auth = AuthService.getInstance();
+        this.backend = null;
         this.isInitialized = false;
         this.retryConfig = {
             maxRetries: 3,
@@ -29,20 +50,17 @@ export class SharePointService {
                 return;
             }
 
-            const sharePointConfig = this.config.getConfig().sharePoint;
-            if (!sharePointConfig) {
-                throw new Error('SharePoint configuration is missing');
-            }
+            // 設定を検証（不備がある場合は ConfigValidationError）
+            this.config.assertValid('sharePoint');
 
-            if (!sharePointConfig.siteUrl || !sharePointConfig.listName) {
-                throw new Error('SharePoint siteUrl and listName are required');
-            }
+            // ストレージバックエンドを選択
+            this.backend = this.createBackend();
 
             // アクセストークンを取得
             await this.getAccessToken();
             
             this.isInitialized = true;
-            this.logger.info('SharePointService initialized successfully');
+            this.logger.info(`SharePointService initialized successfully (backend: ${this.backend.name})`);
         } catch (error) {
             this.logger.error('Failed to initialize SharePointService', error);
             throw error;
@@ -50,208 +68,593 @@ export class SharePointService {
     }
 
     /**
-     * アクセストークンを取得
+     * 設定に応じたストレージバックエンドを作成
+     */
+    createBackend() {
+        const backendName = this.config.getConfig().sharePoint.backend || STORAGE_BACKENDS.REST;
+
+        switch (backendName) {
+            case STORAGE_BACKENDS.GRAPH:
+                return new GraphListBackend(this);
+            case STORAGE_BACKENDS.REST:
+                return new SharePointRestBackend(this);
+            default:
+                throw new Error(`Unknown SharePoint backend: ${backendName}`);
+        }
+    }
+
+    /**
+     * 使用中のストレージバックエンドを取得
+     */
+    getBackend() {
+        if (!this.backend) {
+            this.backend = this.createBackend();
+        }
+        return this.backend;
+    }
+
+    /**
+     * 使用中のバックエンドのリソースに対するアクセストークンを取得
      */
     async getAccessToken() {
+        return await this.auth.getAccessToken(this.getBackend().getTokenResource());
+    }
+
+    /**
+     * SharePointリストに来訪者情報を作成
+     *
+     * failed は作成できなかった来訪者（buildChangeSet() の failed と同じ形式）。
+     * 1件も作成できなかった場合はエラー（error.result に結果）。
+     *
+     * @returns {Promise<{ meetingId: string, created: object[], failed: Array }>}
+     */
+    async createVisitorRecord(meetingId, meetingTitle, externalUsers, startTime, endTime, meetingDetails = null) {
         try {
-            // トークンが有効かチェック
-            if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-                return this.accessToken;
+            const operations = externalUsers.map(user => ({
+                type: BATCH_OPERATIONS.CREATE,
+                key: user.emailAddress,
+                fields: this.buildVisitorRecord(meetingId, meetingTitle, user, startTime, endTime, null, meetingDetails)
+            }));
+            await this.attachVisitorPasses(operations);
+
+            const results = await this.getBackend().executeBatch(operations);
+            const { added: created, failed } = this.buildChangeSet(meetingId, operations, results, []);
+            const result = { meetingId, created, failed };
+
+            if (failed.length > 0 && created.length === 0) {
+                const error = new Error(`Failed to create visitor records: ${failed.map(f => `${f.visitorEmail} (${f.error})`).join(', ')}`);
+                error.result = result;
+                throw error;
             }
 
-            const config = this.config.getConfig().sharePoint;
-            
-            // Office.jsのSSOを使用してトークンを取得
-            if (typeof Office !== 'undefined' && Office.auth && Office.auth.getAccessToken) {
-                const token = await new Promise((resolve, reject) => {
-                    Office.auth.getAccessToken({
-                        resource: 'https://graph.microsoft.com'
-                    }, (result) => {
-                        if (result.status === 'succeeded') {
-                            resolve(result.value);
-                        } else {
-                            reject(new Error(result.error.message));
-                        }
-                    });
-                });
+            this.logger.info(`Created ${created.length} visitor records for meeting ${meetingId}`, {
+                failed: failed.map(f => f.visitorEmail)
+            });
+            return result;
 
-                this.accessToken = token;
-                // トークンの有効期限を設定（通常1時間、安全のため50分に設定）
-                this.tokenExpiry = new Date(Date.now() + 50 * 60 * 1000);
-                
-                return this.accessToken;
-            }
+        } catch (error) {
+            this.logger.error('Failed to create visitor records', error);
+            throw error;
+        }
+    }
 
-            // フォールバック: MSALを使用
-            if (typeof PublicClientApplication !== 'undefined') {
-                return await this.getMsalToken();
-            }
+    /**
+     * 来訪者レコードのフィールドを作成
+     *
+     * @param {string|null} seriesId 定期的な予定の各回の場合はシリーズID
+     * @param {object|null} meetingDetails 主催者・場所・オンライン会議（getMeetingDetails() の結果）
+     */
+    buildVisitorRecord(meetingId, meetingTitle, user, startTime, endTime, seriesId = null, meetingDetails = null) {
+        const now = this.formatDateTime(new Date());
+
+        return {
+            MeetingId: meetingId,
+            ...(seriesId ? { SeriesId: seriesId } : {}),
+            MeetingTitle: meetingTitle,
+            VisitorEmail: user.emailAddress,
+            VisitorName: user.name || user.emailAddress.split('@')[0],
+            StartTime: this.formatDateTime(startTime),
+            EndTime: this.formatDateTime(endTime),
+            ...(meetingDetails ? toMeetingDetailFields(meetingDetails) : {}),
+            Status: VISITOR_STATUS.SCHEDULED,
+            CreatedDate: now,
+            ModifiedDate: now
+        };
+    }
+
+    /**
+     * SharePointリストのアイテムを作成
+     */
+    async createListItem(itemData) {
+        return await this.executeWithRetry(() => this.getBackend().createItem(itemData));
+    }
+
+    /**
+     * 会議IDで来訪者レコードを取得
+     */
+    async getVisitorRecordsByMeetingId(meetingId) {
+        return await this.executeWithRetry(() => this.getBackend().queryByMeetingId(meetingId));
+    }
+
+    /**
+     * シリーズIDで来訪者レコードを取得
+     */
+    async getVisitorRecordsBySeriesId(seriesId) {
+        return await this.executeWithRetry(() => this.getBackend().queryBySeriesId(seriesId));
+    }
+
+    /**
+     * 開始時刻が期間内の来訪者レコードを取得（受付画面用）
+     */
+    async getVisitorRecordsByStartTime(from, to) {
+        return await this.executeWithRetry(() => this.getBackend().queryByStartTime(from, to));
+    }
+
+    /**
+     * 来訪者レコードを更新（差分のみ反映）
+     *
+     * 新しい来訪者のみ作成し、変更されたフィールドのみ更新し、
+     * 会議から外れた来訪者は削除せずキャンセル済みにする。
+     * アイテムID・Status・CreatedDate は維持される。
+     */
+    async updateVisitorRecords(meetingId, meetingTitle, externalUsers, startTime, endTime, meetingDetails = null) {
+        try {
+            const existingRecords = await this.getVisitorRecordsByMeetingId(meetingId);
+
+            const plan = this.reconciliation.reconcile(existingRecords, externalUsers, {
+                meetingTitle,
+                startTime,
+                endTime,
+                meetingDetails
+            });
+
+            const now = this.formatDateTime(new Date());
+            const operations = this.buildReconcileOperations(
+                plan, meetingId, meetingTitle, startTime, endTime, now, null, meetingDetails);
+            await this.attachVisitorPasses(operations);
 
-            throw new Error('No authentication method available');
+            const results = await this.getBackend().executeBatch(operations);
+
+            const changeSet = this.buildChangeSet(meetingId, operations, results, plan.unchanged);
+
+            this.logger.info(`Reconciled visitor records for meeting ${meetingId}`, {
+                added: changeSet.added.length,
+                updated: changeSet.updated.length,
+                cancelled: changeSet.cancelled.length,
+                unchanged: changeSet.unchanged.length,
+                failed: changeSet.failed.length
+            });
+
+            return changeSet;
 
         } catch (error) {
-            this.logger.error('Failed to get access token', error);
+            this.logger.error('Failed to update visitor records', error);
             throw error;
         }
     }
 
     /**
-     * MSALを使用してトークンを取得
+     * 差分の計画から作成・更新・キャンセルの操作を作成
+     */
+    buildReconcileOperations(plan, meetingId, meetingTitle, startTime, endTime, now, seriesId = null, meetingDetails = null) {
+        return [
+            ...plan.toAdd.map(user => ({
+                type: BATCH_OPERATIONS.CREATE,
+                key: user.emailAddress,
+                fields: this.buildVisitorRecord(meetingId, meetingTitle, user, startTime, endTime, seriesId, meetingDetails)
+            })),
+            ...plan.toUpdate.map(({ record, changes }) => ({
+                type: BATCH_OPERATIONS.UPDATE,
+                key: record.VisitorEmail,
+                itemId: record.Id,
+                fields: { ...changes, ModifiedDate: now },
+                record,
+                changes
+            })),
+            // 外れた来訪者は削除せずキャンセル済みにする
+            ...plan.toCancel.map(record => this.buildCancelOperation(record, CANCELLATION_REASONS.VISITOR_REMOVED, now))
+        ];
+    }
+
+    /**
+     * 定期的な予定の来訪者レコードを各回ごとに更新（差分のみ反映）
+     *
+     * 先読み期間内の各回について、来訪者ごとの行（MeetingId は各回のID、SeriesId はシリーズID）を作成・更新する。
+     * キャンセルされた回と、期間内から消えた（削除された）回の行はキャンセル済みにする。
+     * 期間外の行は変更しない。シリーズ全体で1行だった従来の行は各回の行に置き換えるため削除する。
+     *
+     * @param {{ windowStart: string, windowEnd: string, occurrences: Array }} schedule RecurrenceService.getOccurrences() の結果
+     * @param {object|null} meetingDetails 主催者・場所・オンライン会議（各回で共通）
      */
-    async getMsalToken() {
+    async updateSeriesVisitorRecords(seriesId, meetingTitle, externalUsers, schedule, meetingDetails = null) {
         try {
-            const config = this.config.getConfig().sharePoint;
-            
-            const msalConfig = {
-                auth: {
-                    clientId: config.clientId,
-                    authority: `https://login.microsoftonline.com/${config.tenantId}`
+            const [seriesRecords, legacyRecords] = await Promise.all([
+                this.getVisitorRecordsBySeriesId(seriesId),
+                this.getVisitorRecordsByMeetingId(seriesId)
+            ]);
+
+            const recordsByOccurrence = new Map();
+            for (const record of seriesRecords) {
+                if (!recordsByOccurrence.has(record.MeetingId)) {
+                    recordsByOccurrence.set(record.MeetingId, []);
                 }
-            };
+                recordsByOccurrence.get(record.MeetingId).push(record);
+            }
 
-            const msalInstance = new PublicClientApplication(msalConfig);
-            
-            const request = {
-                scopes: ['https://graph.microsoft.com/.default'],
-                account: msalInstance.getAllAccounts()[0]
-            };
+            const now = this.formatDateTime(new Date());
+            const operations = [];
+            const unchanged = [];
+
+            for (const occurrence of schedule.occurrences) {
+                // 会議IDの移行後に再実行された場合も正しいIDになるよう、シリーズIDから求める
+                const occurrenceId = getOccurrenceId(seriesId, occurrence.originalStart);
+                const records = recordsByOccurrence.get(occurrenceId) || [];
+                recordsByOccurrence.delete(occurrenceId);
+
+                if (occurrence.isCancelled) {
+                    operations.push(...records
+                        .filter(record => this.reconciliation.isCancellable(record))
+                        .map(record => this.buildCancelOperation(record, CANCELLATION_REASONS.MEETING_CANCELLED, now)));
+                    continue;
+                }
 
-            const response = await msalInstance.acquireTokenSilent(request);
-            
-            this.accessToken = response.accessToken;
-            this.tokenExpiry = new Date(response.expiresOn);
-            
-            return this.accessToken;
+                const plan = this.reconciliation.reconcile(records, externalUsers, {
+                    meetingTitle,
+                    startTime: occurrence.start,
+                    endTime: occurrence.end,
+                    meetingDetails
+                });
+                operations.push(...this.buildReconcileOperations(
+                    plan, occurrenceId, meetingTitle, occurrence.start, occurrence.end, now, seriesId, meetingDetails));
+                unchanged.push(...plan.unchanged);
+            }
+
+            // 期間内にあったが、現在の各回に含まれない（削除された）回
+            const windowStart = new Date(schedule.windowStart).getTime();
+            const windowEnd = new Date(schedule.windowEnd).getTime();
+            for (const records of recordsByOccurrence.values()) {
+                operations.push(...records
+                    .filter(record => {
+                        const start = new Date(record.StartTime).getTime();
+                        return start >= windowStart && start < windowEnd && this.reconciliation.isCancellable(record);
+                    })
+                    .map(record => this.buildCancelOperation(record, CANCELLATION_REASONS.MEETING_DELETED, now)));
+            }
+
+            operations.push(...legacyRecords
+                .filter(record => !record.SeriesId)
+                .map(record => ({
+                    type: BATCH_OPERATIONS.DELETE,
+                    key: record.VisitorEmail,
+                    itemId: record.Id
+                })));
+            await this.attachVisitorPasses(operations);
+
+            const results = await this.getBackend().executeBatch(operations);
+            const changeSet = this.buildChangeSet(seriesId, operations, results, unchanged);
+
+            this.logger.info(`Reconciled visitor records for series ${seriesId}`, {
+                occurrences: schedule.occurrences.length,
+                added: changeSet.added.length,
+                updated: changeSet.updated.length,
+                cancelled: changeSet.cancelled.length,
+                removed: changeSet.removed.length,
+                unchanged: changeSet.unchanged.length,
+                failed: changeSet.failed.length
+            });
+
+            return changeSet;
 
         } catch (error) {
-            this.logger.error('MSAL token acquisition failed', error);
+            this.logger.error('Failed to update series visitor records', error);
             throw error;
         }
     }
 
     /**
-     * SharePointリストに来訪者情報を作成
+     * 会議の来訪者レコードをすべてキャンセル済みにする（会議のキャンセル・削除時）
+     *
+     * 削除はせず、キャンセル理由と日時を記録する。既にキャンセル済み・来訪済みのレコードは変更しない。
+     * 定期的な予定の場合は、シリーズの今後の回の行も対象にする。
+     *
+     * @param {string} reason CANCELLATION_REASONS の値
      */
-    async createVisitorRecord(meetingId, meetingTitle, externalUsers, startTime, endTime) {
+    async cancelVisitorRecords(meetingId, reason) {
         try {
-            const records = [];
-            
-            for (const user of externalUsers) {
-                const record = {
-                    MeetingId: meetingId,
-                    MeetingTitle: meetingTitle,
-                    VisitorEmail: user.emailAddress,
-                    VisitorName: user.name || user.emailAddress.split('@')[0],
-                    StartTime: this.formatDateTime(startTime),
-                    EndTime: this.formatDateTime(endTime),
-                    Status: 'Scheduled',
-                    CreatedDate: this.formatDateTime(new Date()),
-                    ModifiedDate: this.formatDateTime(new Date())
-                };
-                
-                const createdRecord = await this.createListItem(record);
-                records.push(createdRecord);
+            const [meetingRecords, seriesRecords] = await Promise.all([
+                this.getVisitorRecordsByMeetingId(meetingId),
+                this.getVisitorRecordsBySeriesId(meetingId)
+            ]);
+            const upcomingSeriesRecords = seriesRecords.filter(record => new Date(record.StartTime) >= new Date());
+            const existingRecords = [...meetingRecords, ...upcomingSeriesRecords];
+            const now = this.formatDateTime(new Date());
+
+            const targets = existingRecords.filter(record => this.reconciliation.isCancellable(record));
+            const unchanged = existingRecords.filter(record => !this.reconciliation.isCancellable(record));
+            const operations = targets.map(record => this.buildCancelOperation(record, reason, now));
+
+            const results = await this.getBackend().executeBatch(operations);
+            const changeSet = this.buildChangeSet(meetingId, operations, results, unchanged);
+
+            this.logger.info(`Cancelled visitor records for meeting ${meetingId} (${reason})`, {
+                cancelled: changeSet.cancelled.length,
+                unchanged: changeSet.unchanged.length,
+                failed: changeSet.failed.length
+            });
+
+            return changeSet;
+
+        } catch (error) {
+            this.logger.error('Failed to cancel visitor records', error);
+            throw error;
+        }
+    }
+
+    /**
+     * IDで来訪者レコードを取得（存在しない場合は null）
+     */
+    async getVisitorRecord(itemId) {
+        return await this.executeWithRetry(() => this.getBackend().getItem(itemId));
+    }
+
+    /**
+     * 来訪者の来訪状況を変更（受付での到着・入館・退館・不在）
+     *
+     * 最新のレコードを取得して遷移を検証し、状態と変更日時の列を取得時の ETag を指定して更新する。
+     * 取得後に他の端末で更新されていた場合（412）は、読み直して検証からやり直す。
+     * 既に同じ状態の場合は変更しない（送信キューからの再実行で重複しないようにする）。
+     * 遷移できない場合（キャンセル済みの来訪者の入館など）は VisitorStatusError。
+     *
+     * @param {string} status VISITOR_STATUS の値（Arrived, CheckedIn, CheckedOut, NoShow）
+     * @param {{ at?: Date|string }} options at 変更日時（送信キューから再実行する場合は操作した日時）
+     * @returns {Promise<{ record: object, previousStatus: string, changed: boolean }>}
+     */
+    async updateVisitorStatus(itemId, status, { at = new Date() } = {}) {
+        try {
+            for (let attempt = 1; ; attempt++) {
+                const record = await this.getVisitorRecord(itemId);
+                if (!record) {
+                    throw new VisitorStatusError('not_found', `Visitor record not found: ${itemId}`, { itemId, toStatus: status });
+                }
+
+                if (record.Status === status) {
+                    this.logger.info(`Visitor ${record.VisitorEmail} is already ${status}`, { itemId });
+                    return { record, previousStatus: status, changed: false };
+                }
+
+                this.lifecycle.assertTransition(record, status);
+
+                const fields = this.lifecycle.buildTransitionFields(status, this.formatDateTime(at));
+                const etag = this.getBackend().getETag(record);
+                try {
+                    await this.executeWithRetry(() => this.getBackend().updateItem(itemId, fields, { etag }));
+                } catch (error) {
+                    if (error.name !== 'VisitorConflictError' || attempt >= MAX_STATUS_CONFLICT_ATTEMPTS) {
+                        throw error;
+                    }
+                    this.logger.warn(`Visitor record ${itemId} changed while updating status, re-reading`, { attempt });
+                    continue;
+                }
+
+                this.logger.info(`Visitor ${record.VisitorEmail} status changed: ${record.Status || VISITOR_STATUS.SCHEDULED} -> ${status}`, {
+                    itemId,
+                    meetingId: record.MeetingId
+                });
+
+                return { record: { ...record, ...fields }, previousStatus: record.Status, changed: true };
             }
-            
-            this.logger.info(`Created ${records.length} visitor records for meeting ${meetingId}`);
-            return records;
 
         } catch (error) {
-            this.logger.error('Failed to create visitor records', error);
+            this.logger.error('Failed to update visitor status', error);
             throw error;
         }
     }
 
     /**
-     * SharePointリストのアイテムを作成
+     * レコードをキャンセル済みにする更新操作を作成
      */
-    async createListItem(itemData) {
-        return await this.executeWithRetry(async () => {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/items`;
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose',
-                    'Content-Type': 'application/json;odata=verbose',
-                    'X-RequestDigest': await this.getRequestDigest()
-                },
-                body: JSON.stringify(itemData)
-            });
+    buildCancelOperation(record, reason, now) {
+        return {
+            type: BATCH_OPERATIONS.UPDATE,
+            key: record.VisitorEmail,
+            itemId: record.Id,
+            fields: {
+                ...this.lifecycle.buildTransitionFields(VISITOR_STATUS.CANCELLED, now),
+                CancellationReason: reason
+            },
+            record,
+            cancel: true
+        };
+    }
+
+    /**
+     * 作成・更新する来訪者レコードに入館証のURL（PassUrl）を設定
+     *
+     * 作成時と、入館証の内容（氏名・担当者・日時・会議ID）が変わる更新時に作成する。
+     * 入館証を作成できなくても来訪者の登録は続ける。
+     */
+    async attachVisitorPasses(operations) {
+        if (!this.passes.isEnabled()) {
+            return;
+        }
+
+        for (const operation of operations) {
+            const isCreate = operation.type === BATCH_OPERATIONS.CREATE;
+            if (!isCreate && !(operation.type === BATCH_OPERATIONS.UPDATE && operation.record)) {
+                continue;
+            }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const record = isCreate ? operation.fields : { ...operation.record, ...operation.fields };
+            if (record.Status === VISITOR_STATUS.CANCELLED) {
+                continue;
+            }
+            if (!isCreate && operation.record.PassUrl &&
+                !PASS_SOURCE_FIELDS.some(field => field in operation.fields)) {
+                continue;
+            }
+
+            try {
+                const pass = await this.passes.createPassForRecord(record);
+                if (pass.url) {
+                    operation.fields.PassUrl = pass.url;
+                }
+            } catch (error) {
+                this.logger.warn(`Failed to create visitor pass for ${record.VisitorEmail}`, error);
             }
+        }
+    }
+
+    /**
+     * バッチの実行結果から変更セットを作成
+     */
+    buildChangeSet(meetingId, operations, results, unchanged) {
+        const changeSet = {
+            meetingId,
+            added: [],
+            updated: [],
+            cancelled: [],
+            removed: [],
+            unchanged,
+            failed: []
+        };
+
+        results.forEach((result, index) => {
+            const operation = operations[index];
 
-            const data = await response.json();
-            return data.d;
+            if (!result.success) {
+                changeSet.failed.push({
+                    visitorEmail: operation.key,
+                    operation: operation.cancel ? 'cancel' : operation.type,
+                    status: result.status,
+                    error: result.error
+                });
+            } else if (operation.type === BATCH_OPERATIONS.CREATE) {
+                changeSet.added.push(result.data || operation.fields);
+            } else if (operation.type === BATCH_OPERATIONS.DELETE) {
+                changeSet.removed.push({ Id: operation.itemId, VisitorEmail: operation.key });
+            } else if (operation.cancel) {
+                changeSet.cancelled.push({ ...operation.record, ...operation.fields });
+            } else {
+                changeSet.updated.push({
+                    record: { ...operation.record, ...operation.changes },
+                    changes: operation.changes
+                });
+            }
         });
+
+        return changeSet;
     }
 
     /**
-     * 会議IDで来訪者レコードを取得
+     * SharePointリストのアイテムを更新（指定フィールドのみ）
      */
-    async getVisitorRecordsByMeetingId(meetingId) {
-        return await this.executeWithRetry(async () => {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const filter = `MeetingId eq '${meetingId}'`;
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/items?$filter=${encodeURIComponent(filter)}`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose'
-                }
-            });
+    async updateListItem(itemId, fields) {
+        return await this.executeWithRetry(() => this.getBackend().updateItem(itemId, fields));
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    /**
+     * 会議の来訪者レコードに記録された送信済みの通知のキーを取得
+     *
+     * 同じ来訪者のレコードが複数ある場合はキャンセル済みでないレコードを使用する。
+     *
+     * @returns {Promise<Map<string, { itemId: string|number, keys: object }>>} 小文字のメールアドレスごとの記録
+     */
+    async getNotificationKeys(meetingId) {
+        const records = await this.getVisitorRecordsByMeetingId(meetingId);
+        const keysByEmail = new Map();
+
+        for (const record of records) {
+            const email = this.reconciliation.normalizeEmail(record.VisitorEmail);
+            const existing = keysByEmail.get(email);
+            if (existing && existing.status !== VISITOR_STATUS.CANCELLED) {
+                continue;
             }
 
-            const data = await response.json();
-            return data.d.results;
-        });
+            let keys = {};
+            try {
+                keys = record[NOTIFICATION_KEYS_FIELD] ? JSON.parse(record[NOTIFICATION_KEYS_FIELD]) : {};
+            } catch (error) {
+                this.logger.warn(`Ignoring invalid ${NOTIFICATION_KEYS_FIELD} value for ${record.VisitorEmail}`, error);
+            }
+            keysByEmail.set(email, { itemId: record.Id, status: record.Status, keys });
+        }
+
+        return keysByEmail;
+    }
+
+    /**
+     * 来訪者レコードに送信済みの通知のキーを保存
+     */
+    async saveNotificationKeys(itemId, keys) {
+        return await this.updateListItem(itemId, { [NOTIFICATION_KEYS_FIELD]: JSON.stringify(keys) });
     }
 
     /**
-     * 来訪者レコードを更新
+     * 来訪者レコードの会議IDを付け替える（一時IDから恒久IDへの移行など）
+     *
+     * 移行先に同じ来訪者のレコードが既にある場合、移行元のレコードは重複として削除する。
+     * 定期的な予定の場合は、シリーズIDと各回の会議IDも付け替える。
+     *
+     * @returns {Promise<{ migrated: number, removed: number }>}
      */
-    async updateVisitorRecords(meetingId, meetingTitle, externalUsers, startTime, endTime) {
+    async migrateMeetingId(fromMeetingId, toMeetingId) {
         try {
-            // 既存のレコードを取得
-            const existingRecords = await this.getVisitorRecordsByMeetingId(meetingId);
-            
-            // 既存のレコードを削除
-            for (const record of existingRecords) {
-                await this.deleteListItem(record.Id);
+            const [fromRecords, toRecords, seriesRecords] = await Promise.all([
+                this.getVisitorRecordsByMeetingId(fromMeetingId),
+                this.getVisitorRecordsByMeetingId(toMeetingId),
+                this.getVisitorRecordsBySeriesId(fromMeetingId)
+            ]);
+
+            if (fromRecords.length === 0 && seriesRecords.length === 0) {
+                return { migrated: 0, removed: 0 };
             }
-            
-            // 新しいレコードを作成
-            if (externalUsers.length > 0) {
-                const newRecords = await this.createVisitorRecord(
-                    meetingId, 
-                    meetingTitle, 
-                    externalUsers, 
-                    startTime, 
-                    endTime
-                );
-                
-                this.logger.info(`Updated visitor records for meeting ${meetingId}`);
-                return newRecords;
+
+            const existingEmails = new Set(toRecords.map(r => this.reconciliation.normalizeEmail(r.VisitorEmail)));
+            const now = this.formatDateTime(new Date());
+
+            const operations = fromRecords.map(record => existingEmails.has(this.reconciliation.normalizeEmail(record.VisitorEmail))
+                ? { type: BATCH_OPERATIONS.DELETE, key: record.VisitorEmail, itemId: record.Id }
+                : {
+                    type: BATCH_OPERATIONS.UPDATE,
+                    key: record.VisitorEmail,
+                    itemId: record.Id,
+                    fields: { MeetingId: toMeetingId, ModifiedDate: now },
+                    record
+                });
+
+            // 定期的な予定の各回の行（各回のIDはシリーズIDで始まる）
+            operations.push(...seriesRecords.map(record => ({
+                type: BATCH_OPERATIONS.UPDATE,
+                key: record.VisitorEmail,
+                itemId: record.Id,
+                fields: {
+                    SeriesId: toMeetingId,
+                    MeetingId: record.MeetingId.startsWith(fromMeetingId)
+                        ? toMeetingId + record.MeetingId.slice(fromMeetingId.length)
+                        : record.MeetingId,
+                    ModifiedDate: now
+                },
+                record
+            })));
+            // 入館証のトークンは会議IDを含むため作り直す
+            await this.attachVisitorPasses(operations);
+
+            const results = await this.getBackend().executeBatch(operations);
+            const failures = results.filter(r => !r.success);
+            if (failures.length > 0) {
+                throw new Error(`Failed to migrate ${failures.length} visitor record(s): ${failures[0].error}`);
             }
-            
-            this.logger.info(`Removed all visitor records for meeting ${meetingId} (no external users)`);
-            return [];
+
+            const summary = {
+                migrated: results.filter(r => r.type === BATCH_OPERATIONS.UPDATE).length,
+                removed: results.filter(r => r.type === BATCH_OPERATIONS.DELETE).length
+            };
+
+            this.logger.info(`Migrated visitor records from ${fromMeetingId} to ${toMeetingId}`, summary);
+            return summary;
 
         } catch (error) {
-            this.logger.error('Failed to update visitor records', error);
+            this.logger.error('Failed to migrate meeting id', error);
             throw error;
         }
     }
@@ -263,12 +666,15 @@ export class SharePointService {
         try {
             const existingRecords = await this.getVisitorRecordsByMeetingId(meetingId);
             
-            for (const record of existingRecords) {
-                await this.deleteListItem(record.Id);
-            }
+            const results = await this.getBackend().executeBatch(existingRecords.map(record => ({
+                type: BATCH_OPERATIONS.DELETE,
+                key: record.VisitorEmail,
+                itemId: record.Id
+            })));
+            const deletedCount = results.filter(r => r.success).length;
             
-            this.logger.info(`Deleted ${existingRecords.length} visitor records for meeting ${meetingId}`);
-            return existingRecords.length;
+            this.logger.info(`Deleted ${deletedCount} visitor records for meeting ${meetingId}`);
+            return deletedCount;
 
         } catch (error) {
             this.logger.error('Failed to delete visitor records', error);
@@ -280,61 +686,7 @@ export class SharePointService {
      * SharePointリストのアイテムを削除
      */
     async deleteListItem(itemId) {
-        return await this.executeWithRetry(async () => {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/items(${itemId})`;
-            
-            const response = await fetch(url, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose',
-                    'X-RequestDigest': await this.getRequestDigest(),
-                    'IF-MATCH': '*',
-                    'X-HTTP-Method': 'DELETE'
-                }
-            });
-
-            if (!response.ok && response.status !== 404) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            return response.ok;
-        });
-    }
-
-    /**
-     * RequestDigestを取得
-     */
-    async getRequestDigest() {
-        try {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const url = `${config.siteUrl}/_api/contextinfo`;
-            
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.d.GetContextWebInformation.FormDigestValue;
-
-        } catch (error) {
-            this.logger.error('Failed to get request digest', error);
-            // フォールバック値を返す
-            return 'dummy-digest';
-        }
+        return await this.executeWithRetry(() => this.getBackend().deleteItem(itemId));
     }
 
     /**
@@ -355,25 +707,7 @@ export class SharePointService {
      */
     async validateListStructure() {
         try {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/fields`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const fields = data.d.results;
+            const fieldNames = await this.getBackend().getFieldNames();
             
             const requiredFields = [
                 'MeetingId',
@@ -382,11 +716,26 @@ export class SharePointService {
                 'VisitorName',
                 'StartTime',
                 'EndTime',
-                'Status'
+                'Status',
+                'CancellationReason',
+                'CancelledDate',
+                'SeriesId',
+                'ArrivedDate',
+                'CheckedInDate',
+                'CheckedOutDate',
+                'NoShowDate',
+                'OrganizerName',
+                'OrganizerEmail',
+                'Location',
+                'IsOnlineOnly',
+                // 入館証を作成する場合のみ
+                ...(this.passes.isEnabled() ? ['PassUrl'] : []),
+                // 送信済みの通知のキーを来訪者レコードに記録する場合のみ
+                ...(this.isTrackingNotificationKeys() ? [NOTIFICATION_KEYS_FIELD] : [])
             ];
             
             const missingFields = requiredFields.filter(field => 
-                !fields.some(f => f.InternalName === field)
+                !fieldNames.includes(field)
             );
             
             if (missingFields.length > 0) {
@@ -403,6 +752,14 @@ export class SharePointService {
         }
     }
 
+    /**
+     * 送信済みの通知のキーを来訪者レコードに記録するか
+     */
+    isTrackingNotificationKeys() {
+        const idempotency = (this.config.getConfig().powerAutomate || {}).idempotency || {};
+        return idempotency.enabled !== false && idempotency.trackInSharePoint !== false;
+    }
+
     /**
      * リトライ機能付きで関数を実行
      */
@@ -410,7 +767,8 @@ export class SharePointService {
         try {
             return await operation();
         } catch (error) {
-            if (retryCount < this.retryConfig.maxRetries) {
+            // 再試行しても成功しないエラー（ETag の不一致など）は再試行しない
+            if (error.retryable !== false && retryCount < this.retryConfig.maxRetries) {
                 const delay = this.retryConfig.retryDelay * 
                     Math.pow(this.retryConfig.backoffMultiplier, retryCount);
                 
@@ -430,30 +788,14 @@ export class SharePointService {
      */
     async testConnection() {
         try {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
+            const listInfo = await this.getBackend().getListInfo();
             this.logger.info('SharePoint connection test successful');
             
             return {
                 success: true,
-                listTitle: data.d.Title,
-                itemCount: data.d.ItemCount
+                backend: this.getBackend().name,
+                listTitle: listInfo.title,
+                itemCount: listInfo.itemCount
             };
 
         } catch (error) {
@@ -470,35 +812,21 @@ export class SharePointService {
      */
     async getStatistics(dateRange = 7) {
         try {
-            const config = this.config.getConfig().sharePoint;
-            const token = await this.getAccessToken();
-            
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - dateRange);
             
-            const filter = `CreatedDate ge datetime'${cutoffDate.toISOString()}'`;
-            const url = `${config.siteUrl}/_api/web/lists/getByTitle('${config.listName}')/items?$filter=${encodeURIComponent(filter)}&$select=Status,CreatedDate`;
-            
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/json;odata=verbose'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const records = data.d.results;
+            const records = await this.executeWithRetry(() =>
+                this.getBackend().queryCreatedSince(cutoffDate, ['Status', 'CreatedDate']));
             
+            const countStatus = (...statuses) => records.filter(r => statuses.includes(r.Status)).length;
             const stats = {
                 total: records.length,
-                scheduled: records.filter(r => r.Status === 'Scheduled').length,
-                completed: records.filter(r => r.Status === 'Completed').length,
-                cancelled: records.filter(r => r.Status === 'Cancelled').length,
+                scheduled: countStatus(VISITOR_STATUS.SCHEDULED),
+                arrived: countStatus(VISITOR_STATUS.ARRIVED),
+                checkedIn: countStatus(VISITOR_STATUS.CHECKED_IN),
+                completed: countStatus(VISITOR_STATUS.CHECKED_OUT, VISITOR_STATUS.COMPLETED),
+                noShow: countStatus(VISITOR_STATUS.NO_SHOW),
+                cancelled: countStatus(VISITOR_STATUS.CANCELLED),
                 dateRange: dateRange
             };
             
@@ -516,8 +844,7 @@ export class SharePointService {
      */
     dispose() {
         try {
-            this.accessToken = null;
-            this.tokenExpiry = null;
+            this.backend = null;
             this.isInitialized = false;
             this.logger.info('SharePointService disposed');
         } catch (error) {
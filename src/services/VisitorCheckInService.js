@@ -0,0 +1,114 @@
+/**
+ * VisitorCheckInService
+ * 入館証の QR コードによるチェックイン
+ *
+ * 読み取ったトークンの署名と有効期間をトークンサービスで検証し、対応する LobbyVisitors の行を CheckedIn に変更する。
+ * 状態の変更は送信キュー経由で行うため、オフライン時は接続の回復後に反映される。
+ */
+
+import { LoggingService } from './LoggingService.js';
+import { VisitorTokenService, VisitorTokenError, extractVisitorToken, getMeetingHash } from './VisitorTokenService.js';
+import { VISITOR_STATUS } from './VisitorReconciliationService.js';
+
+// 行の検索で許容する開始日時のずれ（SharePoint の日時の精度）
+const START_TIME_TOLERANCE_MS = 60 * 1000;
+
+export class VisitorCheckInService {
+    /**
+     * @param {{ sharePoint: SharePointService, outbox: OutboxService }} services
+     */
+    constructor({ sharePoint, outbox }) {
+        this.logger = LoggingService.getInstance().forComponent('VisitorCheckInService');
+        this.tokens = new VisitorTokenService();
+        this.sharePoint = sharePoint;
+        this.outbox = outbox;
+    }
+
+    /**
+     * QR コードでチェックインできるか（トークンサービスが必要）
+     */
+    isEnabled() {
+        return this.tokens.isConfigured();
+    }
+
+    /**
+     * 読み取った QR コードの内容でチェックイン
+     *
+     * 拒否する場合は VisitorTokenError（malformed・invalid_signature・not_yet_valid・expired・not_found・cancelled）、
+     * 退館済みなどで遷移できない場合は VisitorStatusError。
+     *
+     * @param {string} payload トークン、または入館証ページのURL
+     * @returns {Promise<{ record: object, claims: object, alreadyCheckedIn: boolean, queued: boolean }>}
+     */
+    async checkIn(payload) {
+        try {
+            const claims = await this.tokens.verifyToken(extractVisitorToken(payload));
+            const record = await this.findVisitorRecord(claims);
+
+            if (!record) {
+                throw new VisitorTokenError('not_found', `No visitor record matches the pass for ${claims.em}`, { claims });
+            }
+
+            if (record.Status === VISITOR_STATUS.CANCELLED) {
+                const error = new VisitorTokenError('cancelled',
+                    `Visitor ${claims.em} is cancelled (${record.CancellationReason || 'unknown'})`, { claims });
+                error.record = record;
+                throw error;
+            }
+
+            // 同じ入館証を続けて読み取った場合
+            if (record.Status === VISITOR_STATUS.CHECKED_IN) {
+                return { record, claims, alreadyCheckedIn: true, queued: false };
+            }
+
+            const outcome = await this.outbox.updateVisitorStatus(record, VISITOR_STATUS.CHECKED_IN);
+            this.logger.info(`Visitor checked in with pass: ${claims.em}`, { itemId: record.Id, queued: outcome.queued });
+
+            return {
+                record: outcome.queued ? record : outcome.result.record,
+                claims,
+                alreadyCheckedIn: false,
+                queued: outcome.queued
+            };
+
+        } catch (error) {
+            if (error.name === 'VisitorTokenError' || error.name === 'VisitorStatusError') {
+                this.logger.warn(`Check-in rejected (${error.code})`, { email: error.claims ? error.claims.em : null });
+            } else {
+                this.logger.error('Failed to check in visitor', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * トークンに対応する来訪者レコードを取得（メールアドレス・開始日時で検索し、会議IDのハッシュで照合）
+     *
+     * 一時IDで発行した入館証は、会議IDの移行後は会議IDのハッシュが一致しない。
+     * 一致する行がない場合は、同じメールアドレス・開始日時の行が1つの会議のみにあればその行とする。
+     */
+    async findVisitorRecord(claims) {
+        const start = new Date(claims.st).getTime();
+        const records = await this.sharePoint.getVisitorRecordsByStartTime(
+            new Date(start - START_TIME_TOLERANCE_MS),
+            new Date(start + START_TIME_TOLERANCE_MS)
+        );
+
+        const candidates = records.filter(record => (record.VisitorEmail || '').toLowerCase() === claims.em);
+        let matches = candidates.filter(record => getMeetingHash(record.MeetingId) === claims.mh);
+
+        if (matches.length === 0) {
+            const active = candidates.filter(record => record.Status !== VISITOR_STATUS.CANCELLED);
+            if (new Set(active.map(record => record.MeetingId)).size !== 1) {
+                return null;
+            }
+            this.logger.info(`Visitor pass matched by email and start time (meeting id migrated): ${claims.em}`, {
+                meetingId: active[0].MeetingId
+            });
+            matches = active;
+        }
+
+        // 重複した行がある場合はキャンセル済みでない行を優先
+        return matches.find(record => record.Status !== VISITOR_STATUS.CANCELLED) || matches[0] || null;
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * VisitorLifecycleService
+ * 来訪者の来訪状況（Status）の遷移を検証し、更新するフィールドを作成するサービス
+ *
+ * Scheduled → Arrived（受付に到着）→ CheckedIn（入館）→ CheckedOut（退館）の順に進み、
+ * 来訪しなかった場合は NoShow、会議のキャンセルや招待の取り消しでは Cancelled になる。
+ * 状態ごとに変更日時の列（ArrivedDate など）を記録する。
+ */
+
+import { LoggingService } from './LoggingService.js';
+import { VISITOR_STATUS } from './VisitorReconciliationService.js';
+
+// 各状態から遷移できる状態
+export const VISITOR_STATUS_TRANSITIONS = {
+    [VISITOR_STATUS.SCHEDULED]: [VISITOR_STATUS.ARRIVED, VISITOR_STATUS.CHECKED_IN, VISITOR_STATUS.NO_SHOW, VISITOR_STATUS.CANCELLED],
+    [VISITOR_STATUS.ARRIVED]: [VISITOR_STATUS.CHECKED_IN, VISITOR_STATUS.CHECKED_OUT],
+    [VISITOR_STATUS.CHECKED_IN]: [VISITOR_STATUS.CHECKED_OUT],
+    [VISITOR_STATUS.CHECKED_OUT]: [],
+    // 遅れて到着した場合
+    [VISITOR_STATUS.NO_SHOW]: [VISITOR_STATUS.ARRIVED, VISITOR_STATUS.CHECKED_IN],
+    // 再招待による Scheduled への復帰は VisitorReconciliationService が行う
+    [VISITOR_STATUS.CANCELLED]: [],
+    [VISITOR_STATUS.COMPLETED]: []
+};
+
+// 状態ごとの変更日時の列
+export const STATUS_TIMESTAMP_FIELDS = {
+    [VISITOR_STATUS.ARRIVED]: 'ArrivedDate',
+    [VISITOR_STATUS.CHECKED_IN]: 'CheckedInDate',
+    [VISITOR_STATUS.CHECKED_OUT]: 'CheckedOutDate',
+    [VISITOR_STATUS.NO_SHOW]: 'NoShowDate',
+    [VISITOR_STATUS.CANCELLED]: 'CancelledDate'
+};
+
+// 状態の変更時に送信する通知の種類（Cancelled の通知はキャンセル処理で送信する）
+export const STATUS_NOTIFICATION_TYPES = {
+    [VISITOR_STATUS.ARRIVED]: 'arrived',
+    [VISITOR_STATUS.CHECKED_IN]: 'checked_in',
+    [VISITOR_STATUS.CHECKED_OUT]: 'checked_out',
+    [VISITOR_STATUS.NO_SHOW]: 'no_show'
+};
+
+// 受付での操作で変更できる状態（Cancelled は会議の同期・キャンセル処理でのみ設定する）
+export const RECEPTION_STATUSES = [
+    VISITOR_STATUS.ARRIVED,
+    VISITOR_STATUS.CHECKED_IN,
+    VISITOR_STATUS.CHECKED_OUT,
+    VISITOR_STATUS.NO_SHOW
+];
+
+/**
+ * 来訪状況の変更エラー
+ *
+ * 再実行しても成功しないため、送信キューには保存しない（retryable = false）。
+ */
+export class VisitorStatusError extends Error {
+    constructor(code, message, { itemId = null, fromStatus = null, toStatus = null } = {}) {
+        super(message);
+        this.name = 'VisitorStatusError';
+        this.code = code;
+        this.itemId = itemId;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+        this.retryable = false;
+    }
+}
+
+export class VisitorLifecycleService {
+    constructor() {
+        this.logger = LoggingService.getInstance().forComponent('VisitorLifecycleService');
+    }
+
+    /**
+     * 状態を遷移できるか
+     */
+    canTransition(fromStatus, toStatus) {
+        // Status が未設定の行は予定済みとして扱う
+        const allowed = VISITOR_STATUS_TRANSITIONS[fromStatus || VISITOR_STATUS.SCHEDULED];
+        return Boolean(allowed && allowed.includes(toStatus));
+    }
+
+    /**
+     * 受付での状態変更を検証（できない場合は VisitorStatusError）
+     */
+    assertTransition(record, toStatus) {
+        if (!RECEPTION_STATUSES.includes(toStatus)) {
+            throw new VisitorStatusError('unsupported_status', `Status cannot be set at reception: ${toStatus}`, {
+                itemId: record.Id,
+                fromStatus: record.Status,
+                toStatus
+            });
+        }
+
+        if (!this.canTransition(record.Status, toStatus)) {
+            throw new VisitorStatusError('invalid_transition',
+                `Visitor ${record.VisitorEmail} cannot change from ${record.Status || VISITOR_STATUS.SCHEDULED} to ${toStatus}`, {
+                    itemId: record.Id,
+                    fromStatus: record.Status,
+                    toStatus
+                });
+        }
+    }
+
+    /**
+     * 状態の変更で更新するフィールドを作成
+     *
+     * @param {string} now 変更日時（ISO文字列）
+     */
+    buildTransitionFields(toStatus, now) {
+        const timestampField = STATUS_TIMESTAMP_FIELDS[toStatus];
+        return {
+            Status: toStatus,
+            ...(timestampField ? { [timestampField]: now } : {}),
+            ModifiedDate: now
+        };
+    }
+
+    /**
+     * 状態の変更時に送信する通知の種類（送信しない場合は null）
+     */
+    getNotificationType(status) {
+        return STATUS_NOTIFICATION_TYPES[status] || null;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * VisitorPassService
+ * 来訪者の入館証（印刷用のバッジと QR コード）を作成するサービス
+ *
+ * QR コードには VisitorTokenService（トークンサービス）で署名したトークンを埋め込む。
+ * トークンは同じ内容から常に同じ値になるため、SharePoint の行と通知で別々に作成しても同じ入館証になる。
+ */
+
+import QRCode from 'qrcode';
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { VisitorTokenService } from './VisitorTokenService.js';
+import { I18nService } from './I18nService.js';
+import { escapeHtml } from '../utils/Utils.js';
+
+// 入館証を添付する通知の種類（登録時と、日時などの変更時）
+export const PASS_NOTIFICATION_TYPES = ['created', 'updated'];
+
+// 入館証のスタイル（添付用の HTML と入館証ページで共通）
+export const BADGE_STYLES = `
+    body { margin: 0; font-family: 'Segoe UI', 'Yu Gothic UI', Meiryo, sans-serif; background-color: #f3f2f1; }
+    .badge { width: 86mm; min-height: 120mm; margin: 16px auto; background: white; border: 1px solid #c8c6c4;
+        border-radius: 4px; overflow: hidden; text-align: center; box-sizing: border-box; }
+    .badge-header { background: #0078d4; color: white; padding: 8px; font-size: 14px; font-weight: 600; letter-spacing: 0.2em; }
+    .badge-name { margin: 16px 8px 4px; font-size: 22px; font-weight: 600; color: #323130; word-break: break-all; }
+    .badge-company { margin: 0 8px 12px; font-size: 14px; color: #605e5c; }
+    .badge-qr svg { width: 42mm; height: 42mm; }
+    .badge-detail { margin: 4px 8px; font-size: 12px; color: #323130; }
+    .badge-footer { margin: 12px 8px; font-size: 10px; color: #797775; }
+    @media print {
+        @page { size: 86mm 120mm; margin: 0; }
+        body { background: white; }
+        .badge { margin: 0; border: none; }
+        .no-print { display: none; }
+    }
+`;
+
+/**
+ * 文字列を Base64 に変換（UTF-8、通知への添付用）
+ */
+function toBase64(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+export class VisitorPassService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('VisitorPassService');
+        this.tokens = new VisitorTokenService();
+        this.i18n = I18nService.getInstance();
+    }
+
+    /**
+     * 入館証を作成するか（トークンサービスが未設定の場合は作成しない）
+     */
+    isEnabled() {
+        return this.getPassConfig().enabled && this.tokens.isConfigured();
+    }
+
+    /**
+     * 来訪者の入館証を作成
+     *
+     * @param {{ meetingId: string, visitorEmail: string, visitorName?: string, organizerName?: string,
+     *           startTime: string|Date, endTime?: string|Date }} visitor
+     * @param {{ includeHtml?: boolean, locale?: string, timeZone?: string }} options 言語・タイムゾーンは HTML の表示用
+     * @returns {Promise<{ token: string, claims: object, url: string|null, fileName: string, html: string|null }>}
+     */
+    async createPass(visitor, { includeHtml = false, locale, timeZone } = {}) {
+        try {
+            const { token, claims } = await this.tokens.createToken(visitor);
+
+            return {
+                token,
+                claims,
+                url: this.getPassUrl(token),
+                fileName: this.getFileName(claims),
+                html: includeHtml ? await this.renderBadgeDocument(claims, token, { locale, timeZone }) : null
+            };
+        } catch (error) {
+            this.logger.error(`Failed to create visitor pass for ${visitor.visitorEmail}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * SharePoint のレコードから入館証を作成
+     */
+    async createPassForRecord(record, options = {}) {
+        return await this.createPass({
+            meetingId: record.MeetingId,
+            visitorEmail: record.VisitorEmail,
+            visitorName: record.VisitorName,
+            organizerName: record.OrganizerName,
+            startTime: record.StartTime,
+            endTime: record.EndTime
+        }, options);
+    }
+
+    /**
+     * 入館証ページのURL（トークンをクエリに含める）
+     */
+    getPassUrl(token) {
+        const { baseUrl } = this.getPassConfig();
+        const base = baseUrl ||
+            (typeof window !== 'undefined' && window.location ? `${window.location.origin}/pass.html` : null);
+        return base ? `${base}?token=${encodeURIComponent(token)}` : null;
+    }
+
+    /**
+     * 添付ファイル名
+     */
+    getFileName(claims) {
+        const date = claims.st.slice(0, 10).replace(/-/g, '');
+        const name = claims.em.split('@')[0].replace(/[^a-z0-9._-]/gi, '_');
+        return `visitor-pass-${date}-${name}.html`;
+    }
+
+    /**
+     * 入館証の本体（バッジ部分）の HTML を作成
+     *
+     * タイムゾーンを指定した場合は日時にタイムゾーン名を付ける（未指定は表示している環境のタイムゾーン）。
+     */
+    async renderBadge(claims, token, { locale = this.i18n.getLocale(), timeZone = null } = {}) {
+        const qrSvg = await QRCode.toString(token, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+        const date = this.i18n.formatDateTime(claims.st, { locale, timeZone, format: 'date' });
+        const time = this.i18n.formatDateTime(claims.st, { locale, timeZone, format: 'time', withTimeZone: Boolean(timeZone) });
+
+        return `
+            <div class="badge">
+                <div class="badge-header">${escapeHtml(this.i18n.t('pass.header', {}, locale))}</div>
+                <div class="badge-name">${escapeHtml(claims.n)}</div>
+                <div class="badge-company">${escapeHtml(claims.c)}</div>
+                <div class="badge-qr">${qrSvg}</div>
+                <div class="badge-detail">${escapeHtml(`${date} ${time}`)}</div>
+                ${claims.h ? `<div class="badge-detail">${escapeHtml(this.i18n.t('pass.host', { name: claims.h }, locale))}</div>` : ''}
+                <div class="badge-footer">${escapeHtml(this.i18n.t('pass.instructions', {}, locale))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 印刷用の入館証（単独で表示できる HTML 文書）を作成
+     */
+    async renderBadgeDocument(claims, token, { locale = this.i18n.getLocale(), timeZone = null } = {}) {
+        return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(this.i18n.t('pass.title', { name: claims.n }, locale))}</title>
+<style>${BADGE_STYLES}</style>
+</head>
+<body>${await this.renderBadge(claims, token, { locale, timeZone })}</body>
+</html>`;
+    }
+
+    /**
+     * 通知に添付する入館証のフィールドを作成（作成しない通知の種類・失敗時は null）
+     *
+     * @param {{ locale: string, timeZone: string }} context 来訪者の言語とタイムゾーン（I18nService.getVisitorContext()）
+     */
+    async buildNotificationAttachment(visitor, notificationType, context = {}) {
+        if (!this.isEnabled() || !PASS_NOTIFICATION_TYPES.includes(notificationType)) {
+            return null;
+        }
+
+        try {
+            const { attachHtml } = this.getPassConfig();
+            const pass = await this.createPass(visitor, { includeHtml: attachHtml, ...context });
+            return {
+                passUrl: pass.url,
+                passFileName: pass.fileName,
+                passHtml: pass.html ? toBase64(pass.html) : null
+            };
+        } catch (error) {
+            // 入館証がなくても通知は送信する
+            this.logger.warn(`Sending notification without visitor pass for ${visitor.visitorEmail}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 入館証の設定を取得
+     */
+    getPassConfig() {
+        const pass = this.config.getConfig().visitorPass || {};
+        return {
+            enabled: pass.enabled !== false,
+            baseUrl: pass.baseUrl || '',
+            attachHtml: pass.attachHtml !== false
+        };
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * VisitorReconciliationService
+ * 現在の外部ユーザーと既存の来訪者レコードを比較し、差分（変更セット）を算出するサービス
+ *
+ * レコードは VisitorEmail で突き合わせる。SharePoint への書き込みは行わず、
+ * 計画の実行は SharePointService が担当する。
+ */
+
+import { LoggingService } from './LoggingService.js';
+
+// 来訪状況（遷移は VisitorLifecycleService で検証）
+export const VISITOR_STATUS = {
+    SCHEDULED: 'Scheduled',
+    ARRIVED: 'Arrived',
+    CHECKED_IN: 'CheckedIn',
+    CHECKED_OUT: 'CheckedOut',
+    NO_SHOW: 'NoShow',
+    CANCELLED: 'Cancelled',
+    // 以前のバージョンの来訪済み（CheckedOut と同等）
+    COMPLETED: 'Completed'
+};
+
+// キャンセル理由（CancellationReason 列に保存）
+export const CANCELLATION_REASONS = {
+    MEETING_CANCELLED: 'MeetingCancelled',
+    MEETING_DELETED: 'MeetingDeleted',
+    VISITOR_REMOVED: 'VisitorRemoved'
+};
+
+// 会議から外れても変更しないステータス（受付で処理済みの来訪者）
+export const FINAL_STATUSES = [
+    VISITOR_STATUS.ARRIVED,
+    VISITOR_STATUS.CHECKED_IN,
+    VISITOR_STATUS.CHECKED_OUT,
+    VISITOR_STATUS.NO_SHOW,
+    VISITOR_STATUS.COMPLETED
+];
+
+/**
+ * 会議の詳細（主催者・場所・オンライン会議）をレコードのフィールドに変換
+ *
+ * @param {object} meetingDetails getMeetingDetails() の結果
+ */
+export function toMeetingDetailFields(meetingDetails) {
+    const organizer = meetingDetails.organizer || {};
+    return {
+        OrganizerName: organizer.name || '',
+        OrganizerEmail: organizer.emailAddress || '',
+        Location: meetingDetails.location || '',
+        IsOnlineOnly: Boolean(meetingDetails.isOnlineOnly)
+    };
+}
+
+/**
+ * レコードのフィールドから会議の詳細を復元（キャンセル通知など、会議データがない場合に使用）
+ */
+export function fromMeetingDetailFields(record) {
+    return {
+        organizer: record.OrganizerEmail
+            ? { name: record.OrganizerName || '', emailAddress: record.OrganizerEmail }
+            : null,
+        location: record.Location || '',
+        isOnlineMeeting: Boolean(record.IsOnlineOnly),
+        isOnlineOnly: Boolean(record.IsOnlineOnly)
+    };
+}
+
+export class VisitorReconciliationService {
+    constructor() {
+        this.logger = LoggingService.getInstance().forComponent('VisitorReconciliationService');
+    }
+
+    /**
+     * 差分を算出
+     *
+     * @param {Array} existingRecords SharePoint の既存レコード
+     * @param {Array} externalUsers 現在の外部ユーザー
+     * @param {Object} meeting { meetingTitle, startTime, endTime, meetingDetails }
+     * @returns {{ toAdd: Array, toUpdate: Array, toCancel: Array, unchanged: Array }}
+     */
+    reconcile(existingRecords, externalUsers, meeting) {
+        const plan = {
+            toAdd: [],
+            toUpdate: [],
+            toCancel: [],
+            unchanged: []
+        };
+
+        const recordsByEmail = this.indexRecordsByEmail(existingRecords || []);
+        const currentEmails = new Set();
+
+        for (const user of externalUsers || []) {
+            const email = this.normalizeEmail(user.emailAddress);
+            if (!email || currentEmails.has(email)) {
+                continue;
+            }
+            currentEmails.add(email);
+
+            const record = recordsByEmail.get(email);
+            if (!record) {
+                plan.toAdd.push(user);
+                continue;
+            }
+
+            const changes = this.diffRecord(record, meeting);
+
+            // キャンセル済みの来訪者が再度招待された場合は予定済みに戻す
+            if (record.Status === VISITOR_STATUS.CANCELLED) {
+                changes.Status = VISITOR_STATUS.SCHEDULED;
+                changes.CancellationReason = null;
+                changes.CancelledDate = null;
+            }
+
+            if (Object.keys(changes).length > 0) {
+                plan.toUpdate.push({ record, user, changes });
+            } else {
+                plan.unchanged.push(record);
+            }
+        }
+
+        for (const [email, record] of recordsByEmail) {
+            if (currentEmails.has(email)) {
+                continue;
+            }
+
+            if (!this.isCancellable(record)) {
+                continue;
+            }
+
+            plan.toCancel.push(record);
+        }
+
+        this.logger.debug('Reconciliation plan computed', {
+            toAdd: plan.toAdd.length,
+            toUpdate: plan.toUpdate.length,
+            toCancel: plan.toCancel.length,
+            unchanged: plan.unchanged.length
+        });
+
+        return plan;
+    }
+
+    /**
+     * キャンセル済みにできるレコードか（キャンセル済み・来訪済みなどは対象外）
+     */
+    isCancellable(record) {
+        return record.Status !== VISITOR_STATUS.CANCELLED && !FINAL_STATUSES.includes(record.Status);
+    }
+
+    /**
+     * 既存レコードをメールアドレスで索引化
+     * 同じアドレスのレコードが複数ある場合は有効なもの（キャンセル以外）を優先する
+     */
+    indexRecordsByEmail(records) {
+        const index = new Map();
+
+        for (const record of records) {
+            const email = this.normalizeEmail(record.VisitorEmail);
+            if (!email) {
+                continue;
+            }
+
+            const current = index.get(email);
+            if (!current || (current.Status === VISITOR_STATUS.CANCELLED && record.Status !== VISITOR_STATUS.CANCELLED)) {
+                index.set(email, record);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * 会議情報とレコードの差分フィールドを算出
+     */
+    diffRecord(record, meeting) {
+        const changes = {};
+
+        if ((meeting.meetingTitle || '') !== (record.MeetingTitle || '')) {
+            changes.MeetingTitle = meeting.meetingTitle;
+        }
+
+        if (!this.isSameTime(record.StartTime, meeting.startTime)) {
+            changes.StartTime = this.formatDateTime(meeting.startTime);
+        }
+
+        if (!this.isSameTime(record.EndTime, meeting.endTime)) {
+            changes.EndTime = this.formatDateTime(meeting.endTime);
+        }
+
+        // 会議の詳細が渡されない場合（以前のキューの再実行など）は比較しない
+        if (meeting.meetingDetails) {
+            for (const [field, value] of Object.entries(toMeetingDetailFields(meeting.meetingDetails))) {
+                const current = typeof value === 'boolean' ? Boolean(record[field]) : (record[field] || '');
+                if (current !== value) {
+                    changes[field] = value;
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * 2つの日時が同一か（ミリ秒表記の有無などの書式差は無視）
+     */
+    isSameTime(a, b) {
+        if (!a && !b) {
+            return true;
+        }
+        if (!a || !b) {
+            return false;
+        }
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+
+    /**
+     * メールアドレスを正規化
+     */
+    normalizeEmail(email) {
+        return email ? String(email).trim().toLowerCase() : '';
+    }
+
+    /**
+     * 日時をISO文字列にフォーマット
+     */
+    formatDateTime(date) {
+        if (!date) return null;
+
+        if (typeof date === 'string') {
+            date = new Date(date);
+        }
+
+        return date.toISOString();
+    }
+}
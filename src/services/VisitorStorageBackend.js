@@ -0,0 +1,245 @@
+/**
+ * VisitorStorageBackend
+ * 来訪者リストの保存先（ストレージバックエンド）の共通インターフェース
+ *
+ * 実装:
+ *   - SharePointRestBackend: SharePoint REST (_api)
+ *   - GraphListBackend: Microsoft Graph (/sites/{id}/lists/{id}/items)
+ *
+ * どの実装も、レコードを SharePoint REST と同じ形（Id + 列の内部名）で返す。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { BATCH_OPERATIONS } from './SharePointBatchService.js';
+
+export const STORAGE_BACKENDS = {
+    REST: 'rest',
+    GRAPH: 'graph'
+};
+
+/**
+ * ETag が一致しない（読み取った後に他の端末で更新された）ため更新できなかった
+ *
+ * 同じ ETag で再試行しても成功しないため retryable は false。呼び出し元で読み直して再検証する。
+ */
+export class VisitorConflictError extends Error {
+    constructor(itemId) {
+        super(`Visitor record ${itemId} was modified by another user`);
+        this.name = 'VisitorConflictError';
+        this.code = 'conflict';
+        this.itemId = itemId;
+        this.retryable = false;
+    }
+}
+
+export class VisitorStorageBackend {
+    /**
+     * @param {SharePointService} client トークン取得とリトライに使用
+     */
+    constructor(client) {
+        this.client = client;
+        this.config = ConfigService.getInstance();
+    }
+
+    /**
+     * バックエンド名
+     */
+    get name() {
+        throw new Error(`${this.constructor.name}.name is not implemented`);
+    }
+
+    /**
+     * アクセストークンのリソース（audience）
+     */
+    getTokenResource() {
+        throw new Error(`${this.constructor.name}.getTokenResource is not implemented`);
+    }
+
+    /**
+     * アクセストークンを取得
+     */
+    async getAccessToken() {
+        return await this.client.getAccessToken();
+    }
+
+    /**
+     * リトライ機能付きで関数を実行
+     */
+    async executeWithRetry(operation) {
+        return await this.client.executeWithRetry(operation);
+    }
+
+    /**
+     * IDでアイテムを取得（存在しない場合は null）
+     */
+    async getItem(itemId) {
+        throw new Error(`${this.constructor.name}.getItem is not implemented`);
+    }
+
+    /**
+     * アイテムを作成して作成結果のレコードを返す
+     */
+    async createItem(fields) {
+        throw new Error(`${this.constructor.name}.createItem is not implemented`);
+    }
+
+    /**
+     * アイテムの指定フィールドを更新
+     *
+     * etag を指定した場合は If-Match で送信し、一致しない場合は VisitorConflictError。
+     *
+     * @param {{ etag?: string|null }} options
+     */
+    async updateItem(itemId, fields, { etag = null } = {}) {
+        throw new Error(`${this.constructor.name}.updateItem is not implemented`);
+    }
+
+    /**
+     * getItem() で取得したレコードの ETag を取得（取得できない場合は null）
+     */
+    getETag(record) {
+        throw new Error(`${this.constructor.name}.getETag is not implemented`);
+    }
+
+    /**
+     * アイテムを削除（存在しない場合は false）
+     */
+    async deleteItem(itemId) {
+        throw new Error(`${this.constructor.name}.deleteItem is not implemented`);
+    }
+
+    /**
+     * 作成・更新・削除をまとめて実行
+     *
+     * @param {Array} operations { type, itemId?, fields?, key? } の配列
+     * @returns {Promise<Array>} 入力順の { key, type, itemId, success, status, data, error }
+     */
+    async executeBatch(operations) {
+        throw new Error(`${this.constructor.name}.executeBatch is not implemented`);
+    }
+
+    /**
+     * バッチの1回分の要求をリトライ機能付きで実行
+     *
+     * 応答を受け取れなかった要求も SharePoint 側では反映されている可能性があるため、再送する前に
+     * 作成操作の行が既にあるか確認し、作成済みの操作は再送しない（更新・削除は再送しても結果が変わらない）。
+     *
+     * @param {Array} operations 操作の配列
+     * @param {Function} send (operations) => Promise<Array> 操作を送信し、入力順の結果を返す
+     * @returns {Promise<Array>} 入力順の結果
+     */
+    async executeBatchChunk(operations, send) {
+        const results = new Array(operations.length);
+        let pending = operations.map((operation, index) => ({ operation, index }));
+        let attempt = 0;
+
+        await this.executeWithRetry(async () => {
+            if (attempt++ > 0) {
+                const created = await this.findCreatedRecords(pending.map(p => p.operation));
+                pending = pending.filter(({ operation, index }) => {
+                    const record = created.get(operation);
+                    if (record) {
+                        results[index] = {
+                            key: operation.key || null,
+                            type: operation.type,
+                            itemId: record.Id,
+                            success: true,
+                            status: 201,
+                            data: record,
+                            error: null
+                        };
+                    }
+                    return !record;
+                });
+                if (created.size > 0) {
+                    this.logger.info(`Skipped ${created.size} create operation(s) already applied by a previous batch attempt`);
+                }
+            }
+
+            if (pending.length === 0) {
+                return;
+            }
+
+            const pendingResults = await send(pending.map(p => p.operation));
+            pending.forEach(({ index }, position) => {
+                results[index] = pendingResults[position];
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * 作成操作のうち、会議ID・メールアドレスが一致する行が既にある操作を検索
+     *
+     * @returns {Promise<Map<object, object>>} 作成操作 → 既にある行
+     */
+    async findCreatedRecords(operations) {
+        const creates = operations.filter(operation => operation.type === BATCH_OPERATIONS.CREATE);
+        const created = new Map();
+
+        for (const meetingId of new Set(creates.map(operation => operation.fields.MeetingId))) {
+            const records = await this.queryByMeetingId(meetingId);
+            for (const operation of creates.filter(o => o.fields.MeetingId === meetingId)) {
+                const email = String(operation.fields.VisitorEmail || '').toLowerCase();
+                const record = records.find(r => String(r.VisitorEmail || '').toLowerCase() === email);
+                if (record) {
+                    created.set(operation, record);
+                }
+            }
+        }
+
+        return created;
+    }
+
+    /**
+     * 会議IDでレコードを検索
+     */
+    async queryByMeetingId(meetingId) {
+        throw new Error(`${this.constructor.name}.queryByMeetingId is not implemented`);
+    }
+
+    /**
+     * 定期的な予定のシリーズIDでレコードを検索
+     */
+    async queryBySeriesId(seriesId) {
+        throw new Error(`${this.constructor.name}.queryBySeriesId is not implemented`);
+    }
+
+    /**
+     * 開始時刻が期間内（from 以上 to 未満）のレコードを開始時刻順に検索
+     */
+    async queryByStartTime(from, to) {
+        throw new Error(`${this.constructor.name}.queryByStartTime is not implemented`);
+    }
+
+    /**
+     * 指定日時以降に作成されたレコードを検索
+     */
+    async queryCreatedSince(date, fields) {
+        throw new Error(`${this.constructor.name}.queryCreatedSince is not implemented`);
+    }
+
+    /**
+     * リストの列（内部名）の一覧を取得
+     */
+    async getFieldNames() {
+        throw new Error(`${this.constructor.name}.getFieldNames is not implemented`);
+    }
+
+    /**
+     * リストの情報を取得
+     *
+     * @returns {Promise<{ title: string, itemCount: number|null }>}
+     */
+    async getListInfo() {
+        throw new Error(`${this.constructor.name}.getListInfo is not implemented`);
+    }
+
+    /**
+     * OData のフィルター値をエスケープ
+     */
+    escapeODataValue(value) {
+        return String(value).replace(/'/g, "''");
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * VisitorTokenService
+ * 入館証の QR コードに埋め込む署名付きトークンの作成と検証
+ *
+ * 署名キーはアドインに含めず、トークンサービス（visitorPass.tokenServiceUrl、src/server/visitorToken.js を
+ * ホストした関数など）に Azure AD のアクセストークン付きで署名・検証を依頼する。
+ * トークンの形式は utils/VisitorToken.js を参照。
+ */
+
+import { ConfigService } from './ConfigService.js';
+import { LoggingService } from './LoggingService.js';
+import { AuthService } from './AuthService.js';
+import { VisitorTokenError } from '../utils/VisitorToken.js';
+
+export {
+    VISITOR_TOKEN_VERSION,
+    VisitorTokenError,
+    decodeVisitorToken,
+    extractVisitorToken,
+    getMeetingHash,
+    getCompanyName
+} from '../utils/VisitorToken.js';
+
+// 同じ来訪者のトークンを SharePoint の行と通知で再利用する件数
+const MAX_CACHED_TOKENS = 200;
+
+export class VisitorTokenService {
+    constructor() {
+        this.config = ConfigService.getInstance();
+        this.logger = LoggingService.getInstance().forComponent('VisitorTokenService');
+        this.auth = AuthService.getInstance();
+        this.tokenCache = new Map();
+    }
+
+    /**
+     * トークンサービスが設定されているか
+     */
+    isConfigured() {
+        const { tokenServiceUrl, tokenServiceResource } = this.getTokenConfig();
+        return Boolean(tokenServiceUrl && tokenServiceResource);
+    }
+
+    /**
+     * 来訪者のトークンを作成（トークンサービスで署名）
+     *
+     * @param {{ meetingId: string, visitorEmail: string, visitorName?: string, organizerName?: string,
+     *           startTime: string|Date, endTime?: string|Date }} visitor
+     * @returns {Promise<{ token: string, claims: object }>}
+     */
+    async createToken(visitor) {
+        const request = {
+            meetingId: String(visitor.meetingId),
+            visitorEmail: visitor.visitorEmail,
+            visitorName: visitor.visitorName || null,
+            organizerName: visitor.organizerName || null,
+            startTime: new Date(visitor.startTime).toISOString(),
+            endTime: visitor.endTime ? new Date(visitor.endTime).toISOString() : null
+        };
+
+        const cacheKey = JSON.stringify(request);
+        if (this.tokenCache.has(cacheKey)) {
+            return this.tokenCache.get(cacheKey);
+        }
+
+        const { token, claims } = await this.requestTokenService({ operation: 'sign', visitor: request });
+        if (!token || !claims) {
+            throw new Error('Visitor token service returned no token');
+        }
+
+        this.tokenCache.set(cacheKey, { token, claims });
+        if (this.tokenCache.size > MAX_CACHED_TOKENS) {
+            this.tokenCache.delete(this.tokenCache.keys().next().value);
+        }
+        return { token, claims };
+    }
+
+    /**
+     * トークンの署名と有効期間を検証（トークンサービスで検証）
+     *
+     * @returns {Promise<object>} トークンの内容（検証に失敗した場合は VisitorTokenError）
+     */
+    async verifyToken(token) {
+        const value = String(token || '').trim();
+        if (!value) {
+            throw new VisitorTokenError('malformed', 'Visitor token is malformed');
+        }
+
+        const result = await this.requestTokenService({ operation: 'verify', token: value });
+        if (!result.valid) {
+            if (result.code === 'invalid_signature') {
+                this.logger.warn('Visitor token signature mismatch', { email: result.claims && result.claims.em });
+            }
+            throw new VisitorTokenError(result.code || 'malformed', result.message || 'Visitor token is invalid', {
+                claims: result.claims || null
+            });
+        }
+
+        return result.claims;
+    }
+
+    /**
+     * トークンサービスに要求を送信
+     */
+    async requestTokenService(body) {
+        const { tokenServiceUrl, tokenServiceResource, timeout } = this.getTokenConfig();
+        if (!tokenServiceUrl || !tokenServiceResource) {
+            throw new Error('visitorPass.tokenServiceUrl and visitorPass.tokenServiceResource are not configured');
+        }
+
+        const accessToken = await this.auth.getAccessToken(tokenServiceResource);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(tokenServiceUrl, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Visitor token service error! status: ${response.status}`);
+            }
+            return await response.json();
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Visitor token service timed out after ${timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * トークンの設定を取得
+     */
+    getTokenConfig() {
+        const pass = this.config.getConfig().visitorPass || {};
+        return {
+            tokenServiceUrl: pass.tokenServiceUrl || '',
+            tokenServiceResource: pass.tokenServiceResource || '',
+            timeout: pass.tokenServiceTimeout ?? 15000
+        };
+    }
+}
@@ -4,10 +4,14 @@
  */
 
 import { ConfigService } from '../services/ConfigService.js';
-import { OutlookEventService } from '../services/OutlookEventService.js';
+import { OutlookEventService, getMeetingDetails } from '../services/OutlookEventService.js';
 import { SharePointService } from '../services/SharePointService.js';
 import { PowerAutomateService } from '../services/PowerAutomateService.js';
 import { LoggingService } from '../services/LoggingService.js';
+import { OutboxService, OUTBOX_STATUS } from '../services/OutboxService.js';
+import { CANCELLATION_REASONS } from '../services/VisitorReconciliationService.js';
+import { I18nService } from '../services/I18nService.js';
+import { escapeHtml } from '../utils/Utils.js';
 
 class TaskpaneApp {
     constructor() {
@@ -15,7 +19,10 @@ class TaskpaneApp {
         this.outlookService = null;
         this.sharePointService = null;
         this.powerAutomateService = null;
+        this.outboxService = null;
+        this.historyMeetingId = null;
         this.logger = null;
+        this.i18n = I18nService.getInstance();
         
         this.currentMeetingData = null;
         this.isProcessing = false;
@@ -35,31 +42,54 @@ class TaskpaneApp {
                 });
             });
 
-            // UI要素を取得
+            // UI要素を取得（固定の文字列は Office の表示言語に合わせる）
             this.initializeElements();
+            this.i18n.translateElements();
             
             // イベントリスナーを設定
             this.setupEventListeners();
             
             // ロギングサービスを初期化
-            this.logger = LoggingService.getInstance();
+            this.logger = LoggingService.getInstance().forComponent('Taskpane');
             this.setupLogHandler();
             
-            this.addLog('info', 'アプリケーションを初期化しています...');
+            this.addLog('info', this.t('taskpane.app.initializing'));
             
             // サービスを初期化
             await this.initializeServices();
             
+            // 設定で言語が固定されている場合に備えて再適用
+            this.i18n.translateElements();
+            
             // UI を更新
             await this.refreshMeetingInfo();
             await this.refreshServiceStatus();
             await this.refreshSettings();
+            await this.refreshOutbox();
+            this.refreshHistory();
+            
+            // 同期済みの会議のキャンセル・削除を確認（結果は 'deleted' イベントで処理）
+            this.outlookService.detectCancellations().catch(error =>
+                this.addLog('warn', this.t('taskpane.app.cancellationCheckError', { error: error.message })));
             
-            this.addLog('info', 'アプリケーションの初期化が完了しました');
+            this.addLog('info', this.t('taskpane.app.initialized'));
             
         } catch (error) {
-            this.addLog('error', `初期化エラー: ${error.message}`);
-            this.showMessage('error', '初期化に失敗しました。設定を確認してください。');
+            this.addLog('error', this.t('taskpane.app.initError', { error: error.message }));
+
+            // 設定の検証エラーは項目ごとに表示
+            if (error.name === 'ConfigValidationError') {
+                error.errors.forEach(e => this.addLog('error', this.t('taskpane.app.configError', { error: e.message })));
+                await this.refreshSettings();
+            }
+
+            // 認証エラーはサインイン・同意の要否を表示
+            if (error.name === 'AuthError') {
+                this.showMessage('error', this.t('taskpane.app.authFailed', { error: error.message }));
+                return;
+            }
+
+            this.showMessage('error', this.t('taskpane.app.initFailed'));
         }
     }
 
@@ -94,9 +124,21 @@ class TaskpaneApp {
             settingsInfo: document.getElementById('settingsInfo'),
             refreshConfigBtn: document.getElementById('refreshConfigBtn'),
             
+            // 送信キュー
+            outboxCounts: document.getElementById('outboxCounts'),
+            outboxList: document.getElementById('outboxList'),
+            retryOutboxBtn: document.getElementById('retryOutboxBtn'),
+            
+            // 通知履歴
+            historyMeetingFilter: document.getElementById('historyMeetingFilter'),
+            historyList: document.getElementById('historyList'),
+            refreshHistoryBtn: document.getElementById('refreshHistoryBtn'),
+            exportHistoryBtn: document.getElementById('exportHistoryBtn'),
+            
             // ログ
             activityLog: document.getElementById('activityLog'),
-            clearLogBtn: document.getElementById('clearLogBtn')
+            clearLogBtn: document.getElementById('clearLogBtn'),
+            exportLogBtn: document.getElementById('exportLogBtn')
         };
     }
 
@@ -110,7 +152,14 @@ class TaskpaneApp {
         this.elements.testConnectionBtn.addEventListener('click', () => this.handleTestConnection());
         this.elements.refreshStatsBtn.addEventListener('click', () => this.handleRefreshStats());
         this.elements.refreshConfigBtn.addEventListener('click', () => this.handleRefreshConfig());
+        this.elements.retryOutboxBtn.addEventListener('click', () => this.handleRetryOutbox());
+        this.elements.outboxList.addEventListener('click', (event) => this.handleOutboxAction(event));
+        this.elements.historyMeetingFilter.addEventListener('change', () => this.handleHistoryFilterChange());
+        this.elements.historyList.addEventListener('click', (event) => this.handleHistoryAction(event));
+        this.elements.refreshHistoryBtn.addEventListener('click', () => this.refreshHistory());
+        this.elements.exportHistoryBtn.addEventListener('click', () => this.handleExportHistory());
         this.elements.clearLogBtn.addEventListener('click', () => this.handleClearLog());
+        this.elements.exportLogBtn.addEventListener('click', () => this.handleExportLog());
     }
 
     /**
@@ -139,9 +188,9 @@ class TaskpaneApp {
             await this.outlookService.initialize();
             
             // Outlook イベントハンドラーを設定
-            this.outlookService.addEventListener('all', (eventType, eventData) => {
-                this.handleOutlookEvent(eventType, eventData);
-            });
+            // 処理結果を返し、SharePoint への保存を確認できた変更のみ同期済みにする
+            this.outlookService.addEventListener('all', (eventType, eventData) =>
+                this.handleOutlookEvent(eventType, eventData));
             
             // SharePoint サービス
             this.sharePointService = new SharePointService();
@@ -150,11 +199,29 @@ class TaskpaneApp {
             // Power Automate サービス
             this.powerAutomateService = new PowerAutomateService();
             await this.powerAutomateService.initialize();
+            this.powerAutomateService.onHistoryChange(() => this.refreshHistory());
             
-            this.addLog('info', 'すべてのサービスが初期化されました');
+            // 送信キュー（起動時に残っている操作を再実行）
+            this.outboxService = OutboxService.getInstance();
+            this.outboxService.registerServices({
+                sharePoint: this.sharePointService,
+                powerAutomate: this.powerAutomateService
+            });
+            this.outboxService.onChange(() => this.refreshOutbox());
+            await this.outboxService.initialize();
+            
+            // 一時IDから恒久IDへの移行時に、キュー・送信済みの通知の記録・SharePoint の会議IDを付け替える
+            this.outlookService.meetingIdentity.registerMigrationHandler(async (fromId, toId) => {
+                await this.outboxService.remapMeetingId(fromId, toId);
+                this.powerAutomateService.remapMeetingId(fromId, toId);
+                const result = await this.sharePointService.migrateMeetingId(fromId, toId);
+                this.addLog('info', this.t('taskpane.app.meetingIdMigrated', result));
+            });
+            
+            this.addLog('info', this.t('taskpane.app.servicesInitialized'));
             
         } catch (error) {
-            this.addLog('error', `サービス初期化エラー: ${error.message}`);
+            this.addLog('error', this.t('taskpane.app.servicesInitError', { error: error.message }));
             throw error;
         }
     }
@@ -178,8 +245,8 @@ class TaskpaneApp {
             this.elements.processVisitorsBtn.disabled = !hasExternalUsers;
             
         } catch (error) {
-            this.addLog('error', `会議情報取得エラー: ${error.message}`);
-            this.elements.currentMeeting.innerHTML = '<p style="color: #d13438;">会議情報の取得に失敗しました</p>';
+            this.addLog('error', this.t('taskpane.meeting.loadError', { error: error.message }));
+            this.elements.currentMeeting.innerHTML = `<p style="color: #d13438;">${this.t('taskpane.meeting.loadFailed')}</p>`;
         }
     }
 
@@ -188,39 +255,108 @@ class TaskpaneApp {
      */
     displayMeetingInfo(meetingData) {
         if (!meetingData) {
-            this.elements.currentMeeting.innerHTML = '<p style="color: #605e5c;">会議が選択されていません</p>';
+            this.elements.currentMeeting.innerHTML = `<p style="color: #605e5c;">${this.t('taskpane.meeting.none')}</p>`;
             return;
         }
 
-        const startTime = meetingData.startTime ? new Date(meetingData.startTime).toLocaleString('ja-JP') : '未設定';
-        const endTime = meetingData.endTime ? new Date(meetingData.endTime).toLocaleString('ja-JP') : '未設定';
+        // 主催者（利用者）のタイムゾーンで表示
+        const timeZone = this.i18n.getOrganizerTimeZone();
+        const startTime = this.i18n.formatDateTime(meetingData.startTime, { timeZone }) || this.t('common.notSet');
+        const endTime = this.i18n.formatDateTime(meetingData.endTime, { timeZone }) || this.t('common.notSet');
         
         let externalUsersHtml = '';
         if (meetingData.externalUsers && meetingData.externalUsers.length > 0) {
             const userTags = meetingData.externalUsers.map(user => 
-                `<span class="external-user">${user.emailAddress}</span>`
+                `<span class="external-user" title="${user.reason ? escapeHtml(this.getReasonMessage(user.reason)) : ''}">${escapeHtml(user.emailAddress)}</span>`
             ).join('');
             externalUsersHtml = `
                 <div class="external-users">
-                    <strong>外部ユーザー (${meetingData.externalUsers.length}人):</strong><br>
+                    <strong>${this.t('taskpane.meeting.externalUsers', { count: meetingData.externalUsers.length })}</strong><br>
                     ${userTags}
                 </div>
             `;
         } else {
-            externalUsersHtml = '<div style="color: #605e5c; font-style: italic;">外部ユーザーはいません</div>';
+            externalUsersHtml = `<div style="color: #605e5c; font-style: italic;">${this.t('taskpane.meeting.noExternalUsers')}</div>`;
         }
 
         this.elements.currentMeeting.innerHTML = `
             <div class="meeting-info">
-                <h3>${meetingData.subject || '件名なし'}</h3>
-                <div class="meeting-detail">📅 開始: ${startTime}</div>
-                <div class="meeting-detail">⏰ 終了: ${endTime}</div>
-                <div class="meeting-detail">🆔 会議ID: ${meetingData.meetingId}</div>
+                <h3>${escapeHtml(meetingData.subject || this.t('taskpane.meeting.noSubject'))}</h3>
+                <div class="meeting-detail">📅 ${this.t('taskpane.meeting.start')}: ${startTime}</div>
+                <div class="meeting-detail">⏰ ${this.t('taskpane.meeting.end')}: ${endTime}</div>
+                <div class="meeting-detail">👤 ${this.t('taskpane.meeting.organizer')}: ${escapeHtml(meetingData.organizer ? `${meetingData.organizer.name} (${meetingData.organizer.emailAddress})` : this.t('common.unknown'))}</div>
+                <div class="meeting-detail">📍 ${this.t('taskpane.meeting.location')}: ${escapeHtml(meetingData.location || (meetingData.isOnlineMeeting ? this.t('taskpane.meeting.online') : this.t('common.notSet')))}${meetingData.isOnlineOnly ? this.t('taskpane.meeting.onlineOnly') : ''}</div>
+                <div class="meeting-detail">🆔 ${this.t('taskpane.meeting.meetingId')}: ${escapeHtml(meetingData.meetingId)}</div>
                 ${externalUsersHtml}
+                ${this.renderClassifications(meetingData.classifications)}
+            </div>
+        `;
+    }
+
+    /**
+     * 参加者ごとの判定理由を表示
+     */
+    renderClassifications(classifications) {
+        if (!classifications || classifications.length === 0) {
+            return '';
+        }
+
+        const rows = classifications.map(c => `
+            <div class="classification-row">
+                <span class="classification-category category-${escapeHtml(c.category)}">${escapeHtml(this.t(`taskpane.categories.${c.category}`))}</span>
+                ${escapeHtml(c.emailAddress || c.name || `(${this.t('common.unknown')})`)}
+                <div class="classification-reason">${escapeHtml(this.getReasonMessage(c.reason))}</div>
             </div>
+        `).join('');
+
+        return `
+            <details class="classifications">
+                <summary>${this.t('taskpane.meeting.classifications', { count: classifications.length })}</summary>
+                ${rows}
+            </details>
         `;
     }
 
+    /**
+     * 判定理由を表示言語で取得（ExternalUserService の reason.code から）
+     *
+     * rule は設定の値を含むため、HTML に入れる場合は escapeHtml で変換する。
+     */
+    getReasonMessage(reason) {
+        const message = this.t(`taskpane.reasons.${reason.code}`);
+        return reason.rule ? `${message} (${reason.rule})` : message;
+    }
+
+    /**
+     * 会議単位の通知の送信結果をログに記録（送信先のルートがない場合は記録しない）
+     */
+    logMeetingNotification({ notificationType, queued, result, error }) {
+        const type = this.t(`taskpane.meetingNotifications.${notificationType}`);
+        if (queued) {
+            this.addLog('warn', this.t('taskpane.process.meetingNotificationQueued', { type }));
+        } else if (error) {
+            this.addLog('error', this.t('taskpane.process.meetingNotificationFailed', { type, error: error.message }));
+        } else if (result && !result.skipped) {
+            this.addLog('info', this.t('taskpane.process.meetingNotificationSent', { type }));
+        } else if (result && result.skipReason) {
+            this.addLog('info', this.t('taskpane.process.meetingNotificationSkipped', {
+                type,
+                reason: this.t(`taskpane.skipReasons.${result.skipReason}`)
+            }));
+        }
+    }
+
+    /**
+     * 通知の送信先を表示用に取得（ルートを設定した場合はルート名の一覧）
+     */
+    describeNotificationRoutes(powerAutomate = {}) {
+        const routes = powerAutomate.routes || [];
+        if (routes.length > 0) {
+            return `${this.t('common.routeCount', { count: routes.length })} (${routes.map(route => route.name).join(', ')})`;
+        }
+        return powerAutomate.notificationUrl ? this.t('common.configured') : this.t('common.notSet');
+    }
+
     /**
      * サービス状態を更新
      */
@@ -230,13 +366,14 @@ class TaskpaneApp {
             if (this.sharePointService) {
                 const result = await this.sharePointService.testConnection();
                 if (result.success) {
-                    this.updateServiceStatus('sharepoint', 'connected', `接続済み (${result.itemCount}件)`);
+                    const detail = result.itemCount !== null ? this.t('common.itemCount', { count: result.itemCount }) : result.backend;
+                    this.updateServiceStatus('sharepoint', 'connected', this.t('taskpane.status.connected', { detail }));
                 } else {
-                    this.updateServiceStatus('sharepoint', 'disconnected', `エラー: ${result.error}`);
+                    this.updateServiceStatus('sharepoint', 'disconnected', this.t('taskpane.status.error', { error: result.error }));
                 }
             }
         } catch (error) {
-            this.updateServiceStatus('sharepoint', 'disconnected', `接続失敗: ${error.message}`);
+            this.updateServiceStatus('sharepoint', 'disconnected', this.t('taskpane.status.failed', { error: error.message }));
         }
 
         // Power Automate 状態をテスト
@@ -244,13 +381,13 @@ class TaskpaneApp {
             if (this.powerAutomateService) {
                 const result = await this.powerAutomateService.testConnection();
                 if (result.success) {
-                    this.updateServiceStatus('powerAutomate', 'connected', `接続済み (${result.statusCode})`);
+                    this.updateServiceStatus('powerAutomate', 'connected', this.t('taskpane.status.connected', { detail: result.detail }));
                 } else {
-                    this.updateServiceStatus('powerAutomate', 'disconnected', `エラー: ${result.error}`);
+                    this.updateServiceStatus('powerAutomate', 'disconnected', this.t('taskpane.status.error', { error: result.error }));
                 }
             }
         } catch (error) {
-            this.updateServiceStatus('powerAutomate', 'disconnected', `接続失敗: ${error.message}`);
+            this.updateServiceStatus('powerAutomate', 'disconnected', this.t('taskpane.status.failed', { error: error.message }));
         }
     }
 
@@ -277,21 +414,37 @@ class TaskpaneApp {
             }
 
             const config = this.configService.getConfig();
+            const notSet = this.t('common.notSet');
             const settings = [
-                ['SharePoint サイト', config.sharePoint?.siteUrl || '未設定'],
-                ['SharePoint リスト', config.sharePoint?.listName || '未設定'],
-                ['Power Automate URL', config.powerAutomate?.notificationUrl ? '設定済み' : '未設定'],
-                ['内部ドメイン数', config.outlook?.internalDomains?.length || 0],
-                ['ログレベル', config.logging?.level || '未設定']
+                [this.t('taskpane.settings.siteUrl'), config.sharePoint?.siteUrl || notSet],
+                [this.t('taskpane.settings.listName'), config.sharePoint?.listName || notSet],
+                [this.t('taskpane.settings.backend'), config.sharePoint?.backend === 'graph' ? 'Microsoft Graph' : 'SharePoint REST'],
+                [this.t('taskpane.settings.notificationUrl'), this.describeNotificationRoutes(config.powerAutomate)],
+                [this.t('taskpane.settings.internalDomains'), config.outlook?.internalDomains?.length || 0],
+                [this.t('taskpane.settings.logLevel'), config.logging?.level || notSet],
+                [this.t('taskpane.settings.language'), `${this.i18n.getLocale()} (${this.i18n.getOrganizerTimeZone()})`]
             ];
 
+            const environment = this.configService.getEnvironment();
+            if (environment) {
+                settings.push([this.t('taskpane.settings.environment'), environment]);
+            }
+
+            const validationErrors = this.configService.getValidationErrors();
+            if (validationErrors.length > 0) {
+                settings.push([this.t('taskpane.settings.errors'), validationErrors.map(e => e.message)]);
+            }
+
+            // 設定値・検証メッセージは設定ファイルの内容を含むためエスケープし、複数の値は1行ずつ表示する
             this.elements.settingsInfo.innerHTML = settings.map(([label, value]) => `
-                <div class="settings-label">${label}:</div>
-                <div class="settings-value">${value}</div>
+                <div class="settings-label">${escapeHtml(label)}:</div>
+                <div class="settings-value">${Array.isArray(value)
+                    ? value.map(line => `<div>${escapeHtml(line)}</div>`).join('')
+                    : escapeHtml(value)}</div>
             `).join('');
 
         } catch (error) {
-            this.addLog('error', `設定情報取得エラー: ${error.message}`);
+            this.addLog('error', this.t('taskpane.settings.loadError', { error: error.message }));
         }
     }
 
@@ -311,112 +464,360 @@ class TaskpaneApp {
             this.elements.completedVisitors.textContent = stats.completed;
             
         } catch (error) {
-            this.addLog('error', `統計情報取得エラー: ${error.message}`);
+            this.addLog('error', this.t('taskpane.statistics.loadError', { error: error.message }));
             this.elements.totalVisitors.textContent = '-';
             this.elements.scheduledVisitors.textContent = '-';
             this.elements.completedVisitors.textContent = '-';
         }
     }
 
+    /**
+     * 送信キューの表示を更新
+     */
+    async refreshOutbox() {
+        try {
+            if (!this.outboxService) {
+                return;
+            }
+
+            const counts = await this.outboxService.getCounts();
+            const entries = await this.outboxService.getEntries();
+
+            this.elements.outboxCounts.textContent = this.t('taskpane.outbox.counts', {
+                pending: counts[OUTBOX_STATUS.PENDING],
+                failed: counts[OUTBOX_STATUS.FAILED],
+                deadLetter: counts[OUTBOX_STATUS.DEAD_LETTER]
+            });
+
+            if (entries.length === 0) {
+                this.elements.outboxList.innerHTML = `<p class="outbox-empty">${this.t('taskpane.outbox.empty')}</p>`;
+                return;
+            }
+
+            const statusLabels = {
+                [OUTBOX_STATUS.PENDING]: this.t('taskpane.outbox.pending'),
+                [OUTBOX_STATUS.FAILED]: this.t('taskpane.outbox.failed'),
+                [OUTBOX_STATUS.DEAD_LETTER]: this.t('taskpane.outbox.deadLetter')
+            };
+
+            this.elements.outboxList.innerHTML = entries.map(entry => `
+                <div class="outbox-entry status-${entry.status}">
+                    <div>
+                        <span class="outbox-status">${statusLabels[entry.status]}</span>
+                        ${escapeHtml(entry.description)}
+                    </div>
+                    <div class="outbox-detail">
+                        ${this.i18n.formatDateTime(entry.createdAt)} ・ ${this.t('taskpane.outbox.attempts', { count: entry.attempts })}
+                        ${entry.lastError ? `・ ${escapeHtml(entry.lastError)}` : ''}
+                    </div>
+                    <div class="outbox-actions">
+                        <button class="button secondary" data-action="retry" data-id="${escapeHtml(entry.id)}">${this.t('taskpane.buttons.retry')}</button>
+                        <button class="button secondary" data-action="discard" data-id="${escapeHtml(entry.id)}">${this.t('taskpane.buttons.discard')}</button>
+                    </div>
+                </div>
+            `).join('');
+
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.outbox.loadError', { error: error.message }));
+        }
+    }
+
+    /**
+     * 通知履歴の表示を更新（会議の選択がない場合は現在の会議の通知を表示）
+     */
+    refreshHistory() {
+        try {
+            if (!this.powerAutomateService) {
+                return;
+            }
+
+            const meetings = this.powerAutomateService.getHistoryMeetings();
+            const currentMeetingId = this.currentMeetingData ? this.currentMeetingData.meetingId : null;
+            if (this.historyMeetingId === null) {
+                this.historyMeetingId = meetings.some(m => m.meetingId === currentMeetingId) ? currentMeetingId : '';
+            }
+
+            const options = [{ value: '', label: this.t('taskpane.history.allMeetings') }].concat(meetings.map(m => ({
+                value: m.meetingId,
+                label: `${m.meetingTitle || m.meetingId} (${this.t('common.itemCount', { count: m.count })})`
+            })));
+            this.elements.historyMeetingFilter.innerHTML = options.map(option => `
+                <option value="${escapeHtml(option.value)}"${option.value === this.historyMeetingId ? ' selected' : ''}>${escapeHtml(option.label)}</option>
+            `).join('');
+
+            const entries = this.powerAutomateService.getNotificationHistory(50, { meetingId: this.historyMeetingId || null });
+            if (entries.length === 0) {
+                this.elements.historyList.innerHTML = `<p class="outbox-empty">${this.t('taskpane.history.empty')}</p>`;
+                return;
+            }
+
+            this.elements.historyList.innerHTML = entries.map(entry => `
+                <div class="outbox-entry status-${entry.status}">
+                    <div>
+                        <span class="outbox-status">${this.t(`taskpane.history.${entry.status}`)}</span>
+                        ${escapeHtml(entry.visitorEmail || this.t(`taskpane.meetingNotifications.${entry.notificationType}`))}
+                        (${escapeHtml(entry.notificationType)} → ${escapeHtml(entry.route)})
+                    </div>
+                    <div class="outbox-detail">
+                        ${this.i18n.formatDateTime(entry.timestamp)}
+                        ・ ${this.t('taskpane.history.statusCode', { code: entry.statusCode ?? '-' })}
+                        ・ ${this.t('taskpane.history.retries', { count: entry.retries })}
+                        ・ ${this.t('taskpane.history.latency', { ms: entry.latencyMs })}
+                        ${entry.notificationId ? `・ ${this.t('taskpane.history.notificationId', { id: escapeHtml(entry.notificationId) })}` : ''}
+                        ${entry.resendOf ? `・ ${this.t('taskpane.history.resent')}` : ''}
+                        ${entry.error ? `・ ${escapeHtml(entry.error)}` : ''}
+                    </div>
+                    ${entry.source ? `
+                        <div class="outbox-actions">
+                            <button class="button secondary" data-action="resend" data-id="${escapeHtml(entry.id)}">${this.t('taskpane.buttons.resend')}</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.history.loadError', { error: error.message }));
+        }
+    }
+
     /**
      * Outlook イベントハンドラー
+     *
+     * @returns {Promise<{ synced: boolean, busy?: boolean }>} processVisitors() の結果
      */
     async handleOutlookEvent(eventType, eventData) {
+        // 来訪者がいない会議の変更は記録するものがないため同期済みとする
+        let outcome = { synced: true };
         try {
-            this.addLog('info', `Outlook イベント検知: ${eventType}`);
+            this.addLog('info', this.t('taskpane.events.detected', { type: eventType }));
+            if (eventData && eventData.changes) {
+                this.addLog('debug', this.t('taskpane.events.changes', { changes: this.describeChanges(eventData.changes) }));
+            }
             
-            if (eventData && eventData.externalUsers && eventData.externalUsers.length > 0) {
+            // 外部ユーザーがいる場合、外部ユーザーが全員外れた場合、または会議がキャンセル・削除された場合に処理
+            const visitorsRemoved = eventData && eventData.changes ? eventData.changes.visitorsRemoved.length : 0;
+            if (eventData && (eventType === 'deleted' || (eventData.externalUsers && eventData.externalUsers.length > 0) || visitorsRemoved > 0)) {
                 // 自動処理を実行
-                await this.processVisitors(eventData, eventType);
+                outcome = await this.processVisitors(eventData, eventType);
             }
             
             // UI を更新
             await this.refreshMeetingInfo();
             
         } catch (error) {
-            this.addLog('error', `Outlook イベント処理エラー: ${error.message}`);
+            this.addLog('error', this.t('taskpane.events.error', { error: error.message }));
         }
+        return outcome;
     }
 
     /**
      * 来訪者を処理
+     *
+     * @returns {Promise<{ synced: boolean, busy?: boolean }>} synced は SharePoint への保存をすべて確認できたか
+     *     （処理中・失敗・送信キューへの保存の場合は false）
      */
     async processVisitors(meetingData = null, changeType = 'manual') {
+        let correlationId = null;
         try {
             if (this.isProcessing) {
-                this.showMessage('warning', '処理中です。しばらくお待ちください。');
-                return;
+                this.showMessage('warning', this.t('taskpane.process.busy'));
+                return { synced: false, busy: true };
             }
 
             this.isProcessing = true;
             this.showLoading(true);
+            correlationId = this.logger.startCorrelation();
 
             const data = meetingData || this.currentMeetingData;
+            const hasRemovedVisitors = Boolean(data && data.changes && data.changes.visitorsRemoved.length > 0);
+            const isCancellation = changeType === 'deleted';
             
-            if (!data || !data.externalUsers || data.externalUsers.length === 0) {
-                this.showMessage('warning', '処理する外部ユーザーがいません。');
-                return;
+            if (!data || !data.externalUsers || (data.externalUsers.length === 0 && !hasRemovedVisitors && !isCancellation)) {
+                this.showMessage('warning', this.t('taskpane.process.noExternalUsers'));
+                return { synced: false };
             }
 
-            this.addLog('info', `来訪者処理を開始: ${data.externalUsers.length}人`);
+            if (isCancellation) {
+                this.addLog('info', this.t('taskpane.process.cancellationStarted', {
+                    meeting: data.subject || data.meetingId,
+                    reason: data.cancellationReason || CANCELLATION_REASONS.MEETING_DELETED
+                }));
+            } else {
+                this.addLog('info', this.t('taskpane.process.started', { count: data.externalUsers.length }));
+            }
+            if (data.isTemporaryMeetingId) {
+                this.addLog('info', this.t('taskpane.process.temporaryMeetingId'));
+            }
 
-            // SharePoint にデータを保存/更新
-            let sharePointResult;
-            if (changeType === 'manual' || changeType === 'created' || changeType === 'recipients_changed') {
-                // 新規作成または更新
-                sharePointResult = await this.sharePointService.updateVisitorRecords(
+            // SharePoint にデータを保存/更新（失敗時は送信キューに保存）
+            let sharePointOutcome = null;
+            if (changeType !== 'deleted') {
+                // 新規作成または更新（件名・日時の変更も差分で反映、定期的な予定は先読み期間内の各回ごと）
+                sharePointOutcome = data.seriesId
+                    ? await this.outboxService.updateSeriesVisitorRecords(
+                        data.seriesId,
+                        data.subject,
+                        data.externalUsers,
+                        await this.outlookService.getOccurrences(data),
+                        getMeetingDetails(data)
+                    )
+                    : await this.outboxService.updateVisitorRecords(
+                        data.meetingId,
+                        data.subject,
+                        data.externalUsers,
+                        data.startTime,
+                        data.endTime,
+                        getMeetingDetails(data)
+                    );
+            } else if (changeType === 'deleted') {
+                // 会議のキャンセル・削除: 行は削除せずキャンセル済みにする（キャンセル通知は送信キューが送信）
+                sharePointOutcome = await this.outboxService.cancelVisitorRecords(
                     data.meetingId,
                     data.subject,
-                    data.externalUsers,
-                    data.startTime,
-                    data.endTime
+                    data.cancellationReason || CANCELLATION_REASONS.MEETING_DELETED
                 );
-            } else if (changeType === 'deleted') {
-                // 削除
-                sharePointResult = await this.sharePointService.deleteVisitorRecords(data.meetingId);
             }
 
-            this.addLog('info', `SharePoint 処理完了: ${sharePointResult?.length || 0}件`);
+            const sharePointResult = sharePointOutcome ? sharePointOutcome.result : null;
+            const sharePointQueued = Boolean(sharePointOutcome && sharePointOutcome.queued);
+            const synced = !sharePointQueued && !(sharePointResult && sharePointResult.failed && sharePointResult.failed.length > 0);
 
-            // Power Automate で通知送信
-            if (data.externalUsers.length > 0) {
-                const notificationResult = await this.powerAutomateService.sendVisitorNotification(
+            if (sharePointQueued) {
+                this.addLog('warn', sharePointOutcome.error
+                    ? this.t('taskpane.process.sharePointQueuedWithError', { error: sharePointOutcome.error.message })
+                    : this.t('taskpane.process.sharePointQueued'));
+            }
+
+            if (sharePointResult && sharePointResult.added) {
+                this.addLog('info', this.t('taskpane.process.sharePointCompleted', {
+                    added: sharePointResult.added.length,
+                    updated: sharePointResult.updated.length,
+                    cancelled: sharePointResult.cancelled.length,
+                    unchanged: sharePointResult.unchanged.length
+                }));
+                sharePointResult.failed.forEach(f =>
+                    this.addLog('error', this.t('taskpane.process.sharePointFailed', { email: f.visitorEmail, operation: f.operation, error: f.error })));
+            } else if (!sharePointQueued) {
+                this.addLog('info', this.t('taskpane.process.sharePointCount', { count: sharePointResult || 0 }));
+            }
+
+            // Power Automate で通知送信（失敗した来訪者の分は送信キューに保存）
+            const notificationPlan = this.powerAutomateService.planNotifications(data, changeType);
+            const notificationResult = { sent: 0, queued: 0, failed: 0, skipped: [], routes: {}, results: [] };
+            for (const { users, notificationType } of notificationPlan) {
+                const result = await this.outboxService.sendVisitorNotifications(
                     data.meetingId,
                     data.subject,
-                    data.externalUsers,
+                    users,
                     data.startTime,
                     data.endTime,
-                    changeType === 'manual' ? 'created' : changeType
+                    notificationType,
+                    getMeetingDetails(data)
                 );
+                notificationResult.sent += result.sent;
+                notificationResult.queued += result.queued;
+                notificationResult.failed += result.failed;
+                notificationResult.skipped.push(...result.skipped);
+                notificationResult.results.push(result);
+                for (const [route, counts] of Object.entries(result.routes)) {
+                    const total = notificationResult.routes[route] || { sent: 0, failed: 0 };
+                    notificationResult.routes[route] = { sent: total.sent + counts.sent, failed: total.failed + counts.failed };
+                }
+            }
 
-                this.addLog('info', `通知送信完了: ${notificationResult.notificationsSent}件成功`);
+            // 受付向けの来訪者一覧と主催者向けの登録結果（会議ごとに1件）
+            const meetingOutcomes = await this.outboxService.sendMeetingNotifications({
+                meetingId: data.meetingId,
+                meetingTitle: data.subject,
+                startTime: data.startTime,
+                endTime: data.endTime,
+                // キャンセル時はキャンセル済みにしたレコードの来訪者・場所を使用
+                meetingDetails: isCancellation ? null : getMeetingDetails(data),
+                externalUsers: data.externalUsers,
+                isCancelled: isCancellation
+            }, { sharePoint: sharePointOutcome, notifications: notificationResult.results });
+            meetingOutcomes.forEach(outcome => this.logMeetingNotification(outcome));
+
+            if (notificationPlan.length > 0) {
+                this.addLog('info', this.t('taskpane.process.notificationsSent', { count: notificationResult.sent }));
+                for (const [route, counts] of Object.entries(notificationResult.routes)) {
+                    this.addLog(counts.failed > 0 ? 'warn' : 'info', this.t('taskpane.process.routeResult', { route, ...counts }));
+                }
+                if (notificationResult.queued > 0) {
+                    this.addLog('warn', this.t('taskpane.process.notificationsQueued', { count: notificationResult.queued }));
+                }
+                if (notificationResult.failed > 0) {
+                    this.addLog('error', this.t('taskpane.process.notificationsFailed', { count: notificationResult.failed }));
+                }
+                notificationResult.skipped.forEach(({ email, reason }) =>
+                    this.addLog('info', this.t('taskpane.process.notificationSkipped', {
+                        email,
+                        reason: this.t(`taskpane.skipReasons.${reason}`)
+                    })));
 
-                if (notificationResult.success) {
-                    this.showMessage('success', `来訪者処理が完了しました。${data.externalUsers.length}人の外部ユーザーが登録され、通知が送信されました。`);
+                if (notificationResult.failed > 0) {
+                    this.showMessage('error', this.t('taskpane.process.notificationsFailed', { count: notificationResult.failed }));
+                } else if (sharePointQueued || notificationResult.queued > 0) {
+                    this.showMessage('warning', this.t('taskpane.process.partiallyQueued'));
                 } else {
-                    this.showMessage('warning', `一部の処理で問題が発生しました。詳細はログを確認してください。`);
+                    this.showMessage('success', this.t('taskpane.process.completed', {
+                        visitors: data.externalUsers.length,
+                        notifications: notificationResult.sent
+                    }));
                 }
+            } else if (sharePointQueued) {
+                this.showMessage('warning', this.t('taskpane.process.recordsQueued'));
+            } else if (isCancellation) {
+                this.showMessage('success', this.t('taskpane.process.cancelled', { count: sharePointResult.cancelled.length }));
             } else {
-                this.showMessage('success', '来訪者レコードが更新されました。');
+                this.showMessage('success', this.t('taskpane.process.recordsUpdated'));
+            }
+
+            // 手動処理の結果を同期済みの状態として記録（以降の変更検知の基準にする）
+            if (changeType === 'manual' && synced) {
+                this.outlookService.changePipeline.markSynced(data);
             }
 
             // 統計を更新
             await this.refreshStatistics();
+            return { synced };
 
         } catch (error) {
-            this.addLog('error', `来訪者処理エラー: ${error.message}`);
-            this.showMessage('error', `処理中にエラーが発生しました: ${error.message}`);
+            this.addLog('error', this.t('taskpane.process.error', { error: error.message }));
+            this.showMessage('error', this.t('taskpane.process.failed', { error: error.message }));
+            return { synced: false };
         } finally {
+            if (correlationId) {
+                this.logger.endCorrelation(correlationId);
+            }
             this.isProcessing = false;
             this.showLoading(false);
         }
     }
 
+    /**
+     * 変更内容をログ用の文字列にする
+     */
+    describeChanges(changes) {
+        const parts = Object.keys(changes.fields).map(field => this.t('taskpane.changes.fieldChanged', {
+            field: this.i18n.has(`taskpane.changes.${field}`) ? this.t(`taskpane.changes.${field}`) : field
+        }));
+        if (changes.visitorsAdded.length > 0) {
+            parts.push(this.t('taskpane.changes.visitorsAdded', { visitors: changes.visitorsAdded.join(', ') }));
+        }
+        if (changes.visitorsRemoved.length > 0) {
+            parts.push(this.t('taskpane.changes.visitorsRemoved', { visitors: changes.visitorsRemoved.join(', ') }));
+        }
+        return parts.join(' / ');
+    }
+
     // イベントハンドラー
 
     async handleRefreshMeeting() {
-        this.addLog('info', '会議情報を手動更新');
+        this.addLog('info', this.t('taskpane.actions.refreshMeeting'));
         await this.refreshMeetingInfo();
+        this.historyMeetingId = null;
+        this.refreshHistory();
     }
 
     async handleProcessVisitors() {
@@ -424,14 +825,14 @@ class TaskpaneApp {
     }
 
     async handleTestConnection() {
-        this.addLog('info', '接続テストを実行');
+        this.addLog('info', this.t('taskpane.actions.testConnection'));
         this.showLoading(true);
         await this.refreshServiceStatus();
         this.showLoading(false);
     }
 
     async handleRefreshStats() {
-        this.addLog('info', '統計情報を更新');
+        this.addLog('info', this.t('taskpane.actions.refreshStats'));
         this.showLoading(true);
         await this.refreshStatistics();
         this.showLoading(false);
@@ -439,22 +840,133 @@ class TaskpaneApp {
 
     async handleRefreshConfig() {
         try {
-            this.addLog('info', '設定を再読み込み');
+            this.addLog('info', this.t('taskpane.actions.reloadConfig'));
             await this.configService.reloadConfig();
+            this.i18n.translateElements();
             await this.refreshSettings();
-            this.showMessage('success', '設定が再読み込みされました。');
+            this.showMessage('success', this.t('taskpane.actions.configReloaded'));
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.actions.configReloadError', { error: error.message }));
+            this.showMessage('error', this.t('taskpane.actions.configReloadFailed'));
+        }
+    }
+
+    async handleRetryOutbox() {
+        try {
+            this.addLog('info', this.t('taskpane.actions.retryOutbox'));
+            this.showLoading(true);
+            const summary = await this.outboxService.replay({ force: true });
+            this.addLog('info', this.t('taskpane.actions.outboxReplayed', summary));
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.actions.outboxReplayError', { error: error.message }));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async handleOutboxAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        try {
+            if (button.dataset.action === 'retry') {
+                this.showLoading(true);
+                await this.outboxService.retry(button.dataset.id);
+            } else if (button.dataset.action === 'discard') {
+                await this.outboxService.discard(button.dataset.id);
+                this.addLog('warn', this.t('taskpane.actions.outboxDiscarded'));
+            }
         } catch (error) {
-            this.addLog('error', `設定再読み込みエラー: ${error.message}`);
-            this.showMessage('error', '設定の再読み込みに失敗しました。');
+            this.addLog('error', this.t('taskpane.actions.outboxActionError', { error: error.message }));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    handleHistoryFilterChange() {
+        this.historyMeetingId = this.elements.historyMeetingFilter.value;
+        this.refreshHistory();
+    }
+
+    async handleHistoryAction(event) {
+        const button = event.target.closest('button[data-action="resend"]');
+        if (!button) {
+            return;
+        }
+
+        try {
+            this.showLoading(true);
+            const result = await this.powerAutomateService.resendNotification(button.dataset.id);
+            if (result.success) {
+                this.addLog('info', this.t('taskpane.actions.notificationResent'));
+            } else {
+                this.addLog('error', this.t('taskpane.actions.notificationResendFailed', { error: result.error }));
+            }
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.actions.notificationResendFailed', { error: error.message }));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async handleExportHistory() {
+        try {
+            const exported = this.powerAutomateService.exportNotificationHistory({ meetingId: this.historyMeetingId || null });
+            await this.downloadJson('lobby-notification-history', exported);
+            this.showMessage('success', this.t('taskpane.actions.historyExported'));
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.actions.historyExportError', { error: error.message }));
+            this.showMessage('error', this.t('taskpane.actions.historyExportFailed'));
         }
     }
 
     handleClearLog() {
-        this.elements.activityLog.innerHTML = '<div class="log-entry info">ログがクリアされました</div>';
+        this.elements.activityLog.innerHTML = `<div class="log-entry info">${this.t('taskpane.actions.logCleared')}</div>`;
+    }
+
+    async handleExportLog() {
+        try {
+            const exported = LoggingService.getInstance().exportRecords(200);
+            await this.downloadJson('lobby-log', exported);
+            this.showMessage('success', this.t('taskpane.actions.logExported'));
+        } catch (error) {
+            this.addLog('error', this.t('taskpane.actions.logExportError', { error: error.message }));
+            this.showMessage('error', this.t('taskpane.actions.logExportFailed'));
+        }
     }
 
     // ユーティリティメソッド
 
+    /**
+     * JSON をファイルとしてダウンロード（ダウンロードできないクライアント向けにクリップボードにもコピー）
+     */
+    async downloadJson(baseName, content) {
+        const fileName = `${baseName}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        if (navigator.clipboard) {
+            await navigator.clipboard.writeText(content).catch(() => {});
+        }
+    }
+
+    /**
+     * 表示言語のメッセージを取得
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
     /**
      * ローディング表示を制御
      */
@@ -487,7 +999,7 @@ class TaskpaneApp {
      * ログを追加
      */
     addLog(level, message) {
-        const timestamp = new Date().toLocaleTimeString('ja-JP');
+        const timestamp = this.i18n.formatDateTime(new Date(), { format: 'logTime' });
         const logEntry = document.createElement('div');
         logEntry.className = `log-entry ${level}`;
         logEntry.textContent = `[${timestamp}] ${message}`;
@@ -0,0 +1,73 @@
+/**
+ * Utils
+ * サービス間で共有する汎用ユーティリティ
+ */
+
+/**
+ * プレーンオブジェクトかどうかを判定
+ */
+export function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * オブジェクトを再帰的にマージ（配列は上書き）
+ */
+export function deepMerge(target, ...sources) {
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    for (const source of sources) {
+        if (!isPlainObject(source)) {
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(source)) {
+            if (value === undefined) {
+                continue;
+            }
+
+            if (isPlainObject(value) && isPlainObject(result[key])) {
+                result[key] = deepMerge(result[key], value);
+            } else if (isPlainObject(value)) {
+                result[key] = deepMerge({}, value);
+            } else if (Array.isArray(value)) {
+                result[key] = [...value];
+            } else {
+                result[key] = value;
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * ドット区切りのパスで値を取得
+ */
+export function getByPath(obj, path) {
+    return path.split('.').reduce((current, key) =>
+        current === null || current === undefined ? undefined : current[key], obj);
+}
+
+/**
+ * 文字列から短いハッシュ（16進）を生成（暗号用途ではない）
+ */
+export function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * HTML に埋め込む文字列をエスケープ
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,218 @@
+/**
+ * VisitorToken
+ * 入館証の QR コードに埋め込む署名付きトークンの形式と、署名・検証の処理
+ *
+ * 形式は <内容>.<署名>（いずれも Base64URL）。内容は来訪者のメールアドレス・会議IDのハッシュ・有効期間を含む JSON で、
+ * 署名は HMAC-SHA256。同じ内容とキーからは常に同じトークンになる。
+ *
+ * 署名キーを使用する signVisitorToken・verifyVisitorToken はサーバー側（src/server/visitorToken.js）専用。
+ * アドインは署名キーを持たず、VisitorTokenService からサーバーに署名・検証を依頼する。
+ */
+
+import { hashString } from './Utils.js';
+
+export const VISITOR_TOKEN_VERSION = 1;
+
+// 組織名の判定で読み飛ばすドメインの末尾（co.jp などの属性型ドメイン）
+const DOMAIN_SUFFIX_LABELS = ['com', 'net', 'org', 'co', 'ne', 'or', 'ac', 'go', 'gr', 'ed', 'lg', 'ad', 'jp', 'uk', 'us', 'de', 'fr', 'cn', 'kr', 'au', 'io'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 入館証のトークンの検証エラー
+ *
+ * code: malformed（形式が不正）、unsupported_version、invalid_signature（改ざん・別のキー）、
+ * not_yet_valid（有効期間の前）、expired（有効期限切れ）、
+ * not_found（対応する来訪者の行がない）、cancelled（来訪予定がキャンセル済み）
+ */
+export class VisitorTokenError extends Error {
+    constructor(code, message, { claims = null } = {}) {
+        super(message);
+        this.name = 'VisitorTokenError';
+        this.code = code;
+        this.claims = claims;
+        this.retryable = false;
+    }
+}
+
+/**
+ * 文字列・バイト列を Base64URL に変換（文字列は UTF-8）
+ */
+function toBase64Url(value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Base64URL をバイト列に変換
+ */
+function fromBase64Url(value) {
+    if (!/^[A-Za-z0-9_-]*$/.test(value)) {
+        throw new Error('Invalid Base64URL value');
+    }
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * 署名キーを作成
+ */
+function importSigningKey(signingKey) {
+    if (!signingKey) {
+        throw new Error('Visitor token signing key is not configured');
+    }
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(signingKey),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * トークンの内容を取得（署名は検証しない。入館証の表示用）
+ *
+ * @returns {object|null} 形式が不正な場合は null
+ */
+export function decodeVisitorToken(token) {
+    try {
+        const [body] = String(token).split('.');
+        const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+        return claims && claims.v === VISITOR_TOKEN_VERSION ? claims : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 読み取った QR コードの内容からトークンを取り出す（入館証ページのURLにも対応）
+ */
+export function extractVisitorToken(payload) {
+    const value = String(payload || '').trim();
+    if (/^https?:\/\//i.test(value)) {
+        try {
+            return new URL(value).searchParams.get('token') || '';
+        } catch {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * 会議IDをトークン用の短い値に変換（QR コードを小さくするため）
+ */
+export function getMeetingHash(meetingId) {
+    return hashString(String(meetingId || ''));
+}
+
+/**
+ * メールアドレスのドメインから組織名を推定
+ *
+ * 例: taro@sales.contoso.co.jp → Contoso
+ */
+export function getCompanyName(email) {
+    const domain = String(email || '').split('@')[1];
+    if (!domain) {
+        return '';
+    }
+
+    const labels = domain.toLowerCase().split('.');
+    while (labels.length > 1 && DOMAIN_SUFFIX_LABELS.includes(labels[labels.length - 1])) {
+        labels.pop();
+    }
+
+    const name = labels[labels.length - 1];
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * トークンの内容を作成
+ *
+ * mh: 会議IDのハッシュ、em: メールアドレス、n: 氏名、c: 組織名、h: 担当者（主催者）、st: 開始日時、
+ * nbf・exp: 有効期間（開始の earlyCheckInHours 前から、終了の validityHours 後まで）
+ *
+ * @param {{ meetingId: string, visitorEmail: string, visitorName?: string, organizerName?: string,
+ *           startTime: string|Date, endTime?: string|Date }} visitor
+ */
+export function buildVisitorClaims(visitor, { earlyCheckInHours = 3, validityHours = 12 } = {}) {
+    const startTime = new Date(visitor.startTime);
+    const endTime = new Date(visitor.endTime || visitor.startTime);
+
+    return {
+        v: VISITOR_TOKEN_VERSION,
+        mh: getMeetingHash(visitor.meetingId),
+        em: visitor.visitorEmail.toLowerCase(),
+        n: visitor.visitorName || visitor.visitorEmail.split('@')[0],
+        c: getCompanyName(visitor.visitorEmail),
+        h: visitor.organizerName || '',
+        st: startTime.toISOString(),
+        nbf: new Date(startTime.getTime() - earlyCheckInHours * HOUR_MS).toISOString(),
+        exp: new Date(endTime.getTime() + validityHours * HOUR_MS).toISOString()
+    };
+}
+
+/**
+ * トークンに署名（サーバー側専用）
+ */
+export async function signVisitorToken(claims, signingKey) {
+    const body = toBase64Url(JSON.stringify(claims));
+    const key = await importSigningKey(signingKey);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+    return `${body}.${toBase64Url(signature)}`;
+}
+
+/**
+ * トークンの署名と有効期間を検証（サーバー側専用）
+ *
+ * @returns {Promise<object>} トークンの内容（検証に失敗した場合は VisitorTokenError）
+ */
+export async function verifyVisitorToken(token, signingKey, { now = new Date() } = {}) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        throw new VisitorTokenError('malformed', 'Visitor token is malformed');
+    }
+
+    let signature;
+    try {
+        signature = fromBase64Url(parts[1]);
+    } catch {
+        throw new VisitorTokenError('malformed', 'Visitor token is malformed');
+    }
+
+    // 内容は署名を確認してから解釈する
+    const key = await importSigningKey(signingKey);
+    const valid = await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(parts[0]));
+    if (!valid) {
+        throw new VisitorTokenError('invalid_signature', 'Visitor token signature is invalid', {
+            claims: decodeVisitorToken(token)
+        });
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[0])));
+    } catch {
+        throw new VisitorTokenError('malformed', 'Visitor token is malformed');
+    }
+
+    if (!claims || claims.v !== VISITOR_TOKEN_VERSION) {
+        throw new VisitorTokenError('unsupported_version', `Unsupported visitor token version: ${claims && claims.v}`);
+    }
+
+    const time = new Date(now).getTime();
+    if (claims.nbf && time < new Date(claims.nbf).getTime()) {
+        throw new VisitorTokenError('not_yet_valid', `Visitor token is valid from ${claims.nbf}`, { claims });
+    }
+    if (!claims.exp || !(time <= new Date(claims.exp).getTime())) {
+        throw new VisitorTokenError('expired', `Visitor token expired at ${claims.exp}`, { claims });
+    }
+
+    return claims;
+}
@@ -0,0 +1,43 @@
+import { ConfigService } from '../src/services/ConfigService.js';
+
+function validateWith(section, values) {
+    const service = ConfigService.getInstance();
+    const config = service.getConfig();
+    return service.validate({ ...config, [section]: { ...config[section], ...values } });
+}
+
+function errorsAt(errors, path) {
+    return errors.filter(error => error.path === path);
+}
+
+describe('ConfigService.validate', () => {
+    test('rejects values above the schema maximum', () => {
+        const errors = validateWith('outlook', { recurrenceLookAheadDays: 400 });
+
+        expect(errorsAt(errors, 'outlook.recurrenceLookAheadDays')).toEqual([{
+            path: 'outlook.recurrenceLookAheadDays',
+            code: 'maximum',
+            message: 'outlook.recurrenceLookAheadDays must be <= 365'
+        }]);
+    });
+
+    test('accepts values at the schema maximum', () => {
+        const errors = validateWith('outlook', { recurrenceLookAheadDays: 365 });
+
+        expect(errorsAt(errors, 'outlook.recurrenceLookAheadDays')).toEqual([]);
+    });
+
+    test('still rejects values below the schema minimum', () => {
+        const errors = validateWith('outlook', { recurrenceLookAheadDays: 0 });
+
+        expect(errorsAt(errors, 'outlook.recurrenceLookAheadDays').map(error => error.code)).toEqual(['minimum']);
+    });
+});
+
+describe('ConfigService.validate reception', () => {
+    test('rejects a reception look-ahead period above 90 days', () => {
+        const errors = validateWith('reception', { lookAheadDays: 365 });
+
+        expect(errorsAt(errors, 'reception.lookAheadDays').map(error => error.code)).toEqual(['maximum']);
+    });
+});
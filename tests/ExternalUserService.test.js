@@ -0,0 +1,103 @@
+import { ExternalUserService, ATTENDEE_CATEGORIES } from '../src/services/ExternalUserService.js';
+
+function createService(outlook = {}) {
+    const service = new ExternalUserService();
+    service.config = {
+        getConfig: () => ({ outlook: { internalDomains: ['contoso.com', '*.contoso.net'], ...outlook } })
+    };
+    return service;
+}
+
+function classify(service, attendee) {
+    const { category, reason } = service.classify(attendee);
+    return { category, code: reason.code, rule: reason.rule };
+}
+
+describe('ExternalUserService.classify', () => {
+    const service = createService();
+
+    test('treats addresses of internal domains as internal', () => {
+        expect(classify(service, { emailAddress: 'Taro@Contoso.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.INTERNAL, code: 'internal_domain', rule: 'contoso.com' });
+    });
+
+    test('treats subdomains of internal domains as internal unless disabled', () => {
+        expect(classify(service, { emailAddress: 'taro@sales.contoso.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.INTERNAL, code: 'internal_subdomain', rule: 'contoso.com' });
+
+        const strict = createService({ matchSubdomains: false });
+        expect(classify(strict, { emailAddress: 'taro@sales.contoso.com' }).category).toBe(ATTENDEE_CATEGORIES.EXTERNAL);
+    });
+
+    test('matches wildcard domains only on subdomains', () => {
+        expect(classify(service, { emailAddress: 'taro@jp.contoso.net' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.INTERNAL, code: 'wildcard_domain', rule: '*.contoso.net' });
+        expect(classify(service, { emailAddress: 'taro@contoso.net' }).category).toBe(ATTENDEE_CATEGORIES.EXTERNAL);
+    });
+
+    test('treats other domains as external visitors', () => {
+        const result = service.classify({ emailAddress: 'hanako@fabrikam.co.jp', name: 'Hanako' });
+
+        expect(result).toMatchObject({
+            emailAddress: 'hanako@fabrikam.co.jp',
+            name: 'Hanako',
+            category: ATTENDEE_CATEGORIES.EXTERNAL,
+            isVisitor: true,
+            reason: { code: 'external_domain', rule: 'fabrikam.co.jp' }
+        });
+    });
+
+    test('classifies missing and malformed addresses as unknown', () => {
+        expect(classify(service, { name: 'No address' }).code).toBe('missing_email');
+        expect(classify(service, { emailAddress: 'not-an-address' }).code).toBe('invalid_email');
+    });
+
+    test('gives the deny and allow lists priority over the domain rules', () => {
+        const listed = createService({ denyList: ['partner@fabrikam.com'], allowList: ['Contractor@Contoso.com'] });
+
+        expect(classify(listed, { emailAddress: 'partner@fabrikam.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.INTERNAL, code: 'deny_list', rule: 'partner@fabrikam.com' });
+        expect(classify(listed, { emailAddress: 'contractor@contoso.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.EXTERNAL, code: 'allow_list', rule: 'contractor@contoso.com' });
+    });
+
+    test('excludes rooms by recipient type and by the default room patterns', () => {
+        expect(classify(service, { emailAddress: 'tokyo-a@fabrikam.com', attendeeType: 'resource' }).code)
+            .toBe('resource_recipient');
+        expect(classify(service, { emailAddress: 'room101@fabrikam.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.ROOM, code: 'room_pattern', rule: '^room\\d+' });
+
+        const withRooms = createService({ excludeRooms: false });
+        expect(classify(withRooms, { emailAddress: 'room101@fabrikam.com' }).category).toBe(ATTENDEE_CATEGORIES.EXTERNAL);
+    });
+
+    test('detects distribution lists by recipient type and configured patterns', () => {
+        const withPatterns = createService({ distributionListPatterns: ['^all-', '[invalid'] });
+
+        expect(classify(withPatterns, { emailAddress: 'team@fabrikam.com', recipientType: 'distributionList' }).code)
+            .toBe('distribution_list');
+        expect(classify(withPatterns, { emailAddress: 'all-staff@fabrikam.com' }))
+            .toEqual({ category: ATTENDEE_CATEGORIES.DISTRIBUTION_LIST, code: 'distribution_list_pattern', rule: '^all-' });
+    });
+});
+
+describe('ExternalUserService.classifyAll', () => {
+    test('keeps the first entry of duplicate addresses and returns only visitors from getExternalUsers', () => {
+        const service = createService();
+        const attendees = [
+            { emailAddress: 'hanako@fabrikam.com', name: 'Hanako' },
+            { emailAddress: 'HANAKO@fabrikam.com', name: 'Duplicate' },
+            { emailAddress: 'taro@contoso.com' },
+            { emailAddress: 'room1@contoso.com' }
+        ];
+
+        const results = service.classifyAll(attendees);
+        expect(results.map(r => [r.emailAddress, r.category])).toEqual([
+            ['hanako@fabrikam.com', ATTENDEE_CATEGORIES.EXTERNAL],
+            ['taro@contoso.com', ATTENDEE_CATEGORIES.INTERNAL],
+            ['room1@contoso.com', ATTENDEE_CATEGORIES.ROOM]
+        ]);
+        expect(service.summarize(results)).toMatchObject({ external: 1, internal: 1, room: 1, unknown: 0 });
+        expect(service.getExternalUsers(attendees).map(r => r.name)).toEqual(['Hanako']);
+    });
+});
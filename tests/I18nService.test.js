@@ -0,0 +1,92 @@
+import { I18nService, resolveLocale } from '../src/services/I18nService.js';
+import { ja } from '../src/locales/ja.js';
+import { en } from '../src/locales/en.js';
+
+function createService(i18n = {}) {
+    const service = new I18nService();
+    service.config = { getConfig: () => ({ i18n }) };
+    return service;
+}
+
+function catalogKeys(catalog, prefix = '') {
+    return Object.entries(catalog).flatMap(([key, value]) =>
+        typeof value === 'object' ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]);
+}
+
+describe('resolveLocale', () => {
+    test('maps language tags to the supported languages', () => {
+        expect(resolveLocale('en-US')).toBe('en');
+        expect(resolveLocale('JA_jp')).toBe('ja');
+        expect(resolveLocale('fr-FR')).toBeNull();
+        expect(resolveLocale('', 'ja')).toBe('ja');
+    });
+});
+
+describe('I18nService.t', () => {
+    const service = createService({ locale: 'en' });
+
+    afterEach(() => {
+        delete ja.testOnly;
+    });
+
+    test('returns the message of the configured language with its parameters', () => {
+        expect(service.t('common.itemCount', { count: 3 })).toBe('3 items');
+        expect(service.t('common.itemCount', { count: 3 }, 'ja')).toBe(ja.common.itemCount.replace('{count}', '3'));
+    });
+
+    test('keeps placeholders that have no parameter', () => {
+        expect(service.t('common.itemCount')).toBe('{count} items');
+        expect(service.t('common.itemCount', { count: null })).toBe('{count} items');
+    });
+
+    test('falls back to Japanese when the language has no message for the key', () => {
+        ja.testOnly = { message: '日本語のみ {name}' };
+
+        expect(service.t('testOnly.message', { name: 'A' })).toBe('日本語のみ A');
+        expect(service.has('testOnly.message')).toBe(true);
+    });
+
+    test('returns the key when no language has the message', () => {
+        expect(service.t('missing.key')).toBe('missing.key');
+        expect(service.t('common')).toBe('common');
+        expect(service.has('missing.key')).toBe(false);
+    });
+
+    test('resolves the launch event messages in both languages', () => {
+        expect(service.t('launchevent.registrationFailed', { error: 'HTTP 503' }, 'en')).toContain('(HTTP 503)');
+        expect(service.t('launchevent.registrationFailed', { error: 'HTTP 503' }, 'ja')).toContain('（HTTP 503）');
+    });
+});
+
+describe('I18nService.getLocale', () => {
+    test('prefers the configured language over the default', () => {
+        expect(createService({ locale: 'en', defaultLocale: 'ja' }).getLocale()).toBe('en');
+    });
+
+    test('uses the Office display language when no language is configured', () => {
+        const service = createService({ defaultLocale: 'ja' });
+        service.getDisplayLanguage = () => 'en-GB';
+
+        expect(service.getLocale()).toBe('en');
+    });
+});
+
+describe('I18nService.getVisitorContext', () => {
+    test('uses the rule of the visitor domain, then the visitor defaults', () => {
+        const service = createService({
+            locale: 'ja',
+            visitorLocale: 'en',
+            visitorTimeZone: 'Europe/London',
+            visitorDomains: [{ domain: 'contoso.co.jp', locale: 'ja', timeZone: 'Asia/Tokyo' }]
+        });
+
+        expect(service.getVisitorContext('a@sales.contoso.co.jp')).toEqual({ locale: 'ja', timeZone: 'Asia/Tokyo' });
+        expect(service.getVisitorContext('b@fabrikam.com')).toEqual({ locale: 'en', timeZone: 'Europe/London' });
+    });
+});
+
+describe('locale catalogs', () => {
+    test('have the same keys in every language', () => {
+        expect(catalogKeys(en).sort()).toEqual(catalogKeys(ja).sort());
+    });
+});
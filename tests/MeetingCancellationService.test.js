@@ -0,0 +1,123 @@
+import { MeetingCancellationService, MEETING_STATES } from '../src/services/MeetingCancellationService.js';
+import { MEETING_ID_FORMATS } from '../src/services/MeetingIdentityService.js';
+import { CANCELLATION_REASONS } from '../src/services/VisitorReconciliationService.js';
+import { AuthService } from '../src/services/AuthService.js';
+
+const VISITORS = [{ emailAddress: 'a@fabrikam.com' }];
+
+function createService(snapshots, idFormat = MEETING_ID_FORMATS.EWS) {
+    const meetingIdentity = {
+        isTemporaryId: id => id.startsWith('meeting_'),
+        getIdFormat: () => idFormat,
+        toRestId: id => `rest:${id}`
+    };
+    const service = new MeetingCancellationService(meetingIdentity, { getSyncedSnapshots: () => snapshots });
+    service.config = { getConfig: () => ({ outlook: { cancellationCheckIntervalMs: 60000 } }) };
+    return service;
+}
+
+function respond(status, body = {}) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+describe('MeetingCancellationService.detect', () => {
+    test('reports cancelled and deleted meetings with their cancellation reasons', async () => {
+        const service = createService([
+            { meetingId: 'ACTIVE', visitors: VISITORS },
+            { meetingId: 'CANCELLED', visitors: VISITORS },
+            { meetingId: 'DELETED', visitors: VISITORS },
+            { meetingId: 'FAILING', visitors: VISITORS }
+        ]);
+        service.getMeetingState = async meetingId => {
+            if (meetingId === 'FAILING') {
+                throw new Error('HTTP 503');
+            }
+            return { ACTIVE: MEETING_STATES.ACTIVE, CANCELLED: MEETING_STATES.CANCELLED, DELETED: MEETING_STATES.DELETED }[meetingId];
+        };
+
+        const detected = await service.detect({ force: true });
+
+        expect(detected.map(d => [d.snapshot.meetingId, d.state, d.reason])).toEqual([
+            ['CANCELLED', MEETING_STATES.CANCELLED, CANCELLATION_REASONS.MEETING_CANCELLED],
+            ['DELETED', MEETING_STATES.DELETED, CANCELLATION_REASONS.MEETING_DELETED]
+        ]);
+    });
+
+    test('skips meetings without visitors, with temporary ids or that have already ended', async () => {
+        const service = createService([
+            { meetingId: 'NO-VISITORS', visitors: [] },
+            { meetingId: 'meeting_1_abc', visitors: VISITORS },
+            { meetingId: 'ENDED', visitors: VISITORS, endTime: '2000-01-01T00:00:00Z' },
+            { meetingId: 'UPCOMING', visitors: VISITORS, endTime: '2999-01-01T00:00:00Z' }
+        ]);
+        const checked = [];
+        service.getMeetingState = async meetingId => {
+            checked.push(meetingId);
+            return MEETING_STATES.ACTIVE;
+        };
+
+        await service.detect({ force: true });
+
+        expect(checked).toEqual(['UPCOMING']);
+    });
+
+    test('does not check again within the check interval unless forced', async () => {
+        const service = createService([{ meetingId: 'CANCELLED', visitors: VISITORS }]);
+        let checks = 0;
+        service.getMeetingState = async () => {
+            checks++;
+            return MEETING_STATES.CANCELLED;
+        };
+
+        expect(await service.detect()).toHaveLength(1);
+        expect(await service.detect()).toEqual([]);
+        expect(await service.detect({ force: true })).toHaveLength(1);
+        expect(checks).toBe(2);
+    });
+});
+
+describe('MeetingCancellationService.getMeetingState', () => {
+    beforeEach(() => {
+        jest.spyOn(AuthService, 'getInstance').mockReturnValue({ getAccessToken: async () => 'token' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.fetch;
+    });
+
+    test('reads isCancelled of the event and treats 404 as deleted', async () => {
+        const service = createService([]);
+        const requested = [];
+        global.fetch = jest.fn(async url => {
+            requested.push(url);
+            if (url.includes('GONE')) {
+                return respond(404);
+            }
+            return respond(200, { isCancelled: url.includes('CANCELLED') });
+        });
+
+        expect(await service.getMeetingState('ACTIVE')).toBe(MEETING_STATES.ACTIVE);
+        expect(await service.getMeetingState('CANCELLED')).toBe(MEETING_STATES.CANCELLED);
+        expect(await service.getMeetingState('GONE')).toBe(MEETING_STATES.DELETED);
+        expect(requested[0]).toContain(`/me/events/${encodeURIComponent('rest:ACTIVE')}?`);
+    });
+
+    test('searches by iCalUId when meeting ids are iCalUIds', async () => {
+        const service = createService([], MEETING_ID_FORMATS.ICAL_UID);
+        global.fetch = jest.fn(async url => respond(200, {
+            value: url.includes('MISSING') ? [] : [{ id: 'EVENT', isCancelled: true }]
+        }));
+
+        expect(await service.getMeetingState("UID'1")).toBe(MEETING_STATES.CANCELLED);
+        expect(await service.getMeetingState('MISSING')).toBe(MEETING_STATES.DELETED);
+        expect(global.fetch.mock.calls[0][0]).toContain(encodeURIComponent("iCalUId eq 'UID''1'"));
+    });
+
+    test('throws on other errors so that the meeting is not reported', async () => {
+        const service = createService([]);
+        global.fetch = jest.fn(async () => respond(503));
+
+        await expect(service.getMeetingState('ACTIVE')).rejects.toThrow('status: 503');
+    });
+});
@@ -0,0 +1,97 @@
+import { MeetingIdentityService, MEETING_ID_FORMATS, TEMPORARY_ID_PREFIX } from '../src/services/MeetingIdentityService.js';
+
+global.Office = {
+    AsyncResultStatus: { Succeeded: 'succeeded' },
+    MailboxEnums: { RestVersion: { v2_0: 'v2.0' } },
+    context: { mailbox: { convertToRestId: ewsId => `rest:${ewsId}` } }
+};
+
+function createItem(itemId = null, stored = {}) {
+    const properties = { ...stored };
+    const customProperties = {
+        get: key => properties[key],
+        set: (key, value) => { properties[key] = value; },
+        saveAsync: callback => callback({ status: 'succeeded' })
+    };
+    return {
+        itemId,
+        properties,
+        loadCustomPropertiesAsync: callback => callback({ status: 'succeeded', value: customProperties })
+    };
+}
+
+function createService(meetingIdFormat = MEETING_ID_FORMATS.EWS) {
+    const service = new MeetingIdentityService();
+    service.config = { getConfig: () => ({ outlook: { meetingIdFormat } }) };
+    return service;
+}
+
+describe('MeetingIdentityService.resolve', () => {
+    test('issues and stores a temporary id for an unsaved item', async () => {
+        const item = createItem();
+
+        const identity = await createService().resolve(item);
+
+        expect(identity.isTemporary).toBe(true);
+        expect(identity.meetingId.startsWith(TEMPORARY_ID_PREFIX)).toBe(true);
+        expect(identity.previousMeetingId).toBeNull();
+        expect(item.properties.lobbyMeetingId).toBe(identity.meetingId);
+    });
+
+    test('keeps using the stored temporary id until the item is saved', async () => {
+        const item = createItem(null, { lobbyMeetingId: 'meeting_1_abc' });
+
+        const identity = await createService().resolve(item);
+
+        expect(identity).toEqual({ meetingId: 'meeting_1_abc', isTemporary: true, previousMeetingId: null });
+    });
+
+    test('migrates the temporary id to the permanent id once the item is saved', async () => {
+        const item = createItem('EWS-1', { lobbyMeetingId: 'meeting_1_abc' });
+        const service = createService();
+        const migrations = [];
+        service.registerMigrationHandler(async (fromId, toId) => migrations.push([fromId, toId]));
+
+        const identity = await service.resolve(item);
+
+        expect(identity).toEqual({ meetingId: 'EWS-1', isTemporary: false, previousMeetingId: 'meeting_1_abc' });
+        expect(migrations).toEqual([['meeting_1_abc', 'EWS-1']]);
+        expect(item.properties.lobbyMeetingId).toBe('EWS-1');
+
+        const again = await service.resolve(item);
+        expect(again.previousMeetingId).toBeNull();
+        expect(migrations).toHaveLength(1);
+    });
+
+    test('keeps the stored id so that a failed migration is retried', async () => {
+        const item = createItem('EWS-1', { lobbyMeetingId: 'meeting_1_abc' });
+        const service = createService();
+        let attempts = 0;
+        service.registerMigrationHandler(async () => {
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('HTTP 503');
+            }
+        });
+
+        const failed = await service.resolve(item);
+        expect(failed).toEqual({ meetingId: 'EWS-1', isTemporary: false, previousMeetingId: 'meeting_1_abc' });
+        expect(item.properties.lobbyMeetingId).toBe('meeting_1_abc');
+
+        await service.resolve(item);
+        expect(attempts).toBe(2);
+        expect(item.properties.lobbyMeetingId).toBe('EWS-1');
+    });
+
+    test('migrates from the EWS id when another id format is configured', async () => {
+        const item = createItem('EWS-1');
+        const service = createService(MEETING_ID_FORMATS.REST);
+        const migrations = [];
+        service.registerMigrationHandler(async (fromId, toId) => migrations.push([fromId, toId]));
+
+        const identity = await service.resolve(item);
+
+        expect(identity).toEqual({ meetingId: 'rest:EWS-1', isTemporary: false, previousMeetingId: 'EWS-1' });
+        expect(migrations).toEqual([['EWS-1', 'rest:EWS-1']]);
+    });
+});
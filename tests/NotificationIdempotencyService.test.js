@@ -0,0 +1,138 @@
+import { NotificationIdempotencyService } from '../src/services/NotificationIdempotencyService.js';
+
+const NOTIFICATION = {
+    meetingId: 'MEET-1',
+    visitorEmail: 'a@fabrikam.com',
+    notificationType: 'created',
+    meetingTitle: 'Review',
+    startTime: '2030-01-01T01:00:00Z',
+    endTime: '2030-01-01T02:00:00Z',
+    location: 'Room 1',
+    isOnlineOnly: false,
+    timestamp: '2029-12-31T00:00:00Z'
+};
+
+const SCOPE = { meetingId: 'MEET-1', visitorEmail: 'a@fabrikam.com' };
+
+function createService(idempotency = {}) {
+    const service = new NotificationIdempotencyService();
+    service.config = { getConfig: () => ({ powerAutomate: { idempotency } }) };
+    return service;
+}
+
+describe('NotificationIdempotencyService.createKey', () => {
+    const service = createService();
+
+    test('returns the same key for the same notification', () => {
+        expect(service.createKey({ ...NOTIFICATION })).toEqual(service.createKey(NOTIFICATION));
+    });
+
+    test('ignores the send time and the case of the address', () => {
+        const key = service.createKey(NOTIFICATION).key;
+
+        expect(service.createKey({ ...NOTIFICATION, timestamp: '2030-01-01T00:00:00Z' }).key).toBe(key);
+        expect(service.createKey({ ...NOTIFICATION, visitorEmail: 'A@Fabrikam.com' }).key).toBe(key);
+    });
+
+    test('changes when the meeting, visitor, type or notified content changes', () => {
+        const key = service.createKey(NOTIFICATION).key;
+        const variants = [
+            { meetingId: 'MEET-2' },
+            { visitorEmail: 'b@fabrikam.com' },
+            { notificationType: 'updated' },
+            { startTime: '2030-01-01T03:00:00Z' },
+            { location: 'Room 2' }
+        ];
+
+        for (const variant of variants) {
+            expect(service.createKey({ ...NOTIFICATION, ...variant }).key).not.toBe(key);
+        }
+        expect(key.startsWith('created-')).toBe(true);
+    });
+
+    test('keys cancellations only by meeting and visitor', () => {
+        const cancelled = { ...NOTIFICATION, notificationType: 'cancelled' };
+
+        expect(service.createKey({ ...cancelled, location: 'Room 2' }).key).toBe(service.createKey(cancelled).key);
+    });
+});
+
+describe('NotificationIdempotencyService.check', () => {
+    test('skips the routes already sent from this device', async () => {
+        const service = createService();
+        const idempotency = service.createKey(NOTIFICATION);
+
+        await service.record(SCOPE, 'created', idempotency, ['host']);
+
+        expect(service.check(SCOPE, 'created', idempotency, ['host', 'reception']))
+            .toEqual({ pendingRoutes: ['reception'], source: 'local' });
+        expect(service.check({ ...SCOPE, visitorEmail: 'A@FABRIKAM.COM' }, 'created', idempotency, ['host']))
+            .toEqual({ pendingRoutes: [], source: 'local' });
+    });
+
+    test('sends again when the notified content changed', async () => {
+        const service = createService();
+        await service.record(SCOPE, 'created', service.createKey(NOTIFICATION), ['host']);
+
+        const changed = service.createKey({ ...NOTIFICATION, location: 'Room 2' });
+        expect(service.check(SCOPE, 'created', changed, ['host'])).toEqual({ pendingRoutes: ['host'], source: null });
+    });
+
+    test('skips the routes recorded in SharePoint by another device', () => {
+        const service = createService();
+        const idempotency = service.createKey(NOTIFICATION);
+        const remote = { itemId: 1, keys: { created: { contentHash: idempotency.contentHash, routes: ['host'] } } };
+
+        expect(service.check(SCOPE, 'created', idempotency, ['host'], remote))
+            .toEqual({ pendingRoutes: [], source: 'sharePoint' });
+    });
+
+    test('notifies a visitor again after a cancellation and re-invitation', async () => {
+        const service = createService();
+        const created = service.createKey(NOTIFICATION);
+        const cancelled = service.createKey({ ...NOTIFICATION, notificationType: 'cancelled' });
+
+        await service.record(SCOPE, 'created', created, ['host']);
+        await service.record(SCOPE, 'cancelled', cancelled, ['host']);
+
+        expect(service.check(SCOPE, 'created', created, ['host']).pendingRoutes).toEqual(['host']);
+    });
+
+    test('sends to every route when disabled', async () => {
+        const service = createService({ enabled: false });
+        const idempotency = service.createKey(NOTIFICATION);
+        await service.record(SCOPE, 'created', idempotency, ['host']);
+
+        expect(service.check(SCOPE, 'created', idempotency, ['host'])).toEqual({ pendingRoutes: ['host'], source: null });
+    });
+});
+
+describe('NotificationIdempotencyService.record', () => {
+    test('saves the sent routes to the visitor record', async () => {
+        const service = createService();
+        const saved = [];
+        service.setRemoteStore({ saveNotificationKeys: async (itemId, keys) => saved.push({ itemId, keys }) });
+        const idempotency = service.createKey(NOTIFICATION);
+        const remote = { itemId: 1, keys: { cancelled: { contentHash: 'old', routes: ['host'] } } };
+
+        await service.record(SCOPE, 'created', idempotency, ['host'], remote);
+        await service.record(SCOPE, 'created', idempotency, ['reception'], remote);
+
+        expect(saved).toHaveLength(2);
+        expect(Object.keys(remote.keys)).toEqual(['created']);
+        expect(remote.keys.created).toMatchObject({ key: idempotency.key, routes: ['host', 'reception'] });
+    });
+});
+
+describe('NotificationIdempotencyService.remapMeetingId', () => {
+    test('moves the records of the temporary id to the permanent id', async () => {
+        const service = createService();
+        const idempotency = service.createKey(NOTIFICATION);
+        await service.record({ ...SCOPE, meetingId: 'meeting_1_abc' }, 'created', idempotency, ['host']);
+
+        service.remapMeetingId('meeting_1_abc', 'MEET-1');
+
+        expect(service.check(SCOPE, 'created', idempotency, ['host']).pendingRoutes).toEqual([]);
+        expect(Object.keys(service.readLedger())).toEqual(['MEET-1|a@fabrikam.com']);
+    });
+});
@@ -0,0 +1,122 @@
+import { NotificationPayloadService, PayloadValidationError, PAYLOAD_KINDS } from '../src/services/NotificationPayloadService.js';
+
+const DATA = {
+    meetingId: 'MEET-1',
+    meetingTitle: 'Review',
+    visitorEmail: 'a@fabrikam.com',
+    visitorName: 'A',
+    startTime: '2030-01-01T01:00:00Z',
+    endTime: '2030-01-01T02:00:00Z',
+    organizerName: 'Taro',
+    organizerEmail: 'taro@contoso.com',
+    location: 'Room 1',
+    isOnlineMeeting: false,
+    isOnlineOnly: false,
+    locale: 'en',
+    timeZone: 'Europe/London',
+    organizerLocale: 'ja',
+    organizerTimeZone: 'Asia/Tokyo',
+    notificationType: 'created',
+    idempotencyKey: 'KEY',
+    timestamp: '2029-12-31T00:00:00Z',
+    source: 'Outlook Add-in',
+    unknownField: 'dropped'
+};
+
+function createService(payload = {}) {
+    const service = new NotificationPayloadService();
+    service.config = { getConfig: () => ({ powerAutomate: { payload } }) };
+    return service;
+}
+
+function validationError(build) {
+    try {
+        build();
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('NotificationPayloadService.buildPayload', () => {
+    test('builds a v1 payload with only the v1 fields', () => {
+        const payload = createService({ schemaVersion: 1 }).buildPayload(DATA);
+
+        expect(Object.keys(payload)).toEqual(['schemaVersion', 'meetingId', 'meetingTitle', 'visitorEmail', 'visitorName',
+            'startTime', 'endTime', 'notificationType', 'idempotencyKey', 'timestamp', 'source']);
+        expect(payload.schemaVersion).toBe(1);
+    });
+
+    test('builds a v2 payload by default and sets missing optional fields to null', () => {
+        const payload = createService().buildPayload(DATA);
+
+        expect(payload).toMatchObject({ schemaVersion: 2, organizerEmail: 'taro@contoso.com', locale: 'en', passUrl: null });
+        expect(payload.unknownField).toBeUndefined();
+    });
+
+    test('rejects a v2 payload without the fields that v1 did not require', () => {
+        const { isOnlineMeeting, organizerLocale, ...data } = DATA;
+
+        expect(createService({ schemaVersion: 1 }).buildPayload(data).schemaVersion).toBe(1);
+
+        const error = validationError(() => createService().buildPayload(data));
+        expect(error).toBeInstanceOf(PayloadValidationError);
+        expect(error.retryable).toBe(false);
+        expect(error.errors.map(e => [e.field, e.code])).toEqual([['isOnlineMeeting', 'required'], ['organizerLocale', 'required']]);
+    });
+
+    test('reports wrong types and unknown notification types', () => {
+        const error = validationError(() => createService({ schemaVersion: 1 }).buildPayload({
+            ...DATA, visitorName: 42, notificationType: 'organizer_summary'
+        }));
+
+        expect(error.errors.map(e => [e.field, e.code])).toEqual([['visitorName', 'type'], ['notificationType', 'enum']]);
+    });
+
+    test('validates meeting notifications only from v2', () => {
+        const meeting = {
+            ...DATA,
+            notificationType: 'reception_digest',
+            isCancelled: false,
+            visitorCount: 1,
+            visitors: [{ email: 'a@fabrikam.com', name: 'A' }]
+        };
+
+        const payload = createService().buildPayload(meeting, { kind: PAYLOAD_KINDS.MEETING });
+        expect(payload).toMatchObject({ visitorCount: 1, summary: null, failures: null });
+        expect(payload.visitorEmail).toBeUndefined();
+
+        const error = validationError(() => createService({ schemaVersion: 1 }).buildPayload(meeting, { kind: PAYLOAD_KINDS.MEETING }));
+        expect(error.errors[0].code).toBe('unsupported_kind');
+    });
+
+    test('rejects unsupported schema versions', () => {
+        const error = validationError(() => createService({ schemaVersion: 99 }).buildPayload(DATA));
+
+        expect(error.errors[0]).toMatchObject({ field: 'schemaVersion', code: 'unsupported_version' });
+    });
+
+    test('renames and drops fields with the field map', () => {
+        const payload = createService({ fieldMap: { organizerName: 'hostName', passHtml: null } }).buildPayload(DATA);
+
+        expect(payload.hostName).toBe('Taro');
+        expect(payload.organizerName).toBeUndefined();
+        expect('passHtml' in payload).toBe(false);
+    });
+
+    test('rejects a field map that maps two fields to the same name', () => {
+        const error = validationError(() => createService({ fieldMap: { organizerName: 'visitorName' } }).buildPayload(DATA));
+
+        expect(error.errors[0]).toMatchObject({ code: 'duplicate' });
+    });
+});
+
+describe('NotificationPayloadService.getTriggerSchema', () => {
+    test('lists the required fields under their mapped names', () => {
+        const schema = createService({ schemaVersion: 1, fieldMap: { visitorEmail: 'email', source: '' } }).getTriggerSchema();
+
+        expect(schema.required).toEqual(['schemaVersion', 'meetingId', 'email', 'visitorName', 'notificationType', 'idempotencyKey', 'timestamp']);
+        expect(schema.properties.email).toEqual({ type: 'string' });
+        expect(schema.properties.source).toBeUndefined();
+    });
+});
@@ -0,0 +1,118 @@
+import { OutboxService, OUTBOX_OPERATIONS } from '../src/services/OutboxService.js';
+
+function createService(handler) {
+    const service = new OutboxService();
+    service.isOnline = () => true;
+    service.hasPendingEntries = async () => false;
+    service.enqueue = async (type, payload) => ({ id: 'queued', type, payload });
+    service.handlers.set(OUTBOX_OPERATIONS.SEND_NOTIFICATION, handler);
+    return service;
+}
+
+function clientError(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.retryable = false;
+    return error;
+}
+
+const VISITORS = [
+    { emailAddress: 'a@fabrikam.com' },
+    { emailAddress: 'bad@fabrikam.com' },
+    { emailAddress: 'c@fabrikam.com' }
+];
+
+describe('OutboxService.sendVisitorNotifications', () => {
+    test('keeps sending to the other visitors when one notification is rejected', async () => {
+        const sent = [];
+        const service = createService(async ({ visitor }) => {
+            if (visitor.emailAddress === 'bad@fabrikam.com') {
+                throw clientError(400);
+            }
+            sent.push(visitor.emailAddress);
+            return { routes: {} };
+        });
+
+        const result = await service.sendVisitorNotifications('MEET-1', 'Review', VISITORS,
+            '2030-01-01T01:00:00Z', '2030-01-01T02:00:00Z', 'created');
+
+        expect(sent).toEqual(['a@fabrikam.com', 'c@fabrikam.com']);
+        expect(result.sent).toBe(2);
+        expect(result.queued).toBe(0);
+        expect(result.failed).toBe(1);
+        expect(result.details[1]).toMatchObject({ email: 'bad@fabrikam.com', queued: false });
+        expect(result.details[1].error.message).toBe('HTTP 400');
+    });
+
+    test('queues transient failures and does not count them as failed', async () => {
+        const service = createService(async ({ visitor }) => {
+            if (visitor.emailAddress === 'bad@fabrikam.com') {
+                throw new Error('HTTP 503');
+            }
+            return { routes: {} };
+        });
+
+        const result = await service.sendVisitorNotifications('MEET-1', 'Review', VISITORS,
+            '2030-01-01T01:00:00Z', '2030-01-01T02:00:00Z', 'created');
+
+        expect(result.sent).toBe(2);
+        expect(result.queued).toBe(1);
+        expect(result.failed).toBe(0);
+    });
+});
+
+describe('OutboxService.remapMeetingId', () => {
+    test('moves queued visitor and meeting notifications to the permanent meeting id', async () => {
+        const service = new OutboxService();
+        await service.store.put({ id: '1', type: OUTBOX_OPERATIONS.SEND_NOTIFICATION, groupKey: 'lobby-temp-1',
+            payload: { meetingId: 'lobby-temp-1', visitor: { emailAddress: 'a@fabrikam.com' } } });
+        await service.store.put({ id: '2', type: OUTBOX_OPERATIONS.SEND_MEETING_NOTIFICATION, groupKey: 'lobby-temp-1',
+            payload: { notificationType: 'reception_digest', meeting: { meetingId: 'lobby-temp-1', meetingTitle: 'Review' } } });
+        await service.store.put({ id: '3', type: OUTBOX_OPERATIONS.SEND_NOTIFICATION, groupKey: 'OTHER',
+            payload: { meetingId: 'OTHER' } });
+
+        await service.remapMeetingId('lobby-temp-1', 'MEET-1');
+
+        const entries = Object.fromEntries((await service.store.getAll()).map(entry => [entry.id, entry]));
+        expect(entries['1'].groupKey).toBe('MEET-1');
+        expect(entries['1'].payload.meetingId).toBe('MEET-1');
+        expect(entries['2'].groupKey).toBe('MEET-1');
+        expect(entries['2'].payload.meeting).toEqual({ meetingId: 'MEET-1', meetingTitle: 'Review' });
+        expect(entries['2'].payload.meetingId).toBeUndefined();
+        expect(entries['3']).toMatchObject({ groupKey: 'OTHER', payload: { meetingId: 'OTHER' } });
+    });
+});
+
+describe('OutboxService.createVisitorRecords', () => {
+    test('queues only the visitors whose records were not created', async () => {
+        const service = new OutboxService();
+        service.isOnline = () => true;
+        service.hasPendingEntries = async () => false;
+        const queued = [];
+        service.enqueue = async (type, payload) => {
+            queued.push(payload);
+            return { id: 'queued', type, payload };
+        };
+        service.registerServices({
+            sharePoint: {
+                createVisitorRecord: async (meetingId, title, users) => ({
+                    meetingId,
+                    created: [{ VisitorEmail: users[0].emailAddress }],
+                    failed: users.slice(1).map(user => ({
+                        visitorEmail: user.emailAddress, operation: 'create', status: 500, error: 'HTTP 500'
+                    }))
+                })
+            }
+        });
+
+        const outcome = await service.createVisitorRecords('MEET-1', 'Review', [
+            { emailAddress: 'a@fabrikam.com' },
+            { emailAddress: 'B@fabrikam.com' }
+        ], '2030-01-01T01:00:00Z', '2030-01-01T02:00:00Z');
+
+        expect(outcome.queued).toBe(true);
+        expect(outcome.result.created).toEqual([{ VisitorEmail: 'a@fabrikam.com' }]);
+        expect(outcome.result.failed.map(f => f.visitorEmail)).toEqual(['B@fabrikam.com']);
+        expect(queued).toHaveLength(1);
+        expect(queued[0].externalUsers).toEqual([{ emailAddress: 'B@fabrikam.com' }]);
+    });
+});
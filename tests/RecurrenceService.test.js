@@ -0,0 +1,108 @@
+import { RecurrenceService } from '../src/services/RecurrenceService.js';
+import { localTimeToUtc } from '../src/utils/TimeZone.js';
+
+const WEEKLY = {
+    recurrenceType: 'weekly',
+    interval: 1,
+    days: ['mon'],
+    firstDayOfWeek: 'sun',
+    startDate: '2026-09-07',
+    endDate: null,
+    startTime: '10:00',
+    durationMinutes: 60
+};
+
+function expandStarts(service, pattern, timing, windowStart, windowEnd) {
+    return service.expand(pattern, timing, new Date(windowStart), new Date(windowEnd))
+        .map(occurrence => occurrence.start.toISOString());
+}
+
+describe('RecurrenceService.expand', () => {
+    const service = new RecurrenceService({ toRestId: id => id });
+
+    test('keeps the local start time across the end of daylight saving time', () => {
+        const starts = expandStarts(service, WEEKLY, { timeZone: 'America/Los_Angeles', offsetMinutes: -420 },
+            '2026-10-19T00:00:00Z', '2026-11-10T00:00:00Z');
+
+        expect(starts).toEqual([
+            '2026-10-19T17:00:00.000Z',
+            '2026-10-26T17:00:00.000Z',
+            '2026-11-02T18:00:00.000Z',
+            '2026-11-09T18:00:00.000Z'
+        ]);
+    });
+
+    test('keeps the local start time across the start of daylight saving time', () => {
+        const starts = expandStarts(service, WEEKLY, { timeZone: 'Australia/Sydney', offsetMinutes: 600 },
+            '2026-09-27T00:00:00Z', '2026-10-13T00:00:00Z');
+
+        expect(starts).toEqual([
+            '2026-09-28T00:00:00.000Z',
+            '2026-10-04T23:00:00.000Z',
+            '2026-10-11T23:00:00.000Z'
+        ]);
+    });
+
+    test('uses the fixed offset when the time zone is unknown', () => {
+        const starts = expandStarts(service, WEEKLY, { timeZone: null, offsetMinutes: 540 },
+            '2026-10-19T00:00:00Z', '2026-10-27T00:00:00Z');
+
+        expect(starts).toEqual(['2026-10-19T01:00:00.000Z', '2026-10-26T01:00:00.000Z']);
+    });
+});
+
+describe('RecurrenceService.getSeriesTimeZone', () => {
+    const service = new RecurrenceService({ toRestId: id => id });
+
+    test('converts the Windows time zone name of the series', () => {
+        const timeZone = service.getSeriesTimeZone({
+            startTime: '2026-09-07T17:00:00Z',
+            recurrence: { ...WEEKLY, timeZone: 'Pacific Standard Time' }
+        });
+
+        expect(timeZone).toBe('America/Los_Angeles');
+    });
+
+    test('accepts an IANA time zone name', () => {
+        const timeZone = service.getSeriesTimeZone({
+            startTime: '2026-09-07T14:00:00Z',
+            recurrence: { ...WEEKLY, timeZone: 'America/New_York' }
+        });
+
+        expect(timeZone).toBe('America/New_York');
+    });
+
+    test('expands the pattern of a series in a Windows time zone across daylight saving time', async () => {
+        service.getWindow = () => ({
+            windowStart: new Date('2026-10-19T00:00:00Z'),
+            windowEnd: new Date('2026-11-10T00:00:00Z')
+        });
+
+        const schedule = await service.getOccurrences({
+            seriesId: 'SERIES',
+            startTime: '2026-09-07T14:00:00Z',
+            recurrence: { ...WEEKLY, timeZone: 'Eastern Standard Time' }
+        });
+
+        expect(schedule.occurrences.map(occurrence => occurrence.start)).toEqual([
+            '2026-10-19T14:00:00.000Z',
+            '2026-10-26T14:00:00.000Z',
+            '2026-11-02T15:00:00.000Z',
+            '2026-11-09T15:00:00.000Z'
+        ]);
+    });
+});
+
+describe('localTimeToUtc', () => {
+    const local = value => Date.parse(`${value}Z`);
+
+    test('converts the local time with the offset of that date', () => {
+        expect(localTimeToUtc(local('2026-07-01T09:00:00'), 'Europe/Berlin').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+        expect(localTimeToUtc(local('2026-12-01T09:00:00'), 'Europe/Berlin').toISOString()).toBe('2026-12-01T08:00:00.000Z');
+    });
+
+    test('moves a time skipped by daylight saving time one hour later', () => {
+        expect(localTimeToUtc(local('2026-03-08T02:30:00'), 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+        expect(localTimeToUtc(local('2026-10-04T02:30:00'), 'Australia/Sydney').toISOString()).toBe('2026-10-03T16:30:00.000Z');
+    });
+});
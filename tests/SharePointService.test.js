@@ -0,0 +1,100 @@
+import { SharePointService } from '../src/services/SharePointService.js';
+
+function createService(executeBatch) {
+    const service = new SharePointService();
+    service.getBackend = () => ({ executeBatch });
+    service.attachVisitorPasses = async () => {};
+    return service;
+}
+
+const VISITORS = [{ emailAddress: 'a@fabrikam.com', name: 'A' }, { emailAddress: 'b@fabrikam.com', name: 'B' }];
+
+describe('SharePointService.createVisitorRecord', () => {
+    test('returns the created rows and the visitors that failed', async () => {
+        const service = createService(async operations => [
+            { success: true, data: { Id: 1, ...operations[0].fields } },
+            { success: false, status: 500, error: 'HTTP 500' }
+        ]);
+
+        const result = await service.createVisitorRecord('MEET-1', 'Review', VISITORS,
+            '2030-01-01T01:00:00Z', '2030-01-01T02:00:00Z');
+
+        expect(result.meetingId).toBe('MEET-1');
+        expect(result.created.map(record => record.Id)).toEqual([1]);
+        expect(result.failed).toEqual([{ visitorEmail: 'b@fabrikam.com', operation: 'create', status: 500, error: 'HTTP 500' }]);
+    });
+
+    test('throws with the failed visitors when no row was created', async () => {
+        const service = createService(async () => VISITORS.map(() => ({ success: false, status: 503, error: 'HTTP 503' })));
+
+        const error = await service.createVisitorRecord('MEET-1', 'Review', VISITORS,
+            '2030-01-01T01:00:00Z', '2030-01-01T02:00:00Z').catch(e => e);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.result.created).toEqual([]);
+        expect(error.result.failed.map(f => f.visitorEmail)).toEqual(['a@fabrikam.com', 'b@fabrikam.com']);
+    });
+});
+
+describe('SharePointService.updateVisitorStatus', () => {
+    function createStatusService(records) {
+        const service = new SharePointService();
+        const updates = [];
+        service.retryConfig = { ...service.retryConfig, maxRetries: 0 };
+        service.getBackend = () => ({
+            getItem: async () => ({ ...records.shift() }),
+            getETag: record => record.etag,
+            updateItem: async (itemId, fields, { etag }) => {
+                updates.push({ itemId, fields, etag });
+                if (etag === 'stale') {
+                    const error = new Error('HTTP 412');
+                    error.name = 'VisitorConflictError';
+                    error.retryable = false;
+                    throw error;
+                }
+            }
+        });
+        return { service, updates };
+    }
+
+    test('checks in an arrived visitor and records the check-in time', async () => {
+        const { service, updates } = createStatusService([{ Id: 1, VisitorEmail: 'a@fabrikam.com', Status: 'Arrived', etag: '"1"' }]);
+
+        const result = await service.updateVisitorStatus(1, 'CheckedIn', { at: '2030-01-01T01:00:00Z' });
+
+        expect(result).toMatchObject({ previousStatus: 'Arrived', changed: true, record: { Status: 'CheckedIn' } });
+        expect(updates).toHaveLength(1);
+        expect(updates[0].etag).toBe('"1"');
+        expect(updates[0].fields.Status).toBe('CheckedIn');
+        expect(new Date(updates[0].fields.CheckedInDate).toISOString()).toBe('2030-01-01T01:00:00.000Z');
+    });
+
+    test('does not update a visitor that already has the status', async () => {
+        const { service, updates } = createStatusService([{ Id: 1, Status: 'CheckedIn' }]);
+
+        const result = await service.updateVisitorStatus(1, 'CheckedIn');
+
+        expect(result.changed).toBe(false);
+        expect(updates).toEqual([]);
+    });
+
+    test('rejects checking in a cancelled visitor without updating the row', async () => {
+        const { service, updates } = createStatusService([{ Id: 1, Status: 'Cancelled' }]);
+
+        await expect(service.updateVisitorStatus(1, 'CheckedIn')).rejects.toMatchObject({
+            name: 'VisitorStatusError',
+            code: 'invalid_transition'
+        });
+        expect(updates).toEqual([]);
+    });
+
+    test('re-reads and validates the row again when it changed on another device', async () => {
+        const { service, updates } = createStatusService([
+            { Id: 1, Status: 'Scheduled', etag: 'stale' },
+            { Id: 1, Status: 'CheckedOut', etag: '"2"' }
+        ]);
+
+        await expect(service.updateVisitorStatus(1, 'Arrived')).rejects.toMatchObject({ code: 'invalid_transition' });
+        expect(updates).toHaveLength(1);
+    });
+});
@@ -0,0 +1,77 @@
+import { VisitorCheckInService } from '../src/services/VisitorCheckInService.js';
+import { buildVisitorClaims } from '../src/utils/VisitorToken.js';
+
+const START = '2030-01-01T10:00:00.000Z';
+
+function row(id, meetingId, email, status = 'Scheduled') {
+    return { Id: id, MeetingId: meetingId, VisitorEmail: email, StartTime: START, Status: status };
+}
+
+function createService(rows) {
+    const sharePoint = { getVisitorRecordsByStartTime: async () => rows.map(record => ({ ...record })) };
+    const outbox = {
+        updateVisitorStatus: async (record, status) => ({ queued: false, result: { record: { ...record, Status: status } } })
+    };
+    const service = new VisitorCheckInService({ sharePoint, outbox });
+    // 署名の検証はトークンサービスで行うため、ここではトークンとして渡した内容をそのまま返す
+    service.tokens.verifyToken = async token => JSON.parse(token);
+    return service;
+}
+
+function passFor(meetingId, email = 'taro@contoso.co.jp') {
+    return JSON.stringify(buildVisitorClaims({ meetingId, visitorEmail: email, startTime: START }));
+}
+
+describe('VisitorCheckInService.checkIn', () => {
+    test('checks in the visitor row of the meeting on the pass', async () => {
+        const service = createService([row(1, 'MEET-1', 'Taro@Contoso.co.jp'), row(2, 'MEET-2', 'taro@contoso.co.jp')]);
+
+        const result = await service.checkIn(passFor('MEET-2'));
+
+        expect(result.record.Id).toBe(2);
+        expect(result.record.Status).toBe('CheckedIn');
+    });
+
+    test('finds the row of a pass issued before the meeting id was migrated', async () => {
+        const service = createService([row(1, 'MEET-1', 'taro@contoso.co.jp'), row(2, 'MEET-1', 'hanako@contoso.co.jp')]);
+
+        const result = await service.checkIn(passFor('lobby-temp-1234'));
+
+        expect(result.record.Id).toBe(1);
+        expect(result.record.Status).toBe('CheckedIn');
+    });
+
+    test('ignores cancelled rows of other meetings when the meeting id was migrated', async () => {
+        const service = createService([row(1, 'MEET-1', 'taro@contoso.co.jp'), row(2, 'MEET-2', 'taro@contoso.co.jp', 'Cancelled')]);
+
+        const result = await service.checkIn(passFor('lobby-temp-1234'));
+
+        expect(result.record.Id).toBe(1);
+    });
+
+    test('rejects a pass that matches rows of several meetings', async () => {
+        const service = createService([row(1, 'MEET-1', 'taro@contoso.co.jp'), row(2, 'MEET-2', 'taro@contoso.co.jp')]);
+
+        await expect(service.checkIn(passFor('lobby-temp-1234'))).rejects.toMatchObject({ code: 'not_found' });
+    });
+
+    test('rejects a pass for a cancelled visitor', async () => {
+        const service = createService([row(1, 'MEET-1', 'taro@contoso.co.jp', 'Cancelled')]);
+
+        await expect(service.checkIn(passFor('MEET-1'))).rejects.toMatchObject({ code: 'cancelled' });
+    });
+
+    test('rejects a pass without a matching visitor row', async () => {
+        const service = createService([row(1, 'MEET-1', 'hanako@contoso.co.jp')]);
+
+        await expect(service.checkIn(passFor('MEET-1'))).rejects.toMatchObject({ code: 'not_found' });
+    });
+
+    test('reports a visitor who is already checked in', async () => {
+        const service = createService([row(1, 'MEET-1', 'taro@contoso.co.jp', 'CheckedIn')]);
+
+        const result = await service.checkIn(passFor('MEET-1'));
+
+        expect(result.alreadyCheckedIn).toBe(true);
+    });
+});
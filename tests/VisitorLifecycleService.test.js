@@ -0,0 +1,86 @@
+import { VisitorLifecycleService, VisitorStatusError } from '../src/services/VisitorLifecycleService.js';
+import { VISITOR_STATUS } from '../src/services/VisitorReconciliationService.js';
+
+const { SCHEDULED, ARRIVED, CHECKED_IN, CHECKED_OUT, NO_SHOW, CANCELLED, COMPLETED } = VISITOR_STATUS;
+
+function transitionError(service, record, toStatus) {
+    try {
+        service.assertTransition(record, toStatus);
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('VisitorLifecycleService.canTransition', () => {
+    const service = new VisitorLifecycleService();
+
+    test('allows the reception workflow from scheduled to checked out', () => {
+        expect(service.canTransition(SCHEDULED, ARRIVED)).toBe(true);
+        expect(service.canTransition(ARRIVED, CHECKED_IN)).toBe(true);
+        expect(service.canTransition(CHECKED_IN, CHECKED_OUT)).toBe(true);
+        expect(service.canTransition(SCHEDULED, CHECKED_IN)).toBe(true);
+        expect(service.canTransition(ARRIVED, CHECKED_OUT)).toBe(true);
+    });
+
+    test('treats rows without a status as scheduled', () => {
+        expect(service.canTransition(undefined, ARRIVED)).toBe(true);
+        expect(service.canTransition('', CHECKED_OUT)).toBe(false);
+    });
+
+    test('lets visitors marked as no-show arrive late', () => {
+        expect(service.canTransition(SCHEDULED, NO_SHOW)).toBe(true);
+        expect(service.canTransition(NO_SHOW, ARRIVED)).toBe(true);
+        expect(service.canTransition(NO_SHOW, CHECKED_OUT)).toBe(false);
+    });
+
+    test('does not leave the final states', () => {
+        for (const fromStatus of [CHECKED_OUT, CANCELLED, COMPLETED]) {
+            for (const toStatus of [SCHEDULED, ARRIVED, CHECKED_IN, CHECKED_OUT, NO_SHOW]) {
+                expect(service.canTransition(fromStatus, toStatus)).toBe(false);
+            }
+        }
+    });
+
+    test('rejects unknown states', () => {
+        expect(service.canTransition('Unknown', ARRIVED)).toBe(false);
+        expect(service.canTransition(SCHEDULED, 'Unknown')).toBe(false);
+    });
+});
+
+describe('VisitorLifecycleService.assertTransition', () => {
+    const service = new VisitorLifecycleService();
+
+    test('rejects checking in a cancelled visitor as a non-retryable error', () => {
+        const error = transitionError(service, { Id: 7, VisitorEmail: 'a@fabrikam.com', Status: CANCELLED }, CHECKED_IN);
+
+        expect(error).toBeInstanceOf(VisitorStatusError);
+        expect(error).toMatchObject({ code: 'invalid_transition', itemId: 7, fromStatus: CANCELLED, toStatus: CHECKED_IN, retryable: false });
+    });
+
+    test('rejects states that are not set at reception', () => {
+        const error = transitionError(service, { Id: 7, Status: SCHEDULED }, CANCELLED);
+
+        expect(error).toMatchObject({ code: 'unsupported_status', toStatus: CANCELLED });
+    });
+
+    test('accepts a valid transition', () => {
+        expect(transitionError(service, { Id: 7, Status: ARRIVED }, CHECKED_IN)).toBeNull();
+    });
+});
+
+describe('VisitorLifecycleService.buildTransitionFields', () => {
+    const service = new VisitorLifecycleService();
+    const now = '2030-01-01T01:00:00Z';
+
+    test('records the change time in the column of the new state', () => {
+        expect(service.buildTransitionFields(CHECKED_IN, now)).toEqual({ Status: CHECKED_IN, CheckedInDate: now, ModifiedDate: now });
+        expect(service.buildTransitionFields(NO_SHOW, now)).toEqual({ Status: NO_SHOW, NoShowDate: now, ModifiedDate: now });
+    });
+
+    test('maps reception states to notification types', () => {
+        expect(service.getNotificationType(ARRIVED)).toBe('arrived');
+        expect(service.getNotificationType(CHECKED_OUT)).toBe('checked_out');
+        expect(service.getNotificationType(CANCELLED)).toBeNull();
+    });
+});
@@ -0,0 +1,217 @@
+import {
+    VisitorTokenError,
+    buildVisitorClaims,
+    decodeVisitorToken,
+    getMeetingHash,
+    signVisitorToken,
+    verifyVisitorToken
+} from '../src/utils/VisitorToken.js';
+import { handleVisitorTokenRequest } from '../src/server/visitorToken.js';
+
+const SIGNING_KEY = 'test-signing-key';
+
+const visitor = {
+    meetingId: 'AAMkAGI2TG93AAA=',
+    visitorEmail: 'Taro@Contoso.co.jp',
+    visitorName: '山田 太郎',
+    organizerName: '佐藤 花子',
+    startTime: '2030-01-01T10:00:00.000Z',
+    endTime: '2030-01-01T11:00:00.000Z'
+};
+
+// 開始の3時間前から終了の12時間後まで有効
+const DURING = new Date('2030-01-01T09:30:00.000Z');
+
+async function createToken(claims = buildVisitorClaims(visitor)) {
+    return signVisitorToken(claims, SIGNING_KEY);
+}
+
+// 署名をそのままにして内容を書き換える
+function tamper(token, changes) {
+    const [body, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return `${Buffer.from(JSON.stringify({ ...claims, ...changes })).toString('base64url')}.${signature}`;
+}
+
+async function verifyError(token, options = { now: DURING }, key = SIGNING_KEY) {
+    try {
+        await verifyVisitorToken(token, key, options);
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected verification to fail');
+}
+
+describe('buildVisitorClaims', () => {
+    test('normalizes the visitor and sets the validity window', () => {
+        const claims = buildVisitorClaims(visitor);
+
+        expect(claims).toEqual({
+            v: 1,
+            mh: getMeetingHash(visitor.meetingId),
+            em: 'taro@contoso.co.jp',
+            n: '山田 太郎',
+            c: 'Contoso',
+            h: '佐藤 花子',
+            st: '2030-01-01T10:00:00.000Z',
+            nbf: '2030-01-01T07:00:00.000Z',
+            exp: '2030-01-01T23:00:00.000Z'
+        });
+    });
+});
+
+describe('verifyVisitorToken', () => {
+    test('accepts a valid token within the validity window', async () => {
+        const token = await createToken();
+
+        await expect(verifyVisitorToken(token, SIGNING_KEY, { now: DURING })).resolves.toEqual(buildVisitorClaims(visitor));
+    });
+
+    test('signs the same claims to the same token', async () => {
+        expect(await createToken()).toBe(await createToken());
+    });
+
+    test('rejects tampered claims', async () => {
+        const token = tamper(await createToken(), { em: 'someone@fabrikam.com' });
+        const error = await verifyError(token);
+
+        expect(error).toBeInstanceOf(VisitorTokenError);
+        expect(error.code).toBe('invalid_signature');
+        expect(error.retryable).toBe(false);
+        expect(error.claims.em).toBe('someone@fabrikam.com');
+    });
+
+    test('rejects an extended validity window', async () => {
+        const token = tamper(await createToken(), { exp: '2031-01-01T00:00:00.000Z' });
+
+        expect((await verifyError(token, { now: new Date('2030-06-01T00:00:00.000Z') })).code).toBe('invalid_signature');
+    });
+
+    test('rejects a token signed with another key', async () => {
+        const token = await signVisitorToken(buildVisitorClaims(visitor), 'another-key');
+
+        expect((await verifyError(token)).code).toBe('invalid_signature');
+    });
+
+    test('rejects a modified signature', async () => {
+        const token = await createToken();
+        const [body, signature] = token.split('.');
+        const modified = `${body}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+        expect((await verifyError(modified)).code).toBe('invalid_signature');
+    });
+
+    test('rejects a token before its validity window', async () => {
+        const error = await verifyError(await createToken(), { now: new Date('2030-01-01T06:59:59.000Z') });
+
+        expect(error.code).toBe('not_yet_valid');
+        expect(error.claims.em).toBe('taro@contoso.co.jp');
+    });
+
+    test('accepts a token at the start and end of its validity window', async () => {
+        const token = await createToken();
+
+        await expect(verifyVisitorToken(token, SIGNING_KEY, { now: new Date('2030-01-01T07:00:00.000Z') })).resolves.toBeTruthy();
+        await expect(verifyVisitorToken(token, SIGNING_KEY, { now: new Date('2030-01-01T23:00:00.000Z') })).resolves.toBeTruthy();
+    });
+
+    test('rejects an expired token', async () => {
+        const error = await verifyError(await createToken(), { now: new Date('2030-01-01T23:00:01.000Z') });
+
+        expect(error.code).toBe('expired');
+    });
+
+    test('rejects a signed token without a valid expiry', async () => {
+        const claims = { ...buildVisitorClaims(visitor), exp: 'not a date' };
+
+        expect((await verifyError(await createToken(claims))).code).toBe('expired');
+    });
+
+    test('rejects an unsupported version', async () => {
+        const claims = { ...buildVisitorClaims(visitor), v: 2 };
+
+        expect((await verifyError(await createToken(claims))).code).toBe('unsupported_version');
+    });
+
+    test.each(['', 'hello', 'a.b.c', 'abc.', '.abc', 'abc.d/ef'])('rejects malformed token %p', async (token) => {
+        expect((await verifyError(token)).code).toBe('malformed');
+    });
+});
+
+describe('decodeVisitorToken', () => {
+    test('reads the claims without verifying the signature', async () => {
+        const token = tamper(await createToken(), { n: 'Someone' });
+
+        expect(decodeVisitorToken(token).n).toBe('Someone');
+    });
+
+    test('returns null for a malformed token', () => {
+        expect(decodeVisitorToken('hello')).toBeNull();
+    });
+});
+
+describe('handleVisitorTokenRequest', () => {
+    const options = { signingKey: SIGNING_KEY, now: DURING };
+
+    test('signs a visitor', async () => {
+        const { status, body } = await handleVisitorTokenRequest({ operation: 'sign', visitor }, options);
+
+        expect(status).toBe(200);
+        expect(body.claims).toEqual(buildVisitorClaims(visitor));
+        expect(body.token).toBe(await createToken());
+    });
+
+    test('applies the configured validity window', async () => {
+        const { body } = await handleVisitorTokenRequest({ operation: 'sign', visitor }, {
+            ...options,
+            earlyCheckInHours: 1,
+            validityHours: 500
+        });
+
+        expect(body.claims.nbf).toBe('2030-01-01T09:00:00.000Z');
+        expect(body.claims.exp).toBe('2030-01-08T11:00:00.000Z');
+    });
+
+    test.each([
+        [{ ...visitor, visitorEmail: 'not-an-email' }, 'visitor.visitorEmail is not a valid email address'],
+        [{ ...visitor, meetingId: '' }, 'visitor.meetingId is required'],
+        [{ ...visitor, endTime: 'tomorrow' }, 'visitor.endTime is not a valid date'],
+        [null, 'visitor is required']
+    ])('rejects an invalid visitor', async (request, message) => {
+        const { status, body } = await handleVisitorTokenRequest({ operation: 'sign', visitor: request }, options);
+
+        expect(status).toBe(400);
+        expect(body).toEqual({ code: 'bad_request', message });
+    });
+
+    test('verifies a valid token', async () => {
+        const { status, body } = await handleVisitorTokenRequest({ operation: 'verify', token: await createToken() }, options);
+
+        expect(status).toBe(200);
+        expect(body).toEqual({ valid: true, claims: buildVisitorClaims(visitor) });
+    });
+
+    test.each([
+        ['tampered', async () => tamper(await createToken(), { em: 'someone@fabrikam.com' }), DURING, 'invalid_signature'],
+        ['expired', createToken, new Date('2030-01-02T00:00:00.000Z'), 'expired'],
+        ['not yet valid', createToken, new Date('2030-01-01T00:00:00.000Z'), 'not_yet_valid']
+    ])('reports the %s token as invalid', async (label, create, now, code) => {
+        const { status, body } = await handleVisitorTokenRequest({ operation: 'verify', token: await create() }, { ...options, now });
+
+        expect(status).toBe(200);
+        expect(body.valid).toBe(false);
+        expect(body.code).toBe(code);
+    });
+
+    test('rejects unsupported operations', async () => {
+        const { status, body } = await handleVisitorTokenRequest({ operation: 'mint' }, options);
+
+        expect(status).toBe(400);
+        expect(body.code).toBe('bad_request');
+    });
+
+    test('requires a signing key', async () => {
+        await expect(handleVisitorTokenRequest({ operation: 'verify', token: 'x' }, { signingKey: '' }))
+            .rejects.toThrow('Visitor token signing key is not configured');
+    });
+});
@@ -8,7 +8,11 @@ module.exports = (env, options) => {
   return {
     entry: {
       taskpane: './src/taskpane/taskpane.js',
-      commands: './src/commands/commands.js'
+      commands: './src/commands/commands.js',
+      authDialog: './src/auth/authDialog.js',
+      launchevent: './src/launchevent/launchevent.js',
+      reception: './src/reception/reception.js',
+      pass: './src/pass/pass.js'
     },
     output: {
       path: path.resolve(__dirname, 'dist'),
@@ -51,12 +55,39 @@ module.exports = (env, options) => {
         filename: 'commands.html',
         chunks: ['commands']
       }),
+      new HtmlWebpackPlugin({
+        template: './src/auth/authDialog.html',
+        filename: 'authDialog.html',
+        chunks: ['authDialog']
+      }),
+      new HtmlWebpackPlugin({
+        template: './src/launchevent/launchevent.html',
+        filename: 'launchevent.html',
+        chunks: ['launchevent']
+      }),
+      new HtmlWebpackPlugin({
+        template: './src/reception/reception.html',
+        filename: 'reception.html',
+        chunks: ['reception']
+      }),
+      new HtmlWebpackPlugin({
+        template: './src/pass/pass.html',
+        filename: 'pass.html',
+        chunks: ['pass']
+      }),
       new CopyWebpackPlugin({
         patterns: [
           {
             from: 'manifest.xml',
             to: 'manifest.xml'
           },
+          {
+            from: 'config*.json',
+            to: '[name][ext]',
+            globOptions: {
+              ignore: ['**/config.sample.json']
+            }
+          },
           {
             from: 'assets',
             to: 'assets',